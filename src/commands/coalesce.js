@@ -0,0 +1,161 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { checkPermissions } = require('../functions/permissionChecker');
+const { MIN_WINDOW_SECONDS, MAX_WINDOW_SECONDS } = require('../functions/coalescing');
+
+/**
+ * Adds the repository option shared by all subcommands
+ * @param {Object} subcommand - Subcommand builder
+ * @returns {Object} The subcommand builder
+ */
+function addRepositoryOption(subcommand) {
+  return subcommand.addStringOption(option =>
+    option.setName('repository')
+      .setDescription('The GitHub repository')
+      .setRequired(true)
+      .setAutocomplete(true));
+}
+
+/**
+ * Adds the repository and channel options of a subcommand
+ * @param {Object} subcommand - Subcommand builder
+ * @returns {Object} The subcommand builder
+ */
+function addChannelOptions(subcommand) {
+  return addRepositoryOption(subcommand)
+    .addChannelOption(option =>
+      option.setName('channel')
+        .setDescription('The channel that receives the notifications')
+        .addChannelTypes(0, 15) // GuildText and GuildForum
+        .setRequired(true));
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('coalesce')
+    .setDescription('Combine bursts of pushes and label changes into one notification.')
+    .addSubcommand(subcommand =>
+      addChannelOptions(subcommand.setName('enable')
+        .setDescription('Hold similar events for a while and post them as one notification.'))
+        .addIntegerOption(option =>
+          option.setName('seconds')
+            .setDescription('How long similar events are collected after the first one')
+            .setRequired(true)
+            .setMinValue(MIN_WINDOW_SECONDS)
+            .setMaxValue(MAX_WINDOW_SECONDS)))
+    .addSubcommand(subcommand =>
+      addChannelOptions(subcommand.setName('disable')
+        .setDescription('Post every event of a channel on its own again.')))
+    .addSubcommand(subcommand =>
+      addRepositoryOption(subcommand.setName('list')
+        .setDescription('List the coalescing windows of a repository.'))),
+
+  async autocomplete(interaction, prisma) {
+    const focusedValue = interaction.options.getFocused()?.toLowerCase?.() || '';
+    const guildId = interaction.guildId;
+
+    try {
+      const repositories = await prisma.repository.findMany({
+        where: { server: { guildId } }
+      });
+
+      const filtered = repositories
+        .filter(repo => repo.url.toLowerCase().includes(focusedValue))
+        .map(repo => {
+          const urlParts = repo.url.split('/');
+          const repoName = urlParts[urlParts.length - 1] || urlParts[urlParts.length - 2] || repo.url;
+          return { name: `${repoName} (${repo.url})`.slice(0, 100), value: repo.id };
+        })
+        .slice(0, 25);
+
+      await interaction.respond(filtered);
+    } catch {
+      console.info('Repository autocomplete failed: Unable to fetch repositories');
+      await interaction.respond([]);
+    }
+  },
+
+  async execute(interaction, prisma) {
+    // Check if the user has the required permissions (Admin or Manage Webhooks permission)
+    if (!checkPermissions(interaction)) {
+      await interaction.reply({
+        content: "❌ You need the `Manage Webhooks` permission to use this command.",
+        ephemeral: true
+      });
+      return;
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+
+    const subcommand = interaction.options.getSubcommand();
+    const repositoryId = interaction.options.getString('repository');
+    const channel = interaction.options.getChannel('channel');
+    const guildId = interaction.guildId;
+
+    try {
+      const repository = await prisma.repository.findFirst({
+        where: { id: repositoryId, server: { guildId } }
+      });
+
+      if (!repository) {
+        await interaction.editReply('Repository not found. Please use the autocomplete to select a valid repository.');
+        return;
+      }
+
+      const displayUrl = repository.url.endsWith('.git') ? repository.url.slice(0, -4) : repository.url;
+
+      if (subcommand === 'list') {
+        const windows = await prisma.coalescingWindow.findMany({
+          where: { repositoryId: repository.id },
+          orderBy: { createdAt: 'asc' }
+        });
+
+        const embed = new EmbedBuilder()
+          .setColor(0x0366d6) // GitHub blue
+          .setTitle(`⏱️ Coalescing Windows for ${displayUrl}`)
+          .setDescription(windows.length > 0
+            ? windows.map(window => `**<#${window.channelId}>**: ${window.windowSeconds} seconds`).join('\n').slice(0, 4096)
+            : 'No coalescing windows configured. Every event is posted on its own.')
+          .setFooter({ text: 'GitTrack - Coalescing' })
+          .setTimestamp();
+
+        await interaction.editReply({ embeds: [embed] });
+        return;
+      }
+
+      const where = { repositoryId_channelId: { repositoryId: repository.id, channelId: channel.id } };
+      const existing = await prisma.coalescingWindow.findUnique({ where });
+
+      if (subcommand === 'enable') {
+        const windowSeconds = interaction.options.getInteger('seconds');
+        await prisma.coalescingWindow.upsert({
+          where,
+          update: { windowSeconds },
+          create: { repositoryId: repository.id, channelId: channel.id, windowSeconds }
+        });
+
+        await interaction.editReply(
+          `✅ ${existing ? 'Updated the coalescing window' : 'Enabled coalescing'} for \`${displayUrl}\` in ${channel}: ${windowSeconds} seconds.\n` +
+          'Pushes to a branch and label or assignment changes by the same person within the window are posted as one notification.'
+        );
+        return;
+      }
+
+      // disable
+      if (!existing) {
+        await interaction.editReply(`No coalescing window is configured for \`${displayUrl}\` in ${channel}.`);
+        return;
+      }
+
+      await prisma.coalescingWindow.delete({ where: { id: existing.id } });
+      // Events already held are posted at the next check instead of waiting for their window
+      await prisma.coalescedEvent.updateMany({
+        where: { repositoryId: repository.id, channelId: channel.id },
+        data: { flushAt: new Date() }
+      });
+      await interaction.editReply(`✅ Every event for \`${displayUrl}\` is posted to ${channel} on its own again.`);
+    } catch (error) {
+      console.error('Error managing coalescing windows:', error);
+      await interaction.editReply(`Failed to update the coalescing window. Error: ${error.message}`);
+    }
+  }
+};
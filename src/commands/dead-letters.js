@@ -0,0 +1,127 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { checkPermissions } = require('../functions/permissionChecker');
+const { retryDeadLetter } = require('../functions/deliveryQueue');
+
+// Discord embeds allow at most 25 fields
+const MAX_LISTED_DEAD_LETTERS = 10;
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('dead-letters')
+    .setDescription('Inspect and retry webhook deliveries that failed after all retries.')
+    .addSubcommand(subcommand =>
+      subcommand.setName('list')
+        .setDescription('List failed deliveries for this server.'))
+    .addSubcommand(subcommand =>
+      subcommand.setName('retry')
+        .setDescription('Queue a failed delivery for another attempt.')
+        .addStringOption(option =>
+          option.setName('delivery')
+            .setDescription('Select a failed delivery from the dropdown list')
+            .setRequired(true)
+            .setAutocomplete(true))),
+
+  async execute(interaction, prisma) {
+    // Check if the user has the required permissions (Admin or Manage Webhooks permission)
+    if (!checkPermissions(interaction)) {
+      await interaction.reply({
+        content: "❌ You need the `Manage Webhooks` permission to use this command.",
+        ephemeral: true
+      });
+      return;
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+
+    const subcommand = interaction.options.getSubcommand();
+    const guildId = interaction.guildId;
+
+    try {
+      if (subcommand === 'list') {
+        const deadLetters = await prisma.webhookDeadLetter.findMany({
+          where: { repository: { server: { guildId: guildId } } },
+          include: { repository: { select: { url: true } } },
+          orderBy: { failedAt: 'desc' },
+          take: MAX_LISTED_DEAD_LETTERS
+        });
+
+        if (deadLetters.length === 0) {
+          await interaction.editReply('✅ No failed deliveries. Every queued webhook event was delivered.');
+          return;
+        }
+
+        const embed = new EmbedBuilder()
+          .setTitle('📭 Failed Webhook Deliveries')
+          .setColor(0xDC3545)
+          .setDescription(`Showing the ${deadLetters.length} most recent failed deliveries. Use \`/dead-letters retry\` to queue one again.`)
+          .setFooter({ text: 'GitTrack - Dead Letters' })
+          .setTimestamp();
+
+        for (const deadLetter of deadLetters) {
+          const repoName = deadLetter.repository.url.replace(/\.git$/, '').split('/').slice(-2).join('/');
+          const eventName = deadLetter.action ? `${deadLetter.eventType}.${deadLetter.action}` : deadLetter.eventType;
+          const lastError = (deadLetter.lastError || 'Unknown error').split('\n')[0].slice(0, 200);
+
+          embed.addFields({
+            name: `${repoName} • ${eventName}`,
+            value: `ID: \`${deadLetter.id}\`\nFailed <t:${Math.floor(deadLetter.failedAt.getTime() / 1000)}:R> after ${deadLetter.attempts} attempt(s)\nError: ${lastError}`,
+            inline: false
+          });
+        }
+
+        await interaction.editReply({ embeds: [embed] });
+        return;
+      }
+
+      if (subcommand === 'retry') {
+        const deadLetterId = interaction.options.getString('delivery');
+        const deadLetter = await prisma.webhookDeadLetter.findFirst({
+          where: { id: deadLetterId, repository: { server: { guildId: guildId } } }
+        });
+
+        if (!deadLetter) {
+          await interaction.editReply('❌ Failed delivery not found. Use `/dead-letters list` to see failed deliveries for this server.');
+          return;
+        }
+
+        await retryDeadLetter(prisma, deadLetter);
+        await interaction.editReply(`🔁 Delivery \`${deadLetter.id}\` (${deadLetter.eventType}) has been queued for another attempt.`);
+      }
+    } catch (error) {
+      console.error('Error handling dead letters:', error);
+      await interaction.editReply(`Failed to process the request. Error: ${error.message}`);
+    }
+  },
+
+  async autocomplete(interaction, prisma) {
+    const focusedOption = interaction.options.getFocused(true);
+    const guildId = interaction.guildId;
+
+    if (focusedOption.name === 'delivery') {
+      try {
+        const deadLetters = await prisma.webhookDeadLetter.findMany({
+          where: { repository: { server: { guildId: guildId } } },
+          include: { repository: { select: { url: true } } },
+          orderBy: { failedAt: 'desc' },
+          take: 100
+        });
+
+        const choices = deadLetters.map(deadLetter => {
+          const repoName = deadLetter.repository.url.replace(/\.git$/, '').split('/').slice(-2).join('/');
+          const eventName = deadLetter.action ? `${deadLetter.eventType}.${deadLetter.action}` : deadLetter.eventType;
+          return { name: `${repoName} • ${eventName} • ${deadLetter.failedAt.toISOString()}`.slice(0, 100), value: deadLetter.id };
+        });
+
+        const filtered = choices.filter(choice =>
+          choice.name.toLowerCase().includes(focusedOption.value.toLowerCase()) ||
+          choice.value.toLowerCase().includes(focusedOption.value.toLowerCase())
+        ).slice(0, 25);
+
+        await interaction.respond(filtered);
+      } catch {
+        console.info('Dead letter autocomplete failed: Unable to fetch failed deliveries');
+        await interaction.respond([]);
+      }
+    }
+  }
+};
@@ -0,0 +1,262 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { checkPermissions } = require('../functions/permissionChecker');
+const {
+  DIGEST_FREQUENCIES,
+  WEEKDAYS,
+  isValidTimezone,
+  parseTimeOfDay,
+  getNextRunAt,
+  describeDigestSchedule,
+  composeDigest,
+  sendDigest
+} = require('../functions/digests');
+
+// Events a digest can be limited to; comments and reviews follow their issue or pull request
+const DIGEST_EVENTS = [
+  'push',
+  'pull_request',
+  'issues',
+  'release',
+  'star',
+  'fork',
+  'create',
+  'delete',
+  'milestone',
+  'workflow_run',
+  'workflow_job',
+  'check_run',
+  'check_suite',
+];
+
+/**
+ * Adds the repository option shared by all subcommands
+ * @param {Object} subcommand - Subcommand builder
+ * @returns {Object} The subcommand builder
+ */
+function addRepositoryOption(subcommand) {
+  return subcommand.addStringOption(option =>
+    option.setName('repository')
+      .setDescription('The GitHub repository')
+      .setRequired(true)
+      .setAutocomplete(true));
+}
+
+/**
+ * Adds the repository and channel options of a subcommand
+ * @param {Object} subcommand - Subcommand builder
+ * @returns {Object} The subcommand builder
+ */
+function addChannelOptions(subcommand) {
+  return addRepositoryOption(subcommand)
+    .addChannelOption(option =>
+      option.setName('channel')
+        .setDescription('The channel of the digest')
+        .addChannelTypes(0) // GuildText only
+        .setRequired(true));
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('digest')
+    .setDescription('Post a daily or weekly summary to a channel instead of real-time notifications.')
+    .addSubcommand(subcommand =>
+      addChannelOptions(subcommand.setName('enable')
+        .setDescription('Collect a channel\'s notifications into a scheduled digest.'))
+        .addStringOption(option =>
+          option.setName('frequency')
+            .setDescription('How often the digest is posted')
+            .setRequired(true)
+            .addChoices(...DIGEST_FREQUENCIES.map(frequency => ({ name: frequency, value: frequency }))))
+        .addStringOption(option =>
+          option.setName('time')
+            .setDescription('Local time of the digest, e.g. 09:00')
+            .setRequired(true))
+        .addStringOption(option =>
+          option.setName('timezone')
+            .setDescription('IANA timezone, e.g. Europe/Berlin (defaults to UTC)')
+            .setRequired(false))
+        .addIntegerOption(option =>
+          option.setName('weekday')
+            .setDescription('Day of weekly digests (defaults to Monday)')
+            .setRequired(false)
+            .addChoices(...WEEKDAYS.map((weekday, index) => ({ name: weekday, value: index }))))
+        .addStringOption(option =>
+          option.setName('events')
+            .setDescription('Only collect these events, comma-separated (defaults to all events)')
+            .setRequired(false)))
+    .addSubcommand(subcommand =>
+      addChannelOptions(subcommand.setName('disable')
+        .setDescription('Post a channel\'s notifications in real time again.')))
+    .addSubcommand(subcommand =>
+      addRepositoryOption(subcommand.setName('list')
+        .setDescription('List the digest schedules of a repository.')))
+    .addSubcommand(subcommand =>
+      addChannelOptions(subcommand.setName('send')
+        .setDescription('Post the digest now, or preview it without starting a new period.'))
+        .addBooleanOption(option =>
+          option.setName('preview')
+            .setDescription('Only show the digest to you, keeping the collected events')
+            .setRequired(false))),
+
+  async autocomplete(interaction, prisma) {
+    const focusedValue = interaction.options.getFocused()?.toLowerCase?.() || '';
+    const guildId = interaction.guildId;
+
+    try {
+      const repositories = await prisma.repository.findMany({
+        where: { server: { guildId } }
+      });
+
+      const filtered = repositories
+        .filter(repo => repo.url.toLowerCase().includes(focusedValue))
+        .map(repo => {
+          const urlParts = repo.url.split('/');
+          const repoName = urlParts[urlParts.length - 1] || urlParts[urlParts.length - 2] || repo.url;
+          return { name: `${repoName} (${repo.url})`.slice(0, 100), value: repo.id };
+        })
+        .slice(0, 25);
+
+      await interaction.respond(filtered);
+    } catch {
+      console.info('Repository autocomplete failed: Unable to fetch repositories');
+      await interaction.respond([]);
+    }
+  },
+
+  async execute(interaction, prisma) {
+    // Check if the user has the required permissions (Admin or Manage Webhooks permission)
+    if (!checkPermissions(interaction)) {
+      await interaction.reply({
+        content: "❌ You need the `Manage Webhooks` permission to use this command.",
+        ephemeral: true
+      });
+      return;
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+
+    const subcommand = interaction.options.getSubcommand();
+    const repositoryId = interaction.options.getString('repository');
+    const channel = interaction.options.getChannel('channel');
+    const guildId = interaction.guildId;
+
+    try {
+      const repository = await prisma.repository.findFirst({
+        where: { id: repositoryId, server: { guildId } }
+      });
+
+      if (!repository) {
+        await interaction.editReply('Repository not found. Please use the autocomplete to select a valid repository.');
+        return;
+      }
+
+      const displayUrl = repository.url.endsWith('.git') ? repository.url.slice(0, -4) : repository.url;
+
+      if (subcommand === 'list') {
+        const schedules = await prisma.digestSchedule.findMany({
+          where: { repositoryId: repository.id },
+          orderBy: { createdAt: 'asc' }
+        });
+        const lines = [];
+        for (const schedule of schedules) {
+          const pending = await prisma.digestEntry.count({
+            where: { repositoryId: repository.id, channelId: schedule.channelId }
+          });
+          const events = schedule.eventTypes.length > 0 ? schedule.eventTypes.map(ev => `\`${ev}\``).join(', ') : 'all events';
+          lines.push(
+            `**<#${schedule.channelId}>**: ${describeDigestSchedule(schedule)}, ${events}\n` +
+            `Next digest <t:${Math.floor(schedule.nextRunAt.getTime() / 1000)}:R> · ${pending} event(s) collected`
+          );
+        }
+
+        const embed = new EmbedBuilder()
+          .setColor(0x0366d6) // GitHub blue
+          .setTitle(`📰 Digests for ${displayUrl}`)
+          .setDescription(lines.length > 0 ? lines.join('\n\n').slice(0, 4096) : 'No digests configured. All notifications are posted in real time.')
+          .setFooter({ text: 'GitTrack - Digests' })
+          .setTimestamp();
+
+        await interaction.editReply({ embeds: [embed] });
+        return;
+      }
+
+      const existing = await prisma.digestSchedule.findUnique({
+        where: { repositoryId_channelId: { repositoryId: repository.id, channelId: channel.id } }
+      });
+
+      if (subcommand === 'enable') {
+        const time = parseTimeOfDay(interaction.options.getString('time'));
+        const timezone = (interaction.options.getString('timezone') || 'UTC').trim();
+        const eventTypes = [...new Set((interaction.options.getString('events') || '')
+          .split(',').map(ev => ev.trim()).filter(Boolean))];
+        const unknownEvent = eventTypes.find(ev => !DIGEST_EVENTS.includes(ev));
+
+        if (!time) {
+          await interaction.editReply('❌ Invalid time. Use the 24-hour format `HH:MM`, e.g. `09:00` or `18:30`.');
+          return;
+        }
+        if (!isValidTimezone(timezone)) {
+          await interaction.editReply(`❌ Unknown timezone \`${timezone}\`. Use an IANA timezone such as \`UTC\`, \`Europe/Berlin\` or \`America/New_York\`.`);
+          return;
+        }
+        if (unknownEvent) {
+          await interaction.editReply(`❌ Unknown event \`${unknownEvent}\`. Supported events: ${DIGEST_EVENTS.map(ev => `\`${ev}\``).join(', ')}.`);
+          return;
+        }
+
+        const settings = {
+          frequency: interaction.options.getString('frequency'),
+          hour: time.hour,
+          minute: time.minute,
+          weekday: interaction.options.getInteger('weekday') ?? 1,
+          timezone,
+          eventTypes
+        };
+        const nextRunAt = getNextRunAt(settings);
+        await prisma.digestSchedule.upsert({
+          where: { repositoryId_channelId: { repositoryId: repository.id, channelId: channel.id } },
+          update: { ...settings, nextRunAt },
+          create: { ...settings, nextRunAt, repositoryId: repository.id, channelId: channel.id }
+        });
+
+        await interaction.editReply(
+          `✅ ${existing ? 'Updated the digest' : 'Enabled a digest'} for \`${displayUrl}\` in ${channel}: ${describeDigestSchedule(settings)}, ` +
+          `${eventTypes.length > 0 ? eventTypes.map(ev => `\`${ev}\``).join(', ') : 'all events'}.\n` +
+          `These notifications are collected instead of posted. The next digest is due <t:${Math.floor(nextRunAt.getTime() / 1000)}:f>.`
+        );
+        return;
+      }
+
+      if (!existing) {
+        await interaction.editReply(`No digest is configured for \`${displayUrl}\` in ${channel}.`);
+        return;
+      }
+
+      if (subcommand === 'disable') {
+        const discarded = await prisma.digestEntry.deleteMany({
+          where: { repositoryId: repository.id, channelId: channel.id }
+        });
+        await prisma.digestSchedule.delete({ where: { id: existing.id } });
+        await interaction.editReply(
+          `✅ Notifications for \`${displayUrl}\` are posted to ${channel} in real time again.` +
+          (discarded.count > 0 ? ` ${discarded.count} collected event(s) were discarded; use \`/digest send\` before disabling to post them.` : '')
+        );
+        return;
+      }
+
+      // send
+      const schedule = { ...existing, repository };
+      if (interaction.options.getBoolean('preview')) {
+        const { embed } = await composeDigest(prisma, schedule);
+        await interaction.editReply({ content: `Preview of the next digest for ${channel}:`, embeds: [embed] });
+        return;
+      }
+
+      const { eventCount } = await sendDigest(prisma, interaction.client, schedule, { force: true });
+      await interaction.editReply(`✅ Posted the digest of ${eventCount} event(s) to ${channel}. The next period has started.`);
+    } catch (error) {
+      console.error('Error managing digests:', error);
+      await interaction.editReply(`Failed to update the digest. Error: ${error.message}`);
+    }
+  }
+};
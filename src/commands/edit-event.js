@@ -1,4 +1,5 @@
-const { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, ModalBuilder, TextInputBuilder, TextInputStyle } = require('discord.js');
+const { getDefaultActionsForEvent, updateEventConfig, parseLabelList } = require('../functions/eventRouting');
 
 // Supported routable non-branch events and their common actions
 const ROUTABLE_EVENTS = [
@@ -19,19 +20,31 @@ const ROUTABLE_EVENTS = [
 // Minimal action presets per event (extendable)
 const EVENT_ACTION_PRESETS = {
   issues: ['opened', 'closed', 'reopened', 'edited', 'labeled', 'assigned', 'comments'],
-  pull_request: ['opened', 'closed', 'reopened', 'comments'],
+  pull_request: ['opened', 'closed', 'reopened', 'synchronize', 'labeled', 'review_requested', 'assigned', 'comments'],
   release: ['published'],
   star: ['created', 'deleted'],
   fork: ['created'],
   create: ['created'],
   delete: ['deleted'],
   milestone: ['created', 'closed', 'opened'],
-  workflow_run: ['completed', 'requested'],
+  workflow_run: ['completed', 'requested', 'in_progress'],
   workflow_job: ['queued', 'in_progress', 'completed', 'waiting'],
   check_run: ['created', 'requested', 'rerequested', 'completed'],
   check_suite: ['requested', 'rerequested', 'completed'],
 };
 
+// Events whose notifications can be filtered by the labels of their issue or pull request
+const LABEL_FILTER_EVENTS = ['issues', 'pull_request'];
+
+function describeLabelFilters(labelFilters) {
+  const include = parseLabelList(labelFilters && labelFilters.include);
+  const exclude = parseLabelList(labelFilters && labelFilters.exclude);
+  const parts = [];
+  if (include.length > 0) {parts.push(`Only: ${include.map(l => `\`${l}\``).join(', ')}`);}
+  if (exclude.length > 0) {parts.push(`Never: ${exclude.map(l => `\`${l}\``).join(', ')}`);}
+  return parts.length > 0 ? parts.join('\n') : 'Any labels';
+}
+
 function formatRepoUrlForDisplay(url) {
   return url && url.endsWith('.git') ? url.slice(0, -4) : url;
 }
@@ -109,17 +122,16 @@ module.exports = {
         return;
       }
 
-      let mapping = await prisma.repositoryEventChannel.findFirst({
-        where: { repositoryId: repository.id, eventType }
+      const mappings = await prisma.repositoryEventChannel.findMany({
+        where: { repositoryId: repository.id, eventType },
+        orderBy: { createdAt: 'asc' }
       });
+      let mapping = mappings[0] || null;
 
       // If mapping doesn't exist yet, create one upfront with defaults so the first interaction works
       if (!mapping) {
-        const supportedActions = EVENT_ACTION_PRESETS[eventType] || [];
-        const defaultActions = supportedActions.reduce((acc, action) => {
-          acc[action] = action === 'comments' ? false : true;
-          return acc;
-        }, {});
+        // Same defaults the handlers use, so opening the editor does not enable extra actions
+        const defaultActions = getDefaultActionsForEvent(eventType);
         mapping = await prisma.repositoryEventChannel.create({
           data: {
             repositoryId: repository.id,
@@ -137,18 +149,29 @@ module.exports = {
         acc[action] = action === 'comments' ? false : true;
         return acc;
       }, {});
+      let labelFilters = currentConfig.labelFilters || { include: [], exclude: [] };
+      const supportsLabels = LABEL_FILTER_EVENTS.includes(eventType);
 
-      const embed = new EmbedBuilder()
-        .setColor(0x3B82F6)
-        .setTitle('Edit Event Filters')
-        .setDescription('Toggle which actions for this event should trigger notifications:')
-        .addFields(
-          { name: 'Repository', value: displayUrl, inline: false },
-          { name: 'Event', value: `\`${eventType}\``, inline: true },
-          { name: 'Channel', value: (mapping && mapping.channelId && mapping.channelId !== 'default') ? `<#${mapping.channelId}>` : (repository.notificationChannelId ? `<#${repository.notificationChannelId}> (default)` : 'Not set (default channel pending)'), inline: true }
-        )
-        .setFooter({ text: 'Changes are saved immediately when you toggle buttons.' })
-        .setTimestamp();
+      const buildEmbed = () => {
+        const embed = new EmbedBuilder()
+          .setColor(0x3B82F6)
+          .setTitle('Edit Event Filters')
+          .setDescription('Toggle which actions for this event should trigger notifications:')
+          .addFields(
+            { name: 'Repository', value: displayUrl, inline: false },
+            { name: 'Event', value: `\`${eventType}\``, inline: true },
+            { name: 'Channel', value: mappings.some(m => m.channelId !== 'default') ? mappings.filter(m => m.channelId !== 'default').map(m => `<#${m.channelId}>`).join(', ') : (repository.notificationChannelId ? `<#${repository.notificationChannelId}> (default)` : 'Not set (default channel pending)'), inline: true }
+          )
+          .setFooter({ text: 'Changes are saved immediately when you toggle buttons.' })
+          .setTimestamp();
+        if (supportsLabels) {
+          embed.addFields({ name: 'Labels', value: describeLabelFilters(labelFilters), inline: false });
+        }
+        return embed;
+      };
+
+      // Persist config changes immediately on every channel of the event
+      const saveConfig = changes => updateEventConfig(prisma, repository.id, eventType, changes);
 
       const buildRows = () => {
         const rows = [];
@@ -169,14 +192,21 @@ module.exports = {
           count += 1;
         }
         if (count > 0) {rows.push(row);}
-        // Add a close row
-        rows.push(new ActionRowBuilder().addComponents(
+        // Add a row with the label editor and the close button
+        const lastRow = new ActionRowBuilder();
+        if (supportsLabels) {
+          lastRow.addComponents(
+            new ButtonBuilder().setCustomId(`edit_evt_labels:${repository.id}:${eventType}`).setLabel('Labels…').setStyle(ButtonStyle.Primary)
+          );
+        }
+        lastRow.addComponents(
           new ButtonBuilder().setCustomId(`edit_evt_close:${repository.id}:${eventType}`).setLabel('Close').setStyle(ButtonStyle.Danger)
-        ));
+        );
+        rows.push(lastRow);
         return rows;
       };
 
-      const message = await interaction.editReply({ embeds: [embed], components: buildRows() });
+      const message = await interaction.editReply({ embeds: [buildEmbed()], components: buildRows() });
 
       const collector = message.createMessageComponentCollector({ time: 60_000 });
 
@@ -193,6 +223,45 @@ module.exports = {
           return;
         }
 
+        // Label editor: include/exclude lists entered in a modal
+        if (i.customId.startsWith('edit_evt_labels:')) {
+          collector.resetTimer();
+          const modalId = `edit_evt_labels_modal:${i.id}`;
+          // Text inputs are prefilled with the saved lists; an empty prefill is left out
+          const labelInput = (id, label, placeholder) => {
+            const input = new TextInputBuilder()
+              .setCustomId(id)
+              .setLabel(label)
+              .setPlaceholder(placeholder)
+              .setStyle(TextInputStyle.Short)
+              .setRequired(false);
+            const value = parseLabelList(labelFilters[id]).join(', ');
+            return new ActionRowBuilder().addComponents(value ? input.setValue(value) : input);
+          };
+          const modal = new ModalBuilder()
+            .setCustomId(modalId)
+            .setTitle(`Label filters for ${eventType}`)
+            .addComponents(
+              labelInput('include', 'Include labels (comma-separated)', 'bug, security — leave empty for any labels'),
+              labelInput('exclude', 'Exclude labels (comma-separated)', 'wontfix, duplicate')
+            );
+          await i.showModal(modal);
+
+          const submitted = await i.awaitModalSubmit({
+            time: 120_000,
+            filter: m => m.customId === modalId && m.user.id === interaction.user.id
+          }).catch(() => null);
+          if (!submitted) {return;}
+
+          labelFilters = {
+            include: parseLabelList(submitted.fields.getTextInputValue('include')),
+            exclude: parseLabelList(submitted.fields.getTextInputValue('exclude'))
+          };
+          await saveConfig({ labelFilters });
+          await submitted.update({ embeds: [buildEmbed()], components: collector.ended ? [] : buildRows() });
+          return;
+        }
+
         const parts = i.customId.split(':');
         if (parts.length !== 4 || parts[0] !== 'edit_evt') {
           await i.deferUpdate();
@@ -207,22 +276,7 @@ module.exports = {
         const enabledNow = !Boolean(actionsEnabled[action]);
         actionsEnabled[action] = enabledNow;
 
-        // Persist immediately (upsert mapping if missing, using fallback/default channel)
-        if (mapping) {
-          await prisma.repositoryEventChannel.update({
-            where: { id: mapping.id },
-            data: { config: { actionsEnabled } }
-          });
-        } else {
-          await prisma.repositoryEventChannel.create({
-            data: {
-              repositoryId: repository.id,
-              eventType,
-              channelId: 'default',
-              config: { actionsEnabled, explicitChannel: false }
-            }
-          });
-        }
+        await saveConfig({ actionsEnabled });
 
         // Re-render buttons
         await i.update({ components: buildRows() });
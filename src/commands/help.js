@@ -14,8 +14,9 @@ module.exports = {
         {
           name: '📋 **Setup Commands**',
           value: 
-            '• `/setup` - Configure a GitHub repository for webhook integration\n' +
-            '• `/link` - Link a repository to a specific branch and channel\n' +
+            '• `/setup` - Configure a GitHub, GitLab, Bitbucket or Gitea repository for webhook integration\n' +
+            '• `/link` - Link a repository branch or tag pattern (e.g., `>=2.0.0 stable`) to a channel, optionally only for changes to certain paths\n' +
+            '• `/link-installation` - Connect the GitHub App and track its repositories without webhooks\n' +
             '• `/unlink` - Remove a linked repository from your server',
           inline: false
         },
@@ -30,10 +31,20 @@ module.exports = {
           name: '🔧 **Management Commands**',
           value: 
             '• `/remove-repo` - Remove a repository from tracking\n' +
+            '• `/rotate-secret` - Generate a new webhook secret; the old one keeps working for a grace period\n' +
             '• `/set-default-channel` - Set the default notification channel\n' +
-            '• `/set-event-channel` - Route a specific event (e.g., issues, release) to a channel\n' +
-            '• `/edit-event` - Configure filters for a routed event (e.g., only issues opened, no comments)\n' +
-            '• `/remove-event-channel` - Remove a specific event route from a repository\n' +
+            '• `/set-event-channel` - Route a specific event (e.g., issues, release) to a channel, or issues to a forum; run it again to add more channels\n' +
+            '• `/list-event-channels` - List the channels each event is routed to\n' +
+            '• `/edit-event` - Configure filters for a routed event (e.g., only issues opened, no comments, only `bug` labels)\n' +
+            '• `/pr-updates` - Edit one message per pull request as it changes, or post a message per action\n' +
+            '• `/ignore-user` - Ignore events sent by specific accounts (e.g., dependabot[bot]) or by all bots\n' +
+            '• `/coalesce` - Combine bursts of pushes and label changes into one notification\n' +
+            '• `/digest` - Post a daily or weekly summary to a channel instead of real-time notifications\n' +
+            '• `/skip-markers` - Hide commits containing markers such as `[skip discord]` from push notifications\n' +
+            '• `/rules` - Route notifications to channels by event, labels, author, branch, paths and more\n' +
+            '• `/remove-event-channel` - Remove one channel, or all channels, of an event route\n' +
+            '• `/replay` - List recent webhook deliveries and re-run one, optionally into a test channel\n' +
+            '• `/dead-letters` - List and retry webhook deliveries that failed after all retries\n' +
             '• `/reset` - Reset all bot data for this server (Admin only)',
           inline: false
         },
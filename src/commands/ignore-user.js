@@ -0,0 +1,219 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { checkPermissions } = require('../functions/permissionChecker');
+const { getEventConfig, updateEventConfig } = require('../functions/eventRouting');
+
+// Events whose notifications can ignore specific accounts
+const IGNORABLE_EVENTS = [
+  'push',
+  'pull_request',
+  'issues',
+  'release',
+  'star',
+  'fork',
+  'create',
+  'delete',
+  'milestone',
+  'workflow_run',
+  'workflow_job',
+  'check_run',
+  'check_suite',
+];
+
+// GitHub logins, including bot accounts such as "renovate[bot]"
+const LOGIN_PATTERN = /^[A-Za-z0-9][\w.-]*(\[bot\])?$/;
+
+/**
+ * Adds the repository option shared by all subcommands
+ * @param {Object} subcommand - Subcommand builder
+ * @returns {Object} The subcommand builder
+ */
+function addRepositoryOption(subcommand) {
+  return subcommand.addStringOption(option =>
+    option.setName('repository')
+      .setDescription('The GitHub repository')
+      .setRequired(true)
+      .setAutocomplete(true));
+}
+
+/**
+ * Adds the login and optional event options of the add and remove subcommands
+ * @param {Object} subcommand - Subcommand builder
+ * @returns {Object} The subcommand builder
+ */
+function addLoginOptions(subcommand) {
+  return addRepositoryOption(subcommand)
+    .addStringOption(option =>
+      option.setName('login')
+        .setDescription('GitHub login, e.g. dependabot[bot]')
+        .setRequired(true))
+    .addStringOption(option => {
+      let builder = option
+        .setName('event')
+        .setDescription('Only for this event (optional - defaults to all events)')
+        .setRequired(false);
+      IGNORABLE_EVENTS.forEach(ev => { builder = builder.addChoices({ name: ev, value: ev }); });
+      return builder;
+    });
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('ignore-user')
+    .setDescription('Stop notifications for events sent by specific GitHub accounts or bots.')
+    .addSubcommand(subcommand =>
+      addLoginOptions(subcommand.setName('add')
+        .setDescription('Ignore the events of a GitHub account.')))
+    .addSubcommand(subcommand =>
+      addLoginOptions(subcommand.setName('remove')
+        .setDescription('Stop ignoring the events of a GitHub account.')))
+    .addSubcommand(subcommand =>
+      addRepositoryOption(subcommand.setName('bots')
+        .setDescription('Ignore or stop ignoring the events of all [bot] accounts.'))
+        .addBooleanOption(option =>
+          option.setName('ignore')
+            .setDescription('Whether events sent by [bot] accounts are ignored')
+            .setRequired(true)))
+    .addSubcommand(subcommand =>
+      addRepositoryOption(subcommand.setName('list')
+        .setDescription('List the ignored accounts of a repository.'))),
+
+  async autocomplete(interaction, prisma) {
+    const focusedValue = interaction.options.getFocused()?.toLowerCase?.() || '';
+    const guildId = interaction.guildId;
+
+    try {
+      const repositories = await prisma.repository.findMany({
+        where: { server: { guildId } }
+      });
+
+      const filtered = repositories
+        .filter(repo => repo.url.toLowerCase().includes(focusedValue))
+        .map(repo => {
+          const urlParts = repo.url.split('/');
+          const repoName = urlParts[urlParts.length - 1] || urlParts[urlParts.length - 2] || repo.url;
+          return { name: `${repoName} (${repo.url})`.slice(0, 100), value: repo.id };
+        })
+        .slice(0, 25);
+
+      await interaction.respond(filtered);
+    } catch {
+      console.info('Repository autocomplete failed: Unable to fetch repositories');
+      await interaction.respond([]);
+    }
+  },
+
+  async execute(interaction, prisma) {
+    // Check if the user has the required permissions (Admin or Manage Webhooks permission)
+    if (!checkPermissions(interaction)) {
+      await interaction.reply({
+        content: "❌ You need the `Manage Webhooks` permission to use this command.",
+        ephemeral: true
+      });
+      return;
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+
+    const subcommand = interaction.options.getSubcommand();
+    const repositoryId = interaction.options.getString('repository');
+    const guildId = interaction.guildId;
+
+    try {
+      const repository = await prisma.repository.findFirst({
+        where: { id: repositoryId, server: { guildId } },
+        include: { server: true }
+      });
+
+      if (!repository) {
+        await interaction.editReply('Repository not found. Please use the autocomplete to select a valid repository.');
+        return;
+      }
+
+      const displayUrl = repository.url.endsWith('.git') ? repository.url.slice(0, -4) : repository.url;
+
+      if (subcommand === 'bots') {
+        const ignoreBots = interaction.options.getBoolean('ignore');
+        await prisma.repository.update({
+          where: { id: repository.id },
+          data: { ignoreBots }
+        });
+        await interaction.editReply(ignoreBots
+          ? `✅ Events sent by \`[bot]\` accounts in \`${displayUrl}\` are now ignored.`
+          : `✅ Events sent by \`[bot]\` accounts in \`${displayUrl}\` are posted again, unless the account is ignored by name.`);
+        return;
+      }
+
+      if (subcommand === 'list') {
+        const mappings = await prisma.repositoryEventChannel.findMany({
+          where: { repositoryId: repository.id },
+          orderBy: { createdAt: 'asc' }
+        });
+        // The config is shared by all channels of an event, so the first mapping is enough
+        const eventLines = [];
+        for (const eventType of [...new Set(mappings.map(m => m.eventType))].sort()) {
+          const logins = (mappings.find(m => m.eventType === eventType).config || {}).ignoredLogins || [];
+          if (logins.length > 0) {
+            eventLines.push(`\`${eventType}\`: ${logins.map(login => `\`${login}\``).join(', ')}`);
+          }
+        }
+
+        const embed = new EmbedBuilder()
+          .setColor(0x0366d6) // GitHub blue
+          .setTitle(`🙈 Ignored Accounts for ${displayUrl}`)
+          .addFields(
+            { name: 'All Events', value: repository.ignoredLogins.length > 0 ? repository.ignoredLogins.map(login => `\`${login}\``).join(', ') : 'None', inline: false },
+            { name: 'Specific Events', value: eventLines.length > 0 ? eventLines.join('\n').slice(0, 1024) : 'None', inline: false },
+            { name: '[bot] Accounts', value: repository.ignoreBots ? 'Ignored' : 'Posted', inline: true },
+            { name: 'Events Suppressed (server)', value: `${repository.server.eventsSuppressed}`, inline: true }
+          )
+          .setFooter({ text: 'GitTrack - Ignored Accounts' })
+          .setTimestamp();
+
+        await interaction.editReply({ embeds: [embed] });
+        return;
+      }
+
+      const login = interaction.options.getString('login').trim();
+      const eventType = interaction.options.getString('event');
+      if (!LOGIN_PATTERN.test(login)) {
+        await interaction.editReply(`❌ \`${login}\` is not a valid GitHub login.`);
+        return;
+      }
+
+      const scope = eventType ? `\`${eventType}\` events` : 'all events';
+      const current = eventType
+        ? ((await getEventConfig(prisma, repository.id, eventType)) || {}).ignoredLogins || []
+        : repository.ignoredLogins;
+      const isListed = current.some(listed => listed.toLowerCase() === login.toLowerCase());
+
+      if (subcommand === 'add' && isListed) {
+        await interaction.editReply(`\`${login}\` is already ignored for ${scope} in \`${displayUrl}\`.`);
+        return;
+      }
+      if (subcommand === 'remove' && !isListed) {
+        await interaction.editReply(`\`${login}\` is not ignored for ${scope} in \`${displayUrl}\`.`);
+        return;
+      }
+
+      const ignoredLogins = subcommand === 'add'
+        ? [...current, login]
+        : current.filter(listed => listed.toLowerCase() !== login.toLowerCase());
+
+      if (eventType) {
+        await updateEventConfig(prisma, repository.id, eventType, { ignoredLogins });
+      } else {
+        await prisma.repository.update({
+          where: { id: repository.id },
+          data: { ignoredLogins }
+        });
+      }
+
+      await interaction.editReply(subcommand === 'add'
+        ? `✅ Events sent by \`${login}\` are now ignored for ${scope} in \`${displayUrl}\`.`
+        : `✅ Events sent by \`${login}\` are no longer ignored for ${scope} in \`${displayUrl}\`.`);
+    } catch (error) {
+      console.error('Error managing ignored accounts:', error);
+      await interaction.editReply(`Failed to update the ignored accounts. Error: ${error.message}`);
+    }
+  }
+};
@@ -0,0 +1,180 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { checkPermissions } = require('../functions/permissionChecker');
+const { checkRepositoryLimit } = require('../functions/limitChecker');
+const { isAppModeEnabled, createInstallState, getInstallUrl } = require('../functions/githubApp');
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('link-installation')
+    .setDescription('Use the GitTrack GitHub App instead of per-repository webhooks.')
+    .addSubcommand(subcommand =>
+      subcommand.setName('connect')
+        .setDescription('Install the GitHub App and connect the installation to this server.'))
+    .addSubcommand(subcommand =>
+      subcommand.setName('add')
+        .setDescription('Track a repository from a connected installation.')
+        .addStringOption(option =>
+          option.setName('repository')
+            .setDescription('Select a repository from your installations')
+            .setRequired(true)
+            .setAutocomplete(true))
+        .addChannelOption(option =>
+          option.setName('channel')
+            .setDescription('The default channel for repository notifications (optional - defaults to current channel)')
+            .addChannelTypes(0) // GuildText only
+            .setRequired(false))),
+
+  async autocomplete(interaction, prisma) {
+    const focusedValue = interaction.options.getFocused()?.toLowerCase?.() || '';
+    const guildId = interaction.guildId;
+
+    try {
+      const repositories = await prisma.installationRepository.findMany({
+        where: { installation: { server: { guildId }, suspended: false } },
+        orderBy: { fullName: 'asc' }
+      });
+
+      const filtered = repositories
+        .filter(repo => repo.fullName.toLowerCase().includes(focusedValue))
+        .map(repo => ({ name: `${repo.fullName}${repo.private ? ' (private)' : ''}`.slice(0, 100), value: repo.id }))
+        .slice(0, 25);
+
+      await interaction.respond(filtered);
+    } catch {
+      console.info('Installation repository autocomplete failed: Unable to fetch repositories');
+      await interaction.respond([]);
+    }
+  },
+
+  async execute(interaction, prisma) {
+    // Check if the user has the required permissions (Admin or Manage Webhooks permission)
+    if (!checkPermissions(interaction)) {
+      await interaction.reply({
+        content: "❌ You need the `Manage Webhooks` permission to use this command.",
+        ephemeral: true
+      });
+      return;
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+
+    if (!isAppModeEnabled()) {
+      await interaction.editReply('GitHub App mode is not configured for this bot. Use `/setup` to add repositories with a webhook instead.');
+      return;
+    }
+
+    const subcommand = interaction.options.getSubcommand();
+    const guildId = interaction.guildId;
+
+    try {
+      // Ensure the server (guild) exists in the database
+      const server = await prisma.server.upsert({
+        where: { guildId },
+        update: { name: interaction.guild.name },
+        create: { guildId, name: interaction.guild.name }
+      });
+
+      if (subcommand === 'connect') {
+        const installUrl = getInstallUrl(createInstallState(guildId));
+        const installations = await prisma.gitHubInstallation.findMany({
+          where: { serverId: server.id },
+          include: { _count: { select: { repositories: true } } }
+        });
+
+        const embed = new EmbedBuilder()
+          .setColor(0x28a745) // GitHub green
+          .setTitle('🧩 Connect the GitTrack GitHub App')
+          .setDescription(`[**Install the app**](${installUrl}) on your account or organization and choose the repositories it can access. You will be redirected back once the installation is connected to this server.\n\nThis link is valid for one hour.`)
+          .setFooter({ text: 'GitTrack - GitHub App' })
+          .setTimestamp();
+
+        if (installations.length > 0) {
+          embed.addFields({
+            name: '🔗 Connected Installations',
+            value: installations
+              .map(installation => `• **${installation.accountLogin || installation.installationId}** — ${installation._count.repositories} repositories${installation.suspended ? ' (suspended)' : ''}`)
+              .join('\n'),
+            inline: false
+          });
+        }
+
+        await interaction.editReply({ embeds: [embed] });
+        return;
+      }
+
+      if (subcommand === 'add') {
+        const installationRepositoryId = interaction.options.getString('repository');
+        const notificationChannel = interaction.options.getChannel('channel') || interaction.channel;
+
+        const installationRepository = await prisma.installationRepository.findFirst({
+          where: { id: installationRepositoryId, installation: { serverId: server.id } },
+          include: { installation: true }
+        });
+
+        if (!installationRepository) {
+          await interaction.editReply('Repository not found. Please use the autocomplete to select a repository from a connected installation.');
+          return;
+        }
+
+        const repoUrl = installationRepository.htmlUrl;
+        const existingRepository = await prisma.repository.findFirst({
+          where: { serverId: server.id, url: { in: [repoUrl, `${repoUrl}.git`] } }
+        });
+
+        if (existingRepository) {
+          await prisma.repository.update({
+            where: { id: existingRepository.id },
+            data: { installationId: installationRepository.installation.installationId }
+          });
+        } else {
+          const repoLimit = await checkRepositoryLimit(prisma, server.id);
+          if (repoLimit.isAtLimit) {
+            await interaction.editReply(`You have reached the maximum of ${repoLimit.maxAllowed} repositories allowed on this server.`);
+            return;
+          }
+
+          await prisma.repository.create({
+            data: {
+              url: repoUrl,
+              notificationChannelId: notificationChannel.id,
+              installationId: installationRepository.installation.installationId,
+              server: { connect: { id: server.id } }
+            }
+          });
+        }
+
+        const embed = new EmbedBuilder()
+          .setColor(0x28a745) // GitHub green
+          .setTitle('✅ Repository Linked via GitHub App')
+          .setDescription(`\`${repoUrl}\` now receives events through the GitTrack GitHub App. No webhook setup is needed.`)
+          .addFields(
+            {
+              name: '📢 **Default Channel**',
+              value: existingRepository ? 'Unchanged (repository was already linked)' : `${notificationChannel}`,
+              inline: true
+            },
+            {
+              name: '🎯 **Next Steps**',
+              value: 'Use `/link` to track specific branches!',
+              inline: true
+            }
+          )
+          .setFooter({ text: 'GitTrack - GitHub App' })
+          .setTimestamp();
+
+        if (existingRepository && existingRepository.webhookSecret) {
+          embed.addFields({
+            name: '⚠️ Existing Webhook',
+            value: `This repository also has a webhook from \`/setup\`. Remove it from the [webhook settings](${repoUrl}/settings/hooks) to avoid duplicate notifications.`,
+            inline: false
+          });
+        }
+
+        await interaction.editReply({ embeds: [embed] });
+      }
+    } catch (error) {
+      console.error('Error linking installation:', error);
+      await interaction.editReply(`Failed to link the installation. Error: ${error.message}`);
+    }
+  }
+};
@@ -1,8 +1,11 @@
 const { SlashCommandBuilder } = require('discord.js');
 const { checkRepositoryLimit, checkChannelLimit } = require('../functions/limitChecker');
-const { isValidBranchPattern } = require('../functions/branchMatcher');
+const { isValidBranchPattern, matchesBranchPattern, describeBranchPattern, describePatternSet } = require('../functions/branchMatcher');
+const { parseRepositoryUrl } = require('../functions/repositoryUrl');
+const { parsePathFilters, describePathFilters } = require('../functions/pathMatcher');
+const { isValidTagPattern, describeTagPattern } = require('../functions/tagMatcher');
 
-// Helper function to extract owner and repo from GitHub URL
+// Helper function to extract owner and repo from a repository URL
 function extractOwnerAndRepo(url) {
   try {
     const parsedUrl = new URL(url);
@@ -19,31 +22,46 @@ function extractOwnerAndRepo(url) {
   return null;
 }
 
-// Helper function to fetch branches from GitHub API
-async function fetchBranches(repoUrl) {
+// Helper function to fetch branches from the provider API
+async function fetchBranches(repoUrl, provider = 'github') {
   try {
     const { owner, repo } = extractOwnerAndRepo(repoUrl);
     if (!owner || !repo) {return [];}
 
-    const githubToken = process.env.GITHUB_TOKEN;
     const headers = {
-      'Accept': 'application/vnd.github.v3+json',
+      'Accept': 'application/json',
       'User-Agent': 'GitTrack-Bot'
     };
 
-    if (githubToken) {
-      headers['Authorization'] = `token ${githubToken}`;
+    let apiUrl;
+    if (provider === 'gitlab') {
+      // GitLab projects can sit in nested groups, so the full path is used as the project ID
+      const { owner: namespace, name } = parseRepositoryUrl(repoUrl);
+      apiUrl = `${new URL(repoUrl).origin}/api/v4/projects/${encodeURIComponent(`${namespace}/${name}`)}/repository/branches?per_page=100`;
+    } else if (provider === 'bitbucket') {
+      apiUrl = `https://api.bitbucket.org/2.0/repositories/${owner}/${repo}/refs/branches?pagelen=100`;
+    } else if (provider === 'gitea') {
+      // Gitea and Forgejo serve their API from the instance itself
+      apiUrl = `${new URL(repoUrl).origin}/api/v1/repos/${owner}/${repo}/branches`;
+    } else {
+      headers['Accept'] = 'application/vnd.github.v3+json';
+      const githubToken = process.env.GITHUB_TOKEN;
+      if (githubToken) {
+        headers['Authorization'] = `token ${githubToken}`;
+      }
+      apiUrl = `https://api.github.com/repos/${owner}/${repo}/branches`;
     }
 
-    const response = await fetch(`https://api.github.com/repos/${owner}/${repo}/branches`, { headers });
+    const response = await fetch(apiUrl, { headers });
 
     if (!response.ok) {
-      console.log(`GitHub API error: ${response.status} - ${response.statusText}`);
+      console.log(`Branch API error: ${response.status} - ${response.statusText}`);
       return [];
     }
 
     const branches = await response.json();
-    return branches.map(branch => branch.name);
+    // Bitbucket wraps paginated results in "values"
+    return (Array.isArray(branches) ? branches : branches.values || []).map(branch => branch.name);
   } catch (error) {
     console.error('Error fetching branches:', error);
     return [];
@@ -53,46 +71,49 @@ async function fetchBranches(repoUrl) {
 module.exports = {
   data: new SlashCommandBuilder()
     .setName('link')
-    .setDescription('Link a GitHub repository to a specific branch and channel for notifications')
+    .setDescription('Link a repository branch or tag pattern to a channel for notifications')
     .addStringOption(option =>
       option.setName('url')
-        .setDescription('The HTTPS URL or name of the GitHub repository')
+        .setDescription('The HTTPS URL or name of the repository')
         .setRequired(true)
         .setAutocomplete(true)) // Enabled autocomplete for URL
-    .addStringOption(option =>
-      option.setName('branch')
-        .setDescription('Branch pattern (e.g., main, *, features/*, !main, !release/*)')
-        .setRequired(true)
-        .setAutocomplete(true))
     .addChannelOption(option =>
       option.setName('channel')
         .setDescription('The channel where notifications for this repository will be sent.')
         .addChannelTypes(0) // GuildText only
-        .setRequired(true)),
+        .setRequired(true))
+    .addStringOption(option =>
+      option.setName('branch')
+        .setDescription('Branch pattern (e.g., main, *, features/*, release-*, !main, re:v\\d+)')
+        .setRequired(false)
+        .setAutocomplete(true))
+    .addStringOption(option =>
+      option.setName('tag')
+        .setDescription('Tag pattern instead of a branch (e.g., *, v*, >=2.0.0, ^1.4 stable, prerelease)')
+        .setRequired(false)
+        .setAutocomplete(true))
+    .addStringOption(option =>
+      option.setName('paths')
+        .setDescription('Only notify pushes changing these files, comma-separated (e.g., web/**, !web/docs/**)')
+        .setRequired(false)),
 
   async execute(interaction, prisma) {
     await interaction.deferReply({ ephemeral: true });
 
     const repoUrl = interaction.options.getString('url');
     const branchName = interaction.options.getString('branch');
+    const tagPattern = interaction.options.getString('tag');
     const notificationChannel = interaction.options.getChannel('channel');
+    const pathsOption = interaction.options.getString('paths');
+    const { includePaths, excludePaths } = parsePathFilters(pathsOption);
+    const pathDescription = describePathFilters(includePaths, excludePaths);
     const guildId = interaction.guildId;
     const guildName = interaction.guild.name;
 
     // Basic URL validation
-    try {
-      const parsedUrl = new URL(repoUrl);
-      if (parsedUrl.protocol !== 'https:' && parsedUrl.protocol !== 'http:') {
-        await interaction.editReply('Invalid repository URL. Please use an HTTP or HTTPS URL.');
-        return;
-      }
-      // Check for GitHub URL
-      if (!parsedUrl.hostname.includes('github.com')) {
-        await interaction.editReply('Please provide a valid GitHub repository URL.');
-        return;
-      }
-    } catch {
-      await interaction.editReply('Invalid repository URL format. Please provide a valid URL.');
+    const parsedRepository = parseRepositoryUrl(repoUrl);
+    if (parsedRepository.error) {
+      await interaction.editReply(parsedRepository.error);
       return;
     }
 
@@ -101,15 +122,40 @@ module.exports = {
       return;
     }
 
+    if (Boolean(branchName) === Boolean(tagPattern)) {
+      await interaction.editReply('Please provide either a `branch` or a `tag` pattern.');
+      return;
+    }
+
+    if (tagPattern && pathsOption !== null) {
+      await interaction.editReply('The `paths` option only applies to branch pushes and cannot be used with a `tag` pattern.');
+      return;
+    }
+
+    // Validate tag pattern
+    if (tagPattern && !isValidTagPattern(tagPattern)) {
+      await interaction.editReply(
+        'Invalid tag pattern. Valid patterns include:\n' +
+        '• `*` - Track all tags\n' +
+        '• `v*`, `release-*`, `re:v\\d+` - Globs and regular expressions, as for branches\n' +
+        '• `>=2.0.0`, `>=2.0.0 <3.0.0`, `^1.4`, `~2.1` - Version tags in a semantic version range\n' +
+        '• `stable`, `prerelease` - Only releases, or only pre-releases such as `v2.0.0-rc.1`, optionally with a range\n' +
+        '• `!v0.*` - Track all tags except matching ones'
+      );
+      return;
+    }
+
     // Validate branch pattern
-    if (!isValidBranchPattern(branchName)) {
+    if (branchName && !isValidBranchPattern(branchName)) {
       await interaction.editReply(
         'Invalid branch pattern. Valid patterns include:\n' +
         '• `*` - Track all branches\n' +
         '• `main` - Track a specific branch\n' +
         '• `features/*` - Track all branches starting with "features/"\n' +
         '• `!main` - Track all branches except "main"\n' +
-        '• `!release/*` - Track all branches except those starting with "release/"\n\n' +
+        '• `!release/*` - Track all branches except those starting with "release/"\n' +
+        '• `release-*`, `feature/**/api`, `v[0-9]*`, `{main,develop}` - Globs with `*`, `**`, `?`, character classes and braces\n' +
+        '• `re:v\\d+` - A regular expression matching the whole branch name\n\n' +
         'Branch names can only contain letters, numbers, hyphens, underscores, dots, and slashes.'
       );
       return;
@@ -212,6 +258,37 @@ module.exports = {
       }
       // --- CHANNEL LIMIT LOGIC END ---
 
+      if (tagPattern) {
+        const existingTag = await prisma.trackedTag.findFirst({
+          where: {
+            repositoryId: repository.id,
+            tagPattern,
+            channelId: notificationChannel.id
+          }
+        });
+
+        if (existingTag) {
+          await interaction.editReply(
+            `Tag pattern \`${tagPattern}\` is already being tracked for repository <${standardizedUrl}> in channel ${notificationChannel}.`
+          );
+          return;
+        }
+
+        await prisma.trackedTag.create({
+          data: {
+            tagPattern,
+            channelId: notificationChannel.id,
+            repositoryId: repository.id
+          }
+        });
+
+        await interaction.editReply(
+          `✅ Successfully linked **${describeTagPattern(tagPattern)}** from repository <${standardizedUrl}> to channel ${notificationChannel}.\n\n` +
+          `Tag pushes matching this pattern are posted with the tagged commit and the changes since the previous tag.`
+        );
+        return;
+      }
+
       // If adding the wildcard (*) for all branches, first remove any specific branches for this channel
       if (branchName === '*') {
         // Check if wildcard already exists
@@ -223,6 +300,17 @@ module.exports = {
           }
         });
 
+        if (existingWildcard && pathsOption !== null) {
+          await prisma.trackedBranch.update({
+            where: { id: existingWildcard.id },
+            data: { includePaths, excludePaths }
+          });
+          await interaction.editReply(
+            `Updated the changed-file filter for all branches of repository <${standardizedUrl}> in channel ${notificationChannel} to ${pathDescription ? `\`${pathDescription}\`` : 'all files'}.`
+          );
+          return;
+        }
+
         if (existingWildcard) {
           await interaction.editReply(
             `All branches are already being tracked for repository <${standardizedUrl}> in channel ${notificationChannel}.`
@@ -255,6 +343,17 @@ module.exports = {
           }
         });
 
+        if (existingBranch && pathsOption !== null) {
+          await prisma.trackedBranch.update({
+            where: { id: existingBranch.id },
+            data: { includePaths, excludePaths }
+          });
+          await interaction.editReply(
+            `Updated the changed-file filter for branch \`${branchName}\` of repository <${standardizedUrl}> in channel ${notificationChannel} to ${pathDescription ? `\`${pathDescription}\`` : 'all files'}.`
+          );
+          return;
+        }
+
         if (existingBranch) {
           await interaction.editReply(
             `Branch \`${branchName}\` is already being tracked for repository <${standardizedUrl}> in channel ${notificationChannel}.`
@@ -277,17 +376,26 @@ module.exports = {
         data: {
           branchName: branchName,
           channelId: notificationChannel.id,
-          repositoryId: repository.id
+          repositoryId: repository.id,
+          includePaths,
+          excludePaths
         }
       });
 
       // Success message
-      const { describeBranchPattern } = require('../functions/branchMatcher');
       const branchDescription = describeBranchPattern(branchName);
 
+      // All patterns of a channel are combined, so show what the channel tracks now
+      const channelPatterns = (await prisma.trackedBranch.findMany({
+        where: { repositoryId: repository.id, channelId: notificationChannel.id },
+        select: { branchName: true }
+      })).map(tb => tb.branchName);
+
       await interaction.editReply(
         `✅ Successfully linked **${branchDescription}** from repository <${standardizedUrl}> to channel ${notificationChannel}.\n\n` +
-        `You will now receive notifications matching this pattern in the specified channel.`
+        `You will now receive notifications matching this pattern in the specified channel.` +
+        (channelPatterns.length > 1 ? `\nCombined with its other patterns, this channel now tracks: **${describePatternSet(channelPatterns)}**.` : '') +
+        (pathDescription ? `\nPushes are only posted when they change files matching \`${pathDescription}\`.` : '')
       );
 
     } catch (error) {
@@ -319,6 +427,23 @@ module.exports = {
         console.error('Autocomplete error for URL:', error);
         await interaction.respond([]);
       }
+    } else if (focusedOption.name === 'tag') {
+      const typedPattern = focusedOption.value.trim();
+      const choices = [
+        { name: 'All tags (*)', value: '*' },
+        { name: 'Stable releases only (stable)', value: 'stable' },
+        { name: 'Pre-releases only (prerelease)', value: 'prerelease' },
+        { name: 'Tags starting with v (v*)', value: 'v*' },
+        { name: 'Version 1.0.0 or later (>=1.0.0)', value: '>=1.0.0' }
+      ];
+      // Describe the typed pattern so version filters can be checked before linking
+      if (typedPattern && !choices.some(choice => choice.value === typedPattern)) {
+        const name = isValidTagPattern(typedPattern)
+          ? `${typedPattern} - ${describeTagPattern(typedPattern)}`
+          : `${typedPattern} - not a valid tag pattern`;
+        choices.unshift({ name: name.length > 100 ? `${name.slice(0, 99)}…` : name, value: typedPattern.slice(0, 100) });
+      }
+      await interaction.respond(choices);
     } else if (focusedOption.name === 'branch') {
       try {
         const urlOption = interaction.options.getString('url');
@@ -327,7 +452,11 @@ module.exports = {
           return;
         }
 
-        const branches = await fetchBranches(urlOption);
+        const linkedRepository = await prisma.repository.findFirst({
+          where: { server: { guildId: interaction.guildId }, url: urlOption },
+          select: { provider: true }
+        });
+        const branches = await fetchBranches(urlOption, linkedRepository?.provider);
 
         // Add common patterns including negation examples
         const patterns = [
@@ -335,6 +464,17 @@ module.exports = {
           { name: 'All except main (!main)', value: '!main' },
         ];
 
+        // Preview which existing branches the typed pattern would match
+        const typedPattern = focusedOption.value.trim();
+        if (typedPattern && isValidBranchPattern(typedPattern) && !branches.includes(typedPattern)) {
+          const matched = branches.filter(branch => matchesBranchPattern(branch, typedPattern));
+          const preview = matched.length > 0
+            ? `matches ${matched.length} of ${branches.length} branches: ${matched.join(', ')}`
+            : `matches none of ${branches.length} branches`;
+          const name = `${typedPattern} - ${preview}`;
+          patterns.unshift({ name: name.length > 100 ? `${name.slice(0, 99)}…` : name, value: typedPattern });
+        }
+
         // Add fetched branches and their negation variants
         const branchChoices = branches.flatMap(branch => [
           { name: branch, value: branch },
@@ -0,0 +1,86 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('list-event-channels')
+    .setDescription('List the channels each GitHub event (non-branch) is routed to for a repository')
+    .addStringOption(option =>
+      option.setName('repository')
+        .setDescription('The GitHub repository')
+        .setRequired(true)
+        .setAutocomplete(true)),
+
+  async autocomplete(interaction, prisma) {
+    const focusedValue = interaction.options.getFocused()?.toLowerCase?.() || '';
+    const guildId = interaction.guildId;
+
+    try {
+      const repositories = await prisma.repository.findMany({
+        where: { server: { guildId } }
+      });
+
+      const filtered = repositories
+        .filter(repo => repo.url.toLowerCase().includes(focusedValue))
+        .map(repo => {
+          const urlParts = repo.url.split('/');
+          const repoName = urlParts[urlParts.length - 1] || urlParts[urlParts.length - 2] || repo.url;
+          return { name: `${repoName} (${repo.url})`.slice(0, 100), value: repo.id };
+        })
+        .slice(0, 25);
+
+      await interaction.respond(filtered);
+    } catch {
+      console.info('Repository autocomplete failed: Unable to fetch repositories');
+      await interaction.respond([]);
+    }
+  },
+
+  async execute(interaction, prisma) {
+    await interaction.deferReply({ ephemeral: true });
+
+    const repositoryId = interaction.options.getString('repository');
+    const guildId = interaction.guildId;
+
+    try {
+      const repository = await prisma.repository.findFirst({
+        where: { id: repositoryId, server: { guildId } },
+        include: { eventChannels: { orderBy: { createdAt: 'asc' } } }
+      });
+
+      if (!repository) {
+        await interaction.editReply('Repository not found. Please use the autocomplete to select a valid repository.');
+        return;
+      }
+
+      // Events without an explicit channel follow the repository default channel
+      const byEvent = new Map(); // eventType -> [channelId]
+      for (const ec of repository.eventChannels) {
+        if (ec.channelId === 'default') {continue;}
+        if (!byEvent.has(ec.eventType)) {byEvent.set(ec.eventType, []);}
+        byEvent.get(ec.eventType).push(ec.channelId);
+      }
+
+      const displayUrl = repository.url.endsWith('.git') ? repository.url.slice(0, -4) : repository.url;
+      const lines = [...byEvent.keys()].sort().map(eventType =>
+        `\`${eventType}\`: ${byEvent.get(eventType).map(channelId => `<#${channelId}>`).join(', ')}`);
+
+      const embed = new EmbedBuilder()
+        .setColor(0x3B82F6)
+        .setTitle('Event Routes')
+        .setDescription(lines.length > 0
+          ? lines.join('\n').slice(0, 4096)
+          : 'No event-specific routing configured. All events go to the repository default channel.')
+        .addFields(
+          { name: 'Repository', value: displayUrl, inline: false },
+          { name: 'Default Channel', value: repository.notificationChannelId ? `<#${repository.notificationChannelId}>` : 'Not set', inline: true }
+        )
+        .setFooter({ text: 'Use /set-event-channel to add a channel and /remove-event-channel to remove one.' })
+        .setTimestamp();
+
+      await interaction.editReply({ embeds: [embed] });
+    } catch (error) {
+      console.error('Error listing event channels:', error);
+      await interaction.editReply(`Failed to list the event routes. Error: ${error.message}`);
+    }
+  }
+};
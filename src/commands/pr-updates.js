@@ -0,0 +1,100 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { checkPermissions } = require('../functions/permissionChecker');
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('pr-updates')
+    .setDescription('Choose whether pull request actions edit one message or post a new one each.')
+    .addStringOption(option =>
+      option.setName('repository')
+        .setDescription('The GitHub repository')
+        .setRequired(true)
+        .setAutocomplete(true))
+    .addStringOption(option =>
+      option.setName('mode')
+        .setDescription('How pull request notifications are posted')
+        .setRequired(true)
+        .addChoices(
+          { name: 'Live: one message per pull request, edited on every action', value: 'live' },
+          { name: 'Per action: a new message for every action', value: 'per-action' }
+        )),
+
+  async autocomplete(interaction, prisma) {
+    const focusedValue = interaction.options.getFocused()?.toLowerCase?.() || '';
+    const guildId = interaction.guildId;
+
+    try {
+      const repositories = await prisma.repository.findMany({
+        where: { server: { guildId } }
+      });
+
+      const filtered = repositories
+        .filter(repo => repo.url.toLowerCase().includes(focusedValue))
+        .map(repo => {
+          const urlParts = repo.url.split('/');
+          const repoName = urlParts[urlParts.length - 1] || urlParts[urlParts.length - 2] || repo.url;
+          return { name: `${repoName} (${repo.url})`.slice(0, 100), value: repo.id };
+        })
+        .slice(0, 25);
+
+      await interaction.respond(filtered);
+    } catch {
+      console.info('Repository autocomplete failed: Unable to fetch repositories');
+      await interaction.respond([]);
+    }
+  },
+
+  async execute(interaction, prisma) {
+    // Check if the user has the required permissions (Admin or Manage Webhooks permission)
+    if (!checkPermissions(interaction)) {
+      await interaction.reply({
+        content: "❌ You need the `Manage Webhooks` permission to use this command.",
+        ephemeral: true
+      });
+      return;
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+
+    const repositoryId = interaction.options.getString('repository');
+    const live = interaction.options.getString('mode') === 'live';
+    const guildId = interaction.guildId;
+
+    try {
+      const repository = await prisma.repository.findFirst({
+        where: { id: repositoryId, server: { guildId } }
+      });
+
+      if (!repository) {
+        await interaction.editReply('Repository not found. Please use the autocomplete to select a valid repository.');
+        return;
+      }
+
+      await prisma.repository.update({
+        where: { id: repository.id },
+        data: { livePullRequestMessages: live }
+      });
+
+      const displayUrl = repository.url.endsWith('.git') ? repository.url.slice(0, -4) : repository.url;
+
+      const embed = new EmbedBuilder()
+        .setColor(0x28a745) // GitHub green
+        .setTitle(live ? '🔄 Live Pull Request Messages Enabled' : '📨 Per-Action Pull Request Messages Enabled')
+        .setDescription(live
+          ? `Each pull request in \`${displayUrl}\` now gets one message that is edited as it is updated, labeled, reviewed and merged. The footer lists the latest changes.`
+          : `Every enabled pull request action in \`${displayUrl}\` now posts its own message.`)
+        .addFields({
+          name: 'Actions',
+          value: 'Use `/edit-event` with the `pull_request` event to choose which actions are reported.',
+          inline: false
+        })
+        .setFooter({ text: 'GitTrack - Pull Request Updates' })
+        .setTimestamp();
+
+      await interaction.editReply({ embeds: [embed] });
+    } catch (error) {
+      console.error('Error updating pull request message mode:', error);
+      await interaction.editReply(`Failed to update the pull request message mode. Error: ${error.message}`);
+    }
+  }
+};
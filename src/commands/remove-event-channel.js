@@ -1,4 +1,5 @@
 const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { removeEventDestination } = require('../functions/eventRouting');
 
 // Supported non-branch events (should mirror routing-capable events)
 const ROUTABLE_EVENTS = [
@@ -19,7 +20,7 @@ const ROUTABLE_EVENTS = [
 module.exports = {
   data: new SlashCommandBuilder()
     .setName('remove-event-channel')
-    .setDescription('Remove a configured event-to-channel route for a repository')
+    .setDescription('Remove one or all configured event-to-channel routes for a repository')
     .addStringOption(option =>
       option.setName('repository')
         .setDescription('The GitHub repository')
@@ -31,6 +32,12 @@ module.exports = {
         .setDescription('GitHub event to remove routing for')
         .setRequired(true)
         .setAutocomplete(true)
+    )
+    .addStringOption(option =>
+      option.setName('channel')
+        .setDescription('Channel to remove (optional - defaults to all channels of the event)')
+        .setRequired(false)
+        .setAutocomplete(true)
     ),
 
   async autocomplete(interaction, prisma) {
@@ -82,6 +89,27 @@ module.exports = {
         return interaction.respond(ROUTABLE_EVENTS.map(ev => ({ name: ev, value: ev })).slice(0, 25));
       }
 
+      if (focused.name === 'channel') {
+        // Suggest the channels the selected event is routed to
+        const repositoryId = interaction.options.getString('repository');
+        const eventType = interaction.options.getString('event');
+        if (!repositoryId || !eventType) {
+          return interaction.respond([]);
+        }
+        const mappings = await prisma.repositoryEventChannel.findMany({
+          where: { repositoryId, eventType, channelId: { not: 'default' } },
+          orderBy: { createdAt: 'asc' }
+        });
+        const choices = mappings
+          .map(m => {
+            const channel = interaction.guild && interaction.guild.channels.cache.get(m.channelId);
+            return { name: channel ? `#${channel.name}` : m.channelId, value: m.channelId };
+          })
+          .filter(choice => choice.name.toLowerCase().includes((focused.value || '').toLowerCase()))
+          .slice(0, 25);
+        return interaction.respond(choices);
+      }
+
       return interaction.respond([]);
     } catch (error) {
       console.error('Autocomplete error in remove-event-channel:', error);
@@ -117,17 +145,12 @@ module.exports = {
         return;
       }
 
-      let existing = await prisma.repositoryEventChannel.findFirst({
-        where: { repositoryId: repository.id, eventType }
-      });
+      const channelId = interaction.options.getString('channel');
       // Legacy support: if user tries to remove issue_comment, remove issues mapping
-      if (!existing && eventType === 'issue_comment') {
-        existing = await prisma.repositoryEventChannel.findFirst({
-          where: { repositoryId: repository.id, eventType: 'issues' }
-        });
-      }
+      const routedEvent = eventType === 'issue_comment' ? 'issues' : eventType;
+      const removed = await removeEventDestination(prisma, repository.id, routedEvent, channelId);
 
-      if (!existing) {
+      if (removed.length === 0) {
        const embed = new EmbedBuilder()
           .setColor(0xF59E0B)
           .setTitle('No Event Route Found')
@@ -141,10 +164,10 @@ module.exports = {
         return;
       }
 
-      // Instead of deleting, revert to default sentinel so it follows the repo default channel
-      await prisma.repositoryEventChannel.update({
-        where: { id: existing.id },
-        data: { channelId: 'default', config: { ...(existing.config || {}), explicitChannel: false } }
+      // Channels that are still routed; when none are left the event falls back to the default channel
+      const remaining = await prisma.repositoryEventChannel.findMany({
+        where: { repositoryId: repository.id, eventType: routedEvent, channelId: { not: 'default' } },
+        orderBy: { createdAt: 'asc' }
       });
 
       const displayUrl = repository.url.endsWith('.git') ? repository.url.slice(0, -4) : repository.url;
@@ -152,10 +175,14 @@ module.exports = {
       const embed = new EmbedBuilder()
         .setColor(0x10B981)
         .setTitle('Event Routing Removed')
-        .setDescription('The event-to-channel route has been removed and will fall back to the repository default channel:')
+        .setDescription(remaining.length > 0
+          ? 'The event-to-channel route has been removed; the event is still sent to its other channels:'
+          : 'The event-to-channel route has been removed and will fall back to the repository default channel:')
         .addFields(
           { name: 'Repository', value: displayUrl, inline: false },
-          { name: 'Event', value: `\`${formattedEvent}\``, inline: true }
+          { name: 'Event', value: `\`${formattedEvent}\``, inline: true },
+          { name: 'Removed', value: removed.map(id => `<#${id}>`).join(', '), inline: true },
+          { name: 'Remaining Channels', value: remaining.length > 0 ? remaining.map(m => `<#${m.channelId}>`).join(', ') : 'Repository default channel', inline: false }
         )
         .setFooter({ text: 'Use /status to confirm current routes.' })
         .setTimestamp();
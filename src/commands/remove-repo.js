@@ -71,6 +71,37 @@ module.exports = {
         trackedBranchCount = deleteResult.count;
       }
 
+      // Then delete tracked tags for this repository
+      await prisma.trackedTag.deleteMany({
+        where: {
+          repositoryId: repository.id
+        }
+      });
+
+      // Then delete digest schedules and the events collected for them
+      await prisma.digestSchedule.deleteMany({
+        where: {
+          repositoryId: repository.id
+        }
+      });
+      await prisma.digestEntry.deleteMany({
+        where: {
+          repositoryId: repository.id
+        }
+      });
+
+      // Then delete coalescing windows and the events they hold
+      await prisma.coalescingWindow.deleteMany({
+        where: {
+          repositoryId: repository.id
+        }
+      });
+      await prisma.coalescedEvent.deleteMany({
+        where: {
+          repositoryId: repository.id
+        }
+      });
+
       // Then delete event channel mappings for this repository
       const deletedEventChannels = await prisma.repositoryEventChannel.deleteMany({
         where: {
@@ -78,6 +109,39 @@ module.exports = {
         }
       });
 
+      // Then delete the webhook delivery ledger for this repository
+      await prisma.webhookDelivery.deleteMany({
+        where: {
+          repositoryId: repository.id
+        }
+      });
+
+      // Then delete queued and dead-lettered deliveries for this repository
+      await prisma.webhookJob.deleteMany({
+        where: {
+          repositoryId: repository.id
+        }
+      });
+      await prisma.webhookDeadLetter.deleteMany({
+        where: {
+          repositoryId: repository.id
+        }
+      });
+
+      // Then forget the messages kept up to date for this repository
+      await prisma.liveMessage.deleteMany({
+        where: {
+          repositoryId: repository.id
+        }
+      });
+
+      // Then delete the routing rules for this repository
+      await prisma.routingRule.deleteMany({
+        where: {
+          repositoryId: repository.id
+        }
+      });
+
       // Then delete the repository itself
       await prisma.repository.delete({
         where: {
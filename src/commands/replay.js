@@ -0,0 +1,215 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { checkPermissions } = require('../functions/permissionChecker');
+const { enqueueDelivery } = require('../functions/deliveryQueue');
+
+// Number of recent deliveries shown by /replay list
+const RECENT_DELIVERY_LIMIT = 10;
+
+// Short label for a delivery outcome
+function formatOutcome(delivery) {
+  if (delivery.statusCode === null || delivery.statusCode === undefined) {
+    return '⏳ pending';
+  }
+  return delivery.statusCode >= 500 ? `❌ ${delivery.statusCode}` : `✅ ${delivery.statusCode}`;
+}
+
+function formatEventName(delivery) {
+  return delivery.action ? `${delivery.eventType}.${delivery.action}` : delivery.eventType;
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('replay')
+    .setDescription('List recent webhook deliveries and replay one of them.')
+    .addSubcommand(subcommand =>
+      subcommand.setName('list')
+        .setDescription('List recent deliveries for a repository.')
+        .addStringOption(option =>
+          option.setName('repository')
+            .setDescription('The GitHub repository')
+            .setRequired(true)
+            .setAutocomplete(true)))
+    .addSubcommand(subcommand =>
+      subcommand.setName('run')
+        .setDescription('Re-run a delivery through the event handlers.')
+        .addStringOption(option =>
+          option.setName('repository')
+            .setDescription('The GitHub repository')
+            .setRequired(true)
+            .setAutocomplete(true))
+        .addStringOption(option =>
+          option.setName('delivery')
+            .setDescription('Select a delivery from the dropdown list')
+            .setRequired(true)
+            .setAutocomplete(true))
+        .addChannelOption(option =>
+          option.setName('channel')
+            .setDescription('Send the replay here instead of the configured channels (for testing)')
+            .addChannelTypes(0) // GuildText only
+            .setRequired(false))),
+
+  async autocomplete(interaction, prisma) {
+    const focusedOption = interaction.options.getFocused(true);
+    const focusedValue = focusedOption.value.toLowerCase();
+    const guildId = interaction.guildId;
+
+    try {
+      if (focusedOption.name === 'repository') {
+        const repositories = await prisma.repository.findMany({
+          where: { server: { guildId } }
+        });
+
+        const filtered = repositories
+          .filter(repo => repo.url.toLowerCase().includes(focusedValue))
+          .map(repo => {
+            const urlParts = repo.url.split('/');
+            const repoName = urlParts[urlParts.length - 1] || urlParts[urlParts.length - 2] || repo.url;
+            return { name: `${repoName} (${repo.url})`.slice(0, 100), value: repo.id };
+          })
+          .slice(0, 25);
+
+        await interaction.respond(filtered);
+        return;
+      }
+
+      if (focusedOption.name === 'delivery') {
+        const repositoryId = interaction.options.getString('repository');
+        if (!repositoryId) {
+          await interaction.respond([]);
+          return;
+        }
+
+        const deliveries = await prisma.webhookDelivery.findMany({
+          where: { repositoryId, repository: { server: { guildId } } },
+          orderBy: { createdAt: 'desc' },
+          take: 100
+        });
+
+        const choices = deliveries
+          .map(delivery => ({
+            name: `${formatEventName(delivery)} • ${delivery.createdAt.toISOString()} • ${formatOutcome(delivery)}`.slice(0, 100),
+            value: delivery.id
+          }))
+          .filter(choice => choice.name.toLowerCase().includes(focusedValue))
+          .slice(0, 25);
+
+        await interaction.respond(choices);
+      }
+    } catch {
+      console.info('Replay autocomplete failed: Unable to fetch deliveries');
+      await interaction.respond([]);
+    }
+  },
+
+  async execute(interaction, prisma) {
+    // Check if the user has the required permissions (Admin or Manage Webhooks permission)
+    if (!checkPermissions(interaction)) {
+      await interaction.reply({
+        content: "❌ You need the `Manage Webhooks` permission to use this command.",
+        ephemeral: true
+      });
+      return;
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+
+    const subcommand = interaction.options.getSubcommand();
+    const repositoryId = interaction.options.getString('repository');
+    const guildId = interaction.guildId;
+
+    try {
+      const repository = await prisma.repository.findFirst({
+        where: { id: repositoryId, server: { guildId } }
+      });
+
+      if (!repository) {
+        await interaction.editReply('Repository not found. Please use the autocomplete to select a valid repository.');
+        return;
+      }
+
+      const displayUrl = repository.url.endsWith('.git') ? repository.url.slice(0, -4) : repository.url;
+
+      if (subcommand === 'list') {
+        const deliveries = await prisma.webhookDelivery.findMany({
+          where: { repositoryId: repository.id },
+          orderBy: { createdAt: 'desc' },
+          take: RECENT_DELIVERY_LIMIT
+        });
+
+        if (deliveries.length === 0) {
+          await interaction.editReply(`No deliveries recorded yet for ${displayUrl}.`);
+          return;
+        }
+
+        const lines = deliveries.map(delivery => {
+          const timestamp = Math.floor(delivery.createdAt.getTime() / 1000);
+          const outcome = delivery.outcome ? ` — ${delivery.outcome.slice(0, 80)}` : '';
+          return `\`${formatEventName(delivery)}\` • <t:${timestamp}:f> • ${formatOutcome(delivery)}${outcome}`;
+        });
+
+        const embed = new EmbedBuilder()
+          .setColor(0x3B82F6)
+          .setTitle('Recent Webhook Deliveries')
+          .setDescription(`${displayUrl}\n\n${lines.join('\n')}`)
+          .setFooter({ text: 'Use /replay run to re-send one of these deliveries.' })
+          .setTimestamp();
+
+        await interaction.editReply({ embeds: [embed] });
+        return;
+      }
+
+      if (subcommand === 'run') {
+        const deliveryId = interaction.options.getString('delivery');
+        const channel = interaction.options.getChannel('channel');
+
+        if (channel && !channel.isTextBased()) {
+          await interaction.editReply('The selected channel must be a text-based channel.');
+          return;
+        }
+
+        const delivery = await prisma.webhookDelivery.findFirst({
+          where: { id: deliveryId, repositoryId: repository.id }
+        });
+
+        if (!delivery) {
+          await interaction.editReply('Delivery not found. Please use the autocomplete to select a delivery.');
+          return;
+        }
+
+        if (!delivery.payload) {
+          await interaction.editReply('This delivery was recorded without its payload and cannot be replayed.');
+          return;
+        }
+
+        // Replays are not tied to the original delivery so its recorded outcome is left untouched
+        await enqueueDelivery(prisma, {
+          repositoryId: repository.id,
+          eventType: delivery.eventType,
+          action: delivery.action,
+          payload: delivery.payload,
+          context: {
+            replayOf: delivery.deliveryId,
+            requestedBy: interaction.user.id,
+            channelOverride: channel ? channel.id : null
+          }
+        });
+
+        const embed = new EmbedBuilder()
+          .setColor(0x10B981)
+          .setTitle('Replay Queued')
+          .setDescription('The delivery has been queued and will be processed by the event handlers shortly.')
+          .addFields(
+            { name: 'Repository', value: displayUrl, inline: false },
+            { name: 'Event', value: `\`${formatEventName(delivery)}\``, inline: true },
+            { name: 'Channel', value: channel ? `<#${channel.id}>` : 'Configured routes', inline: true }
+          )
+          .setTimestamp();
+
+        await interaction.editReply({ embeds: [embed] });
+      }
+    } catch (error) {
+      console.error('Error replaying delivery:', error);
+      await interaction.editReply(`Failed to process the replay. Error: ${error.message}`);
+    }
+  }
+};
@@ -98,6 +98,57 @@ module.exports = {
           });
           deletionStats.branches = deletedBranches.count;
 
+          // Then delete all tracked tags
+          await prisma.trackedTag.deleteMany({
+            where: {
+              repository: {
+                server: {
+                  guildId: interaction.guildId
+                }
+              }
+            }
+          });
+
+          // Then delete all digest schedules and collected events
+          await prisma.digestSchedule.deleteMany({
+            where: {
+              repository: {
+                server: {
+                  guildId: interaction.guildId
+                }
+              }
+            }
+          });
+          await prisma.digestEntry.deleteMany({
+            where: {
+              repository: {
+                server: {
+                  guildId: interaction.guildId
+                }
+              }
+            }
+          });
+
+          // Then delete all coalescing windows and held events
+          await prisma.coalescingWindow.deleteMany({
+            where: {
+              repository: {
+                server: {
+                  guildId: interaction.guildId
+                }
+              }
+            }
+          });
+          await prisma.coalescedEvent.deleteMany({
+            where: {
+              repository: {
+                server: {
+                  guildId: interaction.guildId
+                }
+              }
+            }
+          });
+
           // Then delete all repository event channel mappings for this guild
           const deletedEventChannels = await prisma.repositoryEventChannel.deleteMany({
             where: {
@@ -110,6 +161,69 @@ module.exports = {
           });
           deletionStats.eventChannels = deletedEventChannels.count;
 
+          // Then delete the webhook delivery ledger for this guild
+          await prisma.webhookDelivery.deleteMany({
+            where: {
+              repository: {
+                server: {
+                  guildId: interaction.guildId
+                }
+              }
+            }
+          });
+
+          // Then delete queued and dead-lettered deliveries for this guild
+          await prisma.webhookJob.deleteMany({
+            where: {
+              repository: {
+                server: {
+                  guildId: interaction.guildId
+                }
+              }
+            }
+          });
+          await prisma.webhookDeadLetter.deleteMany({
+            where: {
+              repository: {
+                server: {
+                  guildId: interaction.guildId
+                }
+              }
+            }
+          });
+
+          // Then forget the messages kept up to date for this guild
+          await prisma.liveMessage.deleteMany({
+            where: {
+              repository: {
+                server: {
+                  guildId: interaction.guildId
+                }
+              }
+            }
+          });
+
+          // Then delete the routing rules for this guild
+          await prisma.routingRule.deleteMany({
+            where: {
+              repository: {
+                server: {
+                  guildId: interaction.guildId
+                }
+              }
+            }
+          });
+
+          // Disconnect GitHub App installations so they can be connected again later
+          await prisma.gitHubInstallation.updateMany({
+            where: {
+              server: {
+                guildId: interaction.guildId
+              }
+            },
+            data: { serverId: null }
+          });
+
           // Then delete all repositories for this guild
           const deletedRepos = await prisma.repository.deleteMany({
             where: {
@@ -0,0 +1,136 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const crypto = require('crypto');
+const { checkPermissions } = require('../functions/permissionChecker');
+const { getSecretRotationGraceHours, isRotationActive } = require('../functions/secretRotation');
+const { getRepositoryWebhookUrl } = require('../functions/webhookUrl');
+const { getWebhookSettingsUrl } = require('../functions/webhookProviders');
+
+// Helper function to generate a random webhook secret
+function generateWebhookSecret(length = 32) {
+  return crypto.randomBytes(length).toString('hex');
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('rotate-secret')
+    .setDescription('Generate a new webhook secret while the current one keeps working for a grace period.')
+    .addStringOption(option =>
+      option.setName('repository')
+        .setDescription('The GitHub repository')
+        .setRequired(true)
+        .setAutocomplete(true)),
+
+  async autocomplete(interaction, prisma) {
+    const focusedValue = interaction.options.getFocused()?.toLowerCase?.() || '';
+    const guildId = interaction.guildId;
+
+    try {
+      const repositories = await prisma.repository.findMany({
+        where: { server: { guildId } }
+      });
+
+      const filtered = repositories
+        .filter(repo => repo.url.toLowerCase().includes(focusedValue))
+        .map(repo => {
+          const urlParts = repo.url.split('/');
+          const repoName = urlParts[urlParts.length - 1] || urlParts[urlParts.length - 2] || repo.url;
+          return { name: `${repoName} (${repo.url})`.slice(0, 100), value: repo.id };
+        })
+        .slice(0, 25);
+
+      await interaction.respond(filtered);
+    } catch {
+      console.info('Repository autocomplete failed: Unable to fetch repositories');
+      await interaction.respond([]);
+    }
+  },
+
+  async execute(interaction, prisma) {
+    // Check if the user has the required permissions (Admin or Manage Webhooks permission)
+    if (!checkPermissions(interaction)) {
+      await interaction.reply({
+        content: "❌ You need the `Manage Webhooks` permission to use this command.",
+        ephemeral: true
+      });
+      return;
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+
+    const repositoryId = interaction.options.getString('repository');
+    const guildId = interaction.guildId;
+
+    try {
+      const repository = await prisma.repository.findFirst({
+        where: { id: repositoryId, server: { guildId } }
+      });
+
+      if (!repository) {
+        await interaction.editReply('Repository not found. Please use the autocomplete to select a valid repository.');
+        return;
+      }
+
+      if (!repository.webhookSecret) {
+        await interaction.editReply('This repository has no webhook secret yet. Use `/setup` to configure the webhook first.');
+        return;
+      }
+
+      const replacedRotation = isRotationActive(repository);
+      const pendingWebhookSecret = generateWebhookSecret();
+      const graceHours = getSecretRotationGraceHours();
+      const expiresAt = new Date(Date.now() + graceHours * 60 * 60 * 1000);
+
+      await prisma.repository.update({
+        where: { id: repository.id },
+        data: {
+          pendingWebhookSecret,
+          secretRotationExpiresAt: expiresAt,
+          rotationReminderSentAt: null
+        }
+      });
+
+      const displayUrl = repository.url.endsWith('.git') ? repository.url.slice(0, -4) : repository.url;
+      const expiresAtTimestamp = Math.floor(expiresAt.getTime() / 1000);
+
+      const embed = new EmbedBuilder()
+        .setColor(0x28a745) // GitHub green
+        .setTitle('🔐 Webhook Secret Rotation Started')
+        .setDescription(`A new secret was generated for \`${displayUrl}\`.\nBoth the current and the new secret are accepted until <t:${expiresAtTimestamp}:f> (<t:${expiresAtTimestamp}:R>).`)
+        .addFields(
+          {
+            name: '📋 **Next Steps**',
+            value:
+              `**1.** Open the [**Webhooks**](${getWebhookSettingsUrl(displayUrl, repository.provider)}) settings and edit the GitTrack webhook\n` +
+              '**2.** Replace the secret with the one below and save\n' +
+              '**3.** The old secret is retired as soon as a delivery uses the new one',
+            inline: false
+          },
+          {
+            name: '🌐 **Payload URL**',
+            value: `\`\`\`\n${getRepositoryWebhookUrl(repository)}\n\`\`\``,
+            inline: false
+          },
+          {
+            name: '🔐 **New Secret**',
+            value: `\`\`\`\n${pendingWebhookSecret}\n\`\`\``,
+            inline: false
+          }
+        )
+        .setFooter({ text: 'GitTrack - Secret Rotation' })
+        .setTimestamp();
+
+      if (replacedRotation) {
+        embed.addFields({
+          name: '⚠️ Previous Rotation Replaced',
+          value: 'The secret from the earlier rotation is no longer accepted; use the one above.',
+          inline: false
+        });
+      }
+
+      await interaction.editReply({ embeds: [embed] });
+    } catch (error) {
+      console.error('Error rotating webhook secret:', error);
+      await interaction.editReply(`Failed to rotate the webhook secret. Error: ${error.message}`);
+    }
+  }
+};
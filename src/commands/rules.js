@@ -0,0 +1,235 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { checkPermissions } = require('../functions/permissionChecker');
+const { isValidBranchPattern } = require('../functions/branchMatcher');
+const { RULE_CONDITIONS, parseRuleConditions, describeRuleConditions, moveRule } = require('../functions/routingRules');
+
+/**
+ * Adds the repository option shared by all subcommands
+ * @param {Object} subcommand - Subcommand builder
+ * @returns {Object} The subcommand builder
+ */
+function addRepositoryOption(subcommand) {
+  return subcommand.addStringOption(option =>
+    option.setName('repository')
+      .setDescription('The GitHub repository')
+      .setRequired(true)
+      .setAutocomplete(true));
+}
+
+/**
+ * Stores rules in the given order, numbering their positions from 0
+ * @param {Object} prisma - Prisma client instance
+ * @param {Array<Object>} rules - Rules in their new order
+ */
+async function renumberRules(prisma, rules) {
+  await prisma.$transaction(rules.map((rule, position) =>
+    prisma.routingRule.update({ where: { id: rule.id }, data: { position } })));
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('rules')
+    .setDescription('Route notifications to channels based on conditions about the event.')
+    .addSubcommand(subcommand =>
+      addRepositoryOption(subcommand.setName('add')
+        .setDescription('Add a routing rule after the existing rules.'))
+        .addChannelOption(option =>
+          option.setName('channel')
+            .setDescription('The channel matching notifications are sent to')
+            .addChannelTypes(0) // GuildText only
+            .setRequired(true))
+        .addStringOption(option =>
+          option.setName('event')
+            .setDescription('Event types, comma-separated (e.g. pull_request, issues)'))
+        .addStringOption(option =>
+          option.setName('action')
+            .setDescription('Actions, comma-separated (e.g. opened, closed)'))
+        .addStringOption(option =>
+          option.setName('labels')
+            .setDescription('Labels, comma-separated; matches if the subject has any of them'))
+        .addStringOption(option =>
+          option.setName('author')
+            .setDescription('GitHub logins, comma-separated'))
+        .addStringOption(option =>
+          option.setName('branch')
+            .setDescription('Branch patterns, comma-separated (base branch for pull requests)'))
+        .addBooleanOption(option =>
+          option.setName('draft')
+            .setDescription('Only draft pull requests (true) or only ready ones (false)'))
+        .addStringOption(option =>
+          option.setName('paths')
+            .setDescription('Changed file patterns of pushes, comma-separated (e.g. docs/**, *.md)'))
+        .addStringOption(option =>
+          option.setName('workflow')
+            .setDescription('Workflow names, comma-separated'))
+        .addStringOption(option =>
+          option.setName('conclusion')
+            .setDescription('Check or workflow conclusions, comma-separated (e.g. failure)'))
+        .addBooleanOption(option =>
+          option.setName('continue')
+            .setDescription('Keep evaluating later rules after this one matches (default: stop)')))
+    .addSubcommand(subcommand =>
+      addRepositoryOption(subcommand.setName('list')
+        .setDescription('List the routing rules of a repository in evaluation order.')))
+    .addSubcommand(subcommand =>
+      addRepositoryOption(subcommand.setName('remove')
+        .setDescription('Remove a routing rule.'))
+        .addIntegerOption(option =>
+          option.setName('number')
+            .setDescription('The rule number shown by /rules list')
+            .setRequired(true)
+            .setMinValue(1)))
+    .addSubcommand(subcommand =>
+      addRepositoryOption(subcommand.setName('move')
+        .setDescription('Change the position of a routing rule.'))
+        .addIntegerOption(option =>
+          option.setName('number')
+            .setDescription('The rule number shown by /rules list')
+            .setRequired(true)
+            .setMinValue(1))
+        .addIntegerOption(option =>
+          option.setName('to')
+            .setDescription('The new rule number')
+            .setRequired(true)
+            .setMinValue(1))),
+
+  async autocomplete(interaction, prisma) {
+    const focusedValue = interaction.options.getFocused()?.toLowerCase?.() || '';
+    const guildId = interaction.guildId;
+
+    try {
+      const repositories = await prisma.repository.findMany({
+        where: { server: { guildId } }
+      });
+
+      const filtered = repositories
+        .filter(repo => repo.url.toLowerCase().includes(focusedValue))
+        .map(repo => {
+          const urlParts = repo.url.split('/');
+          const repoName = urlParts[urlParts.length - 1] || urlParts[urlParts.length - 2] || repo.url;
+          return { name: `${repoName} (${repo.url})`.slice(0, 100), value: repo.id };
+        })
+        .slice(0, 25);
+
+      await interaction.respond(filtered);
+    } catch {
+      console.info('Repository autocomplete failed: Unable to fetch repositories');
+      await interaction.respond([]);
+    }
+  },
+
+  async execute(interaction, prisma) {
+    // Check if the user has the required permissions (Admin or Manage Webhooks permission)
+    if (!checkPermissions(interaction)) {
+      await interaction.reply({
+        content: "❌ You need the `Manage Webhooks` permission to use this command.",
+        ephemeral: true
+      });
+      return;
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+
+    const subcommand = interaction.options.getSubcommand();
+    const repositoryId = interaction.options.getString('repository');
+    const guildId = interaction.guildId;
+
+    try {
+      const repository = await prisma.repository.findFirst({
+        where: { id: repositoryId, server: { guildId } }
+      });
+
+      if (!repository) {
+        await interaction.editReply('Repository not found. Please use the autocomplete to select a valid repository.');
+        return;
+      }
+
+      const displayUrl = repository.url.endsWith('.git') ? repository.url.slice(0, -4) : repository.url;
+      const rules = await prisma.routingRule.findMany({
+        where: { repositoryId: repository.id },
+        orderBy: { position: 'asc' }
+      });
+
+      if (subcommand === 'add') {
+        const channel = interaction.options.getChannel('channel');
+        const options = RULE_CONDITIONS.reduce((values, key) => {
+          values[key] = key === 'draft' ? interaction.options.getBoolean(key) : interaction.options.getString(key);
+          return values;
+        }, {});
+        const conditions = parseRuleConditions(options);
+
+        const invalidBranch = (conditions.branch || []).find(pattern => !isValidBranchPattern(pattern));
+        if (invalidBranch) {
+          await interaction.editReply(`❌ Invalid branch pattern \`${invalidBranch}\`. Use a branch name or a pattern such as \`release/*\`.`);
+          return;
+        }
+
+        const stop = !interaction.options.getBoolean('continue');
+        await prisma.routingRule.create({
+          data: {
+            repositoryId: repository.id,
+            position: rules.length,
+            conditions,
+            channelId: channel.id,
+            stop
+          }
+        });
+
+        const embed = new EmbedBuilder()
+          .setColor(0x28a745) // GitHub green
+          .setTitle('🧭 Routing Rule Added')
+          .setDescription(`Rule #${rules.length + 1} for \`${displayUrl}\` sends ${describeRuleConditions(conditions)} to ${channel}.`)
+          .addFields({
+            name: 'When it matches',
+            value: stop ? 'Later rules are not evaluated.' : 'Later rules are evaluated too and can add their channels.',
+            inline: false
+          }, {
+            name: 'What it routes',
+            value: 'Matching events are posted even if their actions are turned off with `/edit-event` or their branches are not linked.',
+            inline: false
+          })
+          .setFooter({ text: 'GitTrack - Routing Rules' })
+          .setTimestamp();
+
+        await interaction.editReply({ embeds: [embed] });
+        return;
+      }
+
+      if (subcommand === 'list') {
+        const embed = new EmbedBuilder()
+          .setColor(0x0366d6) // GitHub blue
+          .setTitle(`🧭 Routing Rules for ${displayUrl}`)
+          .setDescription(rules.length > 0
+            ? rules.map((rule, index) => `**#${index + 1}** → <#${rule.channelId}> (${rule.stop ? 'stop' : 'continue'}) · ${describeRuleConditions(rule.conditions)}`).join('\n').slice(0, 4096)
+            : 'No routing rules. Notifications go to the channels set with `/set-event-channel`, `/link` and `/set-default-channel`.')
+          .setFooter({ text: 'GitTrack - Routing Rules' })
+          .setTimestamp();
+
+        await interaction.editReply({ embeds: [embed] });
+        return;
+      }
+
+      const index = interaction.options.getInteger('number') - 1;
+      if (index >= rules.length) {
+        await interaction.editReply(`❌ Rule #${index + 1} does not exist. \`${displayUrl}\` has ${rules.length} routing rules.`);
+        return;
+      }
+
+      if (subcommand === 'remove') {
+        await prisma.routingRule.delete({ where: { id: rules[index].id } });
+        await renumberRules(prisma, rules.filter((_, position) => position !== index));
+        await interaction.editReply(`✅ Removed rule #${index + 1} (${describeRuleConditions(rules[index].conditions)} → <#${rules[index].channelId}>).`);
+        return;
+      }
+
+      if (subcommand === 'move') {
+        const to = Math.min(interaction.options.getInteger('to'), rules.length) - 1;
+        await renumberRules(prisma, moveRule(rules, index, to));
+        await interaction.editReply(`✅ Moved rule #${index + 1} to #${to + 1}.`);
+      }
+    } catch (error) {
+      console.error('Error managing routing rules:', error);
+      await interaction.editReply(`Failed to update the routing rules. Error: ${error.message}`);
+    }
+  }
+};
@@ -1,4 +1,5 @@
-const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { SlashCommandBuilder, EmbedBuilder, ChannelType } = require('discord.js');
+const { addEventDestination } = require('../functions/eventRouting');
 
 // Event types eligible for per-event routing (non-branch specific)
 const ROUTABLE_EVENTS = [
@@ -19,7 +20,7 @@ const ROUTABLE_EVENTS = [
 module.exports = {
   data: new SlashCommandBuilder()
     .setName('set-event-channel')
-    .setDescription('Route a specific GitHub event (non-branch) to a channel for a repository')
+    .setDescription('Route a specific GitHub event (non-branch) to an additional channel for a repository')
     .addStringOption(option =>
       option.setName('repository')
         .setDescription('The GitHub repository')
@@ -36,8 +37,8 @@ module.exports = {
     })
     .addChannelOption(option =>
       option.setName('channel')
-        .setDescription('Channel to send this event to')
-        .addChannelTypes(0) // GuildText only
+        .setDescription('Channel to send this event to (issues can also use a forum channel)')
+        .addChannelTypes(0, 15) // GuildText, or GuildForum for issues
         .setRequired(true)
     ),
 
@@ -85,8 +86,15 @@ module.exports = {
     const channel = interaction.options.getChannel('channel');
     const guildId = interaction.guildId;
 
-    if (!channel || !channel.isTextBased()) {
-      await interaction.editReply('The selected channel must be a text-based channel.');
+    // Forum channels hold one post per issue, so no other event can be routed to them
+    const isForum = Boolean(channel && channel.type === ChannelType.GuildForum);
+    if (!channel || (!channel.isTextBased() && !isForum)) {
+      await interaction.editReply('The selected channel must be a text-based or forum channel.');
+      return;
+    }
+
+    if (isForum && eventType !== 'issues') {
+      await interaction.editReply('Forum channels can only be used for the `issues` event.');
       return;
     }
 
@@ -114,29 +122,14 @@ module.exports = {
         return;
       }
 
-      // Upsert mapping
-      const existing = await prisma.repositoryEventChannel.findFirst({
-        where: { repositoryId: repository.id, eventType }
+      // Add the channel to the event's destinations; existing destinations are kept
+      const added = await addEventDestination(prisma, repository.id, eventType, channel.id);
+      const statusText = added ? 'Added' : 'Already routed';
+      const destinations = await prisma.repositoryEventChannel.findMany({
+        where: { repositoryId: repository.id, eventType, channelId: { not: 'default' } },
+        orderBy: { createdAt: 'asc' }
       });
 
-      let statusText = 'Created';
-      if (existing) {
-        await prisma.repositoryEventChannel.update({
-          where: { id: existing.id },
-          data: { channelId: channel.id, config: { ...(existing.config || {}), explicitChannel: true } }
-        });
-        statusText = 'Updated';
-      } else {
-        await prisma.repositoryEventChannel.create({
-          data: {
-            repositoryId: repository.id,
-            eventType,
-            channelId: channel.id,
-            config: { explicitChannel: true }
-          }
-        });
-      }
-
       // Nicely formatted embedded response
       const displayUrl = repository.url.endsWith('.git') ? repository.url.slice(0, -4) : repository.url;
       const formattedEvent = eventType.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
@@ -149,9 +142,10 @@ module.exports = {
           { name: 'Repository', value: displayUrl, inline: false },
           { name: 'Event', value: `\`${formattedEvent}\``, inline: true },
           { name: 'Channel', value: `<#${channel.id}>`, inline: true },
-          { name: 'Status', value: statusText, inline: true }
+          { name: 'Status', value: statusText, inline: true },
+          { name: 'All Channels for This Event', value: destinations.map(d => `<#${d.channelId}>`).join(', '), inline: false }
         )
-        .setFooter({ text: 'Use /status to view all event routes and branch links.' })
+        .setFooter({ text: 'Use /remove-event-channel to remove a channel, or /status to view all event routes and branch links.' })
         .setTimestamp();
 
       await interaction.editReply({ embeds: [embed] });
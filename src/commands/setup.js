@@ -1,5 +1,9 @@
 const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
 const { checkRepositoryLimit } = require('../functions/limitChecker');
+const { generateWebhookToken } = require('../functions/webhookSignature');
+const { parseRepositoryUrl } = require('../functions/repositoryUrl');
+const { getProviderName, getSetupInstructions, getWebhookSettingsUrl } = require('../functions/webhookProviders');
+const { getRepositoryWebhookUrl } = require('../functions/webhookUrl');
 const crypto = require('crypto');
 
 // Helper function to generate a random webhook secret
@@ -10,16 +14,26 @@ function generateWebhookSecret(length = 32) {
 module.exports = {
   data: new SlashCommandBuilder()
     .setName('setup')
-    .setDescription('Configure a GitHub repository for webhook integration')
+    .setDescription('Configure a repository for webhook integration')
     .addStringOption(option =>
       option.setName('repository')
-        .setDescription('The URL of the GitHub repository to set up')
+        .setDescription('The URL of the repository to set up (GitHub, GitLab, Bitbucket, Gitea or Forgejo)')
         .setRequired(true))
     .addChannelOption(option =>
       option.setName('channel')
         .setDescription('The default channel for repository notifications (optional - defaults to current channel)')
         .addChannelTypes(0) // GuildText only
-        .setRequired(false)),
+        .setRequired(false))
+    .addStringOption(option =>
+      option.setName('provider')
+        .setDescription('Where the repository is hosted (detected from the URL when omitted)')
+        .setRequired(false)
+        .addChoices(
+          { name: 'GitHub', value: 'github' },
+          { name: 'GitLab', value: 'gitlab' },
+          { name: 'Bitbucket Cloud', value: 'bitbucket' },
+          { name: 'Gitea / Forgejo', value: 'gitea' }
+        )),
   
   async execute(interaction, prisma) {
     await interaction.deferReply({ ephemeral: true });
@@ -33,47 +47,22 @@ module.exports = {
     const notificationChannel = setupChannel || interaction.channel;
 
     // Basic URL validation
-    try {
-      const parsedUrl = new URL(repoUrl);
-      if (parsedUrl.protocol !== 'https:' && parsedUrl.protocol !== 'http:') {
-        await interaction.editReply('Invalid repository URL. Please use an HTTP or HTTPS URL.');
-        return;
-      }
-      // Check for GitHub URL
-      if (!parsedUrl.hostname.includes('github.com')) {
-        await interaction.editReply('Please provide a valid GitHub repository URL.');
-        return;
-      }
-      
-      // Extract path parts for validation
-      const pathParts = parsedUrl.pathname.split('/').filter(part => part.length > 0);
-      if (pathParts.length < 2) {
-        await interaction.editReply('Invalid GitHub URL. Please provide a complete repository URL (e.g., https://github.com/username/repository)');
-        return;
-      }
-      
-      // Check for .git suffix
-      if (parsedUrl.pathname.endsWith('.git')) {
-        await interaction.editReply('Please provide the repository URL without the .git suffix (e.g., https://github.com/username/repository)');
-        return;
-      }
-
-      // Check for common invalid patterns
-      if (pathParts[0].toLowerCase() === 'organizations' || 
-          pathParts[0].toLowerCase() === 'orgs' ||
-          pathParts[0].toLowerCase() === 'users' ||
-          pathParts[0].toLowerCase() === 'settings' ||
-          pathParts[0].toLowerCase() === 'explore' ||
-          pathParts[0].toLowerCase() === 'trending') {
-        await interaction.editReply('Invalid GitHub URL. Please provide a direct repository URL (e.g., https://github.com/username/repository)');
-        return;
-      }
+    const parsedRepository = parseRepositoryUrl(repoUrl);
+    if (parsedRepository.error) {
+      await interaction.editReply(parsedRepository.error);
+      return;
+    }
 
-    } catch {
-      await interaction.editReply('Invalid repository URL format. Please provide a valid URL.');
+    // Check for .git suffix
+    if (repoUrl.replace(/\/+$/, '').endsWith('.git')) {
+      await interaction.editReply('Please provide the repository URL without the .git suffix (e.g., https://github.com/username/repository)');
       return;
     }
 
+    // Self-hosted instances can run any provider, so fall back to Gitea only when not told otherwise
+    const provider = interaction.options.getString('provider') || parsedRepository.provider || 'gitea';
+    const providerName = getProviderName(provider);
+
     try {
       // Create alternative URLs to handle .git suffix differences
       let tempUrl = repoUrl;
@@ -116,17 +105,25 @@ module.exports = {
 
       // Generate a new webhook secret
       const webhookSecret = generateWebhookSecret();
+      let repository;
 
       if (existingRepository) {
         // Update existing repository with new webhook secret and notification channel
         const updateData = { 
-          webhookSecret
+          webhookSecret,
+          provider,
+          // Keep an existing endpoint token so the payload URL stays stable across re-runs
+          webhookToken: existingRepository.webhookToken || generateWebhookToken(),
+          // A fresh secret supersedes any rotation that was in progress
+          pendingWebhookSecret: null,
+          secretRotationExpiresAt: null,
+          rotationReminderSentAt: null
         };
         
         // Always update notificationChannelId to the channel where command was called or specified
         updateData.notificationChannelId = notificationChannel.id;
         
-        await prisma.repository.update({
+        repository = await prisma.repository.update({
           where: { id: existingRepository.id },
           data: updateData
         });
@@ -143,7 +140,9 @@ module.exports = {
         // Create new repository
         const repositoryData = {
           url: standardizedUrl,
+          provider,
           webhookSecret,
+          webhookToken: generateWebhookToken(),
           server: {
             connect: { id: server.id }
           }
@@ -152,44 +151,45 @@ module.exports = {
         // Always set notificationChannelId to the channel where command was called or specified
         repositoryData.notificationChannelId = notificationChannel.id;
         
-        await prisma.repository.create({
+        repository = await prisma.repository.create({
           data: repositoryData
         });
       }
 
-      // Get the webhook URL from environment variable
-      const webhookBaseUrl = process.env.WEBHOOK_URL || `${process.env.PUBLIC_URL}/github-webhook`;
+      // Each repository gets its own endpoint so the signature is checked against a single secret
+      const webhookUrl = getRepositoryWebhookUrl(repository);
+      const setupInstructions = getSetupInstructions(provider);
       
       // Create an embed with setup instructions
       const embed = new EmbedBuilder()
         .setColor(0x28a745) // GitHub green
-        .setTitle('🔗 GitHub Webhook Setup')
-        .setDescription(`**Repository configured successfully!**\n\`${standardizedUrl}\`\n\nNow complete the webhook setup on GitHub:`)
+        .setTitle(`🔗 ${providerName} Webhook Setup`)
+        .setDescription(`**Repository configured successfully!**\n\`${standardizedUrl}\`\n\nNow complete the webhook setup on ${providerName}:`)
         .addFields(
           { 
             name: '📋 **Quick Setup Steps**', 
             value: 
               '**1.** Go to your repository settings\n' +
-              `**2.** Navigate to [**Webhooks**](${standardizedUrl}/settings/hooks) → **Add webhook**\n` +
+              `**2.** Navigate to [**Webhooks**](${getWebhookSettingsUrl(standardizedUrl, provider)}) → ${setupInstructions.addWebhookLabel}\n` +
               '**3.** Configure the webhook with details below\n' +
               '**4.** Test and save your configuration',
             inline: false 
           },
           { 
             name: '🌐 **Payload URL**', 
-            value: `\`\`\`\n${webhookBaseUrl}\n\`\`\``, 
+            value: `\`\`\`\n${webhookUrl}\n\`\`\``, 
             inline: false 
           },
           { 
-            name: '🔐 **Secret**', 
+            name: `🔐 **${setupInstructions.secretLabel}**`, 
             value: `\`\`\`\n${webhookSecret}\n\`\`\``, 
             inline: false 
           },
           { 
             name: '⚙️ **Configuration**', 
             value: 
-              '• **Content type:** `application/json` ⚠️ **IMPORTANT**\n' +
-              '• **Events:** "Send me everything" (recommended)\n' +
+              (setupInstructions.contentTypeSetting ? '• **Content type:** `application/json` ⚠️ **IMPORTANT**\n' : '') +
+              `• **Events:** ${setupInstructions.eventsSetting}\n` +
               '• **Active:** ✅ Checked',
             inline: false 
           },
@@ -0,0 +1,149 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { checkPermissions } = require('../functions/permissionChecker');
+
+// Longest marker accepted, to keep the list readable in embeds
+const MAX_MARKER_LENGTH = 50;
+
+/**
+ * Adds the repository option shared by all subcommands
+ * @param {Object} subcommand - Subcommand builder
+ * @returns {Object} The subcommand builder
+ */
+function addRepositoryOption(subcommand) {
+  return subcommand.addStringOption(option =>
+    option.setName('repository')
+      .setDescription('The GitHub repository')
+      .setRequired(true)
+      .setAutocomplete(true));
+}
+
+/**
+ * Adds the marker option of the add and remove subcommands
+ * @param {Object} subcommand - Subcommand builder
+ * @returns {Object} The subcommand builder
+ */
+function addMarkerOption(subcommand) {
+  return addRepositoryOption(subcommand)
+    .addStringOption(option =>
+      option.setName('marker')
+        .setDescription('Text in a commit message, e.g. [skip discord]')
+        .setRequired(true)
+        .setMaxLength(MAX_MARKER_LENGTH));
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('skip-markers')
+    .setDescription('Manage the commit message markers that hide commits from push notifications.')
+    .addSubcommand(subcommand =>
+      addMarkerOption(subcommand.setName('add')
+        .setDescription('Hide commits whose message contains a marker.')))
+    .addSubcommand(subcommand =>
+      addMarkerOption(subcommand.setName('remove')
+        .setDescription('Stop hiding commits whose message contains a marker.')))
+    .addSubcommand(subcommand =>
+      addRepositoryOption(subcommand.setName('list')
+        .setDescription('List the skip markers of a repository.'))),
+
+  async autocomplete(interaction, prisma) {
+    const focusedValue = interaction.options.getFocused()?.toLowerCase?.() || '';
+    const guildId = interaction.guildId;
+
+    try {
+      const repositories = await prisma.repository.findMany({
+        where: { server: { guildId } }
+      });
+
+      const filtered = repositories
+        .filter(repo => repo.url.toLowerCase().includes(focusedValue))
+        .map(repo => {
+          const urlParts = repo.url.split('/');
+          const repoName = urlParts[urlParts.length - 1] || urlParts[urlParts.length - 2] || repo.url;
+          return { name: `${repoName} (${repo.url})`.slice(0, 100), value: repo.id };
+        })
+        .slice(0, 25);
+
+      await interaction.respond(filtered);
+    } catch {
+      console.info('Repository autocomplete failed: Unable to fetch repositories');
+      await interaction.respond([]);
+    }
+  },
+
+  async execute(interaction, prisma) {
+    // Check if the user has the required permissions (Admin or Manage Webhooks permission)
+    if (!checkPermissions(interaction)) {
+      await interaction.reply({
+        content: "❌ You need the `Manage Webhooks` permission to use this command.",
+        ephemeral: true
+      });
+      return;
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+
+    const subcommand = interaction.options.getSubcommand();
+    const repositoryId = interaction.options.getString('repository');
+    const guildId = interaction.guildId;
+
+    try {
+      const repository = await prisma.repository.findFirst({
+        where: { id: repositoryId, server: { guildId } }
+      });
+
+      if (!repository) {
+        await interaction.editReply('Repository not found. Please use the autocomplete to select a valid repository.');
+        return;
+      }
+
+      const displayUrl = repository.url.endsWith('.git') ? repository.url.slice(0, -4) : repository.url;
+
+      if (subcommand === 'list') {
+        const embed = new EmbedBuilder()
+          .setColor(0x0366d6) // GitHub blue
+          .setTitle(`⏭️ Skip Markers for ${displayUrl}`)
+          .setDescription(repository.skipMarkers.length > 0
+            ? repository.skipMarkers.map(marker => `\`${marker}\``).join('\n')
+            : 'None - every commit is posted.')
+          .setFooter({ text: 'GitTrack - Skip Markers' })
+          .setTimestamp();
+
+        await interaction.editReply({ embeds: [embed] });
+        return;
+      }
+
+      const marker = interaction.options.getString('marker').trim();
+      if (!marker) {
+        await interaction.editReply('❌ The marker cannot be empty.');
+        return;
+      }
+
+      const isListed = repository.skipMarkers.some(listed => listed.toLowerCase() === marker.toLowerCase());
+
+      if (subcommand === 'add' && isListed) {
+        await interaction.editReply(`\`${marker}\` is already a skip marker of \`${displayUrl}\`.`);
+        return;
+      }
+      if (subcommand === 'remove' && !isListed) {
+        await interaction.editReply(`\`${marker}\` is not a skip marker of \`${displayUrl}\`.`);
+        return;
+      }
+
+      const skipMarkers = subcommand === 'add'
+        ? [...repository.skipMarkers, marker]
+        : repository.skipMarkers.filter(listed => listed.toLowerCase() !== marker.toLowerCase());
+
+      await prisma.repository.update({
+        where: { id: repository.id },
+        data: { skipMarkers }
+      });
+
+      await interaction.editReply(subcommand === 'add'
+        ? `✅ Commits containing \`${marker}\` are now hidden from push notifications for \`${displayUrl}\`.`
+        : `✅ Commits containing \`${marker}\` are posted again for \`${displayUrl}\`.`);
+    } catch (error) {
+      console.error('Error managing skip markers:', error);
+      await interaction.editReply(`Failed to update the skip markers. Error: ${error.message}`);
+    }
+  }
+};
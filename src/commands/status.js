@@ -1,5 +1,7 @@
 const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
 const { checkRepositoryLimit, checkChannelLimit, getMaxReposAllowed, getMaxChannelsAllowed } = require('../functions/limitChecker');
+const { isRotationActive } = require('../functions/secretRotation');
+const { describePathFilters } = require('../functions/pathMatcher');
 
 module.exports = {
   data: new SlashCommandBuilder()
@@ -17,6 +19,7 @@ module.exports = {
           repositories: {
             include: {
               trackedBranches: true,
+              trackedTags: true,
               eventChannels: true
             }
           }
@@ -158,29 +161,32 @@ module.exports = {
           
           // Initialize with default channel if it exists
           if (defaultChannel) {
-            branchesByChannel[defaultChannel] = new Set();
+            branchesByChannel[defaultChannel] = new Map(); // branch pattern -> changed-file filter
           }
           
           for (const branch of repo.trackedBranches) {
             const channelId = branch.channelId || defaultChannel;
             if (!branchesByChannel[channelId]) {
-              branchesByChannel[channelId] = new Set();
+              branchesByChannel[channelId] = new Map();
             }
-            branchesByChannel[channelId].add(branch.branchName);
+            branchesByChannel[channelId].set(branch.branchName, describePathFilters(branch.includePaths, branch.excludePaths));
           }
 
           // Create branch list per channel
           let branchDisplay = '';
-          for (const [channelId, branchSet] of Object.entries(branchesByChannel)) {
-            if (branchSet.size > 0) {
-              // Convert set to array, sort with "*" always first
-              const branches = Array.from(branchSet).sort((a, b) => {
+          for (const [channelId, branchMap] of Object.entries(branchesByChannel)) {
+            if (branchMap.size > 0) {
+              // Convert map keys to array, sort with "*" always first and exclude patterns last
+              const branches = Array.from(branchMap.keys()).sort((a, b) => {
                 if (a === '*') {return -1;}
                 if (b === '*') {return 1;}
+                if (a.startsWith('!') !== b.startsWith('!')) {return a.startsWith('!') ? 1 : -1;}
                 return a.localeCompare(b);
               });
               
-              const branchList = branches.map(b => `\`${b}\``).join(', ');
+              const branchList = branches
+                .map(b => (branchMap.get(b) ? `\`${b}\` (paths: \`${branchMap.get(b)}\`)` : `\`${b}\``))
+                .join(', ');
               branchDisplay += `**<#${channelId}>**: ${branchList}\n`;
             }
           }
@@ -189,11 +195,23 @@ module.exports = {
             branchDisplay = 'No branches configured';
           }
 
+          // Tag patterns per channel, only shown when tags are tracked
+          const tagsByChannel = new Map();
+          for (const trackedTag of repo.trackedTags) {
+            const channelId = trackedTag.channelId || defaultChannel;
+            if (!tagsByChannel.has(channelId)) {tagsByChannel.set(channelId, []);}
+            tagsByChannel.get(channelId).push(`\`${trackedTag.tagPattern}\``);
+          }
+          const tagDisplay = Array.from(tagsByChannel.entries())
+            .map(([channelId, tagPatterns]) => `**<#${channelId}>**: ${tagPatterns.join(', ')}\n`)
+            .join('');
+
           // Build event routing details (only show explicitly mapped events)
           let eventRoutingDisplay = 'No event-specific routing configured';
           if (repo.eventChannels && repo.eventChannels.length > 0) {
             const byChannel = new Map(); // channelId -> [eventType]
             for (const ec of repo.eventChannels) {
+              if (ec.channelId === 'default') {continue;} // Follows the default channel
               if (!byChannel.has(ec.channelId)) {byChannel.set(ec.channelId, []);}
               byChannel.get(ec.channelId).push(ec.eventType);
             }
@@ -202,13 +220,28 @@ module.exports = {
               const sorted = events.sort();
               lines.push(`**<#${channelId}>**: ${sorted.map(e => `\`${e}\``).join(', ')}`);
             }
-            eventRoutingDisplay = lines.join('\n');
+            if (lines.length > 0) {eventRoutingDisplay = lines.join('\n');}
           }
 
           // Check webhook status
-          const webhookStatus = repo.webhookSecret 
+          let webhookStatus = repo.webhookSecret 
             ? '✅ Webhook configured' 
             : '❌ Webhook not configured (use `/setup` command)';
+          if (repo.installationId) {
+            webhookStatus = repo.webhookSecret
+              ? '✅ GitHub App and webhook configured'
+              : '✅ Delivered by GitHub App';
+          }
+
+          // Show which secret verified the last delivery and any rotation in progress
+          let secretStatus = 'No verified deliveries yet';
+          if (repo.lastSecretUsed && repo.lastSecretUsedAt) {
+            const secretName = repo.lastSecretUsed === 'pending' ? 'new (rotated) secret' : 'current secret';
+            secretStatus = `Last delivery used the ${secretName} <t:${Math.floor(repo.lastSecretUsedAt.getTime() / 1000)}:R>`;
+          }
+          if (isRotationActive(repo)) {
+            secretStatus += `\n🔄 Rotation in progress; old secret accepted until <t:${Math.floor(repo.secretRotationExpiresAt.getTime() / 1000)}:f>`;
+          }
             
           // Format the URL for display - remove .git suffix for consistency
           const displayUrl = repo.url.endsWith('.git') 
@@ -217,7 +250,7 @@ module.exports = {
 
           embed.addFields({
             name: displayUrl,
-            value: `**Webhook Status**: ${webhookStatus}\n**Tracked Branches by Channel**:\n${branchDisplay}\n**Event Routing**:\n${eventRoutingDisplay}`,
+            value: `**Webhook Status**: ${webhookStatus}\n**Webhook Secret**: ${secretStatus}\n**Tracked Branches by Channel**:\n${branchDisplay}\n${tagDisplay ? `**Tracked Tags by Channel**:\n${tagDisplay}\n` : ''}**Event Routing**:\n${eventRoutingDisplay}`,
             inline: false
           });
         }
@@ -1,10 +1,11 @@
 const { SlashCommandBuilder } = require('discord.js');
 const { describeBranchPattern } = require('../functions/branchMatcher');
+const { describeTagPattern } = require('../functions/tagMatcher');
 
 module.exports = {
   data: new SlashCommandBuilder()
     .setName('unlink')
-    .setDescription('Unlinks a specific branch from a repository for a channel.')
+    .setDescription('Unlinks a specific branch or tag pattern from a repository for a channel.')
     .addStringOption(option =>
       option.setName('url')
         .setDescription('Select a repository from the dropdown list')
@@ -12,8 +13,13 @@ module.exports = {
         .setAutocomplete(true))
     .addStringOption(option =>
       option.setName('branch')
-        .setDescription('Branch pattern to unlink (e.g., main, *, features/*, !main)')
-        .setRequired(true)
+        .setDescription('Branch pattern to unlink (e.g., main, *, features/*, release-*, !main)')
+        .setRequired(false)
+        .setAutocomplete(true))
+    .addStringOption(option =>
+      option.setName('tag')
+        .setDescription('Tag pattern to unlink instead of a branch (* for all tag patterns)')
+        .setRequired(false)
         .setAutocomplete(true))
     .addChannelOption(option =>
       option.setName('channel')
@@ -24,10 +30,16 @@ module.exports = {
 
     const repoUrl = interaction.options.getString('url');
     const branchName = interaction.options.getString('branch');
+    const tagPattern = interaction.options.getString('tag');
     const channel = interaction.options.getChannel('channel');
     const channelId = channel ? channel.id : null;
     const guildId = interaction.guildId;
 
+    if (Boolean(branchName) === Boolean(tagPattern)) {
+      await interaction.editReply('Please provide either a `branch` or a `tag` pattern to unlink.');
+      return;
+    }
+
     try {
       // Create alternative URLs to handle .git suffix differences
       const possibleUrls = [repoUrl];
@@ -70,14 +82,16 @@ module.exports = {
         return;
       }
 
-      // Build the filter for the tracked branch
+      // Build the filter for the tracked branch or tag
       const filter = {
         repositoryId: repository.id,
       };
       
-      // If branch is *, we want to remove all branch configurations
-      // Otherwise, only remove the specific branch
-      if (branchName !== '*') {
+      // If the pattern is *, we want to remove all branch (or tag) configurations
+      // Otherwise, only remove the specific pattern
+      if (tagPattern && tagPattern !== '*') {
+        filter.tagPattern = tagPattern;
+      } else if (branchName && branchName !== '*') {
         filter.branchName = branchName;
       }
       
@@ -86,10 +100,11 @@ module.exports = {
         filter.channelId = channelId;
       }
 
-      // Delete the specified tracked branch(es)
-      const deleteResult = await prisma.trackedBranch.deleteMany({
-        where: filter
-      });
+      // Delete the specified tracked branch(es) or tag(s)
+      const deleteResult = tagPattern
+        ? await prisma.trackedTag.deleteMany({ where: filter })
+        : await prisma.trackedBranch.deleteMany({ where: filter });
+      const pattern = tagPattern || branchName;
 
       if (deleteResult.count === 0) {
         const embed = {
@@ -99,7 +114,9 @@ module.exports = {
           fields: [
             {
               name: '🔍 Searched For',
-              value: branchName === '*' ? 'All branches' : `Branch \`${branchName}\``,
+              value: tagPattern
+                ? (tagPattern === '*' ? 'All tag patterns' : `Tag pattern \`${tagPattern}\``)
+                : (branchName === '*' ? 'All branches' : `Branch \`${branchName}\``),
               inline: true
             },
             {
@@ -121,7 +138,7 @@ module.exports = {
         return;
       }
 
-      const branchDescription = describeBranchPattern(branchName);
+      const patternDescription = tagPattern ? describeTagPattern(tagPattern) : describeBranchPattern(branchName);
       
       const embed = {
         color: 0x28A745, // Success green
@@ -134,8 +151,8 @@ module.exports = {
             inline: true
           },
           {
-            name: '🌿 Branch Pattern',
-            value: `\`${branchName}\` - ${branchDescription}`,
+            name: tagPattern ? '🏷️ Tag Pattern' : '🌿 Branch Pattern',
+            value: `\`${pattern}\` - ${patternDescription}`,
             inline: true
           },
           {
@@ -149,14 +166,14 @@ module.exports = {
             inline: true
           }
         ],
-        footer: { text: 'GitTrack - Branch Unlinked' },
+        footer: { text: tagPattern ? 'GitTrack - Tag Unlinked' : 'GitTrack - Branch Unlinked' },
         timestamp: new Date().toISOString()
       };
 
       if (deleteResult.count > 0) {
         embed.fields.push({
           name: '⚠️ Note',
-          value: 'Webhook notifications for these branches will no longer be sent to the specified channel(s).',
+          value: `Webhook notifications for these ${tagPattern ? 'tags' : 'branches'} will no longer be sent to the specified channel(s).`,
           inline: false
         });
       }
@@ -201,6 +218,26 @@ module.exports = {
         console.info('Repository autocomplete failed: Unable to fetch repositories');
         await interaction.respond([]);
       }
+    } else if (focusedOption.name === 'tag') {
+      try {
+        const repoUrl = interaction.options.getString('url') || '';
+        const possibleUrls = repoUrl.endsWith('.git') ? [repoUrl, repoUrl.slice(0, -4)] : [repoUrl, repoUrl + '.git'];
+        const trackedTags = await prisma.trackedTag.findMany({
+          where: { repository: { url: { in: possibleUrls }, server: { guildId: guildId } } },
+          select: { tagPattern: true }
+        });
+
+        const tagPatterns = [...new Set(trackedTags.map(trackedTag => trackedTag.tagPattern))]
+          .filter(tagPattern => tagPattern.toLowerCase().includes(focusedOption.value.toLowerCase()))
+          .slice(0, 24);
+        await interaction.respond([
+          { name: '* (All tag patterns)', value: '*' },
+          ...tagPatterns.map(tagPattern => ({ name: tagPattern, value: tagPattern }))
+        ]);
+      } catch {
+        console.info('Tag autocomplete failed: Unable to fetch tracked tags');
+        await interaction.respond([]);
+      }
     } else if (focusedOption.name === 'branch') {
       // Get the repository URL from the interaction options
       const repoUrl = interaction.options.getString('url');
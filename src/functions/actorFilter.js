@@ -0,0 +1,118 @@
+/**
+ * Actor filtering
+ * Drops events caused by ignored GitHub accounts (for example dependency bots) before any handler
+ * runs. Logins can be ignored for a whole repository or for one event type, and all "[bot]"
+ * accounts can be ignored with a repository switch. Suppressed events are counted per server.
+ */
+
+const { getEventConfig } = require('./eventRouting');
+
+// GitHub App and bot accounts, e.g. "dependabot[bot]"
+const BOT_LOGIN_PATTERN = /\[bot\]$/i;
+
+/**
+ * Gets the login of the account that caused an event
+ * @param {Object} payload - Webhook payload
+ * @returns {string|null} Login of the sender, or the pusher for providers without a sender
+ */
+function getEventActor(payload) {
+  return (payload.sender && payload.sender.login) || (payload.pusher && payload.pusher.name) || null;
+}
+
+/**
+ * Gets the event type whose configuration applies to a webhook event
+ * Comments and reviews use the configuration of their issue or pull request.
+ * @param {string} event - Webhook event type
+ * @param {Object} payload - Webhook payload
+ * @returns {string} Event type of the configuration
+ */
+function getConfigEventType(event, payload) {
+  if (event === 'issue_comment') {
+    return payload.issue && payload.issue.pull_request ? 'pull_request' : 'issues';
+  }
+  if (event === 'pull_request_review' || event === 'pull_request_review_comment') {
+    return 'pull_request';
+  }
+  return event;
+}
+
+/**
+ * Checks whether a login is listed, ignoring case
+ * @param {string} login - GitHub login
+ * @param {Array<string>} logins - Listed logins
+ * @returns {boolean} True if the login is listed
+ */
+function isLoginListed(login, logins) {
+  return (logins || []).some(listed => listed.toLowerCase() === login.toLowerCase());
+}
+
+/**
+ * Decides why an actor's events are ignored
+ * @param {string|null} login - Login of the actor
+ * @param {Object} settings - { ignoreBots, repositoryLogins, eventLogins }
+ * @returns {string|null} 'bot', 'repository' or 'event', or null if the event is not ignored
+ */
+function getIgnoreReason(login, { ignoreBots, repositoryLogins, eventLogins }) {
+  if (!login) {
+    return null;
+  }
+  if (isLoginListed(login, repositoryLogins)) {
+    return 'repository';
+  }
+  if (isLoginListed(login, eventLogins)) {
+    return 'event';
+  }
+  if (ignoreBots && BOT_LOGIN_PATTERN.test(login)) {
+    return 'bot';
+  }
+  return null;
+}
+
+/**
+ * Finds out whether an event was caused by an ignored account
+ * @param {Object} prisma - Prisma client instance
+ * @param {Object} repoContext - Repository row with its server
+ * @param {string} event - Webhook event type
+ * @param {Object} payload - Webhook payload
+ * @returns {Promise<Object|null>} { login, reason } if the event should be suppressed
+ */
+async function findIgnoredActor(prisma, repoContext, event, payload) {
+  const login = getEventActor(payload);
+  // Ping confirmations are always delivered so webhook setup can be verified
+  if (!login || event === 'ping') {
+    return null;
+  }
+
+  const eventConfig = await getEventConfig(prisma, repoContext.id, getConfigEventType(event, payload));
+  const reason = getIgnoreReason(login, {
+    ignoreBots: repoContext.ignoreBots,
+    repositoryLogins: repoContext.ignoredLogins,
+    eventLogins: eventConfig && eventConfig.ignoredLogins
+  });
+  return reason ? { login, reason } : null;
+}
+
+/**
+ * Counts a suppressed event for the repository's server
+ * @param {Object} prisma - Prisma client instance
+ * @param {Object} repoContext - Repository row with its server
+ */
+async function recordSuppressedEvent(prisma, repoContext) {
+  try {
+    await prisma.server.update({
+      where: { id: repoContext.server.id },
+      data: { eventsSuppressed: { increment: 1 } }
+    });
+  } catch (error) {
+    console.error(`Failed to increment eventsSuppressed for server ${repoContext.server.id}:`, error);
+  }
+}
+
+module.exports = {
+  BOT_LOGIN_PATTERN,
+  getEventActor,
+  getConfigEventType,
+  getIgnoreReason,
+  findIgnoredActor,
+  recordSuppressedEvent
+};
@@ -0,0 +1,188 @@
+/**
+ * Bitbucket Cloud payload normalization
+ * Bitbucket identifies webhooks by X-Event-Key ("repo:push", "pullrequest:created", ...) and
+ * reports a push as a list of ref changes. These helpers map the supported event keys onto the
+ * GitHub events and payload shape the event handlers consume.
+ */
+
+const ZERO_SHA = '0000000000000000000000000000000000000000';
+
+// Pull request event keys mapped to GitHub actions
+const PULL_REQUEST_ACTIONS = {
+  'pullrequest:created': 'opened',
+  'pullrequest:updated': 'edited',
+  'pullrequest:fulfilled': 'closed',
+  'pullrequest:rejected': 'closed'
+};
+
+// Issue states that count as closed
+const CLOSED_ISSUE_STATES = ['resolved', 'closed', 'invalid', 'duplicate', 'wontfix'];
+
+/**
+ * Converts a Bitbucket account to the GitHub user fields used by the handlers
+ * @param {Object} user - Bitbucket account object
+ * @returns {Object|null} { login, avatar_url, html_url }
+ */
+function normalizeUser(user) {
+  if (!user) {
+    return null;
+  }
+  return {
+    login: user.nickname || user.display_name || user.username || 'unknown',
+    avatar_url: user.links?.avatar?.href || null,
+    html_url: user.links?.html?.href || null
+  };
+}
+
+function normalizeRepository(repository) {
+  return {
+    name: repository.name,
+    full_name: repository.full_name,
+    html_url: repository.links?.html?.href
+  };
+}
+
+function normalizePushChange(change, payload) {
+  const ref = change.new || change.old;
+  const sender = normalizeUser(payload.actor);
+  const isTag = ref.type === 'tag';
+
+  // Bitbucket lists commits newest first; GitHub lists them oldest first
+  const commits = (change.commits || []).slice().reverse().map(commit => ({
+    id: commit.hash,
+    message: commit.message,
+    url: commit.links?.html?.href,
+    author: { name: commit.author?.user?.display_name || String(commit.author?.raw || '').replace(/\s*<.*>$/, '') }
+  }));
+  const target = change.new?.target;
+
+  const push = {
+    event: 'push',
+    payload: {
+      ref: `${isTag ? 'refs/tags' : 'refs/heads'}/${ref.name}`,
+      before: change.old?.target?.hash || ZERO_SHA,
+      after: target?.hash || ZERO_SHA,
+      created: Boolean(change.created ?? !change.old),
+      deleted: Boolean(change.closed ?? !change.new),
+      forced: Boolean(change.forced),
+      compare: change.links?.html?.href || change.new?.links?.html?.href,
+      commits,
+      head_commit: commits[commits.length - 1] || (isTag && target ? { id: target.hash, message: target.message || '', url: target.links?.html?.href } : null),
+      pusher: { name: payload.actor?.display_name || sender?.login },
+      sender
+    }
+  };
+
+  if (!isTag) {
+    return push;
+  }
+
+  // Like GitHub, a tag change is a push to refs/tags/ followed by a create or delete event
+  return [push, {
+    event: change.new ? 'create' : 'delete',
+    payload: { action: change.new ? 'created' : 'deleted', ref: ref.name, ref_type: 'tag', sender }
+  }];
+}
+
+function normalizePullRequest(eventKey, payload) {
+  const pr = payload.pullrequest;
+  const merged = eventKey === 'pullrequest:fulfilled';
+
+  return [{
+    event: 'pull_request',
+    payload: {
+      action: PULL_REQUEST_ACTIONS[eventKey],
+      number: pr.id,
+      pull_request: {
+        number: pr.id,
+        title: pr.title,
+        body: pr.description || '',
+        html_url: pr.links?.html?.href,
+        state: pr.state === 'OPEN' ? 'open' : 'closed',
+        labels: [],
+        user: normalizeUser(pr.author),
+        updated_at: pr.updated_on,
+        merged,
+        merged_by: merged ? normalizeUser(pr.closed_by || payload.actor) : null,
+        draft: Boolean(pr.draft),
+        head: { ref: pr.source?.branch?.name },
+        base: { ref: pr.destination?.branch?.name }
+      },
+      sender: normalizeUser(payload.actor)
+    }
+  }];
+}
+
+function getIssueAction(eventKey, payload) {
+  if (eventKey === 'issue:created') {
+    return 'opened';
+  }
+
+  const stateChange = payload.changes?.state;
+  if (stateChange) {
+    const wasClosed = CLOSED_ISSUE_STATES.includes(stateChange.old);
+    const isClosed = CLOSED_ISSUE_STATES.includes(stateChange.new);
+    if (isClosed && !wasClosed) {
+      return 'closed';
+    }
+    if (wasClosed && !isClosed) {
+      return 'reopened';
+    }
+  }
+  return 'edited';
+}
+
+function normalizeIssue(eventKey, payload) {
+  const issue = payload.issue;
+
+  return [{
+    event: 'issues',
+    payload: {
+      action: getIssueAction(eventKey, payload),
+      issue: {
+        number: issue.id,
+        title: issue.title,
+        body: issue.content?.raw || '',
+        html_url: issue.links?.html?.href,
+        state: CLOSED_ISSUE_STATES.includes(issue.state) ? 'closed' : 'open',
+        // Bitbucket issues have a kind instead of labels
+        labels: issue.kind ? [{ name: issue.kind, color: '' }] : [],
+        user: normalizeUser(issue.reporter),
+        updated_at: issue.updated_on
+      },
+      assignee: normalizeUser(issue.assignee),
+      sender: normalizeUser(payload.actor)
+    }
+  }];
+}
+
+/**
+ * Normalizes a Bitbucket Cloud webhook into GitHub events and payloads
+ * A single repo:push can change several branches and tags, so a list is returned.
+ * @param {string} eventKey - Value of the X-Event-Key header
+ * @param {Object} payload - Bitbucket webhook payload
+ * @returns {Array<Object>} [{ event, payload }], empty if the event key is not supported
+ */
+function normalizeBitbucketPayload(eventKey, payload) {
+  if (!payload || !payload.repository) {
+    return [];
+  }
+
+  let events = [];
+  if (eventKey === 'repo:push') {
+    events = (payload.push?.changes || [])
+      .filter(change => change.new || change.old)
+      .flatMap(change => normalizePushChange(change, payload));
+  } else if (PULL_REQUEST_ACTIONS[eventKey] && payload.pullrequest) {
+    events = normalizePullRequest(eventKey, payload);
+  } else if ((eventKey === 'issue:created' || eventKey === 'issue:updated') && payload.issue) {
+    events = normalizeIssue(eventKey, payload);
+  }
+
+  const repository = normalizeRepository(payload.repository);
+  return events.map(({ event, payload: eventPayload }) => ({ event, payload: { ...eventPayload, repository } }));
+}
+
+module.exports = {
+  normalizeBitbucketPayload
+};
@@ -1,9 +1,325 @@
 /**
  * Branch pattern matching utility
- * Supports wildcard patterns like "features/*" to match branches with prefixes
+ * Supports glob patterns: "*" for any characters within a path segment, "**" for any number of
+ * segments, "?" for a single character, character classes like "[0-9]" and brace alternatives
+ * like "{main,develop}". Patterns starting with "re:" are regular expressions instead.
  * Supports negation patterns like "!main" to match all branches except the specified one
+ *
+ * Patterns run on the bot's only thread. Globs are matched by an automaton in linear time, and
+ * regular expressions that can backtrack catastrophically (quantified groups containing quantifiers
+ * or alternatives such as "(a+)+", backreferences, or many unbounded repetitions such as
+ * ".*.*.*.*x") and overly long ones are rejected.
+ *
+ * The tracked branch patterns of a channel form a pattern set: a branch is delivered to the
+ * channel if it matches any include pattern (or there are none) and no exclude ("!") pattern, so
+ * "feature/*" with "!feature/experimental/*" tracks feature branches except experimental ones.
+ *
+ * For compatibility with existing links, "*" on its own matches all branches and a trailing "/*"
+ * matches every branch below the prefix, e.g. "features/*" also matches "features/api/v2".
  */
 
+// Prefix of patterns written as regular expressions
+const REGEX_PREFIX = 're:';
+
+// Characters allowed in branch names outside of glob syntax
+const LITERAL_CHARACTER = /^[a-zA-Z0-9\-_/.]$/;
+
+// Characters allowed inside character classes, including "-" for ranges
+const CLASS_BODY = /^[a-zA-Z0-9\-_.]+$/;
+
+// Longest accepted "re:" expression, without the prefix
+const MAX_REGEX_LENGTH = 100;
+
+// Most unbounded repetitions ("*", "+", "{n,}") in a "re:" expression; each one can multiply the backtracking
+const MAX_REGEX_REPETITIONS = 3;
+
+// Compiled positive patterns; cleared when it reaches MAX_COMPILED_PATTERNS entries
+const compiledPatterns = new Map();
+const MAX_COMPILED_PATTERNS = 1000;
+
+/**
+ * Creates a node of a glob automaton
+ * @param {Function|null} test - Condition on the next character, or null for a node that consumes nothing
+ * @returns {Object} { test, next } where next lists the nodes reached from this one
+ */
+function createNode(test) {
+  return { test, next: [] };
+}
+
+/**
+ * Creates a fragment repeating a character condition zero or more times
+ * @param {Function} test - Condition on each character
+ * @returns {Object} { start, end } nodes of the fragment
+ */
+function createRepetition(test) {
+  const start = createNode(null);
+  const end = createNode(null);
+  const loop = createNode(test);
+  start.next.push(loop, end);
+  loop.next.push(start);
+  return { start, end };
+}
+
+/**
+ * Creates a fragment matching a single character
+ * @param {Function} test - Condition on the character
+ * @returns {Object} { start, end } nodes of the fragment
+ */
+function createCharacter(test) {
+  const start = createNode(test);
+  const end = createNode(null);
+  start.next.push(end);
+  return { start, end };
+}
+
+const isInSegment = char => char !== '/';
+const isAnything = () => true;
+
+/**
+ * Compiles a glob into an automaton that is matched in linear time
+ * Globs are not turned into regular expressions, which backtrack on patterns such as "*a*a*a*b".
+ * @param {string} glob - Glob pattern
+ * @param {Object} [options]
+ * @param {boolean} [options.extended=true] - Whether "[...]" classes and "{a,b}" alternatives are glob syntax
+ * @param {Function} [options.isLiteral] - Whether another character may appear in the glob
+ * @returns {Object|null} - Matcher with a test(value) method matching whole values, or null if the glob is invalid
+ */
+function compileGlob(glob, { extended = true, isLiteral = char => LITERAL_CHARACTER.test(char) } = {}) {
+  let i = 0;
+
+  // Parses up to the end of the glob or, inside braces, the next "," or "}"
+  function parseSequence(inBraces) {
+    const start = createNode(null);
+    let end = start;
+    const append = (fragment) => {
+      end.next.push(fragment.start);
+      end = fragment.end;
+    };
+
+    while (i < glob.length) {
+      const char = glob[i];
+      if (char === '*' && glob[i + 1] === '*') {
+        if (glob[i + 2] === '/') {
+          // "**/" also matches no segment at all, so "feature/**/api" includes "feature/api"
+          const segments = createRepetition(isAnything);
+          const slash = createCharacter(candidate => candidate === '/');
+          segments.end.next.push(slash.start);
+          segments.start.next.push(slash.end);
+          append({ start: segments.start, end: slash.end });
+          i += 3;
+        } else {
+          append(createRepetition(isAnything));
+          i += 2;
+        }
+      } else if (char === '*') {
+        append(createRepetition(isInSegment));
+        i += 1;
+      } else if (char === '?') {
+        append(createCharacter(isInSegment));
+        i += 1;
+      } else if (extended && char === '[') {
+        const close = glob.indexOf(']', i + 1);
+        if (close === -1) {
+          return null;
+        }
+        let body = glob.slice(i + 1, close);
+        const negated = body.startsWith('!') || body.startsWith('^');
+        if (negated) {
+          body = body.slice(1);
+        }
+        if (!CLASS_BODY.test(body)) {
+          return null;
+        }
+        let characterClass;
+        try {
+          // A single character class cannot backtrack
+          characterClass = new RegExp(`^[${body}]$`);
+        } catch {
+          // Ranges such as "[z-a]"
+          return null;
+        }
+        append(createCharacter(negated
+          ? candidate => candidate !== '/' && !characterClass.test(candidate)
+          : candidate => characterClass.test(candidate)));
+        i = close + 1;
+      } else if (extended && char === '{') {
+        i += 1;
+        const alternatives = { start: createNode(null), end: createNode(null) };
+        for (;;) {
+          const alternative = parseSequence(true);
+          if (!alternative) {
+            return null;
+          }
+          alternatives.start.next.push(alternative.start);
+          alternative.end.next.push(alternatives.end);
+          const separator = glob[i];
+          i += 1;
+          if (separator === '}') {
+            break;
+          }
+          if (separator !== ',') {
+            return null; // Unclosed braces
+          }
+        }
+        append(alternatives);
+      } else if (extended && inBraces && (char === ',' || char === '}')) {
+        return { start, end };
+      } else if (extended && char === '}') {
+        return null;
+      } else if (isLiteral(char)) {
+        append(createCharacter(candidate => candidate === char));
+        i += 1;
+      } else {
+        return null;
+      }
+    }
+
+    return { start, end };
+  }
+
+  const fragment = parseSequence(false);
+  if (!fragment) {
+    return null;
+  }
+  const accept = fragment.end;
+
+  return {
+    test(value) {
+      // Follows every node the value can reach at once instead of backtracking
+      const reach = (nodes, node) => {
+        if (!nodes.has(node)) {
+          nodes.add(node);
+          if (!node.test) {
+            node.next.forEach(next => reach(nodes, next));
+          }
+        }
+        return nodes;
+      };
+
+      let current = reach(new Set(), fragment.start);
+      for (const char of String(value)) {
+        const following = new Set();
+        for (const node of current) {
+          if (node.test && node.test(char)) {
+            node.next.forEach(next => reach(following, next));
+          }
+        }
+        if (following.size === 0) {
+          return false;
+        }
+        current = following;
+      }
+      return current.has(accept);
+    }
+  };
+}
+
+/**
+ * Checks whether a glob has no glob syntax
+ * @param {string} glob - Glob pattern
+ * @returns {boolean} - True if the glob only matches itself
+ */
+function isLiteralGlob(glob) {
+  return glob.length > 0 && [...glob].every(char => LITERAL_CHARACTER.test(char));
+}
+
+/**
+ * Checks whether a regular expression could backtrack catastrophically
+ * Rejects backreferences, quantified groups that contain a quantifier or an alternative, such as
+ * "(a+)+", "(a|aa)*" or "(\d{2}){3}", and more than MAX_REGEX_REPETITIONS unbounded repetitions,
+ * such as ".*.*.*.*x". Escapes and character classes are skipped.
+ * @param {string} source - Regular expression source
+ * @returns {boolean} - True if the expression is not safe to run
+ */
+function isUnsafeRegExpSource(source) {
+  // Whether each open group contains a quantifier or an alternative so far
+  const groups = [];
+  let previousGroupIsRisky = false;
+  let repetitions = 0;
+
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+    const followsGroup = previousGroupIsRisky;
+    previousGroupIsRisky = false;
+
+    if (char === '\\') {
+      if (/[1-9k]/.test(source[i + 1] || '')) {
+        return true;
+      }
+      i += 1;
+    } else if (char === '[') {
+      // Skip to the closing bracket, which may itself be escaped inside the class
+      i += 1;
+      while (i < source.length && source[i] !== ']') {
+        i += source[i] === '\\' ? 2 : 1;
+      }
+    } else if (char === '(') {
+      groups.push(false);
+      if (source[i + 1] === '?') {
+        i += 1; // "(?:", "(?=" and named groups, not a quantifier
+      }
+    } else if (char === ')') {
+      previousGroupIsRisky = groups.pop() === true;
+    } else if (char === '*' || char === '+' || char === '?' || char === '{' || char === '|') {
+      // An optional group ("?") runs at most once and cannot multiply the backtracking
+      if (followsGroup && (char === '*' || char === '+' || char === '{')) {
+        return true;
+      }
+      if (groups.length > 0) {
+        groups.fill(true);
+      }
+      const bounds = char === '{' ? source.slice(i).match(/^\{\d*(,\d*)?\}/) : null;
+      if (char === '*' || char === '+' || (bounds && bounds[1] !== undefined)) {
+        repetitions += 1;
+      }
+    }
+  }
+
+  return repetitions > MAX_REGEX_REPETITIONS;
+}
+
+/**
+ * Compiles a positive pattern (without negation) to a matcher
+ * @param {string} pattern - Glob pattern, or regular expression with "re:" prefix
+ * @returns {Object|null} - RegExp or glob matcher whose test() matches whole branch names, or null if the pattern is invalid
+ */
+function compilePositivePattern(pattern) {
+  if (compiledPatterns.has(pattern)) {
+    return compiledPatterns.get(pattern);
+  }
+
+  let expression = null;
+  if (pattern.startsWith(REGEX_PREFIX)) {
+    const source = pattern.slice(REGEX_PREFIX.length);
+    if (source && source.length <= MAX_REGEX_LENGTH && !isUnsafeRegExpSource(source)) {
+      expression = toWholeNameRegExp(source);
+    }
+  } else {
+    // Keep the meaning of "*" and "prefix/*" from before globs were supported
+    expression = compileGlob(pattern === '*' ? '**' : pattern.replace(/\/\*$/, '/**'));
+  }
+
+  if (compiledPatterns.size >= MAX_COMPILED_PATTERNS) {
+    compiledPatterns.clear();
+  }
+  compiledPatterns.set(pattern, expression);
+  return expression;
+}
+
+/**
+ * Compiles a regular expression source that must match a whole branch name
+ * @param {string} source - Regular expression source
+ * @returns {RegExp|null} - Compiled expression, or null if the source is invalid
+ */
+function toWholeNameRegExp(source) {
+  try {
+    return new RegExp(`^(?:${source})$`);
+  } catch {
+    // Invalid regular expressions and character class ranges such as "[z-a]"
+    return null;
+  }
+}
+
 /**
  * Checks if a branch name matches a positive pattern (without negation)
  * @param {string} branchName - The actual branch name from the webhook
@@ -11,23 +327,13 @@
  * @returns {boolean} - True if the branch matches the pattern
  */
 function matchesPositivePattern(branchName, pattern) {
-  // Handle wildcard for all branches
-  if (pattern === '*') {
-    return true;
-  }
-  
   // Handle exact match
   if (pattern === branchName) {
     return true;
   }
-  
-  // Handle prefix patterns (e.g., "features/*")
-  if (pattern.endsWith('/*')) {
-    const prefix = pattern.slice(0, -2); // Remove "/*"
-    return branchName.startsWith(prefix + '/');
-  }
-  
-  return false;
+
+  const expression = compilePositivePattern(pattern);
+  return expression ? expression.test(branchName) : false;
 }
 
 /**
@@ -36,8 +342,10 @@ function matchesPositivePattern(branchName, pattern) {
  * - "*" for all branches
  * - "exact-branch-name" for exact matches
  * - "prefix/*" for prefix matching (e.g., "features/*" matches "features/api", "features/front-end")
+ * - globs such as "release-*", "feature/**\/api", "v[0-9]*" or "{main,develop}"
+ * - "re:expression" for regular expressions matching the whole branch name (e.g., "re:v\d+\.\d+")
  * - "!pattern" for negation (e.g., "!main" matches all branches except "main")
- * 
+ *
  * @param {string} branchName - The actual branch name from the webhook
  * @param {string} pattern - The pattern to match against
  * @returns {boolean} - True if the branch matches the pattern
@@ -49,20 +357,66 @@ function matchesBranchPattern(branchName, pattern) {
     // Match if the branch does NOT match the negated pattern
     return !matchesPositivePattern(branchName, negatedPattern);
   }
-  
+
   return matchesPositivePattern(branchName, pattern);
 }
 
 /**
- * Finds all tracked branch patterns that match a given branch name
- * @param {Array} trackedBranches - Array of tracked branch objects with branchName property
+ * Checks if a branch name matches a set of include and exclude patterns
+ * Exclude patterns take precedence, and a set without include patterns includes every branch.
  * @param {string} branchName - The branch name to match against
- * @returns {Array} - Array of matching tracked branch objects
+ * @param {Array<string>} patterns - Patterns of the set, exclude patterns prefixed with "!"
+ * @returns {boolean} - True if the branch is included and not excluded
  */
-function findMatchingBranches(trackedBranches, branchName) {
-  return trackedBranches.filter(trackedBranch => 
-    matchesBranchPattern(branchName, trackedBranch.branchName)
-  );
+function matchesPatternSet(branchName, patterns) {
+  const includes = patterns.filter(pattern => !pattern.startsWith('!'));
+  const excludes = patterns.filter(pattern => pattern.startsWith('!'));
+  return (includes.length === 0 || includes.some(pattern => matchesPositivePattern(branchName, pattern)))
+    && !excludes.some(pattern => matchesPositivePattern(branchName, pattern.slice(1)));
+}
+
+/**
+ * Groups tracked branches into the pattern sets of their channels
+ * @param {Array} trackedBranches - Array of tracked branch objects with branchName and channelId
+ * @returns {Map} - Channel ID (null for the repository default) -> tracked branch objects
+ */
+function groupPatternSets(trackedBranches) {
+  const sets = new Map();
+  for (const trackedBranch of trackedBranches) {
+    const channelId = trackedBranch.channelId || null;
+    if (!sets.has(channelId)) {
+      sets.set(channelId, []);
+    }
+    sets.get(channelId).push(trackedBranch);
+  }
+  return sets;
+}
+
+/**
+ * Finds the tracked branches whose channel pattern set matches a given branch name
+ * At most one tracked branch is returned per channel: the first accepted include pattern matching the
+ * branch, or the first accepted exclude pattern when the channel has no include patterns.
+ * @param {Array} trackedBranches - Array of tracked branch objects with branchName and channelId
+ * @param {string} branchName - The branch name to match against
+ * @param {Function} [accepts] - Further condition a tracked branch must meet, e.g. its path filters
+ * @returns {Array} - Array of matching tracked branch objects, one per channel
+ */
+function findMatchingBranches(trackedBranches, branchName, accepts = () => true) {
+  const matches = [];
+  for (const patternSet of groupPatternSets(trackedBranches).values()) {
+    if (!matchesPatternSet(branchName, patternSet.map(trackedBranch => trackedBranch.branchName))) {
+      continue;
+    }
+    const includes = patternSet.filter(trackedBranch => !trackedBranch.branchName.startsWith('!'));
+    const candidates = includes.length > 0
+      ? includes.filter(trackedBranch => matchesPositivePattern(branchName, trackedBranch.branchName))
+      : patternSet;
+    const match = candidates.find(accepts);
+    if (match) {
+      matches.push(match);
+    }
+  }
+  return matches;
 }
 
 /**
@@ -75,33 +429,44 @@ function isValidBranchPattern(pattern) {
   if (pattern.startsWith('!')) {
     const innerPattern = pattern.slice(1);
     // Negation of "*" doesn't make sense (would match nothing)
-    if (innerPattern === '*') {
+    if (innerPattern === '*' || innerPattern === '**') {
       return false;
     }
-    // Validate the inner pattern (recursive call without the !)
-    return isValidBranchPattern(innerPattern);
+    // Validate the inner pattern (a double negation is not allowed)
+    return !innerPattern.startsWith('!') && isValidBranchPattern(innerPattern);
   }
-  
-  // Allow "*" for all branches
-  if (pattern === '*') {
-    return true;
+
+  if (pattern.length === 0 || pattern === REGEX_PREFIX) {
+    return false;
   }
-  
-  // Allow exact branch names (no special characters except allowed ones)
-  if (!pattern.includes('*')) {
-    // Allow alphanumeric, hyphens, underscores, slashes, and dots
-    return /^[a-zA-Z0-9\-_/.]+$/.test(pattern);
+
+  return compilePositivePattern(pattern) !== null;
+}
+
+/**
+ * Gets a human-readable description of a positive pattern (without negation)
+ * @param {string} pattern - The pattern to describe
+ * @param {boolean} negated - Whether the description follows "All branches except"
+ * @returns {string} - Human-readable description
+ */
+function describePositivePattern(pattern, negated) {
+  if (pattern.startsWith(REGEX_PREFIX)) {
+    const expression = `/${pattern.slice(REGEX_PREFIX.length)}/`;
+    return negated ? `those matching the regular expression ${expression}` : `Branches matching the regular expression ${expression}`;
   }
-  
-  // Allow prefix patterns ending with "/*"
-  if (pattern.endsWith('/*')) {
-    const prefix = pattern.slice(0, -2);
-    // Prefix should not be empty and should not contain wildcards
-    return prefix.length > 0 && !prefix.includes('*') && /^[a-zA-Z0-9\-_/.]+$/.test(prefix);
+
+  // Prefix patterns (e.g., "features/*" or "features/**")
+  const prefixMatch = pattern.match(/^(.+\/)\*\*?$/);
+  if (prefixMatch && isLiteralGlob(prefixMatch[1])) {
+    return negated ? `those starting with "${prefixMatch[1]}"` : `Branches starting with "${prefixMatch[1]}"`;
   }
-  
-  // No other wildcard patterns are supported
-  return false;
+
+  // Exact branch names have no glob syntax
+  if (isLiteralGlob(pattern)) {
+    return negated ? `"${pattern}"` : `Branch "${pattern}"`;
+  }
+
+  return negated ? `those matching "${pattern}"` : `Branches matching "${pattern}"`;
 }
 
 /**
@@ -112,29 +477,42 @@ function isValidBranchPattern(pattern) {
 function describeBranchPattern(pattern) {
   // Handle negation patterns
   if (pattern.startsWith('!')) {
-    const innerPattern = pattern.slice(1);
-    if (innerPattern.endsWith('/*')) {
-      const prefix = innerPattern.slice(0, -2);
-      return `All branches except those starting with "${prefix}/"`;
-    }
-    return `All branches except "${innerPattern}"`;
+    return `All branches except ${describePositivePattern(pattern.slice(1), true)}`;
   }
-  
-  if (pattern === '*') {
+
+  if (pattern === '*' || pattern === '**') {
     return 'All branches';
   }
-  
-  if (pattern.endsWith('/*')) {
-    const prefix = pattern.slice(0, -2);
-    return `Branches starting with "${prefix}/"`;
+
+  return describePositivePattern(pattern, false);
+}
+
+/**
+ * Gets a human-readable description of a channel's pattern set
+ * @param {Array<string>} patterns - Patterns of the set, exclude patterns prefixed with "!"
+ * @returns {string} - Human-readable description, e.g. 'Branches starting with "feature/" except "feature/wip"'
+ */
+function describePatternSet(patterns) {
+  const includes = patterns.filter(pattern => !pattern.startsWith('!'));
+  const excludes = patterns.filter(pattern => pattern.startsWith('!'));
+  // Later include patterns continue the first description, e.g. 'Branch "main" or "develop"'
+  const included = includes.length > 0
+    ? [describeBranchPattern(includes[0]), ...includes.slice(1).map(pattern => describePositivePattern(pattern, true))].join(' or ')
+    : 'All branches';
+  if (excludes.length === 0) {
+    return included;
   }
-  
-  return `Branch "${pattern}"`;
+
+  const excluded = excludes.map(pattern => describePositivePattern(pattern.slice(1), true)).join(' or ');
+  return `${included} except ${excluded}`;
 }
 
 module.exports = {
+  compileGlob,
   matchesBranchPattern,
+  matchesPatternSet,
   findMatchingBranches,
   isValidBranchPattern,
-  describeBranchPattern
+  describeBranchPattern,
+  describePatternSet
 };
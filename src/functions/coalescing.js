@@ -0,0 +1,359 @@
+/**
+ * Burst coalescing
+ * Channels with a coalescing window hold similar events (same repository, branch or action, and
+ * actor) for a while and post them as one combined notification, e.g. ten pushes in a minute or
+ * a bulk label change. The combined embed is built from the embeds the push, issue and pull
+ * request handlers created for the single events; a group of one event is posted unchanged.
+ */
+
+const { getEventActor } = require('./actorFilter');
+const { DEFAULT_SKIP_MARKERS, filterSkippedCommits } = require('./commitMarkers');
+const { deliverNotification } = require('./notificationPipeline');
+const { isForumChannel } = require('./subjectThreads');
+
+// How often the scheduler checks for windows that have ended
+const COALESCING_CHECK_INTERVAL_MS = 5 * 1000;
+
+// Bounds of a channel's window
+const MIN_WINDOW_SECONDS = 10;
+const MAX_WINDOW_SECONDS = 15 * 60;
+
+// Groups that still cannot be posted after this long are dropped
+const MAX_HOLD_MS = 60 * 60 * 1000;
+
+// Issue and pull request actions bulk tools repeat across many subjects
+const BULK_ACTIONS = ['labeled', 'unlabeled', 'assigned', 'unassigned'];
+
+// Commits or subjects listed in a combined embed
+const MAX_LISTED_LINES = 10;
+
+// Lines of a push embed that list a commit, e.g. "[`abc1234`](url) Fix typo"
+const COMMIT_LINE_PATTERN = /^\[`[0-9a-f]+`\]/;
+
+/**
+ * Gets the group a webhook event is combined in
+ * Only plain pushes to a branch and label or assignment changes of issues and pull requests are
+ * combined; new branches, force pushes and every other event are always posted on their own.
+ * @param {string} event - Event type
+ * @param {Object} payload - Webhook payload
+ * @param {Array<string>} skipMarkers - The repository's skip markers
+ * @returns {Object|null} { key, facts }, or null if the event is not combined
+ */
+function getCoalescingGroup(event, payload, skipMarkers = DEFAULT_SKIP_MARKERS) {
+  const actor = getEventActor(payload);
+  if (!actor) {
+    return null;
+  }
+  const sender = payload.sender || {};
+  const author = { name: actor, icon_url: sender.avatar_url, url: sender.html_url };
+
+  if (event === 'push') {
+    const ref = payload.ref || '';
+    if (!ref.startsWith('refs/heads/') || payload.forced || payload.deleted || (payload.created && !(payload.commits || []).length)) {
+      return null;
+    }
+    const { commits, hiddenCount } = filterSkippedCommits(payload.commits, skipMarkers);
+    if (commits.length === 0) {
+      return null;
+    }
+    const branch = ref.substring('refs/heads/'.length);
+    return {
+      key: `push:${branch}:${actor}`,
+      facts: { author, branch, commits: commits.length, hidden: hiddenCount, before: payload.before, after: payload.after }
+    };
+  }
+
+  if ((event === 'issues' || event === 'pull_request') && BULK_ACTIONS.includes(payload.action)) {
+    const subject = event === 'issues' ? payload.issue : payload.pull_request;
+    const value = payload.action.endsWith('labeled')
+      ? payload.label && payload.label.name
+      : payload.assignee && payload.assignee.login;
+    return {
+      key: `${event}:${payload.action}:${actor}`,
+      facts: { author, action: payload.action, number: subject.number, title: subject.title, url: subject.html_url, value: value || null }
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Removes the targets that hold the event for a combined notification
+ * Live messages, replies in subject threads and notifications with fixed targets are never held.
+ * @param {Object} prisma - Prisma client instance
+ * @param {Object} repoContext - Repository row
+ * @param {string} event - Event type
+ * @param {Object} payload - Webhook payload
+ * @param {Object} notification - Value from createNotification
+ * @returns {Promise<Object>} { notification, windows } with the CoalescingWindow rows of the held targets
+ */
+async function splitCoalescedTargets(prisma, repoContext, event, payload, notification) {
+  const { fixedTargets, live, replyTo } = notification.metadata;
+  if (fixedTargets || live || replyTo || !getCoalescingGroup(event, payload, repoContext.skipMarkers || DEFAULT_SKIP_MARKERS)) {
+    return { notification, windows: [] };
+  }
+
+  const windows = await prisma.coalescingWindow.findMany({
+    where: { repositoryId: repoContext.id, channelId: { in: notification.targets.filter(Boolean) } }
+  });
+  if (windows.length === 0) {
+    return { notification, windows };
+  }
+
+  const heldChannelIds = windows.map(window => window.channelId);
+  return {
+    notification: { ...notification, targets: notification.targets.filter(channelId => !heldChannelIds.includes(channelId)) },
+    windows
+  };
+}
+
+/**
+ * Holds an event in the open group of each channel, opening a new group if there is none
+ * @param {Object} prisma - Prisma client instance
+ * @param {Object} repoContext - Repository row
+ * @param {Array<Object>} windows - CoalescingWindow rows from splitCoalescedTargets
+ * @param {string} event - Event type
+ * @param {Object} payload - Webhook payload
+ * @param {Object} notification - The event's notification
+ * @param {Date} now - Time the event is held
+ * @returns {Promise<void>}
+ */
+async function recordCoalescedEvents(prisma, repoContext, windows, event, payload, notification, now = new Date()) {
+  if (windows.length === 0) {
+    return;
+  }
+  const { key, facts } = getCoalescingGroup(event, payload, repoContext.skipMarkers || DEFAULT_SKIP_MARKERS);
+  const stored = { embeds: notification.embeds, metadata: notification.metadata };
+
+  for (const window of windows) {
+    const openGroup = await prisma.coalescedEvent.findFirst({
+      where: { repositoryId: repoContext.id, channelId: window.channelId, groupKey: key },
+      orderBy: { createdAt: 'asc' }
+    });
+    await prisma.coalescedEvent.create({
+      data: {
+        repositoryId: repoContext.id,
+        channelId: window.channelId,
+        groupKey: key,
+        eventType: event,
+        notification: stored,
+        facts,
+        flushAt: openGroup ? openGroup.flushAt : new Date(now.getTime() + window.windowSeconds * 1000)
+      }
+    });
+  }
+}
+
+/**
+ * Lists lines with a "...and N more" line when there are more than MAX_LISTED_LINES
+ * @param {Array<string>} lines - Lines to list
+ * @param {number} total - Number of items the lines stand for
+ * @param {string} noun - Item name for the remainder line, e.g. "commit(s)"
+ * @returns {string} Description text
+ */
+function listLines(lines, total, noun) {
+  const listed = lines.slice(0, MAX_LISTED_LINES);
+  if (total > listed.length) {
+    listed.push(`...and ${total - listed.length} more ${noun}.`);
+  }
+  return listed.join('\n');
+}
+
+/**
+ * Builds the combined embed of several pushes to a branch by one actor
+ * @param {Array<Object>} events - CoalescedEvent rows, oldest first
+ * @returns {Object} Discord embed
+ */
+function buildCoalescedPushEmbed(events) {
+  const first = events[0].facts;
+  const latestEmbed = events[events.length - 1].notification.embeds[0];
+  const commitCount = events.reduce((sum, { facts }) => sum + facts.commits, 0);
+  const hiddenCount = events.reduce((sum, { facts }) => sum + (facts.hidden || 0), 0);
+  const commitLines = events.flatMap(({ notification }) =>
+    (notification.embeds[0].description || '').split('\n').filter(line => COMMIT_LINE_PATTERN.test(line)));
+
+  let description = listLines(commitLines, commitCount, 'commit(s)');
+  if (hiddenCount > 0) {
+    description += `\n*${hiddenCount} commit(s) hidden by skip markers.*`;
+  }
+
+  // Compare the branch from before the first push to after the last one
+  const latest = events[events.length - 1].facts;
+  const url = latestEmbed.url && first.before && latest.after
+    ? latestEmbed.url.replace(/\/compare\/[^/]+\.\.\.[^/]+$/, `/compare/${first.before}...${latest.after}`)
+    : latestEmbed.url;
+
+  return {
+    ...latestEmbed,
+    author: first.author,
+    title: `🚀 ${events.length} Pushes to ${first.branch} by ${first.author.name}`,
+    url,
+    description: description.slice(0, 4096),
+    fields: [
+      ...(latestEmbed.fields || []).filter(field => field.name !== 'Pusher'),
+      { name: 'Commits', value: String(commitCount), inline: true }
+    ],
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Builds the combined embed of label or assignment changes by one actor
+ * Changes of the same issue or pull request are listed on one line.
+ * @param {Array<Object>} events - CoalescedEvent rows, oldest first
+ * @returns {Object} Discord embed
+ */
+function buildCoalescedSubjectEmbed(events) {
+  const { author, action } = events[0].facts;
+  const latestEmbed = events[events.length - 1].notification.embeds[0];
+  const isIssue = events[0].eventType === 'issues';
+
+  const subjects = new Map();
+  for (const { facts } of events) {
+    const subject = subjects.get(facts.number) || { ...facts, values: [] };
+    if (facts.value && !subject.values.includes(facts.value)) {
+      subject.values.push(facts.value);
+    }
+    subjects.set(facts.number, subject);
+  }
+  const lines = [...subjects.values()].map(subject => {
+    const values = subject.values.map(value => (action.endsWith('labeled') ? `\`${value}\`` : value)).join(', ');
+    return `[#${subject.number}](${subject.url}) ${subject.title}${values ? `: ${values}` : ''}`;
+  });
+
+  const noun = isIssue ? 'Issue' : 'Pull Request';
+  const titleAction = action.charAt(0).toUpperCase() + action.slice(1);
+  const repositoryField = (latestEmbed.fields || []).find(field => field.name === 'Repository');
+
+  return {
+    color: latestEmbed.color,
+    author,
+    title: `🔔 ${subjects.size} ${noun}${subjects.size === 1 ? '' : 's'} ${titleAction} by ${author.name}`,
+    description: listLines(lines, subjects.size, `${noun.toLowerCase()}(s)`).slice(0, 4096),
+    fields: [
+      ...(repositoryField ? [repositoryField] : []),
+      { name: 'Changes', value: String(events.length), inline: true }
+    ],
+    timestamp: new Date().toISOString(),
+    footer: latestEmbed.footer
+  };
+}
+
+/**
+ * Builds the combined embed of a group of events
+ * @param {Array<Object>} events - CoalescedEvent rows of one group, oldest first
+ * @returns {Object} Discord embed
+ */
+function buildCoalescedEmbed(events) {
+  return events[0].eventType === 'push' ? buildCoalescedPushEmbed(events) : buildCoalescedSubjectEmbed(events);
+}
+
+/**
+ * Posts a group of held events to its channel
+ * A group of one event is posted as it would have been without a window. Forum channels only
+ * accept posts per subject, so their events are posted one by one.
+ * @param {Object} prisma - Prisma client instance
+ * @param {Object} botClient - Discord client instance
+ * @param {Object} repoContext - Repository row with its server
+ * @param {Array<Object>} events - CoalescedEvent rows of one group, oldest first
+ * @returns {Promise<void>}
+ */
+async function flushCoalescedGroup(prisma, botClient, repoContext, events) {
+  const { channelId } = events[0];
+  const toNotification = ({ notification }) => ({ type: 'notification', targets: [channelId], embeds: notification.embeds, metadata: notification.metadata });
+
+  const channel = events.length > 1 ? await botClient.channels.fetch(channelId) : null;
+  if (events.length === 1 || isForumChannel(channel)) {
+    for (const event of events) {
+      await deliverNotification(prisma, botClient, repoContext, toNotification(event));
+    }
+    return;
+  }
+
+  await deliverNotification(prisma, botClient, repoContext, {
+    type: 'notification',
+    targets: [channelId],
+    embeds: [buildCoalescedEmbed(events)],
+    metadata: { summary: `Coalesced ${events.length} ${events[0].eventType} events.`, enforceChannelLimit: true }
+  });
+}
+
+/**
+ * Posts every group whose window has ended
+ * A group that fails is tried again at the next check, and dropped once it was held for MAX_HOLD_MS.
+ * @param {Object} prisma - Prisma client instance
+ * @param {Object} botClient - Discord client instance
+ * @param {Date} now - Current time
+ * @returns {Promise<void>}
+ */
+async function processDueCoalescedEvents(prisma, botClient, now = new Date()) {
+  const dueEvents = await prisma.coalescedEvent.findMany({
+    where: { flushAt: { lte: now } },
+    include: { repository: { include: { server: true } } },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  const groups = new Map();
+  for (const event of dueEvents) {
+    const groupId = `${event.repositoryId}:${event.channelId}:${event.groupKey}`;
+    groups.set(groupId, [...(groups.get(groupId) || []), event]);
+  }
+
+  for (const events of groups.values()) {
+    const { repository, channelId, groupKey } = events[0];
+    try {
+      await flushCoalescedGroup(prisma, botClient, repository, events);
+    } catch (error) {
+      console.error(`Failed to post coalesced events ${groupKey} of ${repository.url} to channel ${channelId}:`, error);
+      if (now.getTime() - events[0].createdAt.getTime() < MAX_HOLD_MS) {
+        continue;
+      }
+      console.warn(`Dropping ${events.length} coalesced event(s) ${groupKey} of ${repository.url} held since ${events[0].createdAt.toISOString()}.`);
+    }
+    await prisma.coalescedEvent.deleteMany({ where: { id: { in: events.map(event => event.id) } } });
+  }
+}
+
+/**
+ * Starts the periodic check for ended windows
+ * @param {Object} prisma - Prisma client instance
+ * @param {Object} botClient - Discord client instance
+ * @returns {Object} { stop } to halt the scheduler
+ */
+function startCoalescingScheduler(prisma, botClient) {
+  let stopped = false;
+
+  const tick = async () => {
+    if (stopped) {
+      return;
+    }
+
+    try {
+      await processDueCoalescedEvents(prisma, botClient);
+    } catch (error) {
+      console.error('Coalescing check failed:', error);
+    }
+
+    setTimeout(tick, COALESCING_CHECK_INTERVAL_MS);
+  };
+
+  tick();
+
+  return {
+    stop() {
+      stopped = true;
+    }
+  };
+}
+
+module.exports = {
+  MIN_WINDOW_SECONDS,
+  MAX_WINDOW_SECONDS,
+  getCoalescingGroup,
+  splitCoalescedTargets,
+  recordCoalescedEvents,
+  buildCoalescedEmbed,
+  flushCoalescedGroup,
+  processDueCoalescedEvents,
+  startCoalescingScheduler
+};
@@ -0,0 +1,36 @@
+/**
+ * Commit skip markers
+ * Commits whose message contains a skip marker such as "[skip discord]" are left out of push
+ * notifications, and pushes made only of such commits are not posted at all.
+ */
+
+// Markers every repository starts with; matches the default of Repository.skipMarkers
+const DEFAULT_SKIP_MARKERS = ['[skip discord]', '[skip ci]'];
+
+/**
+ * Checks whether a commit message contains one of the skip markers, ignoring case
+ * @param {string} message - Commit message
+ * @param {Array<string>} markers - Skip markers
+ * @returns {boolean} True if the commit should be hidden
+ */
+function hasSkipMarker(message, markers) {
+  const text = String(message || '').toLowerCase();
+  return (markers || []).some(marker => marker && text.includes(marker.toLowerCase()));
+}
+
+/**
+ * Splits the commits of a push into the ones to show and the ones hidden by skip markers
+ * @param {Array<Object>} commits - Push payload commits
+ * @param {Array<string>} markers - Skip markers
+ * @returns {Object} { commits, hiddenCount } of the commits to show and the number hidden
+ */
+function filterSkippedCommits(commits, markers) {
+  const visible = (commits || []).filter(commit => !hasSkipMarker(commit.message, markers));
+  return { commits: visible, hiddenCount: (commits || []).length - visible.length };
+}
+
+module.exports = {
+  DEFAULT_SKIP_MARKERS,
+  hasSkipMarker,
+  filterSkippedCommits
+};
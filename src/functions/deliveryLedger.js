@@ -0,0 +1,135 @@
+/**
+ * Webhook delivery ledger
+ * Records every X-GitHub-Delivery GUID per repository so retried or manually
+ * redelivered webhooks are acknowledged without posting duplicate notifications.
+ */
+
+// Prisma error code for unique constraint violations
+const UNIQUE_CONSTRAINT_VIOLATION = 'P2002';
+
+/**
+ * Get how long a claimed delivery may stay in flight before a redelivery can take it over
+ * @returns {number} Claim lease in milliseconds
+ */
+function getClaimLeaseMs() {
+  const lease = process.env.DELIVERY_CLAIM_LEASE_MS;
+  if (lease && !isNaN(parseInt(lease))) {
+    return parseInt(lease);
+  }
+  return 60 * 60 * 1000; // Default fallback
+}
+
+/**
+ * Checks whether a previously recorded delivery may be processed again.
+ * Completed deliveries and deliveries still within their claim lease are duplicates;
+ * failed deliveries and claims whose lease expired without an outcome (the process
+ * died while handling them) are allowed through so a redelivery can recover them.
+ * @param {Object} delivery - Existing WebhookDelivery row
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} - True if the delivery should be processed again
+ */
+function isRetryableDelivery(delivery, now = Date.now()) {
+  if (!delivery) {
+    return false;
+  }
+  if (delivery.statusCode === null || delivery.statusCode === undefined) {
+    const claimedAt = new Date(delivery.updatedAt || delivery.createdAt).getTime();
+    return Number.isFinite(claimedAt) && now - claimedAt >= getClaimLeaseMs();
+  }
+  return delivery.statusCode >= 500;
+}
+
+/**
+ * Claims a delivery for processing
+ * @param {Object} prisma - Prisma client instance
+ * @param {string} deliveryId - Value of the X-GitHub-Delivery header
+ * @param {string} repositoryId - Repository the delivery was validated against
+ * @param {string} eventType - Value of the X-GitHub-Event header
+ * @param {string|null} action - Payload action, if any
+ * @param {Object|null} payload - Raw webhook payload, stored for replays
+ * @returns {Promise<Object|null>} The claimed ledger entry, or null if the delivery is a duplicate
+ */
+async function claimDelivery(prisma, deliveryId, repositoryId, eventType, action = null, payload = null) {
+  try {
+    return await prisma.webhookDelivery.create({
+      data: {
+        deliveryId,
+        repositoryId,
+        eventType,
+        action: action || null,
+        payload: payload ?? undefined
+      }
+    });
+  } catch (error) {
+    if (error.code !== UNIQUE_CONSTRAINT_VIOLATION) {
+      throw error;
+    }
+  }
+
+  const existing = await prisma.webhookDelivery.findUnique({
+    where: { deliveryId_repositoryId: { deliveryId, repositoryId } }
+  });
+
+  if (!isRetryableDelivery(existing)) {
+    return null;
+  }
+
+  // Reset the entry atomically so concurrent redeliveries cannot both claim it; matching on
+  // updatedAt keeps a stale claim from being taken twice, and the update renews the lease
+  const claimedAt = new Date();
+  const reclaimed = await prisma.webhookDelivery.updateMany({
+    where: { id: existing.id, statusCode: existing.statusCode, updatedAt: existing.updatedAt },
+    data: { statusCode: null, outcome: null, channelId: null, messageId: null, processingTime: null, updatedAt: claimedAt }
+  });
+
+  return reclaimed.count > 0 ? { ...existing, statusCode: null, updatedAt: claimedAt } : null;
+}
+
+/**
+ * Looks up the ledger entry for a delivery
+ * @param {Object} prisma - Prisma client instance
+ * @param {string} deliveryId - Value of the X-GitHub-Delivery header
+ * @param {string} repositoryId - Repository the delivery belongs to
+ * @returns {Promise<Object|null>} The ledger entry, or null if none was recorded
+ */
+async function findDelivery(prisma, deliveryId, repositoryId) {
+  return prisma.webhookDelivery.findUnique({
+    where: { deliveryId_repositoryId: { deliveryId, repositoryId } }
+  });
+}
+
+/**
+ * Stores the processing outcome of a claimed delivery
+ * @param {Object} prisma - Prisma client instance
+ * @param {Object|null} delivery - Ledger entry returned by claimDelivery
+ * @param {Object} result - Handler result ({ statusCode, message, channelId, messageId })
+ * @param {number} processingTime - Processing time in milliseconds
+ * @returns {Promise<void>}
+ */
+async function recordDeliveryOutcome(prisma, delivery, result, processingTime) {
+  if (!delivery) {
+    return;
+  }
+
+  try {
+    await prisma.webhookDelivery.update({
+      where: { id: delivery.id },
+      data: {
+        statusCode: result.statusCode,
+        outcome: result.message || null,
+        channelId: result.channelId || null,
+        messageId: result.messageId || null,
+        processingTime
+      }
+    });
+  } catch (error) {
+    console.error(`Failed to record outcome for delivery ${delivery.deliveryId}:`, error);
+  }
+}
+
+module.exports = {
+  claimDelivery,
+  findDelivery,
+  recordDeliveryOutcome,
+  isRetryableDelivery
+};
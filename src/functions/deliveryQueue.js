@@ -0,0 +1,256 @@
+/**
+ * Postgres-backed webhook delivery queue
+ * Webhook intake persists verified events here and responds immediately; a worker
+ * drains the queue, retrying failed jobs with exponential backoff and moving jobs
+ * that exhaust their attempts to the dead-letter table.
+ */
+
+/**
+ * Get the maximum number of processing attempts per job
+ * @returns {number} Maximum attempts before a job is dead-lettered
+ */
+function getMaxAttempts() {
+  const maxAttempts = process.env.DELIVERY_MAX_ATTEMPTS;
+  if (maxAttempts && !isNaN(parseInt(maxAttempts))) {
+    return Math.max(1, parseInt(maxAttempts));
+  }
+  return 5; // Default fallback
+}
+
+/**
+ * Get the base delay used for exponential backoff
+ * @returns {number} Base retry delay in milliseconds
+ */
+function getRetryBaseDelayMs() {
+  const baseDelay = process.env.DELIVERY_RETRY_BASE_MS;
+  if (baseDelay && !isNaN(parseInt(baseDelay))) {
+    return parseInt(baseDelay);
+  }
+  return 5000; // Default fallback
+}
+
+/**
+ * Get the interval the worker waits between polls when the queue is empty
+ * @returns {number} Poll interval in milliseconds
+ */
+function getPollIntervalMs() {
+  const interval = process.env.DELIVERY_POLL_INTERVAL_MS;
+  if (interval && !isNaN(parseInt(interval))) {
+    return parseInt(interval);
+  }
+  return 1000; // Default fallback
+}
+
+/**
+ * Computes the delay before the next attempt of a failed job
+ * @param {number} attempts - Number of attempts made so far (1 after the first failure)
+ * @param {number} baseDelayMs - Delay after the first failure
+ * @param {number} maxDelayMs - Upper bound for the delay
+ * @returns {number} Delay in milliseconds
+ */
+function computeBackoffDelay(attempts, baseDelayMs = getRetryBaseDelayMs(), maxDelayMs = 60 * 60 * 1000) {
+  const exponent = Math.max(0, attempts - 1);
+  return Math.min(baseDelayMs * Math.pow(2, exponent), maxDelayMs);
+}
+
+/**
+ * Persists a verified webhook event for asynchronous delivery
+ * @param {Object} prisma - Prisma client instance
+ * @param {Object} job - { repositoryId, deliveryId, eventType, action, payload, context }
+ * @returns {Promise<Object>} The created job
+ */
+async function enqueueDelivery(prisma, { repositoryId, deliveryId = null, eventType, action = null, payload, context = null }) {
+  return prisma.webhookJob.create({
+    data: {
+      repositoryId,
+      deliveryId,
+      eventType,
+      action,
+      payload,
+      context: context ?? undefined
+    }
+  });
+}
+
+/**
+ * Claims the next job that is due for processing
+ * The status check in the update makes the claim safe when several workers poll the same table.
+ * @param {Object} prisma - Prisma client instance
+ * @returns {Promise<Object|null>} The claimed job (with its attempt count incremented) or null
+ */
+async function claimNextJob(prisma) {
+  const now = new Date();
+  const candidate = await prisma.webhookJob.findFirst({
+    where: { status: 'PENDING', runAt: { lte: now } },
+    orderBy: [{ runAt: 'asc' }, { createdAt: 'asc' }]
+  });
+
+  if (!candidate) {
+    return null;
+  }
+
+  const claimed = await prisma.webhookJob.updateMany({
+    where: { id: candidate.id, status: 'PENDING' },
+    data: { status: 'PROCESSING', lockedAt: now, attempts: { increment: 1 } }
+  });
+
+  if (claimed.count === 0) {
+    return null; // Another worker got there first
+  }
+
+  return { ...candidate, status: 'PROCESSING', lockedAt: now, attempts: candidate.attempts + 1 };
+}
+
+/**
+ * Removes a successfully processed job from the queue
+ * @param {Object} prisma - Prisma client instance
+ * @param {Object} job - The processed job
+ * @returns {Promise<void>}
+ */
+async function completeJob(prisma, job) {
+  await prisma.webhookJob.delete({ where: { id: job.id } });
+}
+
+/**
+ * Schedules a retry for a failed job, or moves it to the dead-letter table once it has
+ * exhausted its attempts
+ * @param {Object} prisma - Prisma client instance
+ * @param {Object} job - The failed job
+ * @param {Error} error - The error that caused the failure
+ * @returns {Promise<Object>} { deadLettered: boolean, retryAt?: Date }
+ */
+async function failJob(prisma, job, error) {
+  const lastError = (error && (error.stack || error.message)) || String(error);
+
+  if (job.attempts >= getMaxAttempts()) {
+    await prisma.$transaction([
+      prisma.webhookDeadLetter.create({
+        data: {
+          repositoryId: job.repositoryId,
+          deliveryId: job.deliveryId,
+          eventType: job.eventType,
+          action: job.action,
+          payload: job.payload,
+          context: job.context ?? undefined,
+          attempts: job.attempts,
+          lastError
+        }
+      }),
+      prisma.webhookJob.delete({ where: { id: job.id } })
+    ]);
+    return { deadLettered: true };
+  }
+
+  const retryAt = new Date(Date.now() + computeBackoffDelay(job.attempts));
+  await prisma.webhookJob.update({
+    where: { id: job.id },
+    data: { status: 'PENDING', runAt: retryAt, lockedAt: null, lastError }
+  });
+  return { deadLettered: false, retryAt };
+}
+
+/**
+ * Returns jobs left in PROCESSING by a crashed worker to the queue
+ * @param {Object} prisma - Prisma client instance
+ * @param {number} staleAfterMs - How long a job may stay locked before it is considered abandoned
+ * @returns {Promise<number>} Number of released jobs
+ */
+async function releaseStaleJobs(prisma, staleAfterMs = 5 * 60 * 1000) {
+  const released = await prisma.webhookJob.updateMany({
+    where: { status: 'PROCESSING', lockedAt: { lt: new Date(Date.now() - staleAfterMs) } },
+    data: { status: 'PENDING', lockedAt: null }
+  });
+  return released.count;
+}
+
+/**
+ * Puts a dead-lettered delivery back on the queue with a fresh attempt budget
+ * @param {Object} prisma - Prisma client instance
+ * @param {Object} deadLetter - WebhookDeadLetter row
+ * @returns {Promise<Object>} The new job
+ */
+async function retryDeadLetter(prisma, deadLetter) {
+  const [job] = await prisma.$transaction([
+    prisma.webhookJob.create({
+      data: {
+        repositoryId: deadLetter.repositoryId,
+        deliveryId: deadLetter.deliveryId,
+        eventType: deadLetter.eventType,
+        action: deadLetter.action,
+        payload: deadLetter.payload,
+        context: deadLetter.context ?? undefined
+      }
+    }),
+    prisma.webhookDeadLetter.delete({ where: { id: deadLetter.id } })
+  ]);
+  return job;
+}
+
+/**
+ * Starts a worker that drains the queue one job at a time
+ * @param {Object} prisma - Prisma client instance
+ * @param {Function} processJob - async (job) => void; throwing marks the attempt as failed
+ * @param {Function} onDeadLetter - async (job, error) => void; called when a job is dead-lettered
+ * @returns {Object} { stop } to halt polling after the current job
+ */
+function startDeliveryWorker(prisma, processJob, onDeadLetter = async () => {}) {
+  let stopped = false;
+
+  const poll = async () => {
+    if (stopped) {
+      return;
+    }
+
+    let job = null;
+    try {
+      job = await claimNextJob(prisma);
+      if (job) {
+        try {
+          await processJob(job);
+          await completeJob(prisma, job);
+        } catch (error) {
+          console.error(`Delivery job ${job.id} (${job.eventType}) failed on attempt ${job.attempts}:`, error);
+          const { deadLettered, retryAt } = await failJob(prisma, job, error);
+          if (deadLettered) {
+            console.warn(`Delivery job ${job.id} moved to the dead-letter queue after ${job.attempts} attempts.`);
+            await onDeadLetter(job, error);
+          } else {
+            console.log(`Delivery job ${job.id} will be retried at ${retryAt.toISOString()}.`);
+          }
+        }
+      }
+    } catch (error) {
+      console.error('Delivery worker error:', error);
+    }
+
+    // Drain back-to-back while there is work, otherwise wait for the next poll
+    setTimeout(poll, job ? 0 : getPollIntervalMs());
+  };
+
+  releaseStaleJobs(prisma)
+    .then((count) => {
+      if (count > 0) {
+        console.log(`Released ${count} stale delivery job(s) back to the queue.`);
+      }
+    })
+    .catch((error) => console.error('Failed to release stale delivery jobs:', error))
+    .finally(poll);
+
+  return {
+    stop() {
+      stopped = true;
+    }
+  };
+}
+
+module.exports = {
+  getMaxAttempts,
+  computeBackoffDelay,
+  enqueueDelivery,
+  claimNextJob,
+  completeJob,
+  failJob,
+  releaseStaleJobs,
+  retryDeadLetter,
+  startDeliveryWorker
+};
@@ -0,0 +1,481 @@
+/**
+ * Notification digests
+ * Channels in digest mode collect the events of a repository instead of posting them, and a
+ * scheduler posts one summary embed per channel at the configured local time, daily or weekly.
+ * A schedule can be limited to some event types; other events are still posted as they happen.
+ */
+
+const { getConfigEventType } = require('./actorFilter');
+const { DEFAULT_SKIP_MARKERS, filterSkippedCommits } = require('./commitMarkers');
+
+// How often the scheduler checks for digests that are due
+const DIGEST_CHECK_INTERVAL_MS = 60 * 1000;
+
+const DIGEST_FREQUENCIES = ['daily', 'weekly'];
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Conclusions counted as CI failures
+const FAILED_CONCLUSIONS = ['failure', 'timed_out', 'startup_failure'];
+
+// Events whose completed runs count towards CI failures
+const CI_EVENTS = ['workflow_run', 'workflow_job', 'check_run', 'check_suite'];
+
+// Lines listed per digest section
+const MAX_SECTION_LINES = 5;
+
+/**
+ * Checks whether a timezone name is known to the runtime
+ * @param {string} timezone - IANA timezone, e.g. "Europe/Berlin"
+ * @returns {boolean} True if the timezone can be used
+ */
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return Boolean(timezone);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Parses a local time of day
+ * @param {string} value - Time such as "9:00" or "18:30"
+ * @returns {Object|null} { hour, minute }, or null if the time is invalid
+ */
+function parseTimeOfDay(value) {
+  const match = String(value || '').trim().match(/^([01]?\d|2[0-3]):([0-5]\d)$/);
+  return match ? { hour: Number(match[1]), minute: Number(match[2]) } : null;
+}
+
+/**
+ * Gets the wall-clock date and time of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {Object} { year, month, day, hour, minute, second }
+ */
+function getZonedParts(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date);
+  const values = {};
+  parts.forEach(part => { values[part.type] = Number(part.value); });
+  return { year: values.year, month: values.month, day: values.day, hour: values.hour, minute: values.minute, second: values.second };
+}
+
+/**
+ * Converts a wall-clock time in a timezone to an instant
+ * @param {Object} wallClock - { year, month, day, hour, minute }
+ * @param {string} timezone - IANA timezone
+ * @returns {Date} Instant of the wall-clock time
+ */
+function zonedTimeToDate({ year, month, day, hour, minute }, timezone) {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+  const offsetAt = (time) => {
+    const parts = getZonedParts(new Date(time), timezone);
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - Math.floor(time / 1000) * 1000;
+  };
+  // The offset at the first guess can differ from the offset at the result around DST changes
+  const guess = asUtc - offsetAt(asUtc);
+  return new Date(asUtc - offsetAt(guess));
+}
+
+/**
+ * Computes when a schedule's next digest is due
+ * @param {Object} schedule - { frequency, hour, minute, weekday, timezone }
+ * @param {Date} from - Time after which the digest is due
+ * @returns {Date} Next run time
+ */
+function getNextRunAt({ frequency, hour, minute, weekday, timezone }, from = new Date()) {
+  const today = getZonedParts(from, timezone);
+  // A weekly digest is due within eight local days, counting today
+  for (let offset = 0; offset <= 8; offset += 1) {
+    const day = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+    if (frequency === 'weekly' && day.getUTCDay() !== weekday) {
+      continue;
+    }
+    const runAt = zonedTimeToDate({
+      year: day.getUTCFullYear(),
+      month: day.getUTCMonth() + 1,
+      day: day.getUTCDate(),
+      hour,
+      minute
+    }, timezone);
+    if (runAt > from) {
+      return runAt;
+    }
+  }
+  throw new Error(`No digest run found for schedule ${frequency} ${hour}:${minute} ${timezone}`);
+}
+
+/**
+ * Describes when a schedule's digests are posted
+ * @param {Object} schedule - { frequency, hour, minute, weekday, timezone }
+ * @returns {string} Description such as "Weekly on Monday at 09:00 (Europe/Berlin)"
+ */
+function describeDigestSchedule({ frequency, hour, minute, weekday, timezone }) {
+  const time = `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+  return frequency === 'weekly'
+    ? `Weekly on ${WEEKDAYS[weekday]} at ${time} (${timezone})`
+    : `Daily at ${time} (${timezone})`;
+}
+
+/**
+ * Collects the facts of an event that a digest summarizes
+ * @param {string} event - Webhook event type
+ * @param {Object} payload - Webhook payload
+ * @param {Array<string>} [skipMarkers] - Commit skip markers of the repository
+ * @returns {Object} Facts stored with the digest entry
+ */
+function getDigestFacts(event, payload, skipMarkers = DEFAULT_SKIP_MARKERS) {
+  const facts = { action: payload.action || null };
+
+  if (event === 'push') {
+    if (typeof payload.ref === 'string' && payload.ref.startsWith('refs/tags/')) {
+      facts.tag = payload.ref.substring(10);
+    } else {
+      facts.branch = typeof payload.ref === 'string' ? payload.ref.replace(/^refs\/heads\//, '') : null;
+      facts.commits = filterSkippedCommits(payload.commits, skipMarkers).commits.length;
+    }
+  } else if (event === 'pull_request' || event === 'issues') {
+    const subject = payload.pull_request || payload.issue || {};
+    facts.number = subject.number;
+    facts.title = subject.title;
+    facts.url = subject.html_url;
+    facts.merged = Boolean(subject.merged);
+  } else if (event === 'release' && payload.release) {
+    facts.name = payload.release.name || payload.release.tag_name;
+    facts.url = payload.release.html_url;
+  } else if (CI_EVENTS.includes(event)) {
+    const check = payload[event] || {};
+    facts.name = check.name || (check.app && check.app.name) || null;
+    facts.conclusion = check.conclusion || null;
+  }
+
+  return facts;
+}
+
+/**
+ * Checks whether a schedule collects an event
+ * @param {Object} schedule - Digest schedule row
+ * @param {string} event - Webhook event type
+ * @param {Object} payload - Webhook payload
+ * @returns {boolean} True if the event goes into the digest
+ */
+function collectsEvent(schedule, event, payload) {
+  const eventTypes = schedule.eventTypes || [];
+  return eventTypes.length === 0 || eventTypes.includes(event) || eventTypes.includes(getConfigEventType(event, payload));
+}
+
+/**
+ * Takes the channels in digest mode for an event out of a notification's targets
+ * Notifications with fixed targets, such as webhook pings and updates of existing messages, are
+ * always posted.
+ * @param {Object} prisma - Prisma client instance
+ * @param {string} repositoryId - Repository ID
+ * @param {string} event - Webhook event type
+ * @param {Object} payload - Webhook payload
+ * @param {Object} notification - Value from createNotification
+ * @returns {Promise<Object>} { notification, digestChannelIds } with the remaining targets
+ */
+async function splitDigestTargets(prisma, repositoryId, event, payload, notification) {
+  if (notification.metadata.fixedTargets || event === 'ping') {
+    return { notification, digestChannelIds: [] };
+  }
+
+  const schedules = await prisma.digestSchedule.findMany({
+    where: { repositoryId, channelId: { in: notification.targets.filter(Boolean) } }
+  });
+  const digestChannelIds = [...new Set(schedules
+    .filter(schedule => collectsEvent(schedule, event, payload))
+    .map(schedule => schedule.channelId))];
+  if (digestChannelIds.length === 0) {
+    return { notification, digestChannelIds };
+  }
+
+  return {
+    notification: { ...notification, targets: notification.targets.filter(channelId => !digestChannelIds.includes(channelId)) },
+    digestChannelIds
+  };
+}
+
+/**
+ * Stores an event for the next digest of each channel
+ * @param {Object} prisma - Prisma client instance
+ * @param {Object} repoContext - Repository row
+ * @param {Array<string>} channelIds - Channels in digest mode for the event
+ * @param {string} event - Webhook event type
+ * @param {Object} payload - Webhook payload
+ */
+async function recordDigestEntries(prisma, repoContext, channelIds, event, payload) {
+  if (channelIds.length === 0) {
+    return;
+  }
+  const facts = getDigestFacts(event, payload, repoContext.skipMarkers || DEFAULT_SKIP_MARKERS);
+  await prisma.digestEntry.createMany({
+    data: channelIds.map(channelId => ({ repositoryId: repoContext.id, channelId, eventType: event, facts }))
+  });
+}
+
+/**
+ * Adds up digest entries
+ * @param {Array<Object>} entries - Digest entry rows, oldest first
+ * @returns {Object} { total, commitsByBranch, tags, pullRequests, issues, releases, ciFailures, other }
+ */
+function summarizeDigestEntries(entries) {
+  const summary = {
+    total: entries.length,
+    commitsByBranch: {},
+    tags: [],
+    pullRequests: { opened: [], merged: [], closed: [] },
+    issues: { opened: [], closed: [] },
+    releases: [],
+    ciFailures: {},
+    other: {}
+  };
+
+  for (const { eventType, facts } of entries) {
+    const action = facts.action;
+    if (eventType === 'push' && facts.tag) {
+      summary.tags.push(facts.tag);
+    } else if (eventType === 'push') {
+      const branch = facts.branch || 'unknown';
+      summary.commitsByBranch[branch] = (summary.commitsByBranch[branch] || 0) + (facts.commits || 0);
+    } else if (eventType === 'pull_request' && (action === 'opened' || action === 'closed')) {
+      const bucket = action === 'opened' ? 'opened' : facts.merged ? 'merged' : 'closed';
+      summary.pullRequests[bucket].push(facts);
+    } else if (eventType === 'issues' && (action === 'opened' || action === 'closed')) {
+      summary.issues[action].push(facts);
+    } else if (eventType === 'release' && (action === 'published' || action === 'released' || action === 'created')) {
+      if (!summary.releases.some(release => release.name === facts.name)) {
+        summary.releases.push(facts);
+      }
+    } else if (CI_EVENTS.includes(eventType) && FAILED_CONCLUSIONS.includes(facts.conclusion)) {
+      const name = facts.name || eventType;
+      summary.ciFailures[name] = (summary.ciFailures[name] || 0) + 1;
+    } else if (!CI_EVENTS.includes(eventType)) {
+      summary.other[eventType] = (summary.other[eventType] || 0) + 1;
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Formats linked issues or pull requests for a digest section
+ * @param {Array<Object>} subjects - Facts with number, title and url
+ * @returns {string} One line per subject
+ */
+function formatSubjects(subjects) {
+  const lines = subjects.slice(0, MAX_SECTION_LINES).map(subject => `[#${subject.number}](${subject.url}) ${subject.title}`);
+  if (subjects.length > MAX_SECTION_LINES) {
+    lines.push(`...and ${subjects.length - MAX_SECTION_LINES} more`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Builds the digest embed of a repository and channel
+ * @param {Object} repository - Repository row
+ * @param {Object} schedule - Digest schedule row
+ * @param {Object} summary - Value from summarizeDigestEntries
+ * @param {Date} since - Start of the period
+ * @returns {Object} Discord embed
+ */
+function buildDigestEmbed(repository, schedule, summary, since) {
+  const displayUrl = repository.url.endsWith('.git') ? repository.url.slice(0, -4) : repository.url;
+  const repoName = displayUrl.split('/').slice(-2).join('/');
+  const embed = {
+    color: 0x0366d6, // GitHub blue
+    title: `📰 ${schedule.frequency === 'weekly' ? 'Weekly' : 'Daily'} Digest for ${repoName}`,
+    url: displayUrl,
+    description: `Activity since <t:${Math.floor(since.getTime() / 1000)}:f>`,
+    fields: [],
+    footer: { text: `GitTrack - Digest · ${summary.total} event(s)` },
+    timestamp: new Date().toISOString()
+  };
+
+  if (summary.total === 0) {
+    embed.description += '\nNo activity in this period.';
+    return embed;
+  }
+
+  const branches = Object.entries(summary.commitsByBranch).sort((a, b) => b[1] - a[1]);
+  if (branches.length > 0) {
+    const lines = branches.slice(0, MAX_SECTION_LINES).map(([branch, count]) => `\`${branch}\`: ${count} commit(s)`);
+    if (branches.length > MAX_SECTION_LINES) {
+      lines.push(`...and ${branches.length - MAX_SECTION_LINES} more branch(es)`);
+    }
+    embed.fields.push({ name: '📝 Commits', value: lines.join('\n'), inline: false });
+  }
+
+  const { opened, merged, closed } = summary.pullRequests;
+  if (opened.length + merged.length + closed.length > 0) {
+    const counts = `Opened: **${opened.length}** · Merged: **${merged.length}** · Closed: **${closed.length}**`;
+    const listed = merged.length > 0 ? `\n**Merged**\n${formatSubjects(merged)}` : '';
+    embed.fields.push({ name: '🔀 Pull Requests', value: `${counts}${listed}`.slice(0, 1024), inline: false });
+  }
+
+  if (summary.issues.opened.length + summary.issues.closed.length > 0) {
+    const counts = `Opened: **${summary.issues.opened.length}** · Closed: **${summary.issues.closed.length}**`;
+    const listed = summary.issues.opened.length > 0 ? `\n**Opened**\n${formatSubjects(summary.issues.opened)}` : '';
+    embed.fields.push({ name: '🐛 Issues', value: `${counts}${listed}`.slice(0, 1024), inline: false });
+  }
+
+  if (summary.releases.length > 0 || summary.tags.length > 0) {
+    const lines = [
+      ...summary.releases.map(release => (release.url ? `[${release.name}](${release.url})` : release.name)),
+      ...summary.tags.map(tag => `Tag \`${tag}\``)
+    ];
+    embed.fields.push({ name: '🚀 Releases', value: lines.slice(0, MAX_SECTION_LINES * 2).join('\n').slice(0, 1024), inline: false });
+  }
+
+  const failures = Object.entries(summary.ciFailures).sort((a, b) => b[1] - a[1]);
+  if (failures.length > 0) {
+    const total = failures.reduce((sum, [, count]) => sum + count, 0);
+    const lines = failures.slice(0, MAX_SECTION_LINES).map(([name, count]) => `${name}: ${count}`);
+    embed.fields.push({ name: `❌ CI Failures (${total})`, value: lines.join('\n').slice(0, 1024), inline: false });
+  }
+
+  const other = Object.entries(summary.other).sort((a, b) => b[1] - a[1]);
+  if (other.length > 0) {
+    embed.fields.push({
+      name: '📦 Other Activity',
+      value: other.map(([eventType, count]) => `\`${eventType}\`: ${count}`).join(', ').slice(0, 1024),
+      inline: false
+    });
+  }
+
+  return embed;
+}
+
+/**
+ * Composes the digest of a schedule from its stored events
+ * @param {Object} prisma - Prisma client instance
+ * @param {Object} schedule - Digest schedule row with its repository
+ * @returns {Promise<Object>} { embed, entryIds } of the digest and the entries it covers
+ */
+async function composeDigest(prisma, schedule) {
+  const entries = await prisma.digestEntry.findMany({
+    where: { repositoryId: schedule.repositoryId, channelId: schedule.channelId },
+    orderBy: { createdAt: 'asc' }
+  });
+  const since = schedule.lastSentAt || schedule.createdAt;
+  return {
+    embed: buildDigestEmbed(schedule.repository, schedule, summarizeDigestEntries(entries), new Date(since)),
+    entryIds: entries.map(entry => entry.id)
+  };
+}
+
+/**
+ * Posts a schedule's digest to its channel and starts the next period
+ * Quiet periods are not posted unless the digest is sent on request. The collected events are kept
+ * if the digest cannot be posted.
+ * @param {Object} prisma - Prisma client instance
+ * @param {Object} botClient - Discord client instance
+ * @param {Object} schedule - Digest schedule row with its repository
+ * @param {Object} [options] - { now, force } where force posts even without activity
+ * @returns {Promise<Object>} { sent, eventCount }
+ */
+async function sendDigest(prisma, botClient, schedule, { now = new Date(), force = false } = {}) {
+  const { embed, entryIds } = await composeDigest(prisma, schedule);
+
+  const sent = entryIds.length > 0 || force;
+  if (sent) {
+    const channel = await botClient.channels.fetch(schedule.channelId);
+    if (!channel || !channel.isTextBased()) {
+      throw new Error(`Channel ${schedule.channelId} does not accept messages`);
+    }
+    await channel.send({ embeds: [embed] });
+  }
+
+  await prisma.digestEntry.deleteMany({ where: { id: { in: entryIds } } });
+  await prisma.digestSchedule.update({
+    where: { id: schedule.id },
+    data: { lastSentAt: now, nextRunAt: getNextRunAt(schedule, now) }
+  });
+  return { sent, eventCount: entryIds.length };
+}
+
+/**
+ * Posts the digests that are due
+ * @param {Object} prisma - Prisma client instance
+ * @param {Object} botClient - Discord client instance
+ * @param {Date} now - Current time
+ */
+async function processDueDigests(prisma, botClient, now = new Date()) {
+  const dueSchedules = await prisma.digestSchedule.findMany({
+    where: { nextRunAt: { lte: now } },
+    include: { repository: true }
+  });
+
+  for (const schedule of dueSchedules) {
+    try {
+      await sendDigest(prisma, botClient, schedule, { now });
+    } catch (error) {
+      console.error(`Failed to send digest for ${schedule.repository.url} to channel ${schedule.channelId}:`, error);
+      // Try again at the next scheduled time instead of every minute; the events are kept
+      await prisma.digestSchedule.update({
+        where: { id: schedule.id },
+        data: { nextRunAt: getNextRunAt(schedule, now) }
+      });
+    }
+  }
+}
+
+/**
+ * Starts the periodic digest check
+ * @param {Object} prisma - Prisma client instance
+ * @param {Object} botClient - Discord client instance
+ * @returns {Object} { stop } to halt the scheduler
+ */
+function startDigestScheduler(prisma, botClient) {
+  let stopped = false;
+
+  const tick = async () => {
+    if (stopped) {
+      return;
+    }
+
+    try {
+      await processDueDigests(prisma, botClient);
+    } catch (error) {
+      console.error('Digest check failed:', error);
+    }
+
+    setTimeout(tick, DIGEST_CHECK_INTERVAL_MS);
+  };
+
+  tick();
+
+  return {
+    stop() {
+      stopped = true;
+    }
+  };
+}
+
+module.exports = {
+  DIGEST_FREQUENCIES,
+  WEEKDAYS,
+  isValidTimezone,
+  parseTimeOfDay,
+  getNextRunAt,
+  describeDigestSchedule,
+  getDigestFacts,
+  splitDigestTargets,
+  recordDigestEntries,
+  summarizeDigestEntries,
+  buildDigestEmbed,
+  composeDigest,
+  sendDigest,
+  processDueDigests,
+  startDigestScheduler
+};
@@ -1,16 +1,18 @@
-// Resolve channel and config for non-branch events with per-event override
+// Resolve channels and config for non-branch events with per-event override
+// An event can be routed to several channels; its action filters are shared by all of them
 async function getEventRouting(prisma, repositoryId, eventType, fallbackChannelId) {
     try {
-        let mapping = await prisma.repositoryEventChannel.findFirst({
-            where: { repositoryId, eventType }
+        let mappings = await prisma.repositoryEventChannel.findMany({
+            where: { repositoryId, eventType },
+            orderBy: { createdAt: 'asc' }
         });
 
         const defaultActions = getDefaultActionsForEvent(eventType);
 
         // Auto-create a default mapping/config if missing to avoid silent skips
-        if (!mapping) {
+        if (mappings.length === 0) {
             const defaultConfig = { actionsEnabled: defaultActions, explicitChannel: false };
-            mapping = await prisma.repositoryEventChannel.create({
+            const mapping = await prisma.repositoryEventChannel.create({
                 data: {
                     repositoryId,
                     eventType,
@@ -18,10 +20,12 @@ async function getEventRouting(prisma, repositoryId, eventType, fallbackChannelI
                     config: defaultConfig
                 }
             });
+            mappings = [mapping];
         }
 
         // Merge default actions with existing config to ensure new actions have defaults
         // User-configured values take precedence over defaults
+        const mapping = mappings[0];
         const existingActions = (mapping.config && mapping.config.actionsEnabled) || {};
         const mergedActions = { ...defaultActions, ...existingActions };
         const mergedConfig = {
@@ -29,20 +33,142 @@ async function getEventRouting(prisma, repositoryId, eventType, fallbackChannelI
             actionsEnabled: mergedActions
         };
 
-        // Resolve effective channel:
-        // - If channelId is the 'default' sentinel, use fallback
-        // - If channelId matches fallback and not explicitly set, treat as default
-        // - Otherwise use the stored channelId
-        const explicit = mapping.config && mapping.config.explicitChannel === true;
-        const effectiveChannelId = (mapping.channelId === 'default' || (!explicit && mapping.channelId === fallbackChannelId))
-            ? (fallbackChannelId || 'pending')
-            : (mapping.channelId || fallbackChannelId || 'pending');
-
-        return { channelId: effectiveChannelId, config: mergedConfig };
+        const channelIds = [...new Set(mappings.map(m => resolveMappingChannel(m, fallbackChannelId)))];
+        return { channelId: channelIds[0], channelIds, config: mergedConfig };
     } catch (e) {
         console.error('getEventRouting error:', e);
-        return { channelId: fallbackChannelId || 'pending', config: null };
+        const channelId = fallbackChannelId || 'pending';
+        return { channelId, channelIds: [channelId], config: null };
+    }
+}
+
+// Resolve the effective channel of a mapping:
+// - If channelId is the 'default' sentinel, use fallback
+// - If channelId matches fallback and not explicitly set, treat as default
+// - Otherwise use the stored channelId
+function resolveMappingChannel(mapping, fallbackChannelId) {
+    const explicit = mapping.config && mapping.config.explicitChannel === true;
+    return (mapping.channelId === 'default' || (!explicit && mapping.channelId === fallbackChannelId))
+        ? (fallbackChannelId || 'pending')
+        : (mapping.channelId || fallbackChannelId || 'pending');
+}
+
+// Add a channel to the destinations of an event, keeping the event's action filters
+// Returns false if the event was already routed to the channel
+async function addEventDestination(prisma, repositoryId, eventType, channelId) {
+    const mappings = await prisma.repositoryEventChannel.findMany({
+        where: { repositoryId, eventType },
+        orderBy: { createdAt: 'asc' }
+    });
+
+    if (mappings.some(m => m.channelId === channelId)) {
+        const existing = mappings.find(m => m.channelId === channelId);
+        await prisma.repositoryEventChannel.update({
+            where: { id: existing.id },
+            data: { config: { ...(existing.config || {}), explicitChannel: true } }
+        });
+        return false;
+    }
+
+    // The first explicit destination replaces the default channel
+    const fallback = mappings.find(m => m.channelId === 'default');
+    const config = { ...((mappings[0] && mappings[0].config) || {}), explicitChannel: true };
+    if (fallback) {
+        await prisma.repositoryEventChannel.update({
+            where: { id: fallback.id },
+            data: { channelId, config }
+        });
+    } else {
+        await prisma.repositoryEventChannel.create({
+            data: { repositoryId, eventType, channelId, config }
+        });
+    }
+    return true;
+}
+
+// Remove one destination of an event, or all of them when channelId is omitted
+// Removing the last destination reverts the event to the repository default channel
+// Returns the channel IDs that were removed
+async function removeEventDestination(prisma, repositoryId, eventType, channelId) {
+    const mappings = await prisma.repositoryEventChannel.findMany({
+        where: { repositoryId, eventType },
+        orderBy: { createdAt: 'asc' }
+    });
+    const removed = mappings.filter(m => m.channelId !== 'default' && (!channelId || m.channelId === channelId));
+    const removedChannelIds = removed.map(m => m.channelId);
+    if (removed.length === 0) {
+        return removedChannelIds;
+    }
+
+    // Keep one row with the sentinel so the event's action filters survive
+    const [kept, ...deleted] = removed.length === mappings.length ? removed : [null, ...removed];
+    if (deleted.length > 0) {
+        await prisma.repositoryEventChannel.deleteMany({
+            where: { id: { in: deleted.map(m => m.id) } }
+        });
+    }
+    if (kept) {
+        await prisma.repositoryEventChannel.update({
+            where: { id: kept.id },
+            data: { channelId: 'default', config: { ...(kept.config || {}), explicitChannel: false } }
+        });
+    }
+    return removedChannelIds;
+}
+
+// Read the config of an event without creating a mapping, or null if the event has none
+async function getEventConfig(prisma, repositoryId, eventType) {
+    const mapping = await prisma.repositoryEventChannel.findFirst({
+        where: { repositoryId, eventType },
+        orderBy: { createdAt: 'asc' }
+    });
+    return mapping ? mapping.config : null;
+}
+
+// Apply config changes to every channel of an event, creating the default mapping if the event has none
+async function updateEventConfig(prisma, repositoryId, eventType, changes) {
+    const mappings = await prisma.repositoryEventChannel.findMany({
+        where: { repositoryId, eventType }
+    });
+
+    if (mappings.length === 0) {
+        await prisma.repositoryEventChannel.create({
+            data: {
+                repositoryId,
+                eventType,
+                channelId: 'default',
+                config: { actionsEnabled: getDefaultActionsForEvent(eventType), explicitChannel: false, ...changes }
+            }
+        });
+        return;
+    }
+
+    await prisma.$transaction(mappings.map(m => prisma.repositoryEventChannel.update({
+        where: { id: m.id },
+        data: { config: { ...(m.config || {}), ...changes } }
+    })));
+}
+
+// Turn a comma-separated string or an array of label names into a list of distinct, trimmed names
+function parseLabelList(value) {
+    const names = Array.isArray(value) ? value : String(value || '').split(',');
+    const trimmed = names.map(name => String(name).trim()).filter(Boolean);
+    return trimmed.filter((name, i) => trimmed.findIndex(other => other.toLowerCase() === name.toLowerCase()) === i);
+}
+
+// Check the labels of an issue or pull request against the label filters of an event config
+// Labels are compared ignoring case; an excluded label wins over an included one, and an
+// empty include list accepts subjects with any labels (or none)
+function matchesLabelFilters(config, labels) {
+    const filters = (config && config.labelFilters) || {};
+    const names = (labels || []).map(label => (typeof label === 'string' ? label : label.name).toLowerCase());
+    const include = parseLabelList(filters.include).map(name => name.toLowerCase());
+    const exclude = parseLabelList(filters.exclude).map(name => name.toLowerCase());
+
+    if (names.some(name => exclude.includes(name))) {
+        return false;
     }
+    return include.length === 0 || names.some(name => include.includes(name));
 }
 
 function getDefaultActionsForEvent(eventType) {
@@ -51,7 +177,7 @@ function getDefaultActionsForEvent(eventType) {
         case 'issues':
             return { opened: true, closed: true, reopened: true, edited: true, labeled: true, assigned: true, comments: false };
         case 'pull_request':
-            return { opened: true, closed: true, reopened: true, comments: false };
+            return { opened: true, closed: true, reopened: true, synchronize: false, labeled: false, review_requested: false, assigned: false, comments: false };
         case 'release':
             return { published: true };
         case 'star':
@@ -67,7 +193,7 @@ function getDefaultActionsForEvent(eventType) {
         case 'ping':
             return { ping: true };
         case 'workflow_run':
-            return { completed: true, requested: false };
+            return { completed: true, requested: false, in_progress: false };
         case 'workflow_job':
             return { queued: false, in_progress: false, completed: true, waiting: false };
         case 'check_run':
@@ -81,5 +207,12 @@ function getDefaultActionsForEvent(eventType) {
 
 module.exports = {
     getEventRouting,
+    resolveMappingChannel,
+    addEventDestination,
+    removeEventDestination,
+    getEventConfig,
+    updateEventConfig,
+    parseLabelList,
+    matchesLabelFilters,
     getDefaultActionsForEvent
 };
@@ -0,0 +1,175 @@
+/**
+ * Gitea / Forgejo payload normalization
+ * Gitea webhooks are GitHub-like but differ in field names and action values. These helpers
+ * convert the supported events into the GitHub payload shape the event handlers consume.
+ */
+
+const ZERO_SHA = /^0+$/;
+
+// Gitea action names that differ from GitHub's
+const ACTION_ALIASES = {
+  label_updated: 'labeled',
+  label_cleared: 'unlabeled',
+  synchronized: 'synchronize'
+};
+
+const RELEASE_ACTIONS = {
+  updated: 'edited'
+};
+
+function getOrigin(payload) {
+  try {
+    return new URL(payload.repository.html_url).origin;
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Converts a Gitea user to the GitHub user fields used by the handlers
+ * @param {Object} user - Gitea user object
+ * @param {string} origin - Base URL of the Gitea instance
+ * @returns {Object|null} { login, avatar_url, html_url }
+ */
+function normalizeUser(user, origin) {
+  if (!user) {
+    return null;
+  }
+  const login = user.login || user.username || user.name || 'unknown';
+  return {
+    login,
+    avatar_url: user.avatar_url || null,
+    html_url: user.html_url || `${origin}/${login}`
+  };
+}
+
+function normalizeLabels(labels) {
+  return (labels || []).map(label => ({ name: label.name, color: label.color }));
+}
+
+function normalizeRepository(repository) {
+  return {
+    ...repository,
+    html_url: repository.html_url,
+    full_name: repository.full_name || `${repository.owner?.login || repository.owner?.username}/${repository.name}`
+  };
+}
+
+function normalizePush(payload, origin) {
+  const pusher = payload.pusher || {};
+  const commits = (payload.commits || []).map(commit => ({
+    id: commit.id,
+    message: commit.message,
+    url: commit.url,
+    author: commit.author
+  }));
+
+  return {
+    ref: payload.ref,
+    before: payload.before,
+    after: payload.after,
+    created: ZERO_SHA.test(payload.before || ''),
+    deleted: ZERO_SHA.test(payload.after || ''),
+    forced: false, // Gitea does not report force pushes
+    compare: payload.compare_url,
+    commits,
+    head_commit: payload.head_commit || commits[commits.length - 1] || null,
+    pusher: { name: pusher.full_name || pusher.login || pusher.username, email: pusher.email },
+    sender: normalizeUser(payload.sender || pusher, origin)
+  };
+}
+
+function normalizeIssue(issue, origin) {
+  return {
+    number: issue.number,
+    title: issue.title,
+    body: issue.body || '',
+    html_url: issue.html_url,
+    state: issue.state,
+    labels: normalizeLabels(issue.labels),
+    user: normalizeUser(issue.user, origin),
+    updated_at: issue.updated_at
+  };
+}
+
+function normalizeIssues(payload, origin) {
+  return {
+    action: ACTION_ALIASES[payload.action] || payload.action,
+    issue: normalizeIssue(payload.issue, origin),
+    label: payload.label,
+    assignee: normalizeUser(payload.issue.assignee, origin),
+    sender: normalizeUser(payload.sender, origin)
+  };
+}
+
+function normalizePullRequest(payload, origin) {
+  const pr = payload.pull_request;
+  const merged = Boolean(pr.merged);
+
+  return {
+    action: ACTION_ALIASES[payload.action] || payload.action,
+    number: payload.number || pr.number,
+    pull_request: {
+      ...normalizeIssue(pr, origin),
+      merged,
+      // Gitea does not include the merger; the sender of the closing event performed the merge
+      merged_by: merged ? normalizeUser(pr.merged_by || payload.sender, origin) : null,
+      draft: Boolean(pr.draft),
+      head: { ref: pr.head?.ref },
+      base: { ref: pr.base?.ref }
+    },
+    assignee: normalizeUser(pr.assignee, origin),
+    sender: normalizeUser(payload.sender, origin)
+  };
+}
+
+function normalizeRelease(payload, origin) {
+  const release = payload.release;
+
+  return {
+    action: RELEASE_ACTIONS[payload.action] || payload.action,
+    release: {
+      tag_name: release.tag_name,
+      name: release.name,
+      body: release.body || release.note || '',
+      html_url: release.html_url,
+      draft: Boolean(release.draft),
+      prerelease: Boolean(release.prerelease),
+      published_at: release.published_at || release.created_at,
+      author: normalizeUser(release.author || release.publisher, origin)
+    },
+    sender: normalizeUser(payload.sender, origin)
+  };
+}
+
+// Event types that can be normalized, keyed by X-Gitea-Event value
+const NORMALIZERS = {
+  push: normalizePush,
+  issues: normalizeIssues,
+  pull_request: normalizePullRequest,
+  release: normalizeRelease
+};
+
+/**
+ * Normalizes a Gitea webhook payload into the GitHub shape
+ * @param {string} event - Value of the X-Gitea-Event header
+ * @param {Object} payload - Gitea webhook payload
+ * @returns {Object|null} GitHub-shaped payload, or null if the event is not supported
+ */
+function normalizeGiteaPayload(event, payload) {
+  const normalizer = NORMALIZERS[event];
+  if (!normalizer || !payload || !payload.repository) {
+    return null;
+  }
+
+  const origin = getOrigin(payload);
+  return {
+    ...normalizer(payload, origin),
+    repository: normalizeRepository(payload.repository)
+  };
+}
+
+module.exports = {
+  normalizeGiteaPayload,
+  normalizeUser
+};
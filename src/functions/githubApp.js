@@ -0,0 +1,259 @@
+/**
+ * GitHub App installation mode
+ * A single app-level webhook receives events for every repository the app is installed on.
+ * Installations are tracked from installation/installation_repositories events and bound to a
+ * guild through the app's setup URL; /link-installation then maps their repositories to channels.
+ * The installation ID in the setup redirect can be forged, so the installing user's OAuth code is
+ * exchanged for a token and the installation must be one that user can access.
+ */
+
+const crypto = require('crypto');
+
+// How long an install link from /link-installation stays valid
+const INSTALL_STATE_TTL_MS = 60 * 60 * 1000;
+
+// Page size of GET /user/installations
+const INSTALLATIONS_PER_PAGE = 100;
+
+/**
+ * Get the app-level webhook secret
+ * @returns {string|null} GITHUB_APP_WEBHOOK_SECRET, or null when app mode is disabled
+ */
+function getAppWebhookSecret() {
+  return process.env.GITHUB_APP_WEBHOOK_SECRET || null;
+}
+
+/**
+ * Checks whether GitHub App mode is configured
+ * @returns {boolean} True if the app secret, slug and OAuth client credentials are set
+ */
+function isAppModeEnabled() {
+  return Boolean(getAppWebhookSecret() && process.env.GITHUB_APP_SLUG &&
+    process.env.GITHUB_APP_CLIENT_ID && process.env.GITHUB_APP_CLIENT_SECRET);
+}
+
+function signState(payload) {
+  return crypto.createHmac('sha256', getAppWebhookSecret()).update(payload).digest('base64url');
+}
+
+/**
+ * Creates the signed state passed through the app installation flow
+ * @param {string} guildId - Discord guild that started the installation
+ * @param {number} now - Current time in milliseconds
+ * @returns {string} Opaque state value
+ */
+function createInstallState(guildId, now = Date.now()) {
+  const payload = `${guildId}.${now + INSTALL_STATE_TTL_MS}`;
+  return `${payload}.${signState(payload)}`;
+}
+
+/**
+ * Verifies an installation state value
+ * @param {string} state - Value of the state query parameter
+ * @param {number} now - Current time in milliseconds
+ * @returns {string|null} The guild ID, or null if the state is forged or expired
+ */
+function verifyInstallState(state, now = Date.now()) {
+  const parts = String(state || '').split('.');
+  if (parts.length !== 3) {
+    return null;
+  }
+
+  const [guildId, expiresAt, signature] = parts;
+  const expected = Buffer.from(signState(`${guildId}.${expiresAt}`));
+  const provided = Buffer.from(signature);
+
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return null;
+  }
+
+  return Number(expiresAt) > now ? guildId : null;
+}
+
+/**
+ * Builds the link that installs the app and returns to the setup URL with the given state
+ * @param {string} state - Value from createInstallState
+ * @returns {string} Installation URL
+ */
+function getInstallUrl(state) {
+  return `https://github.com/apps/${process.env.GITHUB_APP_SLUG}/installations/new?state=${encodeURIComponent(state)}`;
+}
+
+/**
+ * Maps a repository from an installation payload to InstallationRepository data
+ * Installation payloads only carry id, name, full_name and private.
+ * @param {Object} repository - Repository entry from the payload
+ * @returns {Object} { githubRepoId, fullName, htmlUrl, private }
+ */
+function toInstallationRepository(repository) {
+  return {
+    githubRepoId: String(repository.id),
+    fullName: repository.full_name,
+    htmlUrl: repository.html_url || `https://github.com/${repository.full_name}`,
+    private: Boolean(repository.private)
+  };
+}
+
+async function addInstallationRepositories(prisma, installation, repositories) {
+  for (const repository of repositories) {
+    const data = toInstallationRepository(repository);
+    await prisma.installationRepository.upsert({
+      where: { githubInstallationId_githubRepoId: { githubInstallationId: installation.id, githubRepoId: data.githubRepoId } },
+      update: { fullName: data.fullName, htmlUrl: data.htmlUrl, private: data.private },
+      create: { ...data, githubInstallationId: installation.id }
+    });
+  }
+}
+
+/**
+ * Applies an installation or installation_repositories event
+ * @param {Object} prisma - Prisma client instance
+ * @param {string} event - X-GitHub-Event header
+ * @param {Object} payload - Webhook payload
+ * @returns {Promise<string>} Summary for the HTTP response
+ */
+async function syncInstallationEvent(prisma, event, payload) {
+  const installationId = String(payload.installation.id);
+  const account = payload.installation.account || {};
+
+  if (event === 'installation' && payload.action === 'deleted') {
+    const installation = await prisma.gitHubInstallation.findUnique({ where: { installationId } });
+    if (installation) {
+      await prisma.installationRepository.deleteMany({ where: { githubInstallationId: installation.id } });
+      await prisma.gitHubInstallation.delete({ where: { id: installation.id } });
+    }
+    // Linked repositories stay configured but no longer receive app events
+    await prisma.repository.updateMany({ where: { installationId }, data: { installationId: null } });
+    return `Installation ${installationId} removed.`;
+  }
+
+  const installation = await prisma.gitHubInstallation.upsert({
+    where: { installationId },
+    update: {
+      accountLogin: account.login || null,
+      accountType: account.type || null,
+      suspended: payload.action === 'suspend' ? true : (payload.action === 'unsuspend' ? false : undefined)
+    },
+    create: {
+      installationId,
+      accountLogin: account.login || null,
+      accountType: account.type || null,
+      suspended: payload.action === 'suspend'
+    }
+  });
+
+  if (event === 'installation') {
+    await addInstallationRepositories(prisma, installation, payload.repositories || []);
+    return `Installation ${installationId} ${payload.action}.`;
+  }
+
+  await addInstallationRepositories(prisma, installation, payload.repositories_added || []);
+
+  const removedIds = (payload.repositories_removed || []).map(repository => String(repository.id));
+  if (removedIds.length > 0) {
+    await prisma.installationRepository.deleteMany({
+      where: { githubInstallationId: installation.id, githubRepoId: { in: removedIds } }
+    });
+  }
+
+  return `Installation ${installationId} repositories updated.`;
+}
+
+/**
+ * Exchanges the OAuth code of the setup redirect for a user access token
+ * @param {string} code - Value of the code query parameter
+ * @returns {Promise<string|null>} The token, or null if the code was rejected
+ */
+async function exchangeOAuthCode(code) {
+  try {
+    const response = await fetch('https://github.com/login/oauth/access_token', {
+      method: 'POST',
+      headers: { Accept: 'application/json', 'Content-Type': 'application/json', 'User-Agent': 'GitTrack-Bot' },
+      body: JSON.stringify({
+        client_id: process.env.GITHUB_APP_CLIENT_ID,
+        client_secret: process.env.GITHUB_APP_CLIENT_SECRET,
+        code
+      })
+    });
+    const data = response.ok ? await response.json() : null;
+    return (data && data.access_token) || null;
+  } catch (error) {
+    console.error('GitHub OAuth code exchange failed:', error);
+    return null;
+  }
+}
+
+/**
+ * Checks whether the user who completed the installation flow can access an installation
+ * @param {string} code - OAuth code from the setup redirect
+ * @param {string} installationId - GitHub installation ID from the setup redirect
+ * @returns {Promise<boolean>} True if the installation is listed in the user's GET /user/installations
+ */
+async function verifyInstallationAccess(code, installationId) {
+  const token = code ? await exchangeOAuthCode(code) : null;
+  if (!token) {
+    return false;
+  }
+
+  const headers = { Accept: 'application/vnd.github+json', Authorization: `Bearer ${token}`, 'User-Agent': 'GitTrack-Bot' };
+  for (let page = 1; ; page += 1) {
+    const response = await fetch(`https://api.github.com/user/installations?per_page=${INSTALLATIONS_PER_PAGE}&page=${page}`, { headers });
+    if (!response.ok) {
+      console.warn(`Listing the user's installations failed: ${response.status} ${response.statusText}`);
+      return false;
+    }
+    const { installations = [] } = await response.json();
+    if (installations.some(installation => String(installation.id) === String(installationId))) {
+      return true;
+    }
+    if (installations.length < INSTALLATIONS_PER_PAGE) {
+      return false;
+    }
+  }
+}
+
+/**
+ * Binds an installation to the guild that started the installation flow
+ * The installing user must have access to the installation, and an installation that is already
+ * bound to another guild is left untouched.
+ * @param {Object} prisma - Prisma client instance
+ * @param {string} installationId - GitHub installation ID
+ * @param {string} guildId - Discord guild ID from the verified state
+ * @param {string} code - OAuth code from the setup redirect
+ * @returns {Promise<Object|null>} The bound installation, or null if the user cannot access it or it belongs to another guild
+ */
+async function claimInstallation(prisma, installationId, guildId, code) {
+  const server = await prisma.server.findUnique({ where: { guildId } });
+  if (!server) {
+    return null;
+  }
+
+  if (!await verifyInstallationAccess(code, installationId)) {
+    console.warn(`Rejected claim of installation ${installationId} for guild ${guildId}: the installing user cannot access it`);
+    return null;
+  }
+
+  const existing = await prisma.gitHubInstallation.findUnique({ where: { installationId } });
+  if (existing && existing.serverId && existing.serverId !== server.id) {
+    return null;
+  }
+
+  // The setup redirect can arrive before the installation webhook
+  return prisma.gitHubInstallation.upsert({
+    where: { installationId },
+    update: { serverId: server.id },
+    create: { installationId, serverId: server.id }
+  });
+}
+
+module.exports = {
+  getAppWebhookSecret,
+  isAppModeEnabled,
+  createInstallState,
+  verifyInstallState,
+  getInstallUrl,
+  toInstallationRepository,
+  syncInstallationEvent,
+  verifyInstallationAccess,
+  claimInstallation
+};
@@ -0,0 +1,261 @@
+/**
+ * GitLab payload normalization
+ * GitLab names its webhooks "Push Hook", "Merge Request Hook", ... and uses its own payload
+ * layout. These helpers map the supported hooks onto the GitHub events and payload shape the
+ * event handlers consume.
+ */
+
+const ZERO_SHA = /^0+$/;
+
+// GitLab action names for issues and merge requests
+const ACTION_ALIASES = {
+  open: 'opened',
+  close: 'closed',
+  reopen: 'reopened',
+  update: 'edited',
+  merge: 'closed'
+};
+
+// GitLab pipeline/job statuses mapped to GitHub conclusions
+const CONCLUSIONS = {
+  success: 'success',
+  failed: 'failure',
+  canceled: 'cancelled',
+  skipped: 'skipped'
+};
+
+function getOrigin(webUrl) {
+  try {
+    return new URL(webUrl).origin;
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Converts a GitLab user to the GitHub user fields used by the handlers
+ * @param {Object} user - GitLab user object ({ name, username, avatar_url })
+ * @param {string} origin - Base URL of the GitLab instance
+ * @returns {Object|null} { login, avatar_url, html_url }
+ */
+function normalizeUser(user, origin) {
+  if (!user) {
+    return null;
+  }
+  const login = user.username || user.name || 'unknown';
+  return {
+    login,
+    avatar_url: user.avatar_url || null,
+    html_url: `${origin}/${login}`
+  };
+}
+
+function normalizeRepository(project) {
+  return {
+    name: project.name,
+    full_name: project.path_with_namespace,
+    html_url: project.web_url,
+    default_branch: project.default_branch
+  };
+}
+
+function normalizeLabels(labels) {
+  return (labels || []).map(label => ({ name: label.title || label.name, color: String(label.color || '').replace(/^#/, '') }));
+}
+
+// GitLab push hooks put the actor in flat user_* fields
+function pushSender(payload, origin) {
+  return normalizeUser({ username: payload.user_username, name: payload.user_name, avatar_url: payload.user_avatar }, origin);
+}
+
+function normalizePush(payload, origin) {
+  const created = ZERO_SHA.test(payload.before || '');
+  const commits = (payload.commits || []).map(commit => ({
+    id: commit.id,
+    message: commit.message,
+    url: commit.url,
+    author: commit.author
+  }));
+
+  return {
+    event: 'push',
+    payload: {
+      ref: payload.ref,
+      before: payload.before,
+      after: payload.after,
+      created,
+      deleted: ZERO_SHA.test(payload.after || ''),
+      forced: false, // GitLab does not report force pushes
+      compare: created ? `${payload.project.web_url}/-/commits/${payload.after}` : `${payload.project.web_url}/-/compare/${payload.before}...${payload.after}`,
+      commits,
+      head_commit: commits[commits.length - 1] || null,
+      pusher: { name: payload.user_name || payload.user_username, email: payload.user_email },
+      sender: pushSender(payload, origin)
+    }
+  };
+}
+
+// Like GitHub, a tag push becomes a push to refs/tags/<name> followed by a create or delete event
+function normalizeTagPush(payload, origin) {
+  const tagName = String(payload.ref || '').replace(/^refs\/tags\//, '');
+  // A tag push whose new revision is all zeros removed the tag
+  const deleted = ZERO_SHA.test(payload.after || '');
+  const sender = pushSender(payload, origin);
+  const commits = (payload.commits || []).map(commit => ({
+    id: commit.id,
+    message: commit.message,
+    url: commit.url,
+    author: commit.author
+  }));
+
+  return [
+    {
+      event: 'push',
+      payload: {
+        ref: `refs/tags/${tagName}`,
+        before: payload.before,
+        after: payload.after,
+        created: ZERO_SHA.test(payload.before || ''),
+        deleted,
+        forced: false,
+        compare: `${payload.project.web_url}/-/tags/${encodeURIComponent(tagName)}`,
+        commits: [],
+        head_commit: commits.find(commit => commit.id === payload.checkout_sha) || commits[commits.length - 1] || null,
+        pusher: { name: payload.user_name || payload.user_username, email: payload.user_email },
+        sender
+      }
+    },
+    {
+      event: deleted ? 'delete' : 'create',
+      payload: { action: deleted ? 'deleted' : 'created', ref: tagName, ref_type: 'tag', sender }
+    }
+  ];
+}
+
+function normalizeIssue(attributes, payload, origin) {
+  return {
+    number: attributes.iid,
+    title: attributes.title,
+    body: attributes.description || '',
+    html_url: attributes.url,
+    state: attributes.state === 'opened' ? 'open' : 'closed',
+    labels: normalizeLabels(payload.labels || attributes.labels),
+    // Hooks only carry the acting user; for "open" actions this is the author
+    user: normalizeUser(payload.user, origin),
+    updated_at: attributes.updated_at
+  };
+}
+
+function normalizeIssueHook(payload, origin) {
+  const attributes = payload.object_attributes;
+  let action = ACTION_ALIASES[attributes.action] || attributes.action;
+  if (attributes.action === 'update' && payload.changes?.labels) {
+    action = 'labeled';
+  }
+
+  return {
+    event: 'issues',
+    payload: {
+      action,
+      issue: normalizeIssue(attributes, payload, origin),
+      assignee: normalizeUser((payload.assignees || [])[0], origin),
+      sender: normalizeUser(payload.user, origin)
+    }
+  };
+}
+
+function normalizeMergeRequest(payload, origin) {
+  const attributes = payload.object_attributes;
+  const merged = attributes.action === 'merge' || attributes.state === 'merged';
+  let action = ACTION_ALIASES[attributes.action];
+
+  if (!action) {
+    return null; // approvals and similar actions have no pull_request equivalent
+  }
+  if (attributes.action === 'update' && attributes.oldrev) {
+    action = 'synchronize'; // New commits were pushed
+  }
+
+  return {
+    event: 'pull_request',
+    payload: {
+      action,
+      number: attributes.iid,
+      pull_request: {
+        ...normalizeIssue(attributes, payload, origin),
+        state: attributes.state === 'opened' ? 'open' : 'closed',
+        merged,
+        merged_by: merged ? normalizeUser(payload.user, origin) : null,
+        draft: Boolean(attributes.draft || attributes.work_in_progress),
+        head: { ref: attributes.source_branch },
+        base: { ref: attributes.target_branch }
+      },
+      assignee: normalizeUser((payload.assignees || [])[0], origin),
+      sender: normalizeUser(payload.user, origin)
+    }
+  };
+}
+
+function normalizePipeline(payload, origin) {
+  const attributes = payload.object_attributes;
+  const conclusion = CONCLUSIONS[attributes.status] || null;
+
+  return {
+    event: 'workflow_run',
+    payload: {
+      action: conclusion ? 'completed' : (attributes.status === 'running' ? 'in_progress' : 'requested'),
+      workflow_run: {
+        id: attributes.id,
+        name: attributes.name || `Pipeline #${attributes.iid || attributes.id}`,
+        html_url: attributes.url || `${payload.project.web_url}/-/pipelines/${attributes.id}`,
+        head_branch: attributes.ref,
+        head_sha: attributes.sha,
+        status: conclusion ? 'completed' : attributes.status,
+        conclusion,
+        event: attributes.source,
+        created_at: attributes.created_at,
+        updated_at: attributes.finished_at || attributes.created_at,
+        // GitLab includes the jobs in the hook, so handlers do not need to fetch them
+        jobs: (payload.builds || []).map(build => ({
+          id: build.id,
+          name: build.name,
+          status: build.status,
+          conclusion: CONCLUSIONS[build.status] || null,
+          started_at: build.started_at,
+          completed_at: build.finished_at
+        }))
+      },
+      sender: normalizeUser(payload.user, origin)
+    }
+  };
+}
+
+// Supported hooks, keyed by X-Gitlab-Event value
+const NORMALIZERS = {
+  'Push Hook': normalizePush,
+  'Tag Push Hook': normalizeTagPush,
+  'Issue Hook': normalizeIssueHook,
+  'Merge Request Hook': normalizeMergeRequest,
+  'Pipeline Hook': normalizePipeline
+};
+
+/**
+ * Normalizes a GitLab webhook into GitHub events and payloads
+ * @param {string} hook - Value of the X-Gitlab-Event header
+ * @param {Object} payload - GitLab webhook payload
+ * @returns {Array<Object>} { event, payload } per GitHub event; empty if the hook is not supported
+ */
+function normalizeGitlabPayload(hook, payload) {
+  const normalizer = NORMALIZERS[hook];
+  if (!normalizer || !payload || !payload.project) {
+    return [];
+  }
+
+  const repository = normalizeRepository(payload.project);
+  return [].concat(normalizer(payload, getOrigin(payload.project.web_url)) || [])
+    .map(({ event, payload: eventPayload }) => ({ event, payload: { ...eventPayload, repository } }));
+}
+
+module.exports = {
+  normalizeGitlabPayload
+};
@@ -0,0 +1,136 @@
+/**
+ * Live messages
+ * Tracks the Discord message posted for a long-lived subject (such as a pull request) so
+ * later events edit that message in place instead of posting a new one each time.
+ */
+
+// Number of recent changes listed in the message footer
+const MAX_CHANGELOG_ENTRIES = 5;
+
+// Discord API error code for a message that no longer exists
+const UNKNOWN_MESSAGE = 10008;
+
+/**
+ * Appends a change to a live message changelog
+ * @param {Array<string>|null} changelog - Stored changelog
+ * @param {string|null} change - Short description of the change
+ * @returns {Array<string>} The most recent MAX_CHANGELOG_ENTRIES changes
+ */
+function appendChangelog(changelog, change) {
+  const entries = Array.isArray(changelog) ? [...changelog] : [];
+  if (change) {
+    entries.push(change);
+  }
+  return entries.slice(-MAX_CHANGELOG_ENTRIES);
+}
+
+/**
+ * Adds the changelog to an embed footer
+ * @param {Object} embed - Embed to post
+ * @param {Array<string>} changelog - Recent changes, oldest first
+ * @returns {Object} Copy of the embed with the changelog below the footer text
+ */
+function withChangelog(embed, changelog) {
+  if (!changelog.length) {
+    return embed;
+  }
+  const footerText = embed.footer && embed.footer.text ? `${embed.footer.text}\n` : '';
+  return { ...embed, footer: { ...embed.footer, text: `${footerText}${changelog.join(' → ')}` } };
+}
+
+/**
+ * Finds the live message for a subject in a channel
+ * @param {Object} prisma - Prisma client instance
+ * @param {string} repositoryId - Repository the subject belongs to
+ * @param {string} subjectType - Event the message follows, e.g. 'pull_request'
+ * @param {string} subjectKey - Identifier within the repository, e.g. the pull request number
+ * @param {string} channelId - Channel the message was posted in
+ * @returns {Promise<Object|null>} LiveMessage row, or null if nothing was posted yet
+ */
+async function findLiveMessage(prisma, repositoryId, subjectType, subjectKey, channelId) {
+  return prisma.liveMessage.findUnique({
+    where: { repositoryId_subjectType_subjectKey_channelId: { repositoryId, subjectType, subjectKey, channelId } }
+  });
+}
+
+/**
+ * Finds the live messages for a subject in every channel it was posted to
+ * @param {Object} prisma - Prisma client instance
+ * @param {string} repositoryId - Repository the subject belongs to
+ * @param {string} subjectType - Event the messages follow, e.g. 'workflow_run'
+ * @param {string} subjectKey - Identifier within the repository, e.g. the workflow run ID
+ * @returns {Promise<Array<Object>>} LiveMessage rows, most recently updated first
+ */
+async function findLiveMessages(prisma, repositoryId, subjectType, subjectKey) {
+  return prisma.liveMessage.findMany({
+    where: { repositoryId, subjectType, subjectKey },
+    orderBy: { updatedAt: 'desc' }
+  });
+}
+
+/**
+ * Records the message and changelog for a subject in a channel
+ * @param {Object} prisma - Prisma client instance
+ * @param {Object} liveMessage - { repositoryId, subjectType, subjectKey, channelId, messageId, changelog, threadId, state }
+ *   threadId and state are left unchanged when undefined
+ * @returns {Promise<Object>} Saved LiveMessage row
+ */
+async function saveLiveMessage(prisma, { repositoryId, subjectType, subjectKey, channelId, messageId, changelog, threadId, state }) {
+  return prisma.liveMessage.upsert({
+    where: { repositoryId_subjectType_subjectKey_channelId: { repositoryId, subjectType, subjectKey, channelId } },
+    create: { repositoryId, subjectType, subjectKey, channelId, messageId, changelog, threadId, state },
+    update: { messageId, changelog, threadId, state }
+  });
+}
+
+/**
+ * Edits the live message for a subject, or posts it if there is none yet
+ * A message that was deleted from Discord is posted again; other edit failures are rethrown.
+ * @param {Object} prisma - Prisma client instance
+ * @param {string} repositoryId - Repository the subject belongs to
+ * @param {Object} channel - Text-based Discord channel
+ * @param {Object} live - { subjectType, subjectKey, change, state }
+ * @param {Array<Object>} embeds - Embeds describing the current state of the subject
+ * @returns {Promise<Object>} { message, created } where created is false for an edit
+ */
+async function upsertLiveMessage(prisma, repositoryId, channel, live, embeds) {
+  const subjectType = live.subjectType;
+  const subjectKey = String(live.subjectKey);
+  const existing = await findLiveMessage(prisma, repositoryId, subjectType, subjectKey, channel.id);
+  const changelog = appendChangelog(existing && existing.changelog, live.change);
+  const content = { embeds: embeds.map(embed => withChangelog(embed, changelog)) };
+
+  let message = null;
+  if (existing) {
+    try {
+      message = await channel.messages.fetch(existing.messageId);
+    } catch (error) {
+      if (error.code !== UNKNOWN_MESSAGE) {
+        throw error;
+      }
+      console.warn(`Live message ${existing.messageId} was deleted from channel ${channel.id}; posting a new one.`);
+    }
+  }
+
+  if (message) {
+    await message.edit(content);
+  } else {
+    message = await channel.send(content);
+  }
+
+  const created = !existing || message.id !== existing.messageId;
+  // A reposted message starts without the thread of the deleted one
+  const threadId = existing && created ? null : undefined;
+  await saveLiveMessage(prisma, { repositoryId, subjectType, subjectKey, channelId: channel.id, messageId: message.id, changelog, threadId, state: live.state });
+  return { message, created };
+}
+
+module.exports = {
+  MAX_CHANGELOG_ENTRIES,
+  appendChangelog,
+  withChangelog,
+  findLiveMessage,
+  findLiveMessages,
+  saveLiveMessage,
+  upsertLiveMessage
+};
@@ -0,0 +1,253 @@
+/**
+ * Notification pipeline
+ * Event handlers describe what to post (target channels, embeds and metadata); this module
+ * enforces channel limits, sends the messages and updates the message count, so every event
+ * type is delivered and accounted for the same way.
+ */
+
+const { checkChannelLimit } = require('./limitChecker');
+const { upsertLiveMessage } = require('./liveMessages');
+const { isForumChannel, syncSubjectThread, deliverForumPost, findSubjectThread } = require('./subjectThreads');
+
+/**
+ * Creates a notification for deliverNotification
+ * @param {Object} notification
+ * @param {string|Array<string>} notification.targets - Channel IDs to post to ('pending' and duplicates are ignored)
+ * @param {Object|Array<Object>} notification.embed - Embed, or several embeds posted as separate messages
+ * @param {Object} notification.metadata - { summary, enforceChannelLimit, fixedTargets, live, thread, replyTo }
+ *   fixedTargets keeps routing rules from changing the targets
+ *   live ({ subjectType, subjectKey, change, state }) edits the subject's earlier message instead of posting a new one
+ *   thread ({ subjectType, subjectKey, name, archived }) opens or archives the subject's thread
+ *   replyTo ({ subjectType, subjectKey }) posts in the subject's thread when it has one
+ * @returns {Object} Notification object
+ */
+function createNotification({ targets, embed, metadata = {} }) {
+  return {
+    type: 'notification',
+    targets: [].concat(targets || []),
+    embeds: [].concat(embed || []),
+    metadata: {
+      summary: 'Notification delivered.',
+      // Ping confirmations are still sent when the server is over its channel limit
+      enforceChannelLimit: true,
+      ...metadata
+    }
+  };
+}
+
+/**
+ * Checks whether a handler result is a notification to deliver
+ * @param {Object} result - Handler result
+ * @returns {boolean} True for objects created by createNotification
+ */
+function isNotification(result) {
+  return Boolean(result && result.type === 'notification');
+}
+
+/**
+ * Redirects a notification to one channel, e.g. the test channel of a replay
+ * The copy is posted as new messages: live messages and subject threads belong to the
+ * configured channels and are left untouched.
+ * @param {Object} notification - Value from createNotification
+ * @param {string} channelId - Channel to post to
+ * @returns {Object} Notification posting once to the channel
+ */
+function overrideTargets(notification, channelId) {
+  return {
+    ...notification,
+    targets: [channelId],
+    metadata: { ...notification.metadata, fixedTargets: true, live: undefined, thread: undefined, replyTo: undefined }
+  };
+}
+
+/**
+ * Removes unresolved and duplicate channel IDs
+ * @param {Array<string>} targets - Channel IDs
+ * @returns {Array<string>} Channel IDs to deliver to
+ */
+function resolveTargets(targets) {
+  return [...new Set(targets.filter(channelId => channelId && channelId !== 'pending'))];
+}
+
+/**
+ * Checks the server's channel limit and posts a warning to the channel when it is exceeded
+ * @param {Object} prisma - Prisma client instance
+ * @param {Object} botClient - Discord client instance
+ * @param {Object} repoContext - Repository row with its server
+ * @param {string} channelId - Channel the notification is for
+ * @returns {Promise<boolean>} False if the notification should not be delivered
+ */
+async function checkChannelLimitAndWarn(prisma, botClient, repoContext, channelId) {
+  try {
+    // Don't skip default channels - they should be counted if used explicitly for branch tracking
+    // (that logic is handled in the checkChannelLimit function)
+
+    const serverConfig = repoContext.server;
+    const { isAtLimit, currentCount, maxAllowed } = await checkChannelLimit(
+      prisma,
+      serverConfig.id,
+      null, // Don't exclude any channels
+      null  // Don't include any new channels
+    );
+
+    // Only warn if at or exceeding limit
+    if (isAtLimit) {
+      // Try to send warning to the channel that's being used
+      try {
+        const channel = await botClient.channels.fetch(channelId);
+        if (channel && channel.isTextBased()) {
+          // Send warning message
+          await channel.send({
+            embeds: [{
+              color: 0xFF9800, // Warning orange
+              title: '⚠️ Channel Limit Warning',
+              description: `This server is using ${currentCount} distinct channels for branch notifications, which exceeds the configured limit of ${maxAllowed} channels.\n\nA channel is counted when it's used explicitly for branch notifications, even if it's also a repository default channel.\n\nTo ensure all webhook notifications are delivered properly, please:\n• Consolidate branch notifications to fewer channels\n• Use \`/unlink\` to remove unneeded branch-channel links\n• Or contact an administrator to increase the limit`,
+              footer: { text: 'GitTrack Notification Limit' }
+            }]
+          });
+
+          console.log(`Sent channel limit warning to channel ${channelId} in guild ${serverConfig.guildId}`);
+
+          // Return true to still attempt delivery despite warning
+          return true;
+        }
+      } catch (err) {
+        console.error(`Error sending channel limit warning to ${channelId}:`, err);
+      }
+
+      // Log that we're exceeding the limit
+      console.warn(`Server ${serverConfig.guildId} is exceeding the channel limit (${currentCount}/${maxAllowed}). Some notifications may not be delivered.`);
+      return false; // Don't deliver the notification as we're at the limit
+    }
+
+    return true; // Not at limit, allow delivery
+  } catch (error) {
+    console.error('Error checking channel limits:', error);
+    return true; // In case of error, default to allowing notifications
+  }
+}
+
+/**
+ * Delivers a notification to its target channels and records the messages sent
+ * Live notifications post all embeds as one message, which later notifications for the same
+ * subject edit; edits are not counted as messages sent. In forum channels, notifications with a
+ * thread subject are posted in the subject's forum post and follow-ups without one are skipped.
+ * A failure on one channel does not stop the others; the error is rethrown only when nothing
+ * was delivered, so the delivery worker retries without notifying successful channels twice.
+ * @param {Object} prisma - Prisma client instance
+ * @param {Object} botClient - Discord client instance
+ * @param {Object} repoContext - Repository row with its server
+ * @param {Object} notification - Value from createNotification
+ * @returns {Promise<Object>} { statusCode, message, channelId, messageId } of the last message sent
+ */
+async function deliverNotification(prisma, botClient, repoContext, notification) {
+  const { summary, enforceChannelLimit, live, thread, replyTo } = notification.metadata;
+  const serverConfig = repoContext.server;
+  const targets = resolveTargets(notification.targets);
+
+  if (targets.length === 0) {
+    console.warn(`Notification channel pending for repository ${repoContext.url} on server ${serverConfig.guildId}`);
+    return { statusCode: 200, message: `${summary} Notification channel pending.`, channelId: null, messageId: null };
+  }
+
+  let lastMessageInfo = { channelId: null, messageId: null };
+  let lastSendError = null;
+  let delivered = 0;
+  let messagesSent = 0;
+  let skippedForLimit = 0;
+
+  for (const channelId of targets) {
+    try {
+      const canSendNotification = await checkChannelLimitAndWarn(prisma, botClient, repoContext, channelId);
+      if (!canSendNotification && enforceChannelLimit) {
+        console.warn(`Skipping notification delivery to channel ${channelId} due to channel limit`);
+        skippedForLimit += 1;
+        continue;
+      }
+
+      const channel = await botClient.channels.fetch(channelId);
+      if (!channel) {
+        continue;
+      }
+
+      const destination = (replyTo && await findSubjectThread(prisma, repoContext.id, channel, replyTo)) || channel;
+      let firstMessageId = null;
+
+      if (isForumChannel(channel) && thread) {
+        const { post, messageId } = await deliverForumPost(prisma, repoContext.id, channel, thread, notification.embeds);
+        lastMessageInfo = { channelId: post.id, messageId };
+        delivered += 1;
+        messagesSent += 1;
+        continue;
+      }
+
+      if (!destination.isTextBased()) {
+        // Forum channels only accept posts, so follow-ups need the subject's post to exist
+        console.warn(`Skipping notification for channel ${channelId}: it does not accept messages`);
+        continue;
+      }
+
+      if (destination.archived) {
+        await destination.setArchived(false); // Closed subjects' threads are archived
+      }
+
+      if (live) {
+        const { message, created } = await upsertLiveMessage(prisma, repoContext.id, channel, live, notification.embeds);
+        lastMessageInfo = { channelId, messageId: message.id };
+        firstMessageId = message.id;
+        delivered += 1;
+        messagesSent += created ? 1 : 0;
+      } else {
+        for (const embed of notification.embeds) {
+          const sentMessage = await destination.send({ embeds: [embed] });
+          lastMessageInfo = { channelId: destination.id || channelId, messageId: sentMessage.id };
+          firstMessageId = firstMessageId || sentMessage.id;
+          delivered += 1;
+          messagesSent += 1;
+        }
+      }
+
+      if (thread && firstMessageId) {
+        // The notification is already delivered; a missing thread permission must not trigger a retry
+        try {
+          await syncSubjectThread(prisma, repoContext.id, channel, thread, firstMessageId);
+        } catch (threadError) {
+          console.error(`Error updating thread for ${thread.subjectType} ${thread.subjectKey} in channel ${channelId}:`, threadError);
+        }
+      }
+    } catch (err) {
+      console.error(`Error sending notification to channel ${channelId}:`, err);
+      lastSendError = err;
+    }
+  }
+
+  if (lastSendError && delivered === 0) {
+    throw lastSendError; // Let the delivery worker retry the job
+  }
+
+  if (messagesSent > 0) {
+    try {
+      await prisma.server.update({
+        where: { id: serverConfig.id },
+        data: { messagesSent: { increment: messagesSent } },
+      });
+    } catch (dbError) {
+      console.error(`Failed to increment messagesSent for server ${serverConfig.id}:`, dbError);
+    }
+  }
+
+  if (delivered === 0 && skippedForLimit > 0) {
+    return { statusCode: 200, message: `${summary} Notification skipped due to channel limits.`, channelId: null, messageId: null };
+  }
+
+  return { statusCode: 200, message: summary, ...lastMessageInfo };
+}
+
+module.exports = {
+  createNotification,
+  isNotification,
+  overrideTargets,
+  resolveTargets,
+  checkChannelLimitAndWarn,
+  deliverNotification
+};
@@ -0,0 +1,111 @@
+/**
+ * File path pattern matching
+ * Supports "**" for any number of directories, "*" for any characters within a path segment
+ * and "?" for a single character. Patterns are matched against the whole path from the
+ * repository root, and a trailing "/" matches everything below that directory. Patterns are
+ * matched by the glob matcher of branch patterns, without its character classes and braces.
+ */
+
+const { compileGlob } = require('./branchMatcher');
+
+/**
+ * Compiles a path pattern to a matcher
+ * @param {string} pattern - Path pattern, e.g. "web/**" or "docs/*.md"
+ * @returns {Object} Matcher whose test() matches whole paths
+ */
+function compilePathPattern(pattern) {
+  const normalized = pattern.replace(/^\.?\//, '').replace(/\/$/, '/**');
+  // Any other character in a file name matches itself
+  return compileGlob(normalized, { extended: false, isLiteral: () => true });
+}
+
+/**
+ * Checks if a file path matches a path pattern
+ * @param {string} path - File path relative to the repository root
+ * @param {string} pattern - Path pattern
+ * @returns {boolean} True if the path matches
+ */
+function matchesPathPattern(path, pattern) {
+  return compilePathPattern(pattern).test(path);
+}
+
+/**
+ * Checks if any of the file paths matches any of the patterns
+ * @param {Array<string>} paths - File paths relative to the repository root
+ * @param {Array<string>} patterns - Path patterns
+ * @returns {boolean} True if at least one path matches at least one pattern
+ */
+function matchesAnyPathPattern(paths, patterns) {
+  const matchers = patterns.map(compilePathPattern);
+  return paths.some(path => matchers.some(matcher => matcher.test(path)));
+}
+
+/**
+ * Collects the distinct files added, modified or removed by the commits of a push
+ * @param {Array<Object>} commits - Push payload commits
+ * @returns {Array<string>} Changed file paths
+ */
+function getChangedPaths(commits) {
+  const paths = new Set();
+  for (const commit of commits || []) {
+    for (const key of ['added', 'modified', 'removed']) {
+      (commit[key] || []).forEach(path => paths.add(path));
+    }
+  }
+  return [...paths];
+}
+
+/**
+ * Splits comma-separated path patterns into include and exclude lists
+ * Patterns starting with "!" exclude matching files, like negated branch patterns.
+ * @param {string} value - Patterns, e.g. "web/**, !web/docs/**"
+ * @returns {Object} { includePaths, excludePaths }
+ */
+function parsePathFilters(value) {
+  const patterns = String(value || '').split(',').map(pattern => pattern.trim()).filter(Boolean);
+  return {
+    includePaths: patterns.filter(pattern => !pattern.startsWith('!')),
+    excludePaths: patterns.filter(pattern => pattern.startsWith('!')).map(pattern => pattern.substring(1)).filter(Boolean)
+  };
+}
+
+/**
+ * Checks whether changed files pass include and exclude path patterns
+ * At least one file must match an include pattern (any file if there are none) without matching an
+ * exclude pattern. Pushes whose changed files are unknown always pass.
+ * @param {Array<string>} paths - Changed file paths
+ * @param {Array<string>} includePaths - Include patterns
+ * @param {Array<string>} excludePaths - Exclude patterns
+ * @returns {boolean} True if the push should be notified
+ */
+function matchesPathFilters(paths, includePaths, excludePaths) {
+  if (!paths || paths.length === 0) {
+    return true;
+  }
+  const include = (includePaths || []).map(compilePathPattern);
+  const exclude = (excludePaths || []).map(compilePathPattern);
+  return paths.some(path =>
+    (include.length === 0 || include.some(matcher => matcher.test(path)))
+    && !exclude.some(matcher => matcher.test(path)));
+}
+
+/**
+ * Gets a human-readable description of path filters
+ * @param {Array<string>} includePaths - Include patterns
+ * @param {Array<string>} excludePaths - Exclude patterns
+ * @returns {string|null} Description such as "web/**, !web/docs/**", or null without filters
+ */
+function describePathFilters(includePaths, excludePaths) {
+  const patterns = [...(includePaths || []), ...(excludePaths || []).map(pattern => `!${pattern}`)];
+  return patterns.length > 0 ? patterns.join(', ') : null;
+}
+
+module.exports = {
+  compilePathPattern,
+  matchesPathPattern,
+  matchesAnyPathPattern,
+  getChangedPaths,
+  parsePathFilters,
+  matchesPathFilters,
+  describePathFilters
+};
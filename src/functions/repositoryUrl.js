@@ -0,0 +1,69 @@
+/**
+ * Repository URL parsing for /setup and /link
+ * GitHub repositories live on github.com; GitLab and Gitea can also be self-hosted on any host.
+ * GitLab projects may be nested in subgroups, so the owner can span several path segments.
+ */
+
+// First path segments on github.com that are not repository owners
+const RESERVED_GITHUB_PATHS = ['organizations', 'orgs', 'users', 'settings', 'explore', 'trending'];
+
+// Hosts whose provider is known without asking
+const KNOWN_HOSTS = {
+  'github.com': 'github',
+  'www.github.com': 'github',
+  'gitlab.com': 'gitlab',
+  'bitbucket.org': 'bitbucket'
+};
+
+/**
+ * Guesses the provider of a repository host
+ * @param {string} hostname - Repository host name
+ * @returns {string|null} Provider key, or null for self-hosted instances
+ */
+function guessProvider(hostname) {
+  return KNOWN_HOSTS[String(hostname || '').toLowerCase()] || null;
+}
+
+/**
+ * Parses and validates a repository URL
+ * @param {string} input - URL entered by the user
+ * @returns {Object} { url, host, owner, name, provider } or { error } with a user-facing message
+ */
+function parseRepositoryUrl(input) {
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(String(input || '').trim());
+  } catch {
+    return { error: 'Invalid repository URL format. Please provide a valid URL.' };
+  }
+
+  if (parsedUrl.protocol !== 'https:' && parsedUrl.protocol !== 'http:') {
+    return { error: 'Invalid repository URL. Please use an HTTP or HTTPS URL.' };
+  }
+
+  const pathParts = parsedUrl.pathname.split('/').filter(part => part.length > 0);
+  if (pathParts.length < 2) {
+    return { error: 'Invalid repository URL. Please provide a complete repository URL (e.g., https://github.com/username/repository)' };
+  }
+
+  const provider = guessProvider(parsedUrl.hostname);
+  if (provider === 'github' && RESERVED_GITHUB_PATHS.includes(pathParts[0].toLowerCase())) {
+    return { error: 'Invalid GitHub URL. Please provide a direct repository URL (e.g., https://github.com/username/repository)' };
+  }
+
+  const name = pathParts[pathParts.length - 1].replace(/\.git$/, '');
+  const owner = pathParts.slice(0, -1).join('/');
+
+  return {
+    url: `${parsedUrl.origin}/${owner}/${name}`,
+    host: parsedUrl.host,
+    owner,
+    name,
+    provider
+  };
+}
+
+module.exports = {
+  guessProvider,
+  parseRepositoryUrl
+};
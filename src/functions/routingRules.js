@@ -0,0 +1,221 @@
+/**
+ * Routing rules
+ * Ordered per-repository rules that send notifications to channels based on conditions about
+ * the event. Rules are evaluated in position order; a matching rule adds its channel and either
+ * stops evaluation or lets later rules add theirs. When no rule matches, a notification keeps the
+ * channels chosen by its handler (event channels, branch links and the default channel).
+ * Rules are evaluated before the handler runs: an event a rule matches is handled with
+ * repoContext.routedByRules set, which makes the handler skip its action toggles, label filters and
+ * tracked branches and tags, so a rule can route events those would otherwise drop.
+ */
+
+const { matchesBranchPattern } = require('./branchMatcher');
+const { matchesAnyPathPattern, getChangedPaths } = require('./pathMatcher');
+
+// Conditions a rule can set, in the order they are described
+const RULE_CONDITIONS = ['event', 'action', 'labels', 'author', 'branch', 'draft', 'paths', 'workflow', 'conclusion'];
+
+/**
+ * Collects the facts rule conditions are matched against
+ * @param {string} event - Event type, e.g. 'pull_request'
+ * @param {Object} payload - Webhook payload
+ * @returns {Object} { event, action, labels, author, branch, draft, paths, workflow, conclusion }
+ */
+function getRuleFacts(event, payload) {
+  const subject = payload.pull_request || payload.issue || null;
+  const check = payload.workflow_run || payload.workflow_job || payload.check_run || payload.check_suite || null;
+  const contribution = payload.comment || payload.review || null;
+
+  // Base branch for pull requests, otherwise the pushed or built branch
+  let branch = null;
+  if (payload.pull_request && payload.pull_request.base) {
+    branch = payload.pull_request.base.ref;
+  } else if (typeof payload.ref === 'string' && payload.ref.startsWith('refs/heads/')) {
+    branch = payload.ref.substring(11);
+  } else if (check) {
+    branch = check.head_branch || (check.check_suite && check.check_suite.head_branch) || null;
+  }
+
+  const author = (contribution && contribution.user && contribution.user.login)
+    || (subject && subject.user && subject.user.login)
+    || (payload.workflow_run && payload.workflow_run.actor && payload.workflow_run.actor.login)
+    || (payload.sender && payload.sender.login)
+    || (payload.pusher && payload.pusher.name)
+    || null;
+
+  return {
+    event,
+    action: payload.action || null,
+    labels: ((subject && subject.labels) || []).map(label => label.name),
+    author,
+    branch,
+    draft: payload.pull_request ? Boolean(payload.pull_request.draft) : null,
+    paths: getChangedPaths(payload.commits),
+    workflow: (payload.workflow_run && payload.workflow_run.name) || (payload.workflow_job && payload.workflow_job.workflow_name) || null,
+    conclusion: (check && check.conclusion) || null
+  };
+}
+
+/**
+ * Checks whether a value equals one of the listed values, ignoring case
+ * @param {string|null} value - Fact value
+ * @param {Array<string>} list - Accepted values
+ * @returns {boolean} True if the value is listed
+ */
+function isListed(value, list) {
+  return Boolean(value) && list.some(item => item.toLowerCase() === String(value).toLowerCase());
+}
+
+/**
+ * Checks whether rule conditions match the facts of an event
+ * Conditions that are not set match everything; list conditions match if any entry matches.
+ * @param {Object} conditions - Rule conditions
+ * @param {Object} facts - Value from getRuleFacts
+ * @returns {boolean} True if every set condition matches
+ */
+function matchesRuleConditions(conditions, facts) {
+  return RULE_CONDITIONS.every((key) => {
+    const condition = conditions ? conditions[key] : undefined;
+    if (condition === undefined || condition === null || (Array.isArray(condition) && condition.length === 0)) {
+      return true;
+    }
+
+    switch (key) {
+      case 'draft':
+        return facts.draft === condition;
+      case 'labels':
+        return facts.labels.some(label => isListed(label, condition));
+      case 'branch':
+        return Boolean(facts.branch) && condition.some(pattern => matchesBranchPattern(facts.branch, pattern));
+      case 'paths':
+        return matchesAnyPathPattern(facts.paths, condition);
+      default:
+        return isListed(facts[key], condition);
+    }
+  });
+}
+
+/**
+ * Evaluates rules in position order
+ * @param {Array<Object>} rules - RoutingRule rows
+ * @param {Object} facts - Value from getRuleFacts
+ * @returns {Object} { rules, channelIds } of the rules that matched and their distinct channels
+ */
+function evaluateRules(rules, facts) {
+  const matched = [];
+  const ordered = [...rules].sort((a, b) => a.position - b.position);
+
+  for (const rule of ordered) {
+    if (!matchesRuleConditions(rule.conditions, facts)) {
+      continue;
+    }
+    matched.push(rule);
+    if (rule.stop) {
+      break;
+    }
+  }
+
+  return { rules: matched, channelIds: [...new Set(matched.map(rule => rule.channelId))] };
+}
+
+/**
+ * Builds rule conditions from command options
+ * List options are comma-separated; empty options are left out.
+ * @param {Object} options - { event, action, labels, author, branch, draft, paths, workflow, conclusion }
+ * @returns {Object} Rule conditions
+ */
+function parseRuleConditions(options) {
+  return RULE_CONDITIONS.reduce((conditions, key) => {
+    const value = options[key];
+    if (key === 'draft') {
+      if (typeof value === 'boolean') {
+        conditions.draft = value;
+      }
+      return conditions;
+    }
+    const list = typeof value === 'string' ? value.split(',').map(item => item.trim()).filter(Boolean) : [];
+    if (list.length > 0) {
+      conditions[key] = list;
+    }
+    return conditions;
+  }, {});
+}
+
+/**
+ * Gets a human-readable description of rule conditions
+ * @param {Object} conditions - Rule conditions
+ * @returns {string} Description such as "event: issues · labels: bug, security"
+ */
+function describeRuleConditions(conditions) {
+  const parts = RULE_CONDITIONS
+    .filter(key => conditions && conditions[key] !== undefined && conditions[key] !== null)
+    .map((key) => {
+      const value = conditions[key];
+      if (key === 'draft') {
+        return value ? 'draft only' : 'not draft';
+      }
+      return `${key}: ${value.join(', ')}`;
+    });
+  return parts.length > 0 ? parts.join(' · ') : 'every notification';
+}
+
+/**
+ * Moves a rule to a new position
+ * @param {Array<Object>} rules - Rules in position order
+ * @param {number} from - Current index
+ * @param {number} to - New index
+ * @returns {Array<Object>} Rules in their new order
+ */
+function moveRule(rules, from, to) {
+  const reordered = [...rules];
+  const [rule] = reordered.splice(from, 1);
+  reordered.splice(Math.max(0, Math.min(to, reordered.length)), 0, rule);
+  return reordered;
+}
+
+/**
+ * Finds the channels a repository's routing rules send an event to
+ * @param {Object} prisma - Prisma client instance
+ * @param {string} repositoryId - Repository the event belongs to
+ * @param {string} event - Event type
+ * @param {Object} payload - Webhook payload
+ * @returns {Promise<Array<string>>} Channel IDs of the matching rules, empty if no rule matched
+ */
+async function findRuleChannels(prisma, repositoryId, event, payload) {
+  const rules = await prisma.routingRule.findMany({
+    where: { repositoryId },
+    orderBy: { position: 'asc' }
+  });
+  if (rules.length === 0) {
+    return [];
+  }
+
+  return evaluateRules(rules, getRuleFacts(event, payload)).channelIds;
+}
+
+/**
+ * Sends a notification to the channels of the routing rules that matched its event
+ * Notifications with fixedTargets edit messages already posted in their channels, which include
+ * the rule channels of the event that posted them, and keep their targets.
+ * @param {Object} notification - Value from createNotification
+ * @param {Array<string>} channelIds - Value from findRuleChannels
+ * @returns {Object} The notification, targeting the rule channels if any rule matched
+ */
+function applyRuleChannels(notification, channelIds) {
+  if (notification.metadata.fixedTargets || channelIds.length === 0) {
+    return notification;
+  }
+  return { ...notification, targets: channelIds };
+}
+
+module.exports = {
+  RULE_CONDITIONS,
+  getRuleFacts,
+  matchesRuleConditions,
+  evaluateRules,
+  parseRuleConditions,
+  describeRuleConditions,
+  moveRule,
+  findRuleChannels,
+  applyRuleChannels
+};
@@ -0,0 +1,217 @@
+/**
+ * Webhook secret rotation
+ * /rotate-secret stores a pending secret next to the current one. Both are accepted until
+ * the grace window ends; the pending secret is promoted as soon as a delivery is
+ * verified with it, or when the window expires.
+ */
+
+const { getWebhookSettingsUrl } = require('./webhookProviders');
+
+// How often the scheduler checks for rotations that need a reminder or have expired
+const ROTATION_CHECK_INTERVAL_MS = 60 * 1000;
+
+// Reminders are posted this long before the grace window ends (at most half the window)
+const REMINDER_LEAD_MS = 60 * 60 * 1000;
+
+// Repeated deliveries signed with the same secret refresh lastSecretUsedAt at most this often
+const SECRET_USE_REFRESH_MS = 10 * 60 * 1000;
+
+/**
+ * Get the grace window during which the previous secret keeps working
+ * @returns {number} Grace window in hours
+ */
+function getSecretRotationGraceHours() {
+  const graceHours = process.env.SECRET_ROTATION_GRACE_HOURS;
+  if (graceHours && !isNaN(parseFloat(graceHours)) && parseFloat(graceHours) > 0) {
+    return parseFloat(graceHours);
+  }
+  return 24; // Default fallback
+}
+
+/**
+ * Checks whether a repository has a rotation in progress
+ * @param {Object} repository - Repository row
+ * @param {Date} now - Current time
+ * @returns {boolean} True if the pending secret is still within its grace window
+ */
+function isRotationActive(repository, now = new Date()) {
+  return Boolean(
+    repository.pendingWebhookSecret &&
+    repository.secretRotationExpiresAt &&
+    new Date(repository.secretRotationExpiresAt) > now
+  );
+}
+
+/**
+ * Determines which of a repository's secrets signed a delivery
+ * @param {Object} repository - Repository row
+ * @param {Function} verify - Checks the request against a secret (see createWebhookVerifier)
+ * @param {Date} now - Current time
+ * @returns {string|null} 'current', 'pending', or null if neither secret matches
+ */
+function matchRepositorySecret(repository, verify, now = new Date()) {
+  const currentSecret = repository.webhookSecret || process.env.GITHUB_WEBHOOK_SECRET;
+  if (verify(currentSecret)) {
+    return 'current';
+  }
+
+  if (isRotationActive(repository, now) && verify(repository.pendingWebhookSecret)) {
+    return 'pending';
+  }
+
+  return null;
+}
+
+/**
+ * Records which secret signed a delivery, promoting the pending secret once GitHub uses it.
+ * The repository is only written when the secret changes or the recorded use is stale,
+ * so busy repositories do not update their row on every webhook.
+ * @param {Object} prisma - Prisma client instance
+ * @param {Object} repository - Repository row
+ * @param {string} secretUsed - Result of matchRepositorySecret
+ * @param {Date} now - Current time
+ * @returns {Promise<void>}
+ */
+async function recordSecretUse(prisma, repository, secretUsed, now = new Date()) {
+  const lastUsedAt = repository.lastSecretUsedAt ? new Date(repository.lastSecretUsedAt).getTime() : 0;
+  if (
+    secretUsed !== 'pending' &&
+    repository.lastSecretUsed === secretUsed &&
+    now.getTime() - lastUsedAt < SECRET_USE_REFRESH_MS
+  ) {
+    return;
+  }
+
+  const data = { lastSecretUsed: secretUsed, lastSecretUsedAt: now };
+
+  if (secretUsed === 'pending') {
+    // GitHub has the new secret, so the old one is no longer needed
+    Object.assign(data, {
+      webhookSecret: repository.pendingWebhookSecret,
+      pendingWebhookSecret: null,
+      secretRotationExpiresAt: null,
+      rotationReminderSentAt: null
+    });
+  }
+
+  try {
+    await prisma.repository.update({ where: { id: repository.id }, data });
+  } catch (error) {
+    console.error(`Failed to record secret use for repository ${repository.id}:`, error);
+  }
+}
+
+/**
+ * Posts expiry reminders and promotes pending secrets whose grace window has ended
+ * @param {Object} prisma - Prisma client instance
+ * @param {Object} botClient - Discord client instance
+ * @returns {Promise<void>}
+ */
+async function processSecretRotations(prisma, botClient) {
+  const now = new Date();
+
+  const expired = await prisma.repository.findMany({
+    where: { pendingWebhookSecret: { not: null }, secretRotationExpiresAt: { lte: now } }
+  });
+
+  for (const repository of expired) {
+    await prisma.repository.update({
+      where: { id: repository.id },
+      data: {
+        webhookSecret: repository.pendingWebhookSecret,
+        pendingWebhookSecret: null,
+        secretRotationExpiresAt: null,
+        rotationReminderSentAt: null
+      }
+    });
+    console.log(`Secret rotation for ${repository.url} expired; the pending secret is now the only accepted secret.`);
+  }
+
+  const reminderLeadMs = Math.min(REMINDER_LEAD_MS, (getSecretRotationGraceHours() * 60 * 60 * 1000) / 2);
+  const dueForReminder = await prisma.repository.findMany({
+    where: {
+      pendingWebhookSecret: { not: null },
+      rotationReminderSentAt: null,
+      secretRotationExpiresAt: { gt: now, lte: new Date(now.getTime() + reminderLeadMs) }
+    }
+  });
+
+  for (const repository of dueForReminder) {
+    // Mark first so a failing channel does not produce a reminder every minute
+    await prisma.repository.update({
+      where: { id: repository.id },
+      data: { rotationReminderSentAt: now }
+    });
+
+    if (!repository.notificationChannelId || repository.notificationChannelId === 'pending') {
+      continue;
+    }
+
+    try {
+      const channel = await botClient.channels.fetch(repository.notificationChannelId);
+      if (channel && channel.isTextBased()) {
+        const displayUrl = repository.url.endsWith('.git') ? repository.url.slice(0, -4) : repository.url;
+        const expiresAt = Math.floor(new Date(repository.secretRotationExpiresAt).getTime() / 1000);
+        await channel.send({
+          embeds: [{
+            color: 0xFFC107, // Warning yellow
+            title: '⏰ Webhook Secret Rotation Ending Soon',
+            description: `The previous webhook secret for **${displayUrl.split('/').slice(-2).join('/')}** stops working <t:${expiresAt}:R>.`,
+            fields: [
+              {
+                name: 'What to do',
+                value: `Paste the new secret generated by \`/rotate-secret\` into the [webhook settings](${getWebhookSettingsUrl(displayUrl, repository.provider)}) before the grace period ends.`,
+                inline: false
+              }
+            ],
+            footer: { text: 'GitTrack - Secret Rotation' },
+            timestamp: new Date().toISOString()
+          }]
+        });
+      }
+    } catch (error) {
+      console.error(`Failed to send secret rotation reminder for ${repository.url}:`, error);
+    }
+  }
+}
+
+/**
+ * Starts the periodic rotation check
+ * @param {Object} prisma - Prisma client instance
+ * @param {Object} botClient - Discord client instance
+ * @returns {Object} { stop } to halt the scheduler
+ */
+function startSecretRotationScheduler(prisma, botClient) {
+  let stopped = false;
+
+  const tick = async () => {
+    if (stopped) {
+      return;
+    }
+
+    try {
+      await processSecretRotations(prisma, botClient);
+    } catch (error) {
+      console.error('Secret rotation check failed:', error);
+    }
+
+    setTimeout(tick, ROTATION_CHECK_INTERVAL_MS);
+  };
+
+  tick();
+
+  return {
+    stop() {
+      stopped = true;
+    }
+  };
+}
+
+module.exports = {
+  getSecretRotationGraceHours,
+  isRotationActive,
+  matchRepositorySecret,
+  recordSecretUse,
+  processSecretRotations,
+  startSecretRotationScheduler
+};
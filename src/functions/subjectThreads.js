@@ -0,0 +1,185 @@
+/**
+ * Subject threads
+ * Opens a Discord thread on the first message posted for a pull request or issue so its
+ * comments and reviews can be posted there, and archives the thread while the subject is closed.
+ * In forum channels each subject becomes a forum post tagged with its labels instead.
+ */
+
+const { saveLiveMessage } = require('./liveMessages');
+
+// Discord limit for thread names
+const THREAD_NAME_MAX_LENGTH = 100;
+
+// Discord limit for tags applied to a forum post
+const MAX_APPLIED_TAGS = 5;
+
+// ChannelType.GuildForum
+const GUILD_FORUM_CHANNEL = 15;
+
+// Forum tag applied to posts of closed subjects
+const CLOSED_TAG_NAME = 'closed';
+
+/**
+ * Shortens a thread name to the Discord limit
+ * @param {string} name - Desired thread name
+ * @returns {string} Name of at most THREAD_NAME_MAX_LENGTH characters
+ */
+function getThreadName(name) {
+  return name.length > THREAD_NAME_MAX_LENGTH ? `${name.substring(0, THREAD_NAME_MAX_LENGTH - 3)}...` : name;
+}
+
+/**
+ * Checks whether a channel is a forum channel
+ * @param {Object} channel - Discord channel
+ * @returns {boolean} True for forum channels
+ */
+function isForumChannel(channel) {
+  return Boolean(channel && channel.type === GUILD_FORUM_CHANNEL);
+}
+
+/**
+ * Selects the forum tags for a subject
+ * Labels match tags of the same name, ignoring case; the closed tag is added while the subject is closed.
+ * @param {Array<Object>} availableTags - Tags of the forum channel ({ id, name })
+ * @param {Array<string>} labels - Label names of the subject
+ * @param {boolean} closed - Whether the subject is closed
+ * @returns {Array<string>} IDs of at most MAX_APPLIED_TAGS tags, the closed tag first
+ */
+function getForumTagIds(availableTags, labels, closed) {
+  const tagIdsByName = new Map((availableTags || []).map(tag => [tag.name.toLowerCase(), tag.id]));
+  const names = (labels || []).map(label => label.toLowerCase()).filter(name => name !== CLOSED_TAG_NAME);
+  if (closed) {
+    names.unshift(CLOSED_TAG_NAME);
+  }
+  const tagIds = names.map(name => tagIdsByName.get(name)).filter(Boolean);
+  return [...new Set(tagIds)].slice(0, MAX_APPLIED_TAGS);
+}
+
+/**
+ * Fetches a thread of a channel, or null if it no longer exists
+ * @param {Object} channel - Parent Discord channel
+ * @param {string} threadId - Thread channel ID
+ * @returns {Promise<Object|null>} Thread channel
+ */
+async function fetchThread(channel, threadId) {
+  try {
+    return await channel.threads.fetch(threadId);
+  } catch (error) {
+    console.warn(`Thread ${threadId} in channel ${channel.id} could not be fetched:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Opens, archives or reopens the thread of a subject after a notification was posted for it
+ * The first message posted for the subject in the channel carries the thread.
+ * @param {Object} prisma - Prisma client instance
+ * @param {string} repositoryId - Repository the subject belongs to
+ * @param {Object} channel - Channel the notification was posted in
+ * @param {Object} thread - { subjectType, subjectKey, name, archived }
+ * @param {string} messageId - Message just posted or edited for the subject
+ * @returns {Promise<Object|null>} The thread, or null if the channel has none for the subject
+ */
+async function syncSubjectThread(prisma, repositoryId, channel, thread, messageId) {
+  if (!channel.threads) {
+    return null; // Channels that cannot hold threads
+  }
+
+  const subjectType = thread.subjectType;
+  const subjectKey = String(thread.subjectKey);
+  const where = { repositoryId_subjectType_subjectKey_channelId: { repositoryId, subjectType, subjectKey, channelId: channel.id } };
+  const tracked = await prisma.liveMessage.upsert({
+    where,
+    create: { repositoryId, subjectType, subjectKey, channelId: channel.id, messageId },
+    update: {}
+  });
+
+  let discordThread = tracked.threadId ? await fetchThread(channel, tracked.threadId) : null;
+  if (!discordThread) {
+    if (thread.archived) {
+      return null; // No thread is opened for a subject first seen closed
+    }
+    const message = await channel.messages.fetch(tracked.messageId);
+    discordThread = message.thread || await message.startThread({ name: getThreadName(thread.name) });
+    await prisma.liveMessage.update({ where: { id: tracked.id }, data: { threadId: discordThread.id } });
+  }
+
+  if (Boolean(discordThread.archived) !== Boolean(thread.archived)) {
+    await discordThread.setArchived(Boolean(thread.archived));
+  }
+  return discordThread;
+}
+
+/**
+ * Posts a notification about a subject in its forum post, creating the post for a new subject
+ * The post's tags follow the subject's labels, and closed subjects are locked and archived.
+ * @param {Object} prisma - Prisma client instance
+ * @param {string} repositoryId - Repository the subject belongs to
+ * @param {Object} channel - Forum channel
+ * @param {Object} thread - { subjectType, subjectKey, name, archived, labels }
+ * @param {Array<Object>} embeds - Embeds to post
+ * @returns {Promise<Object>} { post, messageId } of the forum post and the message posted in it
+ */
+async function deliverForumPost(prisma, repositoryId, channel, thread, embeds) {
+  const subjectType = thread.subjectType;
+  const subjectKey = String(thread.subjectKey);
+  const closed = Boolean(thread.archived);
+  const appliedTags = getForumTagIds(channel.availableTags, thread.labels, closed);
+  const tracked = await prisma.liveMessage.findUnique({
+    where: { repositoryId_subjectType_subjectKey_channelId: { repositoryId, subjectType, subjectKey, channelId: channel.id } }
+  });
+
+  let post = tracked && tracked.threadId ? await fetchThread(channel, tracked.threadId) : null;
+  let messageId;
+  if (post) {
+    // Locked or archived posts must be reopened before the bot can post in them
+    if (post.archived) {
+      await post.setArchived(false);
+    }
+    if (post.locked) {
+      await post.setLocked(false);
+    }
+    const message = await post.send({ embeds });
+    messageId = message.id;
+    await post.setAppliedTags(appliedTags);
+  } else {
+    post = await channel.threads.create({ name: getThreadName(thread.name), message: { embeds }, appliedTags });
+    messageId = post.id; // The starter message shares the post's ID
+    await saveLiveMessage(prisma, { repositoryId, subjectType, subjectKey, channelId: channel.id, messageId, threadId: post.id });
+  }
+
+  if (closed) {
+    await post.setLocked(true);
+    await post.setArchived(true);
+  }
+  return { post, messageId };
+}
+
+/**
+ * Finds the thread of a subject so follow-up notifications can be posted in it
+ * @param {Object} prisma - Prisma client instance
+ * @param {string} repositoryId - Repository the subject belongs to
+ * @param {Object} channel - Channel the follow-up is routed to
+ * @param {Object} replyTo - { subjectType, subjectKey }
+ * @returns {Promise<Object|null>} The thread, or null to post in the channel itself
+ */
+async function findSubjectThread(prisma, repositoryId, channel, replyTo) {
+  if (!channel.threads) {
+    return null;
+  }
+  const tracked = await prisma.liveMessage.findUnique({
+    where: { repositoryId_subjectType_subjectKey_channelId: { repositoryId, subjectType: replyTo.subjectType, subjectKey: String(replyTo.subjectKey), channelId: channel.id } }
+  });
+  return tracked && tracked.threadId ? fetchThread(channel, tracked.threadId) : null;
+}
+
+module.exports = {
+  THREAD_NAME_MAX_LENGTH,
+  CLOSED_TAG_NAME,
+  getThreadName,
+  isForumChannel,
+  getForumTagIds,
+  syncSubjectThread,
+  deliverForumPost,
+  findSubjectThread
+};
@@ -0,0 +1,298 @@
+/**
+ * Tag pattern matching utility
+ * Tag patterns are either branch-style globs and "re:" regular expressions (e.g. "v*") or
+ * semantic version filters: space-separated comparators such as ">=2.0.0 <3.0.0", "^1.4" or "~2.1",
+ * optionally combined with the keywords "prerelease" (pre-releases only) or "stable" (no pre-releases).
+ * Like branch patterns, the tag patterns of a channel form a set of include and "!" exclude patterns.
+ */
+
+const { matchesBranchPattern, isValidBranchPattern } = require('./branchMatcher');
+
+// Tag names such as "v1.2.3", "2.0" or "v3.0.0-rc.1+build.5"
+const VERSION_PATTERN = /^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/i;
+
+// Comparators of semantic version filters, e.g. ">=2.0.0", "^1.4" or "~2.1"
+const COMPARATOR_PATTERN = /^(>=|<=|>|<|=|\^|~)(v?\d+(?:\.\d+){0,2}(?:-[0-9A-Za-z.-]+)?)$/i;
+
+// Keywords of semantic version filters
+const VERSION_KEYWORDS = ['prerelease', 'stable'];
+
+/**
+ * Parses a tag name as a semantic version
+ * @param {string} tagName - Tag name, with or without a "v" prefix
+ * @returns {Object|null} - { major, minor, patch, prerelease, parts } or null if the tag is not a version
+ */
+function parseVersion(tagName) {
+  const match = String(tagName).match(VERSION_PATTERN);
+  if (!match) {
+    return null;
+  }
+  return {
+    major: Number(match[1]),
+    minor: Number(match[2] || 0),
+    patch: Number(match[3] || 0),
+    prerelease: match[4] ? match[4].split('.') : [],
+    // Number of version parts written, used by "^" and "~" comparators
+    parts: match[3] !== undefined ? 3 : match[2] !== undefined ? 2 : 1
+  };
+}
+
+/**
+ * Compares two pre-release identifiers following semantic versioning precedence
+ * @param {string} a - Identifier
+ * @param {string} b - Identifier
+ * @returns {number} - Negative, zero or positive
+ */
+function compareIdentifiers(a, b) {
+  const aNumeric = /^\d+$/.test(a);
+  const bNumeric = /^\d+$/.test(b);
+  if (aNumeric && bNumeric) {
+    return Number(a) - Number(b);
+  }
+  if (aNumeric !== bNumeric) {
+    // Numeric identifiers have lower precedence than alphanumeric ones
+    return aNumeric ? -1 : 1;
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Compares two parsed versions following semantic versioning precedence
+ * @param {Object} a - Parsed version
+ * @param {Object} b - Parsed version
+ * @returns {number} - Negative if a is lower, zero if equal, positive if a is higher
+ */
+function compareVersions(a, b) {
+  const release = (a.major - b.major) || (a.minor - b.minor) || (a.patch - b.patch);
+  if (release !== 0) {
+    return release;
+  }
+  // A pre-release is lower than its release
+  if (a.prerelease.length === 0 || b.prerelease.length === 0) {
+    return b.prerelease.length - a.prerelease.length;
+  }
+  for (let i = 0; i < Math.min(a.prerelease.length, b.prerelease.length); i += 1) {
+    const result = compareIdentifiers(a.prerelease[i], b.prerelease[i]);
+    if (result !== 0) {
+      return result;
+    }
+  }
+  return a.prerelease.length - b.prerelease.length;
+}
+
+/**
+ * Checks if a pattern is a semantic version filter rather than a glob
+ * @param {string} pattern - Tag pattern without "!" prefix
+ * @returns {boolean} - True if every word is a comparator or keyword
+ */
+function isVersionFilter(pattern) {
+  const words = pattern.trim().split(/\s+/).filter(Boolean);
+  return words.length > 0
+    && words.every(word => VERSION_KEYWORDS.includes(word.toLowerCase()) || COMPARATOR_PATTERN.test(word));
+}
+
+/**
+ * Checks if a version satisfies one comparator
+ * @param {Object} version - Parsed version of the tag
+ * @param {string} operator - Comparator operator
+ * @param {Object} bound - Parsed version of the comparator
+ * @returns {boolean} - True if the comparator is satisfied
+ */
+function satisfiesComparator(version, operator, bound) {
+  const result = compareVersions(version, bound);
+  switch (operator) {
+    case '>=': return result >= 0;
+    case '>': return result > 0;
+    case '<=': return result <= 0;
+    case '<': return result < 0;
+    case '=': return result === 0;
+    case '^': {
+      // Allows changes that do not modify the left-most non-zero part, e.g. ^1.4 is >=1.4.0 <2.0.0
+      const upper = bound.major > 0 || bound.parts === 1
+        ? { major: bound.major + 1, minor: 0, patch: 0, prerelease: [] }
+        : { major: 0, minor: bound.minor + 1, patch: 0, prerelease: [] };
+      return result >= 0 && compareVersions(version, upper) < 0;
+    }
+    case '~': {
+      // Allows patch changes, or minor changes when only the major version is given
+      const upper = bound.parts === 1
+        ? { major: bound.major + 1, minor: 0, patch: 0, prerelease: [] }
+        : { major: bound.major, minor: bound.minor + 1, patch: 0, prerelease: [] };
+      return result >= 0 && compareVersions(version, upper) < 0;
+    }
+    default: return false;
+  }
+}
+
+/**
+ * Checks if a tag satisfies a semantic version filter
+ * @param {string} tagName - Tag name
+ * @param {string} filter - Space-separated comparators and keywords
+ * @returns {boolean} - True if the tag is a version satisfying every word of the filter
+ */
+function matchesVersionFilter(tagName, filter) {
+  const version = parseVersion(tagName);
+  if (!version) {
+    return false;
+  }
+  return filter.trim().split(/\s+/).every(word => {
+    const keyword = word.toLowerCase();
+    if (keyword === 'prerelease') {
+      return version.prerelease.length > 0;
+    }
+    if (keyword === 'stable') {
+      return version.prerelease.length === 0;
+    }
+    const [, operator, bound] = word.match(COMPARATOR_PATTERN);
+    return satisfiesComparator(version, operator, parseVersion(bound));
+  });
+}
+
+/**
+ * Checks if a tag name matches a positive pattern (without negation)
+ * @param {string} tagName - Tag name from the webhook
+ * @param {string} pattern - Glob, "re:" regular expression or semantic version filter
+ * @returns {boolean} - True if the tag matches the pattern
+ */
+function matchesPositiveTagPattern(tagName, pattern) {
+  if (isVersionFilter(pattern)) {
+    return matchesVersionFilter(tagName, pattern);
+  }
+  return matchesBranchPattern(tagName, pattern);
+}
+
+/**
+ * Checks if a tag name matches a pattern, which may be negated with "!"
+ * @param {string} tagName - Tag name from the webhook
+ * @param {string} pattern - The pattern to match against
+ * @returns {boolean} - True if the tag matches the pattern
+ */
+function matchesTagPattern(tagName, pattern) {
+  if (pattern.startsWith('!')) {
+    return !matchesPositiveTagPattern(tagName, pattern.slice(1));
+  }
+  return matchesPositiveTagPattern(tagName, pattern);
+}
+
+/**
+ * Finds the tracked tags whose channel pattern set matches a given tag name
+ * Exclude patterns take precedence and a channel with only exclude patterns includes every other
+ * tag. At most one tracked tag is returned per channel.
+ * @param {Array} trackedTags - Array of tracked tag objects with tagPattern and channelId
+ * @param {string} tagName - The tag name to match against
+ * @returns {Array} - Array of matching tracked tag objects, one per channel
+ */
+function findMatchingTags(trackedTags, tagName) {
+  const sets = new Map();
+  for (const trackedTag of trackedTags) {
+    const channelId = trackedTag.channelId || null;
+    if (!sets.has(channelId)) {
+      sets.set(channelId, []);
+    }
+    sets.get(channelId).push(trackedTag);
+  }
+
+  const matches = [];
+  for (const patternSet of sets.values()) {
+    const includes = patternSet.filter(trackedTag => !trackedTag.tagPattern.startsWith('!'));
+    const excludes = patternSet.filter(trackedTag => trackedTag.tagPattern.startsWith('!'));
+    if (excludes.some(trackedTag => matchesPositiveTagPattern(tagName, trackedTag.tagPattern.slice(1)))) {
+      continue;
+    }
+    const match = includes.length > 0
+      ? includes.find(trackedTag => matchesPositiveTagPattern(tagName, trackedTag.tagPattern))
+      : excludes[0];
+    if (match) {
+      matches.push(match);
+    }
+  }
+  return matches;
+}
+
+/**
+ * Validates a tag pattern
+ * @param {string} pattern - The pattern to validate
+ * @returns {boolean} - True if the pattern is valid
+ */
+function isValidTagPattern(pattern) {
+  const innerPattern = pattern.startsWith('!') ? pattern.slice(1) : pattern;
+  if (isVersionFilter(innerPattern)) {
+    const keywords = innerPattern.toLowerCase().split(/\s+/);
+    // A filter cannot ask for both pre-releases only and no pre-releases
+    return !(keywords.includes('prerelease') && keywords.includes('stable'));
+  }
+  return isValidBranchPattern(pattern);
+}
+
+/**
+ * Gets a human-readable description of a positive tag pattern (without negation)
+ * @param {string} pattern - The pattern to describe
+ * @returns {string} - Description starting with "tags" or "tag"
+ */
+function describePositiveTagPattern(pattern) {
+  if (isVersionFilter(pattern)) {
+    const words = pattern.trim().split(/\s+/);
+    const comparators = words.filter(word => !VERSION_KEYWORDS.includes(word.toLowerCase()));
+    const keywords = words.map(word => word.toLowerCase());
+    const kind = keywords.includes('prerelease') ? 'pre-release tags' : keywords.includes('stable') ? 'stable release tags' : 'version tags';
+    return comparators.length > 0 ? `${kind} ${comparators.join(' ')}` : kind;
+  }
+  if (pattern === '*' || pattern === '**') {
+    return 'all tags';
+  }
+  if (pattern.startsWith('re:')) {
+    return `tags matching the regular expression /${pattern.slice(3)}/`;
+  }
+  return /[*?[\]{}]/.test(pattern) ? `tags matching "${pattern}"` : `tag "${pattern}"`;
+}
+
+/**
+ * Gets a human-readable description of a tag pattern
+ * @param {string} pattern - The pattern to describe
+ * @returns {string} - Human-readable description
+ */
+function describeTagPattern(pattern) {
+  if (pattern.startsWith('!')) {
+    return `All tags except ${describePositiveTagPattern(pattern.slice(1))}`;
+  }
+  const description = describePositiveTagPattern(pattern);
+  return description.charAt(0).toUpperCase() + description.slice(1);
+}
+
+/**
+ * Finds the tag a new tag follows: the highest lower version, skipping pre-releases for stable tags
+ * @param {Array<string>} tagNames - Existing tag names of the repository
+ * @param {string} tagName - The new tag
+ * @returns {string|null} - The previous tag, or null if there is none or the tag is not a version
+ */
+function findPreviousTag(tagNames, tagName) {
+  const version = parseVersion(tagName);
+  if (!version) {
+    return null;
+  }
+
+  let previous = null;
+  for (const candidateName of tagNames) {
+    const candidate = parseVersion(candidateName);
+    if (!candidate || compareVersions(candidate, version) >= 0) {
+      continue;
+    }
+    if (version.prerelease.length === 0 && candidate.prerelease.length > 0) {
+      continue;
+    }
+    if (!previous || compareVersions(candidate, previous.version) > 0) {
+      previous = { name: candidateName, version: candidate };
+    }
+  }
+  return previous ? previous.name : null;
+}
+
+module.exports = {
+  parseVersion,
+  compareVersions,
+  matchesTagPattern,
+  findMatchingTags,
+  isValidTagPattern,
+  describeTagPattern,
+  findPreviousTag
+};
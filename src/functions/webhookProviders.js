@@ -0,0 +1,190 @@
+/**
+ * Webhook provider detection
+ * Every provider signs and labels its webhooks differently; these helpers read the
+ * provider-specific headers so the intake can treat all deliveries alike.
+ */
+
+const { normalizeGiteaPayload } = require('./giteaPayload');
+const { normalizeGitlabPayload } = require('./gitlabPayload');
+const { normalizeBitbucketPayload } = require('./bitbucketPayload');
+const { verifySignature, verifyToken } = require('./webhookSignature');
+
+const PROVIDERS = {
+  github: {
+    name: 'GitHub',
+    eventHeader: 'x-github-event',
+    deliveryHeader: 'x-github-delivery',
+    signatureHeader: 'x-hub-signature-256',
+    hooksPath: '/settings/hooks',
+    addWebhookLabel: '**Add webhook**',
+    secretLabel: 'Secret',
+    eventsSetting: '"Send me everything" (recommended)',
+    contentTypeSetting: true
+  },
+  gitea: {
+    name: 'Gitea / Forgejo',
+    eventHeader: 'x-gitea-event',
+    deliveryHeader: 'x-gitea-delivery',
+    signatureHeader: 'x-gitea-signature',
+    hooksPath: '/settings/hooks',
+    addWebhookLabel: '**Add Webhook** → **Gitea**',
+    secretLabel: 'Secret',
+    eventsSetting: '"All events" (push, issues, pull requests and releases are forwarded)',
+    contentTypeSetting: true
+  },
+  gitlab: {
+    name: 'GitLab',
+    eventHeader: 'x-gitlab-event',
+    deliveryHeader: 'x-gitlab-event-uuid',
+    // GitLab sends the configured secret token as-is instead of signing the body
+    signatureHeader: 'x-gitlab-token',
+    hooksPath: '/-/hooks',
+    addWebhookLabel: '**Add new webhook**',
+    secretLabel: 'Secret token',
+    eventsSetting: 'Push events, Tag push events, Issues events, Merge request events and Pipeline events',
+    contentTypeSetting: false
+  },
+  bitbucket: {
+    name: 'Bitbucket',
+    eventHeader: 'x-event-key',
+    deliveryHeader: 'x-request-uuid',
+    signatureHeader: 'x-hub-signature',
+    hooksPath: '/admin/webhooks',
+    addWebhookLabel: '**Add webhook**',
+    secretLabel: 'Secret',
+    eventsSetting: 'Repository push, Pull request created/updated/merged/declined, Issue created/updated',
+    contentTypeSetting: false
+  }
+};
+
+/**
+ * Detects which provider sent a webhook
+ * Gitea also sends GitHub-compatible headers, so its own headers are checked first.
+ * @param {Object} headers - Request headers (lowercase keys)
+ * @returns {string} Provider key ('github', 'gitea', 'gitlab' or 'bitbucket')
+ */
+function detectProvider(headers) {
+  if (headers['x-gitea-event'] || headers['x-forgejo-event']) {
+    return 'gitea';
+  }
+  if (headers['x-gitlab-event']) {
+    return 'gitlab';
+  }
+  // Bitbucket Server also sends X-Event-Key, but only Bitbucket Cloud identifies the hook
+  if (headers['x-event-key'] && headers['x-hook-uuid']) {
+    return 'bitbucket';
+  }
+  return 'github';
+}
+
+/**
+ * Gets the display name of a provider
+ * @param {string} provider - Provider key
+ * @returns {string} Display name
+ */
+function getProviderName(provider) {
+  return (PROVIDERS[provider] || PROVIDERS.github).name;
+}
+
+/**
+ * Gets the webhook settings shown in /setup instructions for a provider
+ * @param {string} provider - Provider key
+ * @returns {Object} { hooksPath, addWebhookLabel, secretLabel, eventsSetting, contentTypeSetting }
+ */
+function getSetupInstructions(provider) {
+  const { hooksPath, addWebhookLabel, secretLabel, eventsSetting, contentTypeSetting } = PROVIDERS[provider] || PROVIDERS.github;
+  return { hooksPath, addWebhookLabel, secretLabel, eventsSetting, contentTypeSetting };
+}
+
+/**
+ * Builds the link to a repository's webhook settings page
+ * @param {string} repoUrl - Repository URL
+ * @param {string} provider - Provider key
+ * @returns {string} Webhook settings URL
+ */
+function getWebhookSettingsUrl(repoUrl, provider) {
+  return `${String(repoUrl).replace(/\/+$/, '')}${getSetupInstructions(provider).hooksPath}`;
+}
+
+/**
+ * Reads the event type, delivery ID and signature of a webhook request
+ * The signature is returned in the "sha256=<hex>" form used by verifySignature; for GitLab it is
+ * the plain secret token.
+ * @param {string} provider - Provider key from detectProvider
+ * @param {Object} headers - Request headers (lowercase keys)
+ * @returns {Object} { event, deliveryId, signature }
+ */
+function getWebhookHeaders(provider, headers) {
+  const config = PROVIDERS[provider] || PROVIDERS.github;
+  const signature = headers[config.signatureHeader] || (provider === 'gitea' ? headers['x-forgejo-signature'] : undefined);
+
+  return {
+    event: headers[config.eventHeader] || (provider === 'gitea' ? headers['x-forgejo-event'] : undefined),
+    deliveryId: headers[config.deliveryHeader] || (provider === 'gitea' ? headers['x-forgejo-delivery'] : undefined),
+    signature: signature && provider === 'gitea' ? `sha256=${signature}` : signature
+  };
+}
+
+/**
+ * Creates the check used to test a webhook request against a repository secret
+ * @param {string} provider - Provider key
+ * @param {string} rawBody - Raw request body
+ * @param {string} signature - Signature or token from getWebhookHeaders
+ * @returns {Function} (secret) => boolean
+ */
+function createWebhookVerifier(provider, rawBody, signature) {
+  if (provider === 'gitlab') {
+    return (secret) => verifyToken(signature, secret);
+  }
+  return (secret) => verifySignature(rawBody, signature, secret);
+}
+
+/**
+ * Reads the repository URL a webhook payload belongs to
+ * @param {string} provider - Provider key
+ * @param {Object} payload - Parsed webhook payload (before normalization)
+ * @returns {string|undefined} Repository URL
+ */
+function getPayloadRepositoryUrl(provider, payload) {
+  if (provider === 'gitlab') {
+    return payload?.project?.web_url;
+  }
+  if (provider === 'bitbucket') {
+    return payload?.repository?.links?.html?.href;
+  }
+  return payload?.repository?.html_url;
+}
+
+/**
+ * Converts a provider webhook into the GitHub events and payload shape the event handlers consume
+ * Most webhooks map to one event; a Bitbucket push can carry several ref changes.
+ * @param {string} provider - Provider key
+ * @param {string} event - Event type from getWebhookHeaders
+ * @param {Object} payload - Parsed webhook payload
+ * @returns {Array<Object>} [{ event, payload }], empty if the event is not supported for the provider
+ */
+function normalizeProviderPayload(provider, event, payload) {
+  if (provider === 'bitbucket') {
+    return normalizeBitbucketPayload(event, payload);
+  }
+  if (provider === 'gitlab') {
+    return normalizeGitlabPayload(event, payload);
+  }
+  if (provider === 'gitea') {
+    const normalized = normalizeGiteaPayload(event, payload);
+    return normalized ? [{ event, payload: normalized }] : [];
+  }
+  return [{ event, payload }];
+}
+
+module.exports = {
+  PROVIDERS,
+  detectProvider,
+  getProviderName,
+  getSetupInstructions,
+  getWebhookSettingsUrl,
+  getWebhookHeaders,
+  createWebhookVerifier,
+  getPayloadRepositoryUrl,
+  normalizeProviderPayload
+};
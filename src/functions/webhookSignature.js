@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+
+const SIGNATURE_PREFIX = 'sha256=';
+
+/**
+ * Verifies a GitHub X-Hub-Signature-256 header against a webhook secret
+ * @param {string} rawBody - Raw request body the signature was computed over
+ * @param {string} signatureHeader - Value of the X-Hub-Signature-256 header (e.g., "sha256=abc...")
+ * @param {string} secret - Webhook secret configured for the repository
+ * @returns {boolean} - True if the signature matches
+ */
+function verifySignature(rawBody, signatureHeader, secret) {
+  if (!rawBody || !signatureHeader || !secret || !signatureHeader.startsWith(SIGNATURE_PREFIX)) {
+    return false;
+  }
+
+  const provided = Buffer.from(signatureHeader.substring(SIGNATURE_PREFIX.length), 'hex');
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest();
+
+  // timingSafeEqual throws on length mismatch, and the length of a digest is not secret
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+/**
+ * Verifies a plain webhook token (e.g., GitLab's X-Gitlab-Token) against a webhook secret
+ * @param {string} token - Token sent with the request
+ * @param {string} secret - Webhook secret configured for the repository
+ * @returns {boolean} - True if the token matches
+ */
+function verifyToken(token, secret) {
+  if (!token || !secret) {
+    return false;
+  }
+
+  // Comparing digests keeps the comparison constant-time regardless of the token length
+  const provided = crypto.createHash('sha256').update(String(token)).digest();
+  const expected = crypto.createHash('sha256').update(String(secret)).digest();
+  return crypto.timingSafeEqual(provided, expected);
+}
+
+/**
+ * Generates an unguessable token for a repository-specific webhook endpoint
+ * @returns {string} - URL-safe token
+ */
+function generateWebhookToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+/**
+ * Normalizes a repository URL for comparison (no trailing slash or .git suffix, lowercase)
+ * @param {string} url - Repository URL
+ * @returns {string} - Normalized URL
+ */
+function normalizeRepositoryUrl(url) {
+  return String(url || '').trim().replace(/\/+$/, '').replace(/\.git$/, '').toLowerCase();
+}
+
+module.exports = {
+  verifySignature,
+  verifyToken,
+  generateWebhookToken,
+  normalizeRepositoryUrl
+};
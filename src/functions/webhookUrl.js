@@ -0,0 +1,22 @@
+/**
+ * Gets the shared webhook endpoint URL
+ * @returns {string} - WEBHOOK_URL, or the endpoint derived from PUBLIC_URL
+ */
+function getWebhookBaseUrl() {
+  return (process.env.WEBHOOK_URL || `${process.env.PUBLIC_URL}/github-webhook`).replace(/\/+$/, '');
+}
+
+/**
+ * Gets the webhook endpoint URL for a repository
+ * @param {Object} repository - Repository row
+ * @returns {string} - Repository-specific endpoint, or the shared one if the repository has no token
+ */
+function getRepositoryWebhookUrl(repository) {
+  const baseUrl = getWebhookBaseUrl();
+  return repository.webhookToken ? `${baseUrl}/${repository.webhookToken}` : baseUrl;
+}
+
+module.exports = {
+  getWebhookBaseUrl,
+  getRepositoryWebhookUrl
+};
@@ -0,0 +1,298 @@
+/**
+ * Workflow run messages
+ * Builds the message for a workflow run from the run and the latest state of its jobs, so a
+ * single message can be edited as the run is requested, its jobs progress and it completes.
+ */
+
+// Job fields kept between events to rebuild the job list
+const JOB_FIELDS = ['id', 'name', 'status', 'conclusion', 'started_at', 'completed_at'];
+
+/**
+ * Extracts the run details needed to rebuild its message without the original payload
+ * @param {Object} payload - workflow_run webhook payload
+ * @returns {Object} Run snapshot
+ */
+function getWorkflowRunSnapshot(payload) {
+  const workflow = payload.workflow_run;
+  return {
+    id: workflow.id,
+    name: workflow.name,
+    url: workflow.html_url,
+    branch: workflow.head_branch,
+    status: workflow.status || null,
+    conclusion: workflow.conclusion || null,
+    createdAt: workflow.created_at || null,
+    updatedAt: workflow.updated_at || null,
+    repository: { fullName: payload.repository.full_name, url: payload.repository.html_url }
+  };
+}
+
+/**
+ * Merges job updates into the known jobs of a run
+ * Jobs are matched by ID (or name when there is none) and keep the order they first appeared in.
+ * @param {Array<Object>|null} jobs - Known jobs
+ * @param {Array<Object>} updates - Jobs from the latest event or jobs API response
+ * @returns {Array<Object>} Jobs with the fields in JOB_FIELDS
+ */
+function mergeWorkflowJobs(jobs, updates) {
+  const merged = (Array.isArray(jobs) ? jobs : []).map(job => ({ ...job }));
+  for (const update of updates || []) {
+    const key = update.id !== undefined && update.id !== null ? update.id : update.name;
+    const known = merged.find(job => (job.id !== undefined && job.id !== null ? job.id : job.name) === key);
+    const fields = JOB_FIELDS.reduce((acc, field) => {
+      acc[field] = update[field] !== undefined ? update[field] : null;
+      return acc;
+    }, {});
+    if (known) {
+      Object.assign(known, fields);
+    } else {
+      merged.push(fields);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Builds the embed for a workflow run
+ * @param {Object} run - Value from getWorkflowRunSnapshot
+ * @param {Array<Object>} jobs - Jobs of the run
+ * @returns {Object} Embed describing the run status, its jobs and, once completed, its duration
+ */
+function buildWorkflowRunEmbed(run, jobs) {
+  const completed = run.status === 'completed' || (!run.status && Boolean(run.conclusion));
+  const state = completed
+    ? (typeof run.conclusion === 'string' ? run.conclusion.toLowerCase() : 'unknown')
+    : (run.status || 'requested');
+
+  // Determine emoji and color based on conclusion
+  let emoji, color;
+  switch (state) {
+    case 'success':
+      emoji = '✅';
+      color = 0x2CBE4E; // Green
+      break;
+    case 'failure':
+      emoji = '❌';
+      color = 0xD73A49; // Red
+      break;
+    case 'cancelled':
+      emoji = '⚪';
+      color = 0xA0A0A0; // Grey
+      break;
+    case 'skipped':
+      emoji = '⏭️';
+      color = 0xA0A0A0; // Grey
+      break;
+    case 'timed_out':
+      emoji = '⏱️';
+      color = 0xFFB347; // Orange
+      break;
+    default:
+      emoji = '🔄';
+      color = 0x0366D6; // Blue
+  }
+
+  const stateLabel = state.replace(/_/g, ' ');
+  const embed = {
+    color: color,
+    title: `${emoji} Workflow "${run.name}" ${stateLabel} on ${run.branch}`,
+    url: run.url,
+    fields: [
+      { name: 'Repository', value: `[${run.repository.fullName}](${run.repository.url})`, inline: true },
+      { name: 'Branch', value: run.branch, inline: true },
+      { name: completed ? 'Conclusion' : 'Status', value: stateLabel.charAt(0).toUpperCase() + stateLabel.slice(1), inline: true }
+    ],
+    timestamp: run.updatedAt || new Date().toISOString(),
+    footer: { text: 'GitHub Workflow Run' }
+  };
+
+  const jobField = analyzeJobs(jobs);
+  if (jobField) {
+    embed.fields.push(jobField);
+  }
+
+  // Add run duration once the run is completed
+  const duration = completed ? formatDuration(run.createdAt, run.updatedAt) : '';
+  if (duration) {
+    embed.fields.push({ name: 'Duration', value: duration, inline: true });
+  }
+
+  return embed;
+}
+
+/**
+ * Builds the job list field of a workflow run embed
+ * @param {Array<Object>} jobs - Jobs with name, status, conclusion, started_at and completed_at
+ * @returns {Object|null} Embed field, or null when there are no jobs
+ */
+function analyzeJobs(jobs) {
+  if (!Array.isArray(jobs) || jobs.length === 0) {
+    return null;
+  }
+
+  const statusMeta = {
+    success: { indicator: '✓', label: 'Passed', color: 'green' },
+    failure: { indicator: '✗', label: 'Failed', color: 'red' },
+    cancelled: { indicator: '⬣', label: 'Cancelled', color: 'yellow' },
+    skipped: { indicator: '➤', label: 'Skipped', color: 'blue' },
+    timed_out: { indicator: '🕒', label: 'Timed out', color: 'yellow' },
+    in_progress: { indicator: '⏳', label: 'Running', color: 'yellow' },
+    queued: { indicator: '…', label: 'Queued', color: 'gray' },
+    waiting: { indicator: '⏸', label: 'Waiting', color: 'gray' },
+    default: { indicator: '•', label: 'Unknown', color: 'gray' }
+  };
+
+  let passed = 0;
+  let failed = 0;
+
+  // Go through each job and prepare entries
+  const entries = jobs.map((job) => {
+    const conclusion = (job.conclusion || job.status || '').toLowerCase();
+    // map conclusion to known meta
+    const meta = statusMeta[conclusion] || statusMeta.default;
+
+    // Update counts
+    if (conclusion === 'success') {passed += 1;}
+    else if (conclusion === 'failure') {failed += 1;}
+
+    // Format duration if available
+    const duration = formatDuration(job.started_at, job.completed_at);
+    // Prepare right side with colored label and optional duration
+    const right = duration
+      ? `${wrapAnsi(meta.indicator, meta.color)} ${wrapAnsi(meta.label, meta.color)} · ${duration}`
+      : `${wrapAnsi(meta.indicator, meta.color)} ${wrapAnsi(meta.label, meta.color)}`;
+
+    return {
+      name: job.name || 'Unnamed job',
+      right
+    };
+  });
+
+  // stop if no entries
+  if (entries.length === 0) {
+    return null;
+  }
+
+  // Determine padding for alignment
+  const maxNameLength = Math.max(0, ...entries.map(({ name }) => name.length));
+
+  // Format each entry with padding and ANSI codes
+  const formatted = entries.map(({ name, right }) => {
+    const paddedName = name.padEnd(maxNameLength, ' ');
+    const left = `\u001b[1;2m${paddedName}\u001b[0m`;
+    return {
+      left,
+      right,
+    };
+  });
+
+  // Determine box width for alignment
+  const boxWidth =
+    Math.max(...formatted.map(({ left, right }) => stripAnsi(left).length + stripAnsi(right).length)) + 2;
+
+  // Create lines with proper spacing
+  const lines = formatted.map(({ left, right }) => {
+    const spacing = Math.max(1, boxWidth - stripAnsi(left).length - stripAnsi(right).length);
+    return `${left}${' '.repeat(spacing)}${right}`;
+  });
+
+  // Prepare header with summary
+  const passedString = wrapAnsi(`${passed} passed`, 'green');
+  const failedString = failed > 0 ? wrapAnsi(`${failed} failed`, 'red') : `${failed} failed`;
+  const header = `${passedString} · ${failedString}`;
+
+  // Wrap lines in ANSI code block
+
+  const wrapLines = (lineArray) =>
+    `\`\`\`ansi\n\n${header}\n${lineArray.join('\n')}\n\`\`\``;
+
+  let value = wrapLines(lines);
+  let truncated = false;
+
+  // Ensure total length does not exceed 1024 characters
+  // If too long, truncate lines from the end and add ellipsis line
+  while (value.length > 1024 && lines.length > 0) {
+    lines.pop();
+    truncated = true;
+    value = wrapLines(lines);
+  }
+
+  // If still too long, add ellipsis line
+  if (truncated) {
+    const ellipsisLeft = `! ${''.padEnd(maxNameLength, ' ')}`;
+    const ellipsisRight = wrapAnsi('…', 'yellow');
+    const leftLength = ellipsisLeft.length;
+    const rightLength = ellipsisRight.length;
+    const spacing = Math.max(1, boxWidth - leftLength - rightLength);
+    const ellipsisLine = `${ellipsisLeft}${' '.repeat(spacing)}${ellipsisRight}`;
+    const candidate = wrapLines([...lines, ellipsisLine]);
+    value = candidate.length <= 1024 ? candidate : wrapLines(lines);
+  }
+
+  return { name: 'Jobs', value, inline: false };
+}
+
+// Format duration between two ISO date strings into "Xm Ys" format
+function formatDuration(start, end) {
+  if (!start || !end) {
+    return '';
+  }
+
+  const durationMs = new Date(end) - new Date(start);
+  if (!Number.isFinite(durationMs) || durationMs <= 0) {
+    return '';
+  }
+
+  const totalSeconds = Math.round(durationMs / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+
+  return minutes > 0 ? `${minutes}m ${seconds}s` : `${seconds}s`;
+}
+
+// Wrap text in ANSI color codes
+function wrapAnsi(text, color) {
+  if (!text) {return '';}
+  const code = /^\d+$/.test(color) ? color : ansiColorCode(color);
+  return `\u001b[2;${code}m${text}\u001b[0m`;
+}
+
+function stripAnsi(input) {
+  if (!input) {return '';}
+  return input.replace(
+     
+    /\u001b\[[0-9;]*m/g,
+    ''
+  );
+}
+
+// Map color names to ANSI codes
+function ansiColorCode(colorName) {
+  switch ((colorName || '').toLowerCase()) {
+    case 'green':
+      return '32';
+    case 'red':
+      return '31';
+    case 'yellow':
+      return '33';
+    case 'blue':
+      return '34';
+    case 'magenta':
+      return '35';
+    case 'cyan':
+      return '36';
+    case 'gray':
+    case 'grey':
+      return '90';
+    default:
+      return '37';
+  }
+}
+
+module.exports = {
+  getWorkflowRunSnapshot,
+  mergeWorkflowJobs,
+  buildWorkflowRunEmbed,
+  analyzeJobs,
+  formatDuration
+};
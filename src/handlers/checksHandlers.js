@@ -1,345 +1,230 @@
 const { findMatchingBranches } = require('../functions/branchMatcher');
 const { getEventRouting } = require('../functions/eventRouting');
+const { createNotification } = require('../functions/notificationPipeline');
+const { findLiveMessages } = require('../functions/liveMessages');
+const { mergeWorkflowJobs, buildWorkflowRunEmbed } = require('../functions/workflowRunMessage');
 
-async function handleWorkflowJobEvent(req, res, payload, prisma, botClient, repoContext) {
+async function handleWorkflowJobEvent(payload, prisma, botClient, repoContext) {
   const repoUrl = payload.repository.html_url;
   const action = payload.action; // queued, in_progress, completed, waiting
   const job = payload.workflow_job;
 
-  const serverConfig = repoContext.server;
+  // Jobs of a run that already has a message update that message instead of posting their own
+  const runMessages = job.run_id ? await findLiveMessages(prisma, repoContext.id, 'workflow_run', String(job.run_id)) : [];
+  if (runMessages.length > 0 && runMessages[0].state && runMessages[0].state.run) {
+    // A job progressing means the run has started, even if only its requested event was seen
+    const run = { ...runMessages[0].state.run };
+    if (run.status !== 'completed') {
+      run.status = 'in_progress';
+    }
+    const jobs = mergeWorkflowJobs(runMessages[0].state.jobs, [job]);
+    return createNotification({
+      targets: runMessages.map(runMessage => runMessage.channelId),
+      embed: buildWorkflowRunEmbed(run, jobs),
+      metadata: {
+        summary: 'Workflow job event applied to the workflow run message.',
+        fixedTargets: true,
+        live: { subjectType: 'workflow_run', subjectKey: String(job.run_id), state: { run, jobs } }
+      }
+    });
+  }
 
   // Check configuration - require explicit enablement for each action
-  const { channelId: routedChannelId, config } = await getEventRouting(prisma, repoContext.id, 'workflow_job', repoContext.notificationChannelId);
+  const { channelIds, config } = await getEventRouting(prisma, repoContext.id, 'workflow_job', repoContext.notificationChannelId);
 
   // Only allow if action is explicitly enabled (true)
-  if (!config || !config.actionsEnabled || config.actionsEnabled[action] !== true) {
+  if (!repoContext.routedByRules && (!config || !config.actionsEnabled || config.actionsEnabled[action] !== true)) {
     return { statusCode: 200, message: `Workflow job action '${action}' not enabled.`, channelId: null, messageId: null };
   }
 
-  const channelId = routedChannelId || 'pending';
-
-  if (channelId === 'pending') {
-    console.warn(`Notification channel pending for repository ${repoUrl} on server ${serverConfig.guildId}`);
-    return { statusCode: 200, message: 'Workflow job event acknowledged, notification channel pending.', channelId: null, messageId: null };
+  let emoji; let color; let statusText;
+
+  // For completed jobs, use conclusion; for others, use action
+  if (action === 'completed') {
+    const conclusion = job.conclusion || 'unknown';
+    statusText = conclusion;
+    switch (conclusion) {
+      case 'success': emoji = '✅'; color = 0x2CBE4E; break;
+      case 'failure': emoji = '❌'; color = 0xD73A49; break;
+      case 'cancelled': emoji = '⚪'; color = 0xA0A0A0; break;
+      case 'timed_out': emoji = '⏱️'; color = 0xFFB347; break;
+      case 'skipped': emoji = '⏭️'; color = 0xA0A0A0; break;
+      default: emoji = '🔄'; color = 0x0366D6;
+    }
+  } else {
+    statusText = action;
+    switch (action) {
+      case 'queued': emoji = '📋'; color = 0x6B7280; break;
+      case 'in_progress': emoji = '⏳'; color = 0xF59E0B; break;
+      case 'waiting': emoji = '⏸️'; color = 0x8B5CF6; break;
+      default: emoji = '🔄'; color = 0x0366D6;
+    }
   }
 
-  try {
-    const channel = await botClient.channels.fetch(channelId);
-    if (channel && channel.isTextBased()) {
-      let emoji; let color; let statusText;
-      
-      // For completed jobs, use conclusion; for others, use action
-      if (action === 'completed') {
-        const conclusion = job.conclusion || 'unknown';
-        statusText = conclusion;
-        switch (conclusion) {
-          case 'success': emoji = '✅'; color = 0x2CBE4E; break;
-          case 'failure': emoji = '❌'; color = 0xD73A49; break;
-          case 'cancelled': emoji = '⚪'; color = 0xA0A0A0; break;
-          case 'timed_out': emoji = '⏱️'; color = 0xFFB347; break;
-          case 'skipped': emoji = '⏭️'; color = 0xA0A0A0; break;
-          default: emoji = '🔄'; color = 0x0366D6;
-        }
-      } else {
-        statusText = action;
-        switch (action) {
-          case 'queued': emoji = '📋'; color = 0x6B7280; break;
-          case 'in_progress': emoji = '⏳'; color = 0xF59E0B; break;
-          case 'waiting': emoji = '⏸️'; color = 0x8B5CF6; break;
-          default: emoji = '🔄'; color = 0x0366D6;
-        }
-      }
-
-      const title = `${emoji} Job "${job.name}" ${statusText}`;
-      const url = job.html_url || repoUrl;
-
-      const embed = {
-        color,
-        title,
-        url,
-        fields: [
-          { name: 'Repository', value: `[${payload.repository.full_name}](${repoUrl})`, inline: true },
-          { name: 'Branch', value: job.head_branch || 'unknown', inline: true },
-          { name: 'Status', value: job.status || 'unknown', inline: true },
-        ],
-        timestamp: job.completed_at || new Date().toISOString(),
-        footer: { text: 'GitHub Workflow Job' }
-      };
-
-      if (job.started_at && job.completed_at) {
-        const startTime = new Date(job.started_at);
-        const endTime = new Date(job.completed_at);
-        const durationSec = Math.max(0, Math.round((endTime - startTime) / 1000));
-        const minutes = Math.floor(durationSec / 60);
-        const seconds = durationSec % 60;
-        embed.fields.push({ name: 'Duration', value: minutes > 0 ? `${minutes}m ${seconds}s` : `${seconds}s`, inline: true });
-      }
-
-      const sentMessage = await channel.send({ embeds: [embed] });
-
-      // Increment messagesSent counter
-      try {
-        await prisma.server.update({ where: { id: serverConfig.id }, data: { messagesSent: { increment: 1 } } });
-      } catch (dbError) {
-        console.error(`Failed to increment messagesSent for server ${serverConfig.id} after workflow_job event:`, dbError);
-      }
-
-      return { statusCode: 200, message: 'Workflow job event processed successfully.', channelId, messageId: sentMessage.id };
-    }
-  } catch (err) {
-    console.error(`Error sending workflow_job message to channel ${channelId}:`, err);
+  const embed = {
+    color,
+    title: `${emoji} Job "${job.name}" ${statusText}`,
+    url: job.html_url || repoUrl,
+    fields: [
+      { name: 'Repository', value: `[${payload.repository.full_name}](${repoUrl})`, inline: true },
+      { name: 'Branch', value: job.head_branch || 'unknown', inline: true },
+      { name: 'Status', value: job.status || 'unknown', inline: true },
+    ],
+    timestamp: job.completed_at || new Date().toISOString(),
+    footer: { text: 'GitHub Workflow Job' }
+  };
+
+  if (job.started_at && job.completed_at) {
+    const startTime = new Date(job.started_at);
+    const endTime = new Date(job.completed_at);
+    const durationSec = Math.max(0, Math.round((endTime - startTime) / 1000));
+    const minutes = Math.floor(durationSec / 60);
+    const seconds = durationSec % 60;
+    embed.fields.push({ name: 'Duration', value: minutes > 0 ? `${minutes}m ${seconds}s` : `${seconds}s`, inline: true });
   }
-  return { statusCode: 200, message: 'Workflow job event processed successfully.', channelId: null, messageId: null };
+
+  return createNotification({
+    targets: channelIds,
+    embed,
+    metadata: { summary: 'Workflow job event processed successfully.' }
+  });
 }
 
-async function handleCheckRunEvent(req, res, payload, prisma, botClient, repoContext) {
+async function handleCheckRunEvent(payload, prisma, botClient, repoContext) {
   const repoUrl = payload.repository.html_url;
   const action = payload.action; // created, queued, in_progress, completed, etc.
   const checkRun = payload.check_run;
 
-  const serverConfig = repoContext.server;
-
   // Check configuration - require explicit enablement for each action
-  const { channelId: routedChannelId, config } = await getEventRouting(prisma, repoContext.id, 'check_run', repoContext.notificationChannelId);
+  const { channelIds: routedChannelIds, config } = await getEventRouting(prisma, repoContext.id, 'check_run', repoContext.notificationChannelId);
 
   // Only allow if action is explicitly enabled (true)
-  if (!config || !config.actionsEnabled || config.actionsEnabled[action] !== true) {
+  if (!repoContext.routedByRules && (!config || !config.actionsEnabled || config.actionsEnabled[action] !== true)) {
     return { statusCode: 200, message: `Check run action '${action}' not enabled.`, channelId: null, messageId: null };
   }
 
   // Try to resolve branch from check_suite; fall back to repo default channel
   const branch = (checkRun && checkRun.check_suite && checkRun.check_suite.head_branch) ? checkRun.check_suite.head_branch : null;
 
-  // If we have a branch, attempt to match tracked branches; otherwise, default channel
+  // If we have a branch, attempt to match tracked branches; otherwise, use the routed channel
+  let matchingBranches = [];
   if (branch) {
     try {
       const allTrackedBranches = await prisma.trackedBranch.findMany({ where: { repositoryId: repoContext.id } });
-      const matchingBranches = findMatchingBranches(allTrackedBranches, branch);
-
-      if (matchingBranches.length > 0) {
-        let lastMessageInfo = { channelId: null, messageId: null };
-        for (const trackedBranch of matchingBranches) {
-          // Use tracked branch channel if set, otherwise use the routed channel for this event type
-          const channelId = trackedBranch.channelId || routedChannelId || 'pending';
-          if (channelId === 'pending') { continue; }
-
-          try {
-            const channel = await botClient.channels.fetch(channelId);
-            if (channel && channel.isTextBased()) {
-              let emoji; let color; let statusText;
-              
-              // For completed checks, use conclusion; for others, use action
-              if (action === 'completed') {
-                const conclusion = checkRun.conclusion || 'unknown';
-                statusText = conclusion;
-                switch (conclusion) {
-                  case 'success': emoji = '✅'; color = 0x2CBE4E; break;
-                  case 'failure': emoji = '❌'; color = 0xD73A49; break;
-                  case 'cancelled': emoji = '⚪'; color = 0xA0A0A0; break;
-                  case 'timed_out': emoji = '⏱️'; color = 0xFFB347; break;
-                  case 'neutral': emoji = '⚪'; color = 0xA0A0A0; break;
-                  case 'skipped': emoji = '⏭️'; color = 0xA0A0A0; break;
-                  case 'action_required': emoji = '⚠️'; color = 0xFF9800; break;
-                  default: emoji = '🔄'; color = 0x0366D6;
-                }
-              } else {
-                statusText = action;
-                switch (action) {
-                  case 'created': emoji = '🆕'; color = 0x10B981; break;
-                  case 'requested': emoji = '📋'; color = 0x6B7280; break;
-                  case 'rerequested': emoji = '🔄'; color = 0xF59E0B; break;
-                  default: emoji = '🔄'; color = 0x0366D6;
-                }
-              }
-
-              const title = `${emoji} Check "${checkRun.name}" ${statusText} on ${branch}`;
-              const url = checkRun.html_url || repoUrl;
-
-              const embed = {
-                color,
-                title,
-                url,
-                fields: [
-                  { name: 'Repository', value: `[${payload.repository.full_name}](${repoUrl})`, inline: true },
-                  { name: 'SHA', value: `\`${(checkRun.head_sha || '').substring(0, 7)}\``, inline: true },
-                ],
-                timestamp: checkRun.completed_at || checkRun.started_at || new Date().toISOString(),
-                footer: { text: 'GitHub Check Run' }
-              };
-
-              const sentMessage = await channel.send({ embeds: [embed] });
-              lastMessageInfo = { channelId, messageId: sentMessage.id };
-
-              try {
-                await prisma.server.update({ where: { id: serverConfig.id }, data: { messagesSent: { increment: 1 } } });
-              } catch (dbError) {
-                console.error(`Failed to increment messagesSent for server ${serverConfig.id} after check_run event:`, dbError);
-              }
-            }
-          } catch (err) {
-            console.error(`Error sending check_run message to channel ${channelId}:`, err);
-          }
-        }
-        return { statusCode: 200, message: 'Check run event processed successfully.', channelId: lastMessageInfo.channelId, messageId: lastMessageInfo.messageId };
-      }
+      matchingBranches = findMatchingBranches(allTrackedBranches, branch);
     } catch (error) {
       console.error('Error processing check_run branch matching:', error);
     }
   }
 
-  // Fallback: send to repository default channel
-  // Fallback: send to repository default channel (or routed channel)
-  const channelId = routedChannelId || 'pending';
-  if (channelId === 'pending') {
-    console.warn(`Notification channel pending for repository ${repoUrl} on server ${serverConfig.guildId}`);
-    return { statusCode: 200, message: 'Check run event acknowledged, notification channel pending.', channelId: null, messageId: null };
-  }
-
-  try {
-    const channel = await botClient.channels.fetch(channelId);
-    if (channel && channel.isTextBased()) {
-      let emoji; let color; let statusText;
-      
-      // For completed checks, use conclusion; for others, use action
-      if (action === 'completed') {
-        const conclusion = checkRun.conclusion || 'unknown';
-        statusText = conclusion;
-        switch (conclusion) {
-          case 'success': emoji = '✅'; color = 0x2CBE4E; break;
-          case 'failure': emoji = '❌'; color = 0xD73A49; break;
-          case 'cancelled': emoji = '⚪'; color = 0xA0A0A0; break;
-          case 'timed_out': emoji = '⏱️'; color = 0xFFB347; break;
-          case 'neutral': emoji = '⚪'; color = 0xA0A0A0; break;
-          case 'skipped': emoji = '⏭️'; color = 0xA0A0A0; break;
-          case 'action_required': emoji = '⚠️'; color = 0xFF9800; break;
-          default: emoji = '🔄'; color = 0x0366D6;
-        }
-      } else {
-        statusText = action;
-        switch (action) {
-          case 'created': emoji = '🆕'; color = 0x10B981; break;
-          case 'requested': emoji = '📋'; color = 0x6B7280; break;
-          case 'rerequested': emoji = '🔄'; color = 0xF59E0B; break;
-          default: emoji = '🔄'; color = 0x0366D6;
-        }
-      }
-
-      const title = `${emoji} Check "${checkRun.name}" ${statusText}`;
-      const url = checkRun.html_url || repoUrl;
-      const embed = {
-        color,
-        title,
-        url,
-        fields: [
-          { name: 'Repository', value: `[${payload.repository.full_name}](${repoUrl})`, inline: true },
-          { name: 'SHA', value: `\`${(checkRun.head_sha || '').substring(0, 7)}\``, inline: true },
-        ],
-        timestamp: checkRun.completed_at || checkRun.started_at || new Date().toISOString(),
-        footer: { text: 'GitHub Check Run' }
-      };
-      const sentMessage = await channel.send({ embeds: [embed] });
-
-      try {
-        await prisma.server.update({ where: { id: serverConfig.id }, data: { messagesSent: { increment: 1 } } });
-      } catch (dbError) {
-        console.error(`Failed to increment messagesSent for server ${serverConfig.id} after check_run event:`, dbError);
-      }
-
-      return { statusCode: 200, message: 'Check run event processed successfully.', channelId, messageId: sentMessage.id };
+  let emoji; let color; let statusText;
+
+  // For completed checks, use conclusion; for others, use action
+  if (action === 'completed') {
+    const conclusion = checkRun.conclusion || 'unknown';
+    statusText = conclusion;
+    switch (conclusion) {
+      case 'success': emoji = '✅'; color = 0x2CBE4E; break;
+      case 'failure': emoji = '❌'; color = 0xD73A49; break;
+      case 'cancelled': emoji = '⚪'; color = 0xA0A0A0; break;
+      case 'timed_out': emoji = '⏱️'; color = 0xFFB347; break;
+      case 'neutral': emoji = '⚪'; color = 0xA0A0A0; break;
+      case 'skipped': emoji = '⏭️'; color = 0xA0A0A0; break;
+      case 'action_required': emoji = '⚠️'; color = 0xFF9800; break;
+      default: emoji = '🔄'; color = 0x0366D6;
+    }
+  } else {
+    statusText = action;
+    switch (action) {
+      case 'created': emoji = '🆕'; color = 0x10B981; break;
+      case 'requested': emoji = '📋'; color = 0x6B7280; break;
+      case 'rerequested': emoji = '🔄'; color = 0xF59E0B; break;
+      default: emoji = '🔄'; color = 0x0366D6;
     }
-  } catch (err) {
-    console.error(`Error sending check_run message to channel ${channelId}:`, err);
   }
 
-  return { statusCode: 200, message: 'Check run event processed successfully.', channelId: null, messageId: null };
+  const onTrackedBranch = matchingBranches.length > 0;
+  const embed = {
+    color,
+    title: onTrackedBranch ? `${emoji} Check "${checkRun.name}" ${statusText} on ${branch}` : `${emoji} Check "${checkRun.name}" ${statusText}`,
+    url: checkRun.html_url || repoUrl,
+    fields: [
+      { name: 'Repository', value: `[${payload.repository.full_name}](${repoUrl})`, inline: true },
+      { name: 'SHA', value: `\`${(checkRun.head_sha || '').substring(0, 7)}\``, inline: true },
+    ],
+    timestamp: checkRun.completed_at || checkRun.started_at || new Date().toISOString(),
+    footer: { text: 'GitHub Check Run' }
+  };
+
+  return createNotification({
+    // Use tracked branch channels if set, otherwise the routed channel for this event type
+    targets: onTrackedBranch ? matchingBranches.flatMap(trackedBranch => trackedBranch.channelId || routedChannelIds) : routedChannelIds,
+    embed,
+    metadata: { summary: 'Check run event processed successfully.' }
+  });
 }
 
-async function handleCheckSuiteEvent(req, res, payload, prisma, botClient, repoContext) {
+async function handleCheckSuiteEvent(payload, prisma, botClient, repoContext) {
   const repoUrl = payload.repository.html_url;
   const action = payload.action; // requested, rerequested, completed
   const checkSuite = payload.check_suite;
 
-  const serverConfig = repoContext.server;
-
   // Check configuration - require explicit enablement for each action
-  const { channelId: routedChannelId, config } = await getEventRouting(prisma, repoContext.id, 'check_suite', repoContext.notificationChannelId);
+  const { channelIds, config } = await getEventRouting(prisma, repoContext.id, 'check_suite', repoContext.notificationChannelId);
 
   // Only allow if action is explicitly enabled (true)
-  if (!config || !config.actionsEnabled || config.actionsEnabled[action] !== true) {
+  if (!repoContext.routedByRules && (!config || !config.actionsEnabled || config.actionsEnabled[action] !== true)) {
     return { statusCode: 200, message: `Check suite action '${action}' not enabled.`, channelId: null, messageId: null };
   }
 
   const branch = checkSuite.head_branch;
-  const channelId = routedChannelId || 'pending';
-
-  if (channelId === 'pending') {
-    console.warn(`Notification channel pending for repository ${repoUrl} on server ${serverConfig.guildId}`);
-    return { statusCode: 200, message: 'Check suite event acknowledged, notification channel pending.', channelId: null, messageId: null };
+  let emoji; let color; let statusText;
+
+  if (action === 'completed') {
+    const conclusion = checkSuite.conclusion || 'unknown';
+    statusText = conclusion;
+    switch (conclusion) {
+      case 'success': emoji = '✅'; color = 0x2CBE4E; break;
+      case 'failure': emoji = '❌'; color = 0xD73A49; break;
+      case 'cancelled': emoji = '⚪'; color = 0xA0A0A0; break;
+      case 'timed_out': emoji = '⏱️'; color = 0xFFB347; break;
+      case 'neutral': emoji = '⚪'; color = 0xA0A0A0; break;
+      case 'skipped': emoji = '⏭️'; color = 0xA0A0A0; break;
+      case 'action_required': emoji = '⚠️'; color = 0xFF9800; break;
+      default: emoji = '🔄'; color = 0x0366D6;
+    }
+  } else {
+    statusText = action;
+    switch (action) {
+      case 'requested': emoji = '📋'; color = 0x6B7280; break;
+      case 'rerequested': emoji = '🔄'; color = 0xF59E0B; break;
+      default: emoji = '🔄'; color = 0x0366D6;
+    }
   }
 
-  try {
-    const channel = await botClient.channels.fetch(channelId);
-    if (channel && channel.isTextBased()) {
-      let emoji; let color; let statusText;
-
-      if (action === 'completed') {
-        const conclusion = checkSuite.conclusion || 'unknown';
-        statusText = conclusion;
-        switch (conclusion) {
-          case 'success': emoji = '✅'; color = 0x2CBE4E; break;
-          case 'failure': emoji = '❌'; color = 0xD73A49; break;
-          case 'cancelled': emoji = '⚪'; color = 0xA0A0A0; break;
-          case 'timed_out': emoji = '⏱️'; color = 0xFFB347; break;
-          case 'neutral': emoji = '⚪'; color = 0xA0A0A0; break;
-          case 'skipped': emoji = '⏭️'; color = 0xA0A0A0; break;
-          case 'action_required': emoji = '⚠️'; color = 0xFF9800; break;
-          default: emoji = '🔄'; color = 0x0366D6;
-        }
-      } else {
-        statusText = action;
-        switch (action) {
-          case 'requested': emoji = '📋'; color = 0x6B7280; break;
-          case 'rerequested': emoji = '🔄'; color = 0xF59E0B; break;
-          default: emoji = '🔄'; color = 0x0366D6;
-        }
-      }
-
-      const title = branch 
-        ? `${emoji} Check Suite ${statusText} on ${branch}`
-        : `${emoji} Check Suite ${statusText}`;
-      const url = checkSuite.url || repoUrl;
-
-      const embed = {
-        color,
-        title,
-        url,
-        fields: [
-          { name: 'Repository', value: `[${payload.repository.full_name}](${repoUrl})`, inline: true },
-          { name: 'SHA', value: `\`${(checkSuite.head_sha || '').substring(0, 7)}\``, inline: true },
-        ],
-        timestamp: checkSuite.updated_at || new Date().toISOString(),
-        footer: { text: 'GitHub Check Suite' }
-      };
-
-      if (action === 'completed' && checkSuite.conclusion) {
-        embed.fields.push({ name: 'Conclusion', value: checkSuite.conclusion, inline: true });
-      }
-
-      const sentMessage = await channel.send({ embeds: [embed] });
-
-      try {
-        await prisma.server.update({ where: { id: serverConfig.id }, data: { messagesSent: { increment: 1 } } });
-      } catch (dbError) {
-        console.error(`Failed to increment messagesSent for server ${serverConfig.id} after check_suite event:`, dbError);
-      }
-
-      return { statusCode: 200, message: 'Check suite event processed successfully.', channelId, messageId: sentMessage.id };
-    }
-  } catch (err) {
-    console.error(`Error sending check_suite message to channel ${channelId}:`, err);
+  const embed = {
+    color,
+    title: branch
+      ? `${emoji} Check Suite ${statusText} on ${branch}`
+      : `${emoji} Check Suite ${statusText}`,
+    url: checkSuite.url || repoUrl,
+    fields: [
+      { name: 'Repository', value: `[${payload.repository.full_name}](${repoUrl})`, inline: true },
+      { name: 'SHA', value: `\`${(checkSuite.head_sha || '').substring(0, 7)}\``, inline: true },
+    ],
+    timestamp: checkSuite.updated_at || new Date().toISOString(),
+    footer: { text: 'GitHub Check Suite' }
+  };
+
+  if (action === 'completed' && checkSuite.conclusion) {
+    embed.fields.push({ name: 'Conclusion', value: checkSuite.conclusion, inline: true });
   }
 
-  return { statusCode: 200, message: 'Check suite event processed successfully.', channelId: null, messageId: null };
+  return createNotification({
+    targets: channelIds,
+    embed,
+    metadata: { summary: 'Check suite event processed successfully.' }
+  });
 }
 
 module.exports = {
@@ -347,5 +232,3 @@ module.exports = {
   handleCheckRunEvent,
   handleCheckSuiteEvent,
 };
-
-
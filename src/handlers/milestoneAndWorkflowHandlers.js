@@ -1,7 +1,10 @@
 const { findMatchingBranches } = require('../functions/branchMatcher');
 const { getEventRouting } = require('../functions/eventRouting');
+const { createNotification } = require('../functions/notificationPipeline');
+const { findLiveMessages } = require('../functions/liveMessages');
+const { getWorkflowRunSnapshot, mergeWorkflowJobs, buildWorkflowRunEmbed } = require('../functions/workflowRunMessage');
 
-async function handleMilestoneEvent(req, res, payload, prisma, botClient, repoContext) {
+async function handleMilestoneEvent(payload, prisma, botClient, repoContext) {
   const repoUrl = payload.repository.html_url;
   const action = payload.action; // created, closed, opened, edited, deleted
   const milestoneTitle = payload.milestone.title;
@@ -12,112 +15,80 @@ async function handleMilestoneEvent(req, res, payload, prisma, botClient, repoCo
 
   console.log(`Milestone "${milestoneTitle}" ${action} in ${repoUrl} by ${username}`);
 
-  try {
-    // Use repoContext directly as it's the validated one for this webhook
-    const serverConfig = repoContext.server;
-
-    // Use shared event routing logic
-    const { channelId, config } = await getEventRouting(prisma, repoContext.id, 'milestone', repoContext.notificationChannelId);
-
-    // Honor per-event action filter if configured, otherwise default important actions
-    if (config && config.actionsEnabled && Object.prototype.hasOwnProperty.call(config.actionsEnabled, action)) {
-      if (!config.actionsEnabled[action]) {
-        return { statusCode: 200, message: `Milestone action '${action}' disabled by config.`, channelId: null, messageId: null };
-      }
-    } else if (!['created', 'closed', 'opened'].includes(action)) {
-      return { statusCode: 200, message: `Milestone ${action} event acknowledged.`, channelId: null, messageId: null };
-    }
+  // Use shared event routing logic
+  const { channelIds, config } = await getEventRouting(prisma, repoContext.id, 'milestone', repoContext.notificationChannelId);
 
-    if (channelId === 'pending') {
-      console.warn(`Notification channel pending for repository ${repoUrl} on server ${serverConfig.guildId}`);
-      return { statusCode: 200, message: 'Milestone event acknowledged, notification channel pending.', channelId: null, messageId: null };
+  // Honor per-event action filter if configured, otherwise default important actions
+  if (repoContext.routedByRules) {
+    // Routing rules choose the channels of every milestone event they match
+  } else if (config && config.actionsEnabled && Object.prototype.hasOwnProperty.call(config.actionsEnabled, action)) {
+    if (!config.actionsEnabled[action]) {
+      return { statusCode: 200, message: `Milestone action '${action}' disabled by config.`, channelId: null, messageId: null };
     }
+  } else if (!['created', 'closed', 'opened'].includes(action)) {
+    return { statusCode: 200, message: `Milestone ${action} event acknowledged.`, channelId: null, messageId: null };
+  }
 
-    try {
-      const channel = await botClient.channels.fetch(channelId);
-      if (channel && channel.isTextBased()) {
-        // Determine emoji based on action
-        let emoji;
-        switch (action) {
-          case 'created':
-          case 'opened':
-            emoji = '🏁';
-            break;
-          case 'closed':
-            emoji = '✅';
-            break;
-          default:
-            emoji = '📝';
-        }
-
-        const embed = {
-          color: action === 'closed' ? 0x2CBE4E : 0x0366D6, // Green for closed, blue for others
-          title: `${emoji} Milestone ${action.charAt(0).toUpperCase() + action.slice(1)}: ${milestoneTitle}`,
-          url: milestoneUrl,
-          fields: [
-            { name: 'Repository', value: payload.repository.full_name, inline: false },
-            { name: action.charAt(0).toUpperCase() + action.slice(1) + ' By', value: username, inline: true },
-            { name: 'Due Date', value: dueDate, inline: true }
-          ],
-          timestamp: new Date().toISOString(),
-          footer: { text: 'GitHub Milestone Event' }
-        };
-
-        // Add description if available
-        if (description) {
-          embed.description = description.length > 200
-            ? description.substring(0, 200) + '...'
-            : description;
-        }
-
-        // Add progress for closed/open milestones
-        if (['opened', 'closed'].includes(action)) {
-          const openIssues = payload.milestone.open_issues;
-          const closedIssues = payload.milestone.closed_issues;
-          const total = openIssues + closedIssues;
-          const percentComplete = total > 0 ? Math.round((closedIssues / total) * 100) : 0;
-
-          embed.fields.push({
-            name: 'Progress',
-            value: `${closedIssues}/${total} issues completed (${percentComplete}%)`,
-            inline: false
-          });
-        }
-
-        const sentMessage = await channel.send({ embeds: [embed] });
-        console.log(`Sent milestone notification to channel ${channelId} in guild ${serverConfig.guildId}`);
+  // Determine emoji based on action
+  let emoji;
+  switch (action) {
+    case 'created':
+    case 'opened':
+      emoji = '🏁';
+      break;
+    case 'closed':
+      emoji = '✅';
+      break;
+    default:
+      emoji = '📝';
+  }
 
-        // Increment messagesSent counter
-        try {
-          await prisma.server.update({
-            where: { id: serverConfig.id },
-            data: { messagesSent: { increment: 1 } },
-          });
-          console.log(`Incremented messagesSent for server ${serverConfig.id} after milestone event`);
-        } catch (dbError) {
-          console.error(`Failed to increment messagesSent for server ${serverConfig.id} after milestone event:`, dbError);
-        }
+  const embed = {
+    color: action === 'closed' ? 0x2CBE4E : 0x0366D6, // Green for closed, blue for others
+    title: `${emoji} Milestone ${action.charAt(0).toUpperCase() + action.slice(1)}: ${milestoneTitle}`,
+    url: milestoneUrl,
+    fields: [
+      { name: 'Repository', value: payload.repository.full_name, inline: false },
+      { name: action.charAt(0).toUpperCase() + action.slice(1) + ' By', value: username, inline: true },
+      { name: 'Due Date', value: dueDate, inline: true }
+    ],
+    timestamp: new Date().toISOString(),
+    footer: { text: 'GitHub Milestone Event' }
+  };
 
-        return { statusCode: 200, message: 'Milestone event processed successfully.', channelId: channelId, messageId: sentMessage.id };
-      }
-    } catch (err) {
-      console.error(`Error sending milestone message to channel ${channelId}:`, err);
-      return { statusCode: 200, message: 'Milestone event processed successfully.', channelId: null, messageId: null };
-    }
+  // Add description if available
+  if (description) {
+    embed.description = description.length > 200
+      ? description.substring(0, 200) + '...'
+      : description;
+  }
 
-    return { statusCode: 200, message: 'Milestone event processed successfully.', channelId: null, messageId: null };
-  } catch (error) {
-    console.error('Error processing milestone event:', error);
-    throw error; // Let handleEventWithLogging handle the error and response
+  // Add progress for closed/open milestones
+  if (['opened', 'closed'].includes(action)) {
+    const openIssues = payload.milestone.open_issues;
+    const closedIssues = payload.milestone.closed_issues;
+    const total = openIssues + closedIssues;
+    const percentComplete = total > 0 ? Math.round((closedIssues / total) * 100) : 0;
+
+    embed.fields.push({
+      name: 'Progress',
+      value: `${closedIssues}/${total} issues completed (${percentComplete}%)`,
+      inline: false
+    });
   }
+
+  return createNotification({
+    targets: channelIds,
+    embed,
+    metadata: { summary: 'Milestone event processed successfully.' }
+  });
 }
 
-async function handleWorkflowRunEvent(req, res, payload, prisma, botClient, repoContext) {
+async function handleWorkflowRunEvent(payload, prisma, botClient, repoContext) {
   const repoUrl = payload.repository.html_url;
-  const action = payload.action; // completed, requested, etc.
+  const action = payload.action; // requested, in_progress, completed
   const workflow = payload.workflow_run;
   const workflowName = workflow.name;
-  const workflowUrl = workflow.html_url;
   const jobsUrl = payload.workflow_run.jobs_url;
   const conclusion = workflow.conclusion; // success, failure, cancelled, etc.
   const branch = workflow.head_branch;
@@ -125,17 +96,17 @@ async function handleWorkflowRunEvent(req, res, payload, prisma, botClient, repo
   // Check configuration - require explicit enablement for each action
   const { config } = await getEventRouting(prisma, repoContext.id, 'workflow_run', repoContext.notificationChannelId);
 
-  // Only allow if action is explicitly enabled (true)
-  if (!config || !config.actionsEnabled || config.actionsEnabled[action] !== true) {
+  // A run that has a message always updates it; the action toggles decide whether a run without one is posted
+  const runKey = String(workflow.id);
+  const previousMessages = await findLiveMessages(prisma, repoContext.id, 'workflow_run', runKey);
+  if (previousMessages.length === 0 && !repoContext.routedByRules && (!config || !config.actionsEnabled || config.actionsEnabled[action] !== true)) {
     return { statusCode: 200, message: `Workflow run action '${action}' not enabled.`, channelId: null, messageId: null };
   }
 
   console.log(`Workflow run "${workflowName}" ${action} with conclusion "${conclusion}" in ${repoUrl} on branch ${branch}`);
 
-  try {
-    // Use repoContext directly as it's the validated one for this webhook
-    const serverConfig = repoContext.server;
-
+  let targets = previousMessages.map(previousMessage => previousMessage.channelId);
+  if (targets.length === 0) {
     // Get all tracked branches for this repository
     const allTrackedBranches = await prisma.trackedBranch.findMany({
       where: {
@@ -146,291 +117,47 @@ async function handleWorkflowRunEvent(req, res, payload, prisma, botClient, repo
     // Find branches that match the current branch using pattern matching
     const matchingBranches = findMatchingBranches(allTrackedBranches, branch);
 
-    if (matchingBranches.length === 0) {
+    if (matchingBranches.length === 0 && !repoContext.routedByRules) {
       return { statusCode: 200, message: 'No matching branch configurations for this workflow run.', channelId: null, messageId: null };
     }
 
-    let lastMessageInfo = { channelId: null, messageId: null };
-
-    // For each matching tracked branch, send a notification
-    for (const trackedBranch of matchingBranches) {
-      // Use the repository-specific notification channel, fall back to branch-specific channel if set
-      const channelId = trackedBranch.channelId || repoContext.notificationChannelId || 'pending';
-
-      if (channelId === 'pending') {
-        console.warn(`Notification channel pending for repository ${repoUrl} on server ${serverConfig.guildId}`);
-        continue;
-      }
-
-      try {
-        const channel = await botClient.channels.fetch(channelId);
-        if (channel && channel.isTextBased()) {
-          // Determine emoji and color based on conclusion
-          const normalizedConclusion = typeof conclusion === 'string' ? conclusion.toLowerCase() : 'unknown';
-          let emoji, color;
-          switch (normalizedConclusion) {
-            case 'success':
-              emoji = '✅';
-              color = 0x2CBE4E; // Green
-              break;
-            case 'failure':
-              emoji = '❌';
-              color = 0xD73A49; // Red
-              break;
-            case 'cancelled':
-              emoji = '⚪';
-              color = 0xA0A0A0; // Grey
-              break;
-            case 'skipped':
-              emoji = '⏭️';
-              color = 0xA0A0A0; // Grey
-              break;
-            case 'timed_out':
-              emoji = '⏱️';
-              color = 0xFFB347; // Orange
-              break;
-            default:
-              emoji = '🔄';
-              color = 0x0366D6; // Blue
-          }
-
-          const embed = {
-            color: color,
-            title: `${emoji} Workflow "${workflowName}" ${normalizedConclusion} on ${branch}`,
-            url: workflowUrl,
-            fields: [
-              { name: 'Repository', value: `[${payload.repository.full_name}](${repoUrl})`, inline: true },
-              { name: 'Branch', value: branch, inline: true },
-              { name: 'Conclusion', value: normalizedConclusion.charAt(0).toUpperCase() + normalizedConclusion.slice(1), inline: true }
-            ],
-            timestamp: workflow.updated_at || new Date().toISOString(),
-            footer: { text: "GitHub Workflow Run" }
-          };
-
-          let jobField = null;
-          try {
-            const headers = process.env.GITHUB_TOKEN ? { Authorization: `Bearer ${process.env.GITHUB_TOKEN}` } : {};
-            const jobsResponse = await fetch(jobsUrl, { headers });
-            if (jobsResponse.ok) {
-              const jobsData = await jobsResponse.json();
-              if (jobsData?.jobs && jobsData.jobs.length > 0) {
-                jobField = analyzeJobs(jobsData?.jobs);
-              }
-            } else {
-              console.warn(`Failed to fetch jobs for workflow run: ${jobsResponse.status} ${jobsResponse.statusText}`);
-            }
-          } catch (jobsError) {
-            console.error('Error fetching workflow jobs:', jobsError);
-          }
-
-          if (jobField) {
-            embed.fields.push(jobField);
-          }
-
-
-          // Add run duration if available
-          if (workflow.created_at && workflow.updated_at) {
-            const startTime = new Date(workflow.created_at);
-            const endTime = new Date(workflow.updated_at);
-            const duration = Math.round((endTime - startTime) / 1000); // Duration in seconds
-            const minutes = Math.floor(duration / 60);
-            const seconds = duration % 60;
-            embed.fields.push({
-              name: 'Duration',
-              value: minutes > 0 ? `${minutes}m ${seconds}s` : `${seconds}s`,
-              inline: true
-            });
-          }
-
-
-          const sentMessage = await channel.send({ embeds: [embed] });
-          console.log(`Sent workflow notification to channel ${channelId} in guild ${serverConfig.guildId}`);
-
-          // Store the last message info for return
-          lastMessageInfo = { channelId: channelId, messageId: sentMessage.id };
+    // Use the branch-specific channel if set, otherwise the repository notification channel
+    targets = matchingBranches.map(trackedBranch => trackedBranch.channelId || repoContext.notificationChannelId);
+  }
 
-          // Increment messagesSent counter
-          try {
-            await prisma.server.update({
-              where: { id: serverConfig.id },
-              data: { messagesSent: { increment: 1 } },
-            });
-            console.log(`Incremented messagesSent for server ${serverConfig.id} after workflow event`);
-          } catch (dbError) {
-            console.error(`Failed to increment messagesSent for server ${serverConfig.id} after workflow event:`, dbError);
-          }
-        }
-      } catch (err) {
-        console.error(`Error sending workflow message to channel ${channelId}:`, err);
+  let jobs = [];
+  try {
+    // Some providers (GitLab) include the jobs in the payload
+    if (Array.isArray(workflow.jobs)) {
+      jobs = workflow.jobs;
+    } else if (jobsUrl) {
+      const headers = process.env.GITHUB_TOKEN ? { Authorization: `Bearer ${process.env.GITHUB_TOKEN}` } : {};
+      const jobsResponse = await fetch(jobsUrl, { headers });
+      if (jobsResponse.ok) {
+        const jobsData = await jobsResponse.json();
+        jobs = jobsData?.jobs || [];
+      } else {
+        console.warn(`Failed to fetch jobs for workflow run: ${jobsResponse.status} ${jobsResponse.statusText}`);
       }
     }
-
-    return { statusCode: 200, message: 'Workflow run event processed successfully.', channelId: lastMessageInfo.channelId, messageId: lastMessageInfo.messageId };
-  } catch (error) {
-    console.error('Error processing workflow run event:', error);
-    throw error; // Let handleEventWithLogging handle the error and response
-  }
-}
-
-function analyzeJobs(jobs) {
-  if (!Array.isArray(jobs) || jobs.length === 0) {
-    return null;
+  } catch (jobsError) {
+    console.error('Error fetching workflow jobs:', jobsError);
   }
 
-  const statusMeta = {
-    success: { indicator: '✓', label: 'Passed', color: 'green' },
-    failure: { indicator: '✗', label: 'Failed', color: 'red' },
-    cancelled: { indicator: '⬣', label: 'Cancelled', color: 'yellow' },
-    skipped: { indicator: '➤', label: 'Skipped', color: 'blue' },
-    timed_out: { indicator: '🕒', label: 'Timed out', color: 'yellow' },
-    default: { indicator: '•', label: 'Unknown', color: 'gray' }
-  };
-
-  let passed = 0;
-  let failed = 0;
-
-  // Go through each job and prepare entries
-  const entries = jobs.map((job) => {
-    const conclusion = (job.conclusion || job.status || '').toLowerCase();
-    // map conclusion to known meta
-    const meta = statusMeta[conclusion];
-
-    // Update counts
-    if (conclusion === 'success') {passed += 1;}
-    else if (conclusion === 'failure') {failed += 1;}
-
-    // Format duration if available
-    const duration = formatDuration(job.started_at, job.completed_at);
-    // Prepare right side with colored label and optional duration
-    const right = duration
-      ? `${wrapAnsi(meta.indicator, meta.color)} ${wrapAnsi(meta.label, meta.color)} · ${duration}`
-      : `${wrapAnsi(meta.indicator, meta.color)} ${wrapAnsi(meta.label, meta.color)}`;
-
-    return {
-      name: job.name || 'Unnamed job',
-      right
-    };
-  });
-
-  // stop if no entries
-  if (entries.length === 0) {
-    return null;
-  }
-
-  // Determine padding for alignment
-  const maxNameLength = Math.max(0, ...entries.map(({ name }) => name.length));
-
-  // Format each entry with padding and ANSI codes
-  const formatted = entries.map(({ name, right }) => {
-    const paddedName = name.padEnd(maxNameLength, ' ');
-    const left = `\u001b[1;2m${paddedName}\u001b[0m`;
-    return {
-      left,
-      right,
-    };
-  });
-
-  // Determine box width for alignment
-  const boxWidth =
-    Math.max(...formatted.map(({ left, right }) => stripAnsi(left).length + stripAnsi(right).length)) + 2;
-
-  // Create lines with proper spacing
-  const lines = formatted.map(({ left, right }) => {
-    const spacing = Math.max(1, boxWidth - stripAnsi(left).length - stripAnsi(right).length);
-    return `${left}${' '.repeat(spacing)}${right}`;
+  // Keep job progress reported by workflow_job events since the run message was posted
+  const [previous] = previousMessages;
+  const run = getWorkflowRunSnapshot(payload);
+  const runJobs = mergeWorkflowJobs(previous && previous.state ? previous.state.jobs : [], jobs);
+
+  return createNotification({
+    targets,
+    embed: buildWorkflowRunEmbed(run, runJobs),
+    metadata: {
+      summary: 'Workflow run event processed successfully.',
+      fixedTargets: previousMessages.length > 0,
+      live: { subjectType: 'workflow_run', subjectKey: runKey, state: { run, jobs: runJobs } }
+    }
   });
-
-  // Prepare header with summary
-  const passedString = wrapAnsi(`${passed} passed`, 'green');
-  const failedString = failed > 0 ? wrapAnsi(`${failed} failed`, 'red') : `${failed} failed`;
-  const header = `${passedString} · ${failedString}`;
-
-  // Wrap lines in ANSI code block
-
-  const wrapLines = (lineArray) =>
-    `\`\`\`ansi\n\n${header}\n${lineArray.join('\n')}\n\`\`\``;
-
-  let value = wrapLines(lines);
-  let truncated = false;
-
-  // Ensure total length does not exceed 1024 characters
-  // If too long, truncate lines from the end and add ellipsis line
-  while (value.length > 1024 && lines.length > 0) {
-    lines.pop();
-    truncated = true;
-    value = wrapLines(lines);
-  }
-
-  // If still too long, add ellipsis line
-  if (truncated) {
-    const ellipsisLeft = `! ${''.padEnd(maxNameLength, ' ')}`;
-    const ellipsisRight = wrapAnsi('…', 'yellow');
-    const leftLength = ellipsisLeft.length;
-    const rightLength = ellipsisRight.length;
-    const spacing = Math.max(1, boxWidth - leftLength - rightLength);
-    const ellipsisLine = `${ellipsisLeft}${' '.repeat(spacing)}${ellipsisRight}`;
-    const candidate = wrapLines([...lines, ellipsisLine]);
-    value = candidate.length <= 1024 ? candidate : wrapLines(lines);
-  }
-
-  return { name: 'Jobs', value, inline: false };
-}
-
-// Format duration between two ISO date strings into "Xm Ys" format
-function formatDuration(start, end) {
-  if (!start || !end) {
-    return '';
-  }
-
-  const durationMs = new Date(end) - new Date(start);
-  if (!Number.isFinite(durationMs) || durationMs <= 0) {
-    return '';
-  }
-
-  const totalSeconds = Math.round(durationMs / 1000);
-  const minutes = Math.floor(totalSeconds / 60);
-  const seconds = totalSeconds % 60;
-
-  return minutes > 0 ? `${minutes}m ${seconds}s` : `${seconds}s`;
-}
-
-// Wrap text in ANSI color codes
-function wrapAnsi(text, color) {
-  if (!text) {return '';}
-  const code = /^\d+$/.test(color) ? color : ansiColorCode(color);
-  return `\u001b[2;${code}m${text}\u001b[0m`;
-}
-
-function stripAnsi(input) {
-  if (!input) {return '';}
-  return input.replace(
-     
-    /\u001b\[[0-9;]*m/g,
-    ''
-  );
-}
-
-// Map color names to ANSI codes
-function ansiColorCode(colorName) {
-  switch ((colorName || '').toLowerCase()) {
-    case 'green':
-      return '32';
-    case 'red':
-      return '31';
-    case 'yellow':
-      return '33';
-    case 'blue':
-      return '34';
-    case 'magenta':
-      return '35';
-    case 'cyan':
-      return '36';
-    case 'gray':
-    case 'grey':
-      return '90';
-    default:
-      return '37';
-  }
 }
 
 module.exports = {
@@ -0,0 +1,162 @@
+const { findMatchingTags, findPreviousTag } = require('../functions/tagMatcher');
+const { createNotification } = require('../functions/notificationPipeline');
+
+// Commits listed in the changes since the previous tag
+const MAX_LISTED_COMMITS = 5;
+
+// Tags requested per page, and pages read when looking for the previous tag with a GITHUB_TOKEN;
+// without one a single page is read to stay within GitHub's 60 unauthenticated requests per hour
+const TAGS_PER_PAGE = 100;
+const MAX_TAG_PAGES = 3;
+
+// Wait before calling the GitHub API again after a rate limit response without a reset time
+const RATE_LIMIT_BACKOFF_MS = 60 * 1000;
+
+// Time until which the GitHub API is not called because the rate limit is used up
+let rateLimitedUntil = 0;
+
+/**
+ * Requests a GitHub REST API resource
+ * @param {string} path - API path, e.g. "/repos/owner/repo/tags"
+ * Requests are skipped while the rate limit is used up.
+ * @returns {Promise<Object|null>} Parsed response, or null if the request failed or was skipped
+ */
+async function fetchGitHubApi(path) {
+  if (Date.now() < rateLimitedUntil) {
+    return null;
+  }
+
+  try {
+    const headers = { Accept: 'application/vnd.github.v3+json', 'User-Agent': 'GitTrack-Bot' };
+    if (process.env.GITHUB_TOKEN) {
+      headers.Authorization = `Bearer ${process.env.GITHUB_TOKEN}`;
+    }
+    const response = await fetch(`https://api.github.com${path}`, { headers });
+    if (response.status === 429 || (response.status === 403 && response.headers.get('x-ratelimit-remaining') === '0')) {
+      const reset = Number(response.headers.get('x-ratelimit-reset')) * 1000;
+      rateLimitedUntil = reset > Date.now() ? reset : Date.now() + RATE_LIMIT_BACKOFF_MS;
+      console.info(`GitHub API rate limit reached; tag notifications skip the changes since the previous tag until ${new Date(rateLimitedUntil).toISOString()}.`);
+      return null;
+    }
+    if (!response.ok) {
+      console.warn(`GitHub API request ${path} failed: ${response.status} ${response.statusText}`);
+      return null;
+    }
+    return await response.json();
+  } catch (error) {
+    console.error(`GitHub API request ${path} failed:`, error);
+    return null;
+  }
+}
+
+/**
+ * Looks up the previous tag and the changes since it on GitHub
+ * Best effort: only the first page of tags is searched for the previous tag, or the first
+ * MAX_TAG_PAGES pages with a GITHUB_TOKEN.
+ * @param {string} fullName - Repository "owner/name"
+ * @param {string} tagName - The pushed tag
+ * @returns {Promise<Object|null>} { previousTag, comparison } or null without a previous tag
+ */
+async function fetchChangesSincePreviousTag(fullName, tagName) {
+  const tagNames = [];
+  const maxPages = process.env.GITHUB_TOKEN ? MAX_TAG_PAGES : 1;
+  for (let page = 1; page <= maxPages; page += 1) {
+    const tags = await fetchGitHubApi(`/repos/${fullName}/tags?per_page=${TAGS_PER_PAGE}&page=${page}`);
+    tagNames.push(...(tags || []).map(tag => tag.name));
+    if (!tags || tags.length < TAGS_PER_PAGE) {
+      break;
+    }
+  }
+  const previousTag = findPreviousTag(tagNames, tagName);
+  if (!previousTag) {
+    return null;
+  }
+  const comparison = await fetchGitHubApi(
+    `/repos/${fullName}/compare/${encodeURIComponent(previousTag)}...${encodeURIComponent(tagName)}`
+  );
+  return { previousTag, comparison };
+}
+
+async function handleTagPushEvent(payload, prisma, botClient, repoContext) {
+  const repoUrl = payload.repository.html_url;
+  const tagName = payload.ref.substring('refs/tags/'.length);
+
+  if (payload.deleted) {
+    // Deleted tags are reported by delete events
+    return { statusCode: 200, message: `Tag ${tagName} was deleted.`, channelId: null, messageId: null };
+  }
+
+  const trackedTags = await prisma.trackedTag.findMany({
+    where: {
+      repositoryId: repoContext.id
+    }
+  });
+
+  const matchingTags = findMatchingTags(trackedTags, tagName);
+  if (matchingTags.length === 0 && !repoContext.routedByRules) {
+    return { statusCode: 200, message: 'No tag configurations match this tag push.', channelId: null, messageId: null };
+  }
+
+  const embed = {
+    color: 0x6A737D,
+    author: {
+      name: payload.sender.login,
+      icon_url: payload.sender.avatar_url,
+      url: payload.sender.html_url
+    },
+    title: `🏷️ New Tag: ${tagName}`,
+    url: `${repoUrl}/tree/${encodeURIComponent(tagName)}`,
+    fields: [
+      { name: 'Repository', value: `[${payload.repository.full_name}](${repoUrl})`, inline: true },
+      { name: 'Tag', value: `\`${tagName}\``, inline: true },
+      { name: 'Pusher', value: (payload.pusher && payload.pusher.name) || payload.sender.login, inline: true }
+    ],
+    timestamp: new Date().toISOString(),
+    footer: { text: 'GitHub Tag Push' }
+  };
+
+  const commit = payload.head_commit;
+  if (commit) {
+    embed.fields.push({
+      name: 'Tagged Commit',
+      value: `[\`${commit.id.substring(0, 7)}\`](${commit.url}) ${commit.message.split('\n')[0]}`.slice(0, 1024),
+      inline: false
+    });
+  }
+
+  // The previous tag can only be looked up through the GitHub API
+  const isGitHub = (repoContext.provider || 'github') === 'github' && new URL(repoUrl).hostname === 'github.com';
+  const changes = isGitHub ? await fetchChangesSincePreviousTag(payload.repository.full_name, tagName) : null;
+  if (changes) {
+    const compareUrl = `${repoUrl}/compare/${encodeURIComponent(changes.previousTag)}...${encodeURIComponent(tagName)}`;
+    const { comparison } = changes;
+    if (comparison) {
+      const commits = comparison.commits || [];
+      // The compare API lists commits oldest first, so show the latest ones
+      const lines = commits.slice(-MAX_LISTED_COMMITS).reverse().map(listed =>
+        `[\`${listed.sha.substring(0, 7)}\`](${listed.html_url}) ${listed.commit.message.split('\n')[0]}`);
+      if (comparison.total_commits > lines.length) {
+        lines.push(`...and ${comparison.total_commits - lines.length} more commit(s).`);
+      }
+      embed.description = lines.join('\n').slice(0, 4096);
+      embed.fields.push({
+        name: `Changes since ${changes.previousTag}`,
+        value: `[${comparison.total_commits} commit(s), ${(comparison.files || []).length} file(s) changed](${compareUrl})`,
+        inline: false
+      });
+    } else {
+      embed.fields.push({ name: `Changes since ${changes.previousTag}`, value: `[Compare](${compareUrl})`, inline: false });
+    }
+  }
+
+  return createNotification({
+    // Use the tag-specific channel if set, otherwise the repository notification channel
+    targets: matchingTags.map(trackedTag => trackedTag.channelId || repoContext.notificationChannelId),
+    embed,
+    metadata: { summary: 'Tag push event processed for authenticated server.' }
+  });
+}
+
+module.exports = {
+  handleTagPushEvent
+};
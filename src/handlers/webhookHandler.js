@@ -1,20 +1,70 @@
 const express = require('express');
-const crypto = require('crypto');
 const querystring = require('querystring');
 const { handleMilestoneEvent, handleWorkflowRunEvent } = require('./milestoneAndWorkflowHandlers');
 const { handleWorkflowJobEvent, handleCheckRunEvent, handleCheckSuiteEvent } = require('./checksHandlers');
 const { handlePRReviewEvent, handlePRReviewCommentEvent } = require('./pullRequestHandlers');
-const { checkChannelLimit } = require('../functions/limitChecker');
+const { handleTagPushEvent } = require('./tagHandlers');
 const { findMatchingBranches } = require('../functions/branchMatcher');
-const { getEventRouting } = require('../functions/eventRouting');
+const { findMatchingTags } = require('../functions/tagMatcher');
+const { getEventRouting, matchesLabelFilters } = require('../functions/eventRouting');
 const { stripHtmlComments } = require('../functions/sanitizeBody');
-
-function initializeWebServer(prisma, botClient) {
+const { createNotification, isNotification, overrideTargets, deliverNotification } = require('../functions/notificationPipeline');
+const { findRuleChannels, applyRuleChannels } = require('../functions/routingRules');
+const { findLiveMessages } = require('../functions/liveMessages');
+const { getChangedPaths, matchesPathFilters } = require('../functions/pathMatcher');
+const { findIgnoredActor, recordSuppressedEvent } = require('../functions/actorFilter');
+const { DEFAULT_SKIP_MARKERS, filterSkippedCommits } = require('../functions/commitMarkers');
+const { splitDigestTargets, recordDigestEntries } = require('../functions/digests');
+const { splitCoalescedTargets, recordCoalescedEvents } = require('../functions/coalescing');
+const { claimDelivery, findDelivery, recordDeliveryOutcome } = require('../functions/deliveryLedger');
+const { enqueueDelivery, startDeliveryWorker } = require('../functions/deliveryQueue');
+const { verifySignature, normalizeRepositoryUrl } = require('../functions/webhookSignature');
+const {
+  detectProvider,
+  getProviderName,
+  getWebhookHeaders,
+  getWebhookSettingsUrl,
+  createWebhookVerifier,
+  getPayloadRepositoryUrl,
+  normalizeProviderPayload
+} = require('../functions/webhookProviders');
+const { getAppWebhookSecret, verifyInstallState, syncInstallationEvent, claimInstallation } = require('../functions/githubApp');
+const { matchRepositorySecret, recordSecretUse } = require('../functions/secretRotation');
+
+// Events with a handler in dispatchEvent; anything else is acknowledged without being queued
+const HANDLED_EVENTS = [
+  'push',
+  'pull_request',
+  'issues',
+  'star',
+  'release',
+  'delete',
+  'create',
+  'fork',
+  'issue_comment',
+  'pull_request_review',
+  'pull_request_review_comment',
+  'milestone',
+  'workflow_run',
+  'workflow_job',
+  'check_run',
+  'check_suite',
+  'ping',
+];
+
+/**
+ * Creates the webhook web server and starts the delivery worker
+ * @param {Object} prisma - Prisma client instance
+ * @param {Object} botClient - Discord client instance
+ * @param {Object} options - { startWorker }; tests skip the worker and drive app.locals.processDeliveryJob
+ * @returns {Object} Express app
+ */
+function initializeWebServer(prisma, botClient, { startWorker = true } = {}) {
   const app = express();
 
   // Middleware to capture raw body AND parse it appropriately
   // Increase the limit to handle large GitHub webhook payloads (up to 10MB, instead of 100kb)
-  app.use('/github-webhook', express.raw({ type: '*/*', limit: '10mb' }), (req, res, next) => {
+  app.use(['/github-webhook', '/github-app-webhook'], express.raw({ type: '*/*', limit: '10mb' }), (req, res, next) => {
     // Store raw body for signature validation
     req.rawBody = req.body.toString('utf8');
 
@@ -56,7 +106,8 @@ function initializeWebServer(prisma, botClient) {
     });
   });
 
-  app.post('/github-webhook', async (req, res) => {
+  // The shared endpoint is kept for webhooks created before per-repository endpoints existed
+  app.post(['/github-webhook', '/github-webhook/:token'], async (req, res) => {
     // Check content type first
     const contentType = req.headers['content-type'];
     if (contentType && !contentType.includes('application/json')) {
@@ -75,11 +126,13 @@ function initializeWebServer(prisma, botClient) {
       return res.status(400).json(errorResponse);
     }
 
-    // Get important information from GitHub's payload
+    // Get important information from the provider's payload
     const payload = req.body;
+    const provider = detectProvider(req.headers);
+    const repoUrl = getPayloadRepositoryUrl(provider, payload);
 
     // Ensure we have a valid payload with repository information
-    if (!payload || !payload.repository || !payload.repository.html_url) {
+    if (!repoUrl) {
       console.error('Webhook received with invalid payload structure');
 
       // More detailed error for debugging
@@ -93,60 +146,73 @@ function initializeWebServer(prisma, botClient) {
       return res.status(400).json(errorResponse);
     }
 
-    const repoUrl = payload.repository.html_url;
-    const signature = req.headers['x-hub-signature-256'];
-    const event = req.headers['x-github-event'];
+    const { event: providerEvent, deliveryId, signature } = getWebhookHeaders(provider, req.headers);
+    const verify = createWebhookVerifier(provider, req.rawBody, signature);
+    let event = providerEvent;
     const startTime = Date.now();
     let validatedRepositoryContext = null;
+    let secretUsed = null;
+    let delivery = null;
 
     try {
-      const possibleUrls = [repoUrl];
-      if (repoUrl.endsWith('.git')) {
-        possibleUrls.push(repoUrl.slice(0, -4));
-      } else {
-        possibleUrls.push(repoUrl + '.git');
-      }
-
-      const candidateRepositories = await prisma.repository.findMany({
-        where: { url: { in: possibleUrls } },
-        include: { server: true }
-      });
-
-      if (!candidateRepositories || candidateRepositories.length === 0) {
-        console.warn(`Repository not found or no configurations for: ${repoUrl}`);
-        // Optional: Notify owner about unknown repo (current logic can be kept or adapted)
-        return res.status(404).send('Repository not configured or no matching secret found.');
-      }
-
       if (!signature) {
-        console.warn(`No signature found in GitHub webhook request for ${repoUrl}`);
+        console.warn(`No signature found in ${getProviderName(provider)} webhook request for ${repoUrl}`);
         // Optional: Notify relevant server(s) about missing signature (current logic can be kept or adapted)
         return res.status(401).send('No signature provided');
       }
 
-      for (const repoEntry of candidateRepositories) {
-        const secretToUse = repoEntry.webhookSecret || process.env.GITHUB_WEBHOOK_SECRET;
-        if (!secretToUse) {
-          console.error(`No secret for repo ID ${repoEntry.id}, skipping.`);
-          continue;
+      if (req.params.token) {
+        // Repository-specific endpoint: the token identifies exactly one repository
+        const repoEntry = await prisma.repository.findUnique({
+          where: { webhookToken: req.params.token },
+          include: { server: true }
+        });
+
+        if (!repoEntry) {
+          console.warn(`Unknown webhook token used for ${repoUrl}`);
+          return res.status(404).send('Repository not configured or no matching secret found.');
         }
 
-        const signaturePrefix = 'sha256=';
-        if (!signature.startsWith(signaturePrefix)) {
-          console.error('Invalid signature format.');
-          continue; // Or break, as it won't match any
+        if (normalizeRepositoryUrl(repoEntry.url) !== normalizeRepositoryUrl(repoUrl)) {
+          console.warn(`Webhook for ${repoUrl} was sent to the endpoint of ${repoEntry.url}`);
+          return res.status(400).send('Payload repository does not match this webhook endpoint.');
         }
-        const providedSignature = signature.substring(signaturePrefix.length);
-        const hmac = crypto.createHmac('sha256', secretToUse);
-        hmac.update(req.rawBody); // Use the raw request body for signature validation
-        const expectedSignature = hmac.digest('hex');
-
-        if (
-          Buffer.from(providedSignature, 'hex').length === Buffer.from(expectedSignature, 'hex').length &&
-          crypto.timingSafeEqual(Buffer.from(providedSignature, 'hex'), Buffer.from(expectedSignature, 'hex'))
-        ) {
+
+        secretUsed = matchRepositorySecret(repoEntry, verify);
+        if (secretUsed) {
           validatedRepositoryContext = repoEntry;
-          break;
+        }
+      } else {
+        // Shared legacy endpoint: try the secret of every repository linked to this URL
+        const possibleUrls = [repoUrl];
+        if (repoUrl.endsWith('.git')) {
+          possibleUrls.push(repoUrl.slice(0, -4));
+        } else {
+          possibleUrls.push(repoUrl + '.git');
+        }
+
+        const candidateRepositories = await prisma.repository.findMany({
+          where: { url: { in: possibleUrls } },
+          include: { server: true }
+        });
+
+        if (!candidateRepositories || candidateRepositories.length === 0) {
+          console.warn(`Repository not found or no configurations for: ${repoUrl}`);
+          // Optional: Notify owner about unknown repo (current logic can be kept or adapted)
+          return res.status(404).send('Repository not configured or no matching secret found.');
+        }
+
+        for (const repoEntry of candidateRepositories) {
+          if (!repoEntry.webhookSecret && !repoEntry.pendingWebhookSecret && !process.env.GITHUB_WEBHOOK_SECRET) {
+            console.error(`No secret for repo ID ${repoEntry.id}, skipping.`);
+            continue;
+          }
+
+          secretUsed = matchRepositorySecret(repoEntry, verify);
+          if (secretUsed) {
+            validatedRepositoryContext = repoEntry;
+            break;
+          }
         }
       }
 
@@ -156,57 +222,58 @@ function initializeWebServer(prisma, botClient) {
         return res.status(401).send('Invalid signature');
       }
 
+      await recordSecretUse(prisma, validatedRepositoryContext, secretUsed);
+
       if (!event) {
-        console.error('No event type specified in GitHub webhook');
+        console.error(`No event type specified in ${getProviderName(provider)} webhook`);
         return res.status(400).send('No event type specified');
       }
 
+      // Handlers consume GitHub-shaped events; other providers are normalized first
+      const normalizedEvents = normalizeProviderPayload(provider, providerEvent, payload)
+        .filter(normalized => HANDLED_EVENTS.includes(normalized.event));
+
+      if (normalizedEvents.length === 0) {
+        console.log(`Event type ${providerEvent} is not currently handled for ${getProviderName(provider)}.`);
+        return res.status(200).send(`Event ${providerEvent} received, but not currently handled.`);
+      }
+
+      event = normalizedEvents[0].event;
+
       // Event verified successfully - no need to log every webhook
 
-      // Pass validatedRepositoryContext to handlers
-      const loggingContext = { startTime, event, action: payload.action };
-
-      switch (event) {
-        case 'push':
-          return await handleEventWithLogging(handlePushEvent, req, res, payload, prisma, botClient, validatedRepositoryContext, loggingContext);
-        case 'pull_request':
-          return await handleEventWithLogging(handlePullRequestEvent, req, res, payload, prisma, botClient, validatedRepositoryContext, loggingContext);
-        case 'issues':
-          return await handleEventWithLogging(handleIssuesEvent, req, res, payload, prisma, botClient, validatedRepositoryContext, loggingContext);
-        case 'star':
-          return await handleEventWithLogging(handleStarEvent, req, res, payload, prisma, botClient, validatedRepositoryContext, loggingContext);
-        case 'release':
-          return await handleEventWithLogging(handleReleaseEvent, req, res, payload, prisma, botClient, validatedRepositoryContext, loggingContext);
-        case 'delete':
-          return await handleEventWithLogging(handleDeleteEvent, req, res, payload, prisma, botClient, validatedRepositoryContext, loggingContext);
-        case 'create':
-          return await handleEventWithLogging(handleCreateEvent, req, res, payload, prisma, botClient, validatedRepositoryContext, loggingContext);
-        case 'fork':
-          return await handleEventWithLogging(handleForkEvent, req, res, payload, prisma, botClient, validatedRepositoryContext, loggingContext);
-        case 'issue_comment':
-          return await handleEventWithLogging(handleIssueCommentEvent, req, res, payload, prisma, botClient, validatedRepositoryContext, loggingContext);
-        case 'pull_request_review':
-          return await handleEventWithLogging(handlePRReviewEvent, req, res, payload, prisma, botClient, validatedRepositoryContext, loggingContext);
-        case 'pull_request_review_comment':
-          return await handleEventWithLogging(handlePRReviewCommentEvent, req, res, payload, prisma, botClient, validatedRepositoryContext, loggingContext);
-        case 'milestone':
-          return await handleEventWithLogging(handleMilestoneEvent, req, res, payload, prisma, botClient, validatedRepositoryContext, loggingContext);
-        case 'workflow_run':
-          return await handleEventWithLogging(handleWorkflowRunEvent, req, res, payload, prisma, botClient, validatedRepositoryContext, loggingContext);
-        case 'workflow_job':
-          return await handleEventWithLogging(handleWorkflowJobEvent, req, res, payload, prisma, botClient, validatedRepositoryContext, loggingContext);
-        case 'check_run':
-          return await handleEventWithLogging(handleCheckRunEvent, req, res, payload, prisma, botClient, validatedRepositoryContext, loggingContext);
-        case 'check_suite':
-          return await handleEventWithLogging(handleCheckSuiteEvent, req, res, payload, prisma, botClient, validatedRepositoryContext, loggingContext);
-        case 'ping':
-          return await handleEventWithLogging(handlePingEvent, req, res, payload, prisma, botClient, validatedRepositoryContext, loggingContext);
-        default:
-          console.log(`Event type ${event} is not currently handled.`);
-          return res.status(200).send(`Event ${event} received, but not currently handled.`);
+      // Acknowledge repeated deliveries (GitHub retries or manual "Redeliver") without re-posting
+      if (deliveryId) {
+        // The ledger keeps the first event; a payload normalized into several events (a Bitbucket push with
+        // several ref changes, or a tag push with its create event) replays only that one
+        const { payload: firstPayload } = normalizedEvents[0];
+        delivery = await claimDelivery(prisma, deliveryId, validatedRepositoryContext.id, event, firstPayload.action, firstPayload);
+        if (!delivery) {
+          console.log(`Duplicate delivery ${deliveryId} for ${repoUrl}; skipping.`);
+          return res.status(200).send(`Delivery ${deliveryId} already processed.`);
+        }
+      }
+
+      // Persist the events and respond right away; the delivery worker sends the Discord notifications
+      for (const normalized of normalizedEvents) {
+        await enqueueDelivery(prisma, {
+          repositoryId: validatedRepositoryContext.id,
+          deliveryId: deliveryId || null,
+          eventType: normalized.event,
+          action: normalized.payload.action || null,
+          payload: normalized.payload,
+          context: {
+            provider,
+            userAgent: req.headers['user-agent'] || null,
+            sourceIp: req.headers['x-forwarded-for'] || req.connection?.remoteAddress || null,
+          }
+        });
       }
+
+      return res.status(202).send(`Event ${event} queued for delivery.`);
     } catch (error) {
       console.error('Error processing webhook:', error);
+      await recordDeliveryOutcome(prisma, delivery, { statusCode: 500, message: error.message }, Date.now() - startTime);
 
       // Log error to ErrorLog for debugging
       try {
@@ -234,12 +301,115 @@ function initializeWebServer(prisma, botClient) {
     }
   });
 
+  // GitHub App mode: one app-level secret for every repository the app is installed on
+  app.post('/github-app-webhook', async (req, res) => {
+    const appSecret = getAppWebhookSecret();
+    if (!appSecret) {
+      return res.status(404).send('GitHub App mode is not configured.');
+    }
+
+    const signature = req.headers['x-hub-signature-256'];
+    const event = req.headers['x-github-event'];
+    const deliveryId = req.headers['x-github-delivery'];
+    const payload = req.body;
+
+    if (!signature || !verifySignature(req.rawBody, signature, appSecret)) {
+      console.warn('Invalid or missing signature on GitHub App webhook');
+      return res.status(401).send('Invalid signature');
+    }
+
+    if (!event) {
+      return res.status(400).send('No event type specified');
+    }
+
+    if (!payload || !payload.installation) {
+      return res.status(400).send('Webhook payload is missing installation information');
+    }
+
+    try {
+      if (event === 'installation' || event === 'installation_repositories') {
+        const summary = await syncInstallationEvent(prisma, event, payload);
+        return res.status(200).send(summary);
+      }
+
+      if (!HANDLED_EVENTS.includes(event) || !payload.repository || !payload.repository.html_url) {
+        return res.status(200).send(`Event ${event} received, but not currently handled.`);
+      }
+
+      const repoUrl = payload.repository.html_url;
+      const linkedRepositories = await prisma.repository.findMany({
+        where: {
+          installationId: String(payload.installation.id),
+          url: { in: [repoUrl, `${repoUrl}.git`] }
+        }
+      });
+
+      if (linkedRepositories.length === 0) {
+        return res.status(200).send(`Repository ${repoUrl} is not linked to any server.`);
+      }
+
+      // The same installation repository can be linked in several guilds
+      let queued = 0;
+      for (const repository of linkedRepositories) {
+        if (deliveryId) {
+          const delivery = await claimDelivery(prisma, deliveryId, repository.id, event, payload.action, payload);
+          if (!delivery) {
+            continue;
+          }
+        }
+
+        await enqueueDelivery(prisma, {
+          repositoryId: repository.id,
+          deliveryId: deliveryId || null,
+          eventType: event,
+          action: payload.action || null,
+          payload,
+          context: {
+            userAgent: req.headers['user-agent'] || null,
+            sourceIp: req.headers['x-forwarded-for'] || req.connection?.remoteAddress || null,
+          }
+        });
+        queued++;
+      }
+
+      if (queued === 0) {
+        return res.status(200).send(`Delivery ${deliveryId} already processed.`);
+      }
+      return res.status(202).send(`Event ${event} queued for ${queued} linked repositor${queued === 1 ? 'y' : 'ies'}.`);
+    } catch (error) {
+      console.error('Error processing GitHub App webhook:', error);
+      return res.status(500).send('Internal server error');
+    }
+  });
+
+  // Setup URL of the GitHub App: GitHub redirects here after an installation
+  app.get('/github-app/setup', async (req, res) => {
+    const installationId = req.query.installation_id;
+    const guildId = verifyInstallState(req.query.state);
+
+    if (!installationId || !guildId) {
+      return res.status(400).send('This installation link is invalid or has expired. Run /link-installation connect in Discord to get a new one.');
+    }
+
+    try {
+      const installation = await claimInstallation(prisma, String(installationId), guildId, req.query.code);
+      if (!installation) {
+        return res.status(403).send('This installation could not be connected: your GitHub account cannot access it, or it is already connected to another Discord server.');
+      }
+      return res.status(200).send('GitTrack is installed. Return to Discord and use /link-installation add to choose repositories and channels.');
+    } catch (error) {
+      console.error('Error completing GitHub App installation:', error);
+      return res.status(500).send('Internal server error');
+    }
+  });
+
   app.get('/api/message-counts', async (req, res) => {
     try {
       const servers = await prisma.server.findMany({
         select: {
           guildId: true,
           messagesSent: true,
+          eventsSuppressed: true,
         },
       });
       res.status(200).json(servers);
@@ -249,11 +419,84 @@ function initializeWebServer(prisma, botClient) {
     }
   });
 
+  // Route a queued event to its handler
+  async function dispatchEvent(event, payload, repoContext, loggingContext) {
+    switch (event) {
+      case 'push':
+        return await handleEventWithLogging(handlePushEvent, payload, prisma, botClient, repoContext, loggingContext);
+      case 'pull_request':
+        return await handleEventWithLogging(handlePullRequestEvent, payload, prisma, botClient, repoContext, loggingContext);
+      case 'issues':
+        return await handleEventWithLogging(handleIssuesEvent, payload, prisma, botClient, repoContext, loggingContext);
+      case 'star':
+        return await handleEventWithLogging(handleStarEvent, payload, prisma, botClient, repoContext, loggingContext);
+      case 'release':
+        return await handleEventWithLogging(handleReleaseEvent, payload, prisma, botClient, repoContext, loggingContext);
+      case 'delete':
+        return await handleEventWithLogging(handleDeleteEvent, payload, prisma, botClient, repoContext, loggingContext);
+      case 'create':
+        return await handleEventWithLogging(handleCreateEvent, payload, prisma, botClient, repoContext, loggingContext);
+      case 'fork':
+        return await handleEventWithLogging(handleForkEvent, payload, prisma, botClient, repoContext, loggingContext);
+      case 'issue_comment':
+        return await handleEventWithLogging(handleIssueCommentEvent, payload, prisma, botClient, repoContext, loggingContext);
+      case 'pull_request_review':
+        return await handleEventWithLogging(handlePRReviewEvent, payload, prisma, botClient, repoContext, loggingContext);
+      case 'pull_request_review_comment':
+        return await handleEventWithLogging(handlePRReviewCommentEvent, payload, prisma, botClient, repoContext, loggingContext);
+      case 'milestone':
+        return await handleEventWithLogging(handleMilestoneEvent, payload, prisma, botClient, repoContext, loggingContext);
+      case 'workflow_run':
+        return await handleEventWithLogging(handleWorkflowRunEvent, payload, prisma, botClient, repoContext, loggingContext);
+      case 'workflow_job':
+        return await handleEventWithLogging(handleWorkflowJobEvent, payload, prisma, botClient, repoContext, loggingContext);
+      case 'check_run':
+        return await handleEventWithLogging(handleCheckRunEvent, payload, prisma, botClient, repoContext, loggingContext);
+      case 'check_suite':
+        return await handleEventWithLogging(handleCheckSuiteEvent, payload, prisma, botClient, repoContext, loggingContext);
+      case 'ping':
+        return await handleEventWithLogging(handlePingEvent, payload, prisma, botClient, repoContext, loggingContext);
+      default:
+        console.log(`Event type ${event} is not currently handled.`);
+        return { statusCode: 200, message: `Event ${event} received, but not currently handled.`, channelId: null, messageId: null };
+    }
+  }
 
+  // Process a job claimed by the delivery worker; throwing schedules a retry
+  async function processDeliveryJob(job) {
+    const repoContext = await prisma.repository.findUnique({
+      where: { id: job.repositoryId },
+      include: { server: true }
+    });
 
-  // Define event handlers to accept validatedRepositoryContext
-  // Example for one handler (others would follow a similar pattern):
-  async function handleIssueCommentEvent(req, res, payload, prisma, botClient, repoContext) {
+    if (!repoContext) {
+      console.warn(`Repository ${job.repositoryId} no longer exists; dropping delivery job ${job.id}.`);
+      return;
+    }
+
+    const startTime = Date.now();
+    const requestContext = job.context || {};
+    const delivery = job.deliveryId ? await findDelivery(prisma, job.deliveryId, job.repositoryId) : null;
+    const loggingContext = { startTime, event: job.eventType, action: job.action, requestContext };
+
+    const result = await dispatchEvent(job.eventType, job.payload, repoContext, loggingContext);
+    await recordDeliveryOutcome(prisma, delivery, result, Date.now() - startTime);
+  }
+
+  // Record jobs that exhausted their retries so the ledger does not report them as in flight
+  async function handleDeadLetteredJob(job, error) {
+    const delivery = job.deliveryId ? await findDelivery(prisma, job.deliveryId, job.repositoryId) : null;
+    await recordDeliveryOutcome(prisma, delivery, { statusCode: 500, message: `Moved to dead-letter queue: ${error.message}` }, 0);
+  }
+
+  if (startWorker) {
+    startDeliveryWorker(prisma, processDeliveryJob, handleDeadLetteredJob);
+  }
+  app.locals.dispatchEvent = dispatchEvent;
+  app.locals.processDeliveryJob = processDeliveryJob;
+
+  // Event handlers build the notification; handleEventWithLogging delivers it through the pipeline
+  async function handleIssueCommentEvent(payload, prisma, botClient, repoContext) {
     const repoUrl = payload.repository.html_url;
     const action = payload.action;
     const username = payload.sender.login;
@@ -267,101 +510,79 @@ function initializeWebServer(prisma, botClient) {
       return { statusCode: 200, message: `${issueType} comment ${action} event acknowledged.`, channelId: null, messageId: null };
     }
 
-    // Use repoContext directly as it's the validated one for this webhook
-    const serverConfig = repoContext.server;
     // PR timeline comments arrive as issue_comment with issue.pull_request present
     // Route PR conversation comments using pull_request mapping; route issue comments using issues mapping
     const eventForRouting = isPR ? 'pull_request' : 'issues';
-    const { channelId, config } = await getEventRouting(prisma, repoContext.id, eventForRouting, repoContext.notificationChannelId);
+    const { channelIds, config } = await getEventRouting(prisma, repoContext.id, eventForRouting, repoContext.notificationChannelId);
 
     // Require explicit enablement: PR/Issue comments must be enabled in the respective config
-    if (!config || !config.actionsEnabled || !config.actionsEnabled['comments']) {
+    if (!repoContext.routedByRules && (!config || !config.actionsEnabled || !config.actionsEnabled['comments'])) {
       const scope = isPR ? 'PR' : 'issue';
       return { statusCode: 200, message: `${scope} comments disabled or not configured; skipping.`, channelId: null, messageId: null };
     }
 
-    if (channelId === 'pending') {
-      console.warn(`Notification channel pending for repository ${repoUrl} on server ${serverConfig.guildId}`);
-      return { statusCode: 200, message: 'Comment event acknowledged, notification channel pending.', channelId: null, messageId: null };
+    if (!repoContext.routedByRules && !matchesLabelFilters(config, payload.issue.labels)) {
+      return { statusCode: 200, message: `${issueType} #${issueNumber} filtered out by its labels.`, channelId: null, messageId: null };
     }
 
-    try {
-      // Check channel limits before sending notification
-      const canSendNotification = await checkChannelLimitAndWarn(prisma, botClient, repoContext, channelId);
-
-      if (!canSendNotification) {
-        console.warn(`Skipping notification delivery to channel ${channelId} due to channel limit`);
-        return { statusCode: 200, message: `${issueType} comment event acknowledged, but notification skipped due to channel limits.`, channelId: null, messageId: null };
-      }
-
-      const channel = await botClient.channels.fetch(channelId);
-      if (channel && channel.isTextBased()) {
-        const emoji = isPR ? '💬' : '🗣️';
-        const color = isPR ? 0x2DA44E : 0x0969DA;
-
-        const embed = {
-          color: color,
-          author: {
-            name: username,
-            icon_url: payload.sender.avatar_url,
-            url: payload.sender.html_url,
-          },
-          title: `${emoji} New Comment on ${issueType} #${issueNumber}: ${issueTitle}`,
-          url: commentUrl,
-          fields: [
-            { name: 'Repository', value: `[${payload.repository.full_name}](${repoUrl})`, inline: true },
-            { name: `${issueType} Link`, value: `[#${issueNumber}](${payload.issue.html_url})`, inline: true },
-          ],
-          timestamp: payload.comment.created_at || new Date().toISOString(),
-          footer: { text: `GitHub ${issueType} Comment` },
-        };
-
-        if (payload.comment.body) {
-          let commentBody = stripHtmlComments(payload.comment.body);
-          if (commentBody) {
-            if (commentBody.length > 1000) {
-              commentBody = commentBody.substring(0, 997) + '...';
-            }
-            embed.description = commentBody;
-          }
+    const emoji = isPR ? '💬' : '🗣️';
+    const color = isPR ? 0x2DA44E : 0x0969DA;
+
+    const embed = {
+      color: color,
+      author: {
+        name: username,
+        icon_url: payload.sender.avatar_url,
+        url: payload.sender.html_url,
+      },
+      title: `${emoji} New Comment on ${issueType} #${issueNumber}: ${issueTitle}`,
+      url: commentUrl,
+      fields: [
+        { name: 'Repository', value: `[${payload.repository.full_name}](${repoUrl})`, inline: true },
+        { name: `${issueType} Link`, value: `[#${issueNumber}](${payload.issue.html_url})`, inline: true },
+      ],
+      timestamp: payload.comment.created_at || new Date().toISOString(),
+      footer: { text: `GitHub ${issueType} Comment` },
+    };
+
+    if (payload.comment.body) {
+      let commentBody = stripHtmlComments(payload.comment.body);
+      if (commentBody) {
+        if (commentBody.length > 1000) {
+          commentBody = commentBody.substring(0, 997) + '...';
         }
-
-        const sentMessage = await channel.send({ embeds: [embed] });
-        // Comment notification sent successfully
-
-        // Increment messagesSent counter
-        try {
-          await prisma.server.update({
-            where: { id: serverConfig.id },
-            data: { messagesSent: { increment: 1 } },
-          });
-          // Messages sent counter incremented
-        } catch (dbError) {
-          console.error(`Failed to increment messagesSent for server ${serverConfig.id}:`, dbError);
-        }
-
-        return { statusCode: 200, message: `${issueType} comment event processed successfully.`, channelId: channelId, messageId: sentMessage.id };
-
+        embed.description = commentBody;
       }
-    } catch (err) {
-      console.error(`Error sending comment message to channel ${channelId}:`, err);
-      return { statusCode: 200, message: `${issueType} comment event processed successfully.`, channelId: null, messageId: null };
     }
 
-    return { statusCode: 200, message: `${issueType} comment event processed successfully.`, channelId: null, messageId: null };
+    return createNotification({
+      targets: channelIds,
+      embed,
+      metadata: {
+        summary: `${issueType} comment event processed successfully.`,
+        replyTo: { subjectType: eventForRouting, subjectKey: issueNumber }
+      }
+    });
   }
 
-  async function handlePushEvent(req, res, payload, prisma, botClient, repoContext) {
+  async function handlePushEvent(payload, prisma, botClient, repoContext) {
     const repoUrl = payload.repository.html_url;
     const branchRef = payload.ref;
     const branchName = branchRef.startsWith('refs/heads/') ? branchRef.substring(11) : null;
 
+    if (branchRef.startsWith('refs/tags/')) {
+      return handleTagPushEvent(payload, prisma, botClient, repoContext);
+    }
+
     if (!branchName) {
       return { statusCode: 200, message: 'Could not determine branch name.', channelId: null, messageId: null };
     }
 
-    const serverConfig = repoContext.server;
-    let lastMessageInfo = { channelId: null, messageId: null };
+    // Commits with a skip marker are left out; a push made only of such commits is not posted
+    const { commits, hiddenCount } = filterSkippedCommits(payload.commits, repoContext.skipMarkers || DEFAULT_SKIP_MARKERS);
+    if (hiddenCount > 0 && commits.length === 0) {
+      return { statusCode: 200, message: `All ${hiddenCount} commit(s) in this push are marked to skip notifications.`, channelId: null, messageId: null };
+    }
 
     // Get all tracked branches for this repository
     const allTrackedBranches = await prisma.trackedBranch.findMany({
@@ -370,196 +591,163 @@ function initializeWebServer(prisma, botClient) {
       }
     });
 
-    // Find branches that match the current branch using pattern matching
-    const trackedBranchConfigs = findMatchingBranches(allTrackedBranches, branchName);
+    // Find the channels whose branch patterns match the current branch and whose changed-file filters pass
+    const changedPaths = getChangedPaths(commits);
+    const trackedBranchConfigs = findMatchingBranches(allTrackedBranches, branchName,
+      tbConfig => matchesPathFilters(changedPaths, tbConfig.includePaths, tbConfig.excludePaths));
 
-    if (trackedBranchConfigs.length === 0) {
+    if (trackedBranchConfigs.length === 0 && !repoContext.routedByRules) {
       // No tracking configurations match this branch
       return { statusCode: 200, message: 'No configurations for this push on the authenticated server.', channelId: null, messageId: null };
     }
 
-    for (const tbConfig of trackedBranchConfigs) {
-      // Use the repository-specific notification channel, fall back to branch-specific channel if set
-      const channelId = tbConfig.channelId || repoContext.notificationChannelId || 'pending';
-      if (channelId === 'pending') {continue;}
-
-      try {
-        // Check channel limits before sending notification
-        const canSendNotification = await checkChannelLimitAndWarn(prisma, botClient, repoContext, channelId);
-
-        if (!canSendNotification) {
-          console.warn(`Skipping branch notification delivery to channel ${channelId} due to exceeding channel limit`);
-          continue; // Skip this channel, try others
-        }
-
-        const channel = await botClient.channels.fetch(channelId);
-        if (channel && channel.isTextBased()) {
-          const color = 0x4F46E5;
-          const embed = {
-            color: color,
-            author: {
-              name: payload.sender.login, // Use sender's login for author name
-              icon_url: payload.sender.avatar_url, // Sender's avatar
-              url: payload.sender.html_url // Link to sender's GitHub profile
-            },
-            timestamp: new Date().toISOString(),
-            footer: { text: `GitHub Push Event` }
-          };
-          // ... (rest of embed construction logic from original handlePushEvent)
-          if (payload.created && (!payload.commits || payload.commits.length === 0)) {
-            embed.title = `🌱 New Branch Created: ${branchName}`;
-            embed.url = `${repoUrl}/tree/${branchName}`;
-            embed.fields = [
-              { name: 'Repository', value: `[${payload.repository.full_name}](${repoUrl})`, inline: false },
-              { name: 'Created by', value: payload.pusher.name || 'Unknown', inline: false },
-            ];
-          } else if (payload.forced) {
-            embed.title = `⚠️ Force Push to ${branchName}`;
-            embed.url = payload.compare;
-            embed.fields = [
-              { name: 'Repository', value: `[${payload.repository.full_name}](${repoUrl})`, inline: true },
-              { name: 'Branch', value: `\`${branchName}\``, inline: true },
-              { name: 'Forced by', value: payload.pusher.name || 'Unknown', inline: false },
-            ];
-          } else if (payload.commits && payload.commits.length > 0) {
-            embed.title = `🚀 New Push to ${branchName}`;
-            embed.url = payload.compare;
-            embed.description = payload.commits.slice(0, 5).map(commit => {
-              const commitMessage = commit.message.split('\n')[0];
-              return `[\`${commit.id.substring(0, 7)}\`](${commit.url}) ${commitMessage}`;
-            }).join('\n');
-            if (payload.commits.length > 5) {
-              embed.description += `\n...and ${payload.commits.length - 5} more commit(s).`;
-            }
-            embed.fields = [
-              { name: 'Repository', value: `[${payload.repository.full_name}](${repoUrl})`, inline: true },
-              { name: 'Branch', value: `\`${branchName}\``, inline: true },
-              { name: 'Pusher', value: payload.pusher.name || 'Unknown', inline: false },
-            ];
-          } else {
-            embed.title = `⚙️ Push Event on ${branchName}`;
-            embed.url = payload.compare || repoUrl;
-            embed.fields = [
-              { name: 'Repository', value: `[${payload.repository.full_name}](${repoUrl})`, inline: true },
-              { name: 'Branch', value: `\`${branchName}\``, inline: true },
-              { name: 'Details', value: 'Push event with no commits.', inline: false },
-            ];
-          }
-          const sentMessage = await channel.send({ embeds: [embed] });
-
-          // Store message info for logging (track the latest message sent)
-          lastMessageInfo = {
-            channelId: channelId,
-            messageId: sentMessage.id
-          };
-
-          // Increment messagesSent counter
-          try {
-            await prisma.server.update({
-              where: { id: serverConfig.id },
-              data: { messagesSent: { increment: 1 } },
-            });
-            // Messages sent counter incremented for push event
-          } catch (dbError) {
-            console.error(`Failed to increment messagesSent for server ${serverConfig.id} after push event:`, dbError);
-          }
-        }
-      } catch (err) {
-        console.error(`Error sending push message to channel ${channelId}:`, err);
+    const embed = {
+      color: 0x4F46E5,
+      author: {
+        name: payload.sender.login, // Use sender's login for author name
+        icon_url: payload.sender.avatar_url, // Sender's avatar
+        url: payload.sender.html_url // Link to sender's GitHub profile
+      },
+      timestamp: new Date().toISOString(),
+      footer: { text: `GitHub Push Event` }
+    };
+
+    if (payload.created && (!payload.commits || payload.commits.length === 0)) {
+      embed.title = `🌱 New Branch Created: ${branchName}`;
+      embed.url = `${repoUrl}/tree/${branchName}`;
+      embed.fields = [
+        { name: 'Repository', value: `[${payload.repository.full_name}](${repoUrl})`, inline: false },
+        { name: 'Created by', value: payload.pusher.name || 'Unknown', inline: false },
+      ];
+    } else if (payload.forced) {
+      embed.title = `⚠️ Force Push to ${branchName}`;
+      embed.url = payload.compare;
+      embed.fields = [
+        { name: 'Repository', value: `[${payload.repository.full_name}](${repoUrl})`, inline: true },
+        { name: 'Branch', value: `\`${branchName}\``, inline: true },
+        { name: 'Forced by', value: payload.pusher.name || 'Unknown', inline: false },
+      ];
+    } else if (commits.length > 0) {
+      embed.title = `🚀 New Push to ${branchName}`;
+      embed.url = payload.compare;
+      embed.description = commits.slice(0, 5).map(commit => {
+        const commitMessage = commit.message.split('\n')[0];
+        return `[\`${commit.id.substring(0, 7)}\`](${commit.url}) ${commitMessage}`;
+      }).join('\n');
+      if (commits.length > 5) {
+        embed.description += `\n...and ${commits.length - 5} more commit(s).`;
+      }
+      if (hiddenCount > 0) {
+        embed.description += `\n*${hiddenCount} commit(s) hidden by skip markers.*`;
       }
+      embed.fields = [
+        { name: 'Repository', value: `[${payload.repository.full_name}](${repoUrl})`, inline: true },
+        { name: 'Branch', value: `\`${branchName}\``, inline: true },
+        { name: 'Pusher', value: payload.pusher.name || 'Unknown', inline: false },
+      ];
+    } else {
+      embed.title = `⚙️ Push Event on ${branchName}`;
+      embed.url = payload.compare || repoUrl;
+      embed.fields = [
+        { name: 'Repository', value: `[${payload.repository.full_name}](${repoUrl})`, inline: true },
+        { name: 'Branch', value: `\`${branchName}\``, inline: true },
+        { name: 'Details', value: 'Push event with no commits.', inline: false },
+      ];
     }
-    // Return response with the last message info sent
-    return { statusCode: 200, message: 'Push event processed for authenticated server.', ...lastMessageInfo };
+
+    return createNotification({
+      // Use the branch-specific channel if set, otherwise the repository notification channel
+      targets: trackedBranchConfigs.map(tbConfig => tbConfig.channelId || repoContext.notificationChannelId),
+      embed,
+      metadata: { summary: 'Push event processed for authenticated server.' }
+    });
   }
 
-  async function handlePullRequestEvent(req, res, payload, prisma, botClient, repoContext) {
+  async function handlePullRequestEvent(payload, prisma, botClient, repoContext) {
     const repoUrl = payload.repository.html_url;
     const action = payload.action;
+    // Treat removals under the action that added them in config
+    const effectiveAction = { unassigned: 'assigned', unlabeled: 'labeled', review_request_removed: 'review_requested' }[action] || action;
     const pr = payload.pull_request;
-    const serverConfig = repoContext.server;
     // Prefer event-specific channel for pull requests
-    const { channelId, config } = await getEventRouting(prisma, repoContext.id, 'pull_request', repoContext.notificationChannelId);
+    const { channelIds, config } = await getEventRouting(prisma, repoContext.id, 'pull_request', repoContext.notificationChannelId);
+
+    // Live messages show the current state of the pull request; otherwise each post describes its action
+    const live = repoContext.livePullRequestMessages !== false;
+    // A pull request that already has a live message keeps it up to date, whatever the action toggles say
+    const liveMessages = live ? await findLiveMessages(prisma, repoContext.id, 'pull_request', String(payload.number)) : [];
+    let targets = channelIds;
 
     // Require explicit enablement: if configured and flag missing or false, skip; if no config, skip
-    if (config && config.actionsEnabled) {
-      if (!config.actionsEnabled[action]) {
+    if (repoContext.routedByRules) {
+      // Routing rules choose the channels of every pull request event they match
+    } else if (!config || !config.actionsEnabled) {
+      return { statusCode: 200, message: 'Pull request event not configured; skipping.', channelId: null, messageId: null };
+    } else if (!config.actionsEnabled[effectiveAction]) {
+      if (liveMessages.length === 0) {
         return { statusCode: 200, message: `Pull request action '${action}' disabled by config.`, channelId: null, messageId: null };
       }
-    } else {
-      return { statusCode: 200, message: 'Pull request event not configured; skipping.', channelId: null, messageId: null };
+      targets = liveMessages.map(liveMessage => liveMessage.channelId);
+    } else if (!matchesLabelFilters(config, pr.labels)) {
+      return { statusCode: 200, message: `Pull request #${pr.number} filtered out by its labels.`, channelId: null, messageId: null };
     }
 
-    if (channelId === 'pending') {return { statusCode: 200, message: 'PR event ack, channel pending.', channelId: null, messageId: null };}
-
-    try {
-      // Check channel limits before sending notification
-      const canSendNotification = await checkChannelLimitAndWarn(prisma, botClient, repoContext, channelId);
-
-      if (!canSendNotification) {
-        console.warn(`Skipping PR notification delivery to channel ${channelId} due to channel limit`);
-        return { statusCode: 200, message: 'Pull request event acknowledged, but notification skipped due to channel limits.', channelId: null, messageId: null };
+    let emoji = '📋'; let color = 0x768390; let titleAction = action.charAt(0).toUpperCase() + action.slice(1);
+    if (live) {
+      if (pr.merged) { emoji = '🟣'; color = 0x8957E5; titleAction = 'Merged'; } else if (pr.state === 'closed') { emoji = '❌'; color = 0xCF222E; titleAction = 'Closed'; } else if (pr.draft) { emoji = '📝'; titleAction = 'Draft'; } else { emoji = '🔍'; color = 0x2DA44E; titleAction = 'Open'; }
+    } else {
+      switch (action) {
+        case 'opened': case 'reopened': emoji = '🔍'; color = 0x2DA44E; break;
+        case 'closed': if (pr.merged) { emoji = '🟣'; color = 0x8957E5; titleAction = 'Merged'; } else { emoji = '❌'; color = 0xCF222E; } break;
+        case 'synchronize': emoji = '📝'; color = 0x0969DA; titleAction = 'Updated'; break;
+        case 'assigned': case 'unassigned': case 'review_requested': case 'review_request_removed': case 'labeled': case 'unlabeled': emoji = '🔔'; color = 0x0969DA; break;
       }
+    }
 
-      const channel = await botClient.channels.fetch(channelId);
-      if (channel && channel.isTextBased()) {
-        let emoji = '📋'; let color = 0x768390; let titleAction = action.charAt(0).toUpperCase() + action.slice(1);
-        // ... (switch logic for emoji, color, titleAction from original)
-        switch (action) {
-          case 'opened': case 'reopened': emoji = '🔍'; color = 0x2DA44E; break;
-          case 'closed': if (pr.merged) { emoji = '🟣'; color = 0x8957E5; titleAction = 'Merged'; } else { emoji = '❌'; color = 0xCF222E; } break;
-          case 'synchronize': emoji = '📝'; color = 0x0969DA; titleAction = 'Updated'; break;
-          case 'assigned': case 'unassigned': case 'review_requested': case 'review_request_removed': case 'labeled': case 'unlabeled': emoji = '🔔'; color = 0x0969DA; break;
-        }
-
-        const embed = {
-          color: color,
-          author: { name: pr.user.login, icon_url: pr.user.avatar_url, url: pr.user.html_url },
-          title: `${emoji} Pull Request #${payload.number} ${titleAction}: ${pr.title}`,
-          url: pr.html_url,
-          fields: [
-            { name: 'Repository', value: `[${payload.repository.full_name}](${repoUrl})`, inline: false },
-            { name: 'Branches', value: `\`${pr.head.ref}\` → \`${pr.base.ref}\``, inline: true },
-            { name: 'State', value: pr.state.charAt(0).toUpperCase() + pr.state.slice(1), inline: true },
-          ],
-          timestamp: pr.updated_at || new Date().toISOString(),
-          footer: { text: `GitHub Pull Request` }
-        };
-        // ... (rest of embed construction from original)
-        if (pr.body) { let prBody = stripHtmlComments(pr.body); if (prBody) { if (prBody.length > 300) { prBody = prBody.substring(0, 297) + '...'; } embed.description = prBody; } }
-        if (action === 'closed' && pr.merged) { embed.fields.push({ name: 'Merged by', value: pr.merged_by.login, inline: true }); }
-        if (action === 'assigned' && payload.assignee) { embed.description = `${pr.user.login} assigned ${payload.assignee.login}.`; }
-        // ... (other action specific descriptions)
-
-        const sentMessage = await channel.send({ embeds: [embed] });
-        // Increment messagesSent counter
-        try {
-          await prisma.server.update({
-            where: { id: serverConfig.id },
-            data: { messagesSent: { increment: 1 } },
-          });
-          console.log(`Incremented messagesSent for server ${serverConfig.id} after PR event`);
-        } catch (dbError) {
-          console.error(`Failed to increment messagesSent for server ${serverConfig.id} after PR event:`, dbError);
-        }
-
-        return { statusCode: 200, message: 'Pull request event processed for authenticated server.', channelId: channelId, messageId: sentMessage.id };
+    const embed = {
+      color: color,
+      author: { name: pr.user.login, icon_url: pr.user.avatar_url, url: pr.user.html_url },
+      title: `${emoji} Pull Request #${payload.number} ${titleAction}: ${pr.title}`,
+      url: pr.html_url,
+      fields: [
+        { name: 'Repository', value: `[${payload.repository.full_name}](${repoUrl})`, inline: false },
+        { name: 'Branches', value: `\`${pr.head.ref}\` → \`${pr.base.ref}\``, inline: true },
+        { name: 'State', value: pr.state.charAt(0).toUpperCase() + pr.state.slice(1), inline: true },
+      ],
+      timestamp: pr.updated_at || new Date().toISOString(),
+      footer: { text: `GitHub Pull Request` }
+    };
+    if (pr.body) { let prBody = stripHtmlComments(pr.body); if (prBody) { if (prBody.length > 300) { prBody = prBody.substring(0, 297) + '...'; } embed.description = prBody; } }
+    if (pr.requested_reviewers && pr.requested_reviewers.length > 0) { embed.fields.push({ name: 'Reviewers', value: pr.requested_reviewers.map(r => r.login).join(', '), inline: true }); }
+    if (pr.labels && pr.labels.length > 0) { embed.fields.push({ name: 'Labels', value: pr.labels.map(l => `\`${l.name}\``).join(', '), inline: true }); }
+    if (pr.merged && pr.merged_by) { embed.fields.push({ name: 'Merged by', value: pr.merged_by.login, inline: true }); }
+    if (!live && action === 'assigned' && payload.assignee) { embed.description = `${pr.user.login} assigned ${payload.assignee.login}.`; }
+
+    return createNotification({
+      targets,
+      embed,
+      metadata: {
+        summary: 'Pull request event processed for authenticated server.',
+        fixedTargets: targets !== channelIds,
+        live: live ? { subjectType: 'pull_request', subjectKey: payload.number, change: describePullRequestChange(payload) } : undefined,
+        thread: { subjectType: 'pull_request', subjectKey: payload.number, name: `PR #${payload.number}: ${pr.title}`, archived: pr.state === 'closed' }
       }
-    } catch (err) { console.error(`Error sending PR message to channel ${channelId}:`, err); }
-    return { statusCode: 200, message: 'Pull request event processed for authenticated server.', channelId: channelId, messageId: null };
+    });
   }
 
-  async function handleIssuesEvent(req, res, payload, prisma, botClient, repoContext) {
+  async function handleIssuesEvent(payload, prisma, botClient, repoContext) {
     const repoUrl = payload.repository.html_url;
     const action = payload.action;
     // Treat 'unassigned' under 'assigned' and 'unlabeled' under 'labeled' in config
     const effectiveAction = action === 'unassigned' ? 'assigned' : (action === 'unlabeled' ? 'labeled' : action);
     const issue = payload.issue;
-    const serverConfig = repoContext.server;
     // Prefer event-specific channel for issues
-    const { channelId, config } = await getEventRouting(prisma, repoContext.id, 'issues', repoContext.notificationChannelId);
+    const { channelIds, config } = await getEventRouting(prisma, repoContext.id, 'issues', repoContext.notificationChannelId);
 
     // Require explicit enablement: if configured and flag missing or false, skip
-    if (config && config.actionsEnabled) {
+    if (repoContext.routedByRules) {
+      // Routing rules choose the channels of every issue event they match
+    } else if (config && config.actionsEnabled) {
       if (!config.actionsEnabled[effectiveAction]) {
         return { statusCode: 200, message: `Issue action '${action}' disabled by config.`, channelId: null, messageId: null };
       }
@@ -568,452 +756,279 @@ function initializeWebServer(prisma, botClient) {
       return { statusCode: 200, message: 'Issue event not configured; skipping.', channelId: null, messageId: null };
     }
 
-    if (channelId === 'pending') {return { statusCode: 200, message: 'Issue event ack, channel pending.', channelId: null, messageId: null };}
-
-    try {
-      // Check channel limits before sending notification
-      const canSendNotification = await checkChannelLimitAndWarn(prisma, botClient, repoContext, channelId);
-
-      if (!canSendNotification) {
-        console.warn(`Skipping issue notification delivery to channel ${channelId} due to channel limit`);
-        return { statusCode: 200, message: 'Issue event acknowledged, but notification skipped due to channel limits.', channelId: null, messageId: null };
-      }
-
-      const channel = await botClient.channels.fetch(channelId);
-      if (channel && channel.isTextBased()) {
-        let emoji = '📝'; let color = 0x0969DA; let titleAction = action.charAt(0).toUpperCase() + action.slice(1);
-        // ... (switch logic for emoji, color from original)
-        switch (action) { case 'opened': emoji = '🐛'; break; case 'closed': emoji = '✅'; color = 0x1A7F37; break; case 'reopened': emoji = '🔄'; break; }
+    if (!repoContext.routedByRules && !matchesLabelFilters(config, issue.labels)) {
+      return { statusCode: 200, message: `Issue #${issue.number} filtered out by its labels.`, channelId: null, messageId: null };
+    }
 
-        const embed = {
-          color: color,
-          author: { name: issue.user.login, icon_url: issue.user.avatar_url, url: issue.user.html_url },
-          title: `${emoji} Issue #${issue.number} ${titleAction}: ${issue.title}`,
-          url: issue.html_url,
-          fields: [
-            { name: 'Repository', value: `[${payload.repository.full_name}](${repoUrl})`, inline: false },
-            { name: 'State', value: issue.state.charAt(0).toUpperCase() + issue.state.slice(1), inline: true },
-          ],
-          timestamp: issue.updated_at || new Date().toISOString(),
-          footer: { text: `GitHub Issue` }
-        };
-        // ... (rest of embed construction from original)
-        if (issue.body) { let issueBody = stripHtmlComments(issue.body); if (issueBody) { if (issueBody.length > 300) { issueBody = issueBody.substring(0, 297) + '...'; } embed.description = issueBody; } }
-        if (issue.labels && issue.labels.length > 0) { embed.fields.push({ name: 'Labels', value: issue.labels.map(l => `\`${l.name}\``).join(', '), inline: true }); }
-        // ... (other action specific descriptions)
-
-        const sentMessage = await channel.send({ embeds: [embed] });
-        // Increment messagesSent counter
-        try {
-          await prisma.server.update({
-            where: { id: serverConfig.id },
-            data: { messagesSent: { increment: 1 } },
-          });
-          console.log(`Incremented messagesSent for server ${serverConfig.id} after issue event`);
-        } catch (dbError) {
-          console.error(`Failed to increment messagesSent for server ${serverConfig.id} after issue event:`, dbError);
+    let emoji = '📝'; let color = 0x0969DA; const titleAction = action.charAt(0).toUpperCase() + action.slice(1);
+    switch (action) { case 'opened': emoji = '🐛'; break; case 'closed': emoji = '✅'; color = 0x1A7F37; break; case 'reopened': emoji = '🔄'; break; }
+
+    const embed = {
+      color: color,
+      author: { name: issue.user.login, icon_url: issue.user.avatar_url, url: issue.user.html_url },
+      title: `${emoji} Issue #${issue.number} ${titleAction}: ${issue.title}`,
+      url: issue.html_url,
+      fields: [
+        { name: 'Repository', value: `[${payload.repository.full_name}](${repoUrl})`, inline: false },
+        { name: 'State', value: issue.state.charAt(0).toUpperCase() + issue.state.slice(1), inline: true },
+      ],
+      timestamp: issue.updated_at || new Date().toISOString(),
+      footer: { text: `GitHub Issue` }
+    };
+    if (issue.body) { let issueBody = stripHtmlComments(issue.body); if (issueBody) { if (issueBody.length > 300) { issueBody = issueBody.substring(0, 297) + '...'; } embed.description = issueBody; } }
+    if (issue.labels && issue.labels.length > 0) { embed.fields.push({ name: 'Labels', value: issue.labels.map(l => `\`${l.name}\``).join(', '), inline: true }); }
+
+    return createNotification({
+      targets: channelIds,
+      embed,
+      metadata: {
+        summary: 'Issue event processed for authenticated server.',
+        thread: {
+          subjectType: 'issues',
+          subjectKey: issue.number,
+          name: `Issue #${issue.number}: ${issue.title}`,
+          archived: issue.state === 'closed',
+          labels: (issue.labels || []).map(l => l.name)
         }
-
-        return { statusCode: 200, message: 'Issue event processed for authenticated server.', channelId: channelId, messageId: sentMessage.id };
       }
-    } catch (err) { console.error(`Error sending issue message to channel ${channelId}:`, err); }
-    return { statusCode: 200, message: 'Issue event processed for authenticated server.', channelId: channelId, messageId: null };
+    });
   }
 
-  async function handleStarEvent(req, res, payload, prisma, botClient, repoContext) {
+  async function handleStarEvent(payload, prisma, botClient, repoContext) {
     const action = payload.action; // 'created' (starred) or 'deleted' (unstarred)
     const repoUrl = payload.repository.html_url;
-    const serverConfig = repoContext.server;
     // Prefer event-specific channel for stars
-    const { channelId, config } = await getEventRouting(prisma, repoContext.id, 'star', repoContext.notificationChannelId);
+    const { channelIds, config } = await getEventRouting(prisma, repoContext.id, 'star', repoContext.notificationChannelId);
 
-    if (!config || !config.actionsEnabled || !config.actionsEnabled[action]) {
+    if (!repoContext.routedByRules && (!config || !config.actionsEnabled || !config.actionsEnabled[action])) {
       return { statusCode: 200, message: `Star action '${action}' disabled by config.`, channelId: null, messageId: null };
     }
 
-    if (channelId === 'pending') {return { statusCode: 200, message: 'Star event ack, channel pending.', channelId: null, messageId: null };}
-
-    try {
-      // Check channel limits before sending notification
-      const canSendNotification = await checkChannelLimitAndWarn(prisma, botClient, repoContext, channelId);
-
-      if (!canSendNotification) {
-        console.warn(`Skipping star notification delivery to channel ${channelId} due to channel limit`);
-        return { statusCode: 200, message: 'Star event acknowledged, but notification skipped due to channel limits.', channelId: null, messageId: null };
-      }
-
-      const channel = await botClient.channels.fetch(channelId);
-      if (channel && channel.isTextBased()) {
-        const isStar = action === 'created';
-        const title = isStar ? `⭐ New Star for ${payload.repository.name}!` : `💔 Star Removed from ${payload.repository.name}`;
-        const description = isStar
-          ? `${payload.sender.login} starred [${payload.repository.full_name}](${repoUrl}).`
-          : `${payload.sender.login} unstarred [${payload.repository.full_name}](${repoUrl}).`;
-        const embed = {
-          color: isStar ? 0xFFAC33 : 0x6B7280,
-          author: { name: payload.sender.login, icon_url: payload.sender.avatar_url, url: payload.sender.html_url },
-          title,
-          url: repoUrl,
-          fields: [
-            { name: 'Repository', value: `[${payload.repository.full_name}](${repoUrl})`, inline: true },
-            { name: 'Total Stars', value: payload.repository.stargazers_count.toString(), inline: true },
-          ],
-          description,
-          timestamp: new Date().toISOString(),
-          footer: { text: `GitHub Star Event` }
-        };
-        const sentMessage = await channel.send({ embeds: [embed] });
-        console.log(`Sent star notification to channel ${channelId} in guild ${serverConfig.guildId}`);
-
-        // Increment messagesSent counter
-        try {
-          await prisma.server.update({
-            where: { id: serverConfig.id },
-            data: { messagesSent: { increment: 1 } },
-          });
-          console.log(`Incremented messagesSent for server ${serverConfig.id} after star event`);
-        } catch (dbError) {
-          console.error(`Failed to increment messagesSent for server ${serverConfig.id} after star event:`, dbError);
-        }
+    const isStar = action === 'created';
+    const title = isStar ? `⭐ New Star for ${payload.repository.name}!` : `💔 Star Removed from ${payload.repository.name}`;
+    const description = isStar
+      ? `${payload.sender.login} starred [${payload.repository.full_name}](${repoUrl}).`
+      : `${payload.sender.login} unstarred [${payload.repository.full_name}](${repoUrl}).`;
+    const embed = {
+      color: isStar ? 0xFFAC33 : 0x6B7280,
+      author: { name: payload.sender.login, icon_url: payload.sender.avatar_url, url: payload.sender.html_url },
+      title,
+      url: repoUrl,
+      fields: [
+        { name: 'Repository', value: `[${payload.repository.full_name}](${repoUrl})`, inline: true },
+        { name: 'Total Stars', value: payload.repository.stargazers_count.toString(), inline: true },
+      ],
+      description,
+      timestamp: new Date().toISOString(),
+      footer: { text: `GitHub Star Event` }
+    };
 
-        // Return message info for logging
-        return { statusCode: 200, message: 'Star event processed for authenticated server.', channelId: channelId, messageId: sentMessage.id };
-      }
-    } catch (err) { console.error(`Error sending star message to channel ${channelId}:`, err); }
-    return { statusCode: 200, message: 'Star event processed for authenticated server.', channelId: null, messageId: null };
+    return createNotification({
+      targets: channelIds,
+      embed,
+      metadata: { summary: 'Star event processed for authenticated server.' }
+    });
   }
 
-  async function handleReleaseEvent(req, res, payload, prisma, botClient, repoContext) {
+  async function handleReleaseEvent(payload, prisma, botClient, repoContext) {
     // Only handle the canonical 'published' action to avoid duplicate notifications
     if (payload.action !== 'published') {return { statusCode: 200, message: `Release event '${payload.action}' ignored (only 'published' is handled).`, channelId: null, messageId: null };}
     const repoUrl = payload.repository.html_url;
     const release = payload.release;
-    const serverConfig = repoContext.server;
     // Prefer event-specific channel for releases
-    const { channelId, config } = await getEventRouting(prisma, repoContext.id, 'release', repoContext.notificationChannelId);
+    const { channelIds, config } = await getEventRouting(prisma, repoContext.id, 'release', repoContext.notificationChannelId);
 
-    if (!config || !config.actionsEnabled || !config.actionsEnabled[payload.action]) {
+    if (!repoContext.routedByRules && (!config || !config.actionsEnabled || !config.actionsEnabled[payload.action])) {
       return { statusCode: 200, message: `Release action '${payload.action}' disabled by config.`, channelId: null, messageId: null };
     }
 
-    if (channelId === 'pending') {return { statusCode: 200, message: 'Release event ack, channel pending.', channelId: null, messageId: null };}
-
-    try {
-      // Check channel limits before sending notification
-      const canSendNotification = await checkChannelLimitAndWarn(prisma, botClient, repoContext, channelId);
-
-      if (!canSendNotification) {
-        console.warn(`Skipping release notification delivery to channel ${channelId} due to channel limit`);
-        return { statusCode: 200, message: 'Release event acknowledged, but notification skipped due to channel limits.', channelId: null, messageId: null };
-      }
-
-      const channel = await botClient.channels.fetch(channelId);
-      if (channel && channel.isTextBased()) {
-        const emoji = release.prerelease ? '🚧' : '🚀';
-        const embed = {
-          color: 0xA371F7,
-          author: { name: release.author.login, icon_url: release.author.avatar_url, url: release.author.html_url },
-          title: `${emoji} New ${release.prerelease ? 'Pre-release' : 'Release'}: ${release.name || release.tag_name}`,
-          url: release.html_url,
-          fields: [
-            { name: 'Repository', value: `[${payload.repository.full_name}](${repoUrl})`, inline: false },
-            { name: 'Tag', value: `\`${release.tag_name}\``, inline: true },
-          ],
-          timestamp: release.published_at || new Date().toISOString(),
-          footer: { text: `GitHub Release` }
-        };
-        if (release.body) { let body = stripHtmlComments(release.body); if (body) { if (body.length > 1500) {body = body.substring(0, 1497) + '...';} embed.description = body; } }
-        const sentMessage = await channel.send({ embeds: [embed] });
-        console.log(`Sent release notification to channel ${channelId} in guild ${serverConfig.guildId}`);
-
-        // Increment messagesSent counter
-        try {
-          await prisma.server.update({
-            where: { id: serverConfig.id },
-            data: { messagesSent: { increment: 1 } },
-          });
-          console.log(`Incremented messagesSent for server ${serverConfig.id} after release event`);
-        } catch (dbError) {
-          console.error(`Failed to increment messagesSent for server ${serverConfig.id} after release event:`, dbError);
-        }
-
-        return { statusCode: 200, message: 'Release event processed for authenticated server.', channelId: channelId, messageId: sentMessage.id };
-      }
-    } catch (err) { console.error(`Error sending release message to channel ${channelId}:`, err); }
-    return { statusCode: 200, message: 'Release event processed for authenticated server.', channelId: channelId, messageId: null };
+    const emoji = release.prerelease ? '🚧' : '🚀';
+    const embed = {
+      color: 0xA371F7,
+      author: { name: release.author.login, icon_url: release.author.avatar_url, url: release.author.html_url },
+      title: `${emoji} New ${release.prerelease ? 'Pre-release' : 'Release'}: ${release.name || release.tag_name}`,
+      url: release.html_url,
+      fields: [
+        { name: 'Repository', value: `[${payload.repository.full_name}](${repoUrl})`, inline: false },
+        { name: 'Tag', value: `\`${release.tag_name}\``, inline: true },
+      ],
+      timestamp: release.published_at || new Date().toISOString(),
+      footer: { text: `GitHub Release` }
+    };
+    if (release.body) { let body = stripHtmlComments(release.body); if (body) { if (body.length > 1500) {body = body.substring(0, 1497) + '...';} embed.description = body; } }
+
+    return createNotification({
+      targets: channelIds,
+      embed,
+      metadata: { summary: 'Release event processed for authenticated server.' }
+    });
   }
 
-  async function handleForkEvent(req, res, payload, prisma, botClient, repoContext) {
+  async function handleForkEvent(payload, prisma, botClient, repoContext) {
     const repoUrl = payload.repository.html_url;
     const forkeeRepo = payload.forkee;
-    const serverConfig = repoContext.server;
     // Prefer event-specific channel for forks
-    const { channelId, config } = await getEventRouting(prisma, repoContext.id, 'fork', repoContext.notificationChannelId);
+    const { channelIds, config } = await getEventRouting(prisma, repoContext.id, 'fork', repoContext.notificationChannelId);
 
-    if (!config || !config.actionsEnabled || !config.actionsEnabled[payload.action]) {
+    if (!repoContext.routedByRules && (!config || !config.actionsEnabled || !config.actionsEnabled[payload.action])) {
       return { statusCode: 200, message: `Fork action '${payload.action}' disabled by config.`, channelId: null, messageId: null };
     }
 
-    if (channelId === 'pending') {return { statusCode: 200, message: 'Fork event ack, channel pending.', channelId: null, messageId: null };}
-
-    try {
-      // Check channel limits before sending notification
-      const canSendNotification = await checkChannelLimitAndWarn(prisma, botClient, repoContext, channelId);
-
-      if (!canSendNotification) {
-        console.warn(`Skipping fork notification delivery to channel ${channelId} due to channel limit`);
-        return { statusCode: 200, message: 'Fork event acknowledged, but notification skipped due to channel limits.', channelId: null, messageId: null };
-      }
-
-      const channel = await botClient.channels.fetch(channelId);
-      if (channel && channel.isTextBased()) {
-        const embed = {
-          color: 0x6F42C1,
-          author: { name: payload.sender.login, icon_url: payload.sender.avatar_url, url: payload.sender.html_url },
-          title: '🍴 Repository Forked',
-          description: `[${payload.repository.full_name}](${repoUrl}) was forked by ${payload.sender.login} to [${forkeeRepo.full_name}](${forkeeRepo.html_url}).`,
-          fields: [
-            { name: 'Source Repository', value: `[${payload.repository.full_name}](${repoUrl})`, inline: true },
-            { name: 'New Fork', value: `[${forkeeRepo.full_name}](${forkeeRepo.html_url})`, inline: true },
-          ],
-          timestamp: forkeeRepo.created_at || new Date().toISOString(),
-          footer: { text: 'GitHub Fork Event' }
-        };
-        const sentMessage = await channel.send({ embeds: [embed] });
-        console.log(`Sent fork notification to channel ${channelId} in guild ${serverConfig.guildId}`);
-
-        // Increment messagesSent counter
-        try {
-          await prisma.server.update({
-            where: { id: serverConfig.id },
-            data: { messagesSent: { increment: 1 } },
-          });
-          console.log(`Incremented messagesSent for server ${serverConfig.id} after fork event`);
-        } catch (dbError) {
-          console.error(`Failed to increment messagesSent for server ${serverConfig.id} after fork event:`, dbError);
-        }
-
-        return { statusCode: 200, message: 'Fork event processed for authenticated server.', channelId: channelId, messageId: sentMessage.id };
-      }
-    } catch (err) { console.error(`Error sending fork message to channel ${channelId}:`, err); }
-    return { statusCode: 200, message: 'Fork event processed for authenticated server.', channelId: channelId, messageId: null };
+    const embed = {
+      color: 0x6F42C1,
+      author: { name: payload.sender.login, icon_url: payload.sender.avatar_url, url: payload.sender.html_url },
+      title: '🍴 Repository Forked',
+      description: `[${payload.repository.full_name}](${repoUrl}) was forked by ${payload.sender.login} to [${forkeeRepo.full_name}](${forkeeRepo.html_url}).`,
+      fields: [
+        { name: 'Source Repository', value: `[${payload.repository.full_name}](${repoUrl})`, inline: true },
+        { name: 'New Fork', value: `[${forkeeRepo.full_name}](${forkeeRepo.html_url})`, inline: true },
+      ],
+      timestamp: forkeeRepo.created_at || new Date().toISOString(),
+      footer: { text: 'GitHub Fork Event' }
+    };
+
+    return createNotification({
+      targets: channelIds,
+      embed,
+      metadata: { summary: 'Fork event processed for authenticated server.' }
+    });
   }
 
-  async function handleCreateEvent(req, res, payload, prisma, botClient, repoContext) {
+  async function handleCreateEvent(payload, prisma, botClient, repoContext) {
     const repoUrl = payload.repository.html_url;
     const refType = payload.ref_type;
     const refName = payload.ref;
-    const serverConfig = repoContext.server;
     // Prefer event-specific channel for create events
-    const { channelId, config } = await getEventRouting(prisma, repoContext.id, 'create', repoContext.notificationChannelId);
+    const { channelIds, config } = await getEventRouting(prisma, repoContext.id, 'create', repoContext.notificationChannelId);
 
-    if (!config || !config.actionsEnabled || !config.actionsEnabled[payload.action]) {
+    if (!repoContext.routedByRules && (!config || !config.actionsEnabled || !config.actionsEnabled[payload.action])) {
       return { statusCode: 200, message: `Create action '${payload.action}' disabled by config.`, channelId: null, messageId: null };
     }
 
-    if (channelId === 'pending') {return { statusCode: 200, message: 'Create event ack, channel pending.', channelId: null, messageId: null };}
-
-    // Additional check: if it's a branch, only send if a wildcard ('*') is tracked for this repo on this server,
-    // or if the specific branch being created was pre-emptively tracked (less common for 'create').
-    // For simplicity here, we'll rely on the server default channel for create events, assuming admins want to know about new branches/tags.
-    // More complex filtering could be added if needed (e.g., checking TrackedBranch for '*').
-
-    try {
-      // Check channel limits before sending notification
-      const canSendNotification = await checkChannelLimitAndWarn(prisma, botClient, repoContext, channelId);
-
-      if (!canSendNotification) {
-        console.warn(`Skipping create event notification delivery to channel ${channelId} due to channel limit`);
-        return { statusCode: 200, message: 'Create event acknowledged, but notification skipped due to channel limits.', channelId: null, messageId: null };
+    // A new tag also arrives as a push to refs/tags/, which tag tracking posts when the tag is tracked
+    if (refType === 'tag' && !repoContext.routedByRules) {
+      const trackedTags = await prisma.trackedTag.findMany({ where: { repositoryId: repoContext.id } });
+      if (findMatchingTags(trackedTags, refName).length > 0) {
+        return { statusCode: 200, message: `Tag ${refName} is posted by tag tracking.`, channelId: null, messageId: null };
       }
+    }
 
-      const channel = await botClient.channels.fetch(channelId);
-      if (channel && channel.isTextBased()) {
-        const emoji = refType === 'branch' ? '🌱' : '🏷️';
-        const color = refType === 'branch' ? 0x4F46E5 : 0x6A737D;
-        const embed = {
-          color: color,
-          author: { name: payload.sender.login, icon_url: payload.sender.avatar_url, url: payload.sender.html_url },
-          title: `${emoji} New ${refType} Created: ${refName}`,
-          url: `${repoUrl}/tree/${encodeURIComponent(refName)}`,
-          fields: [
-            { name: 'Repository', value: `[${payload.repository.full_name}](${repoUrl})`, inline: false },
-            { name: (refType.charAt(0).toUpperCase() + refType.slice(1)), value: `\`${refName}\``, inline: true },
-            { name: 'Created by', value: payload.sender.login, inline: true },
-          ],
-          timestamp: new Date().toISOString(),
-          footer: { text: `GitHub ${refType.charAt(0).toUpperCase() + refType.slice(1)} Creation` }
-        };
-        if (refType === 'branch') {
-          embed.description = `To track this branch specifically, use:\n\`/link ${repoUrl} ${refName} #channel\``;
-        }
-        const sentMessage = await channel.send({ embeds: [embed] });
-        console.log(`Sent create notification to channel ${channelId} in guild ${serverConfig.guildId}`);
-
-        // Increment messagesSent counter
-        try {
-          await prisma.server.update({
-            where: { id: serverConfig.id },
-            data: { messagesSent: { increment: 1 } },
-          });
-          console.log(`Incremented messagesSent for server ${serverConfig.id} after create event`);
-        } catch (dbError) {
-          console.error(`Failed to increment messagesSent for server ${serverConfig.id} after create event:`, dbError);
-        }
+    // Create events go to the routed channel regardless of tracked branches, assuming admins want to know about new branches/tags.
+    // More complex filtering could be added if needed (e.g., checking TrackedBranch for '*').
+    const emoji = refType === 'branch' ? '🌱' : '🏷️';
+    const color = refType === 'branch' ? 0x4F46E5 : 0x6A737D;
+    const embed = {
+      color: color,
+      author: { name: payload.sender.login, icon_url: payload.sender.avatar_url, url: payload.sender.html_url },
+      title: `${emoji} New ${refType} Created: ${refName}`,
+      url: `${repoUrl}/tree/${encodeURIComponent(refName)}`,
+      fields: [
+        { name: 'Repository', value: `[${payload.repository.full_name}](${repoUrl})`, inline: false },
+        { name: (refType.charAt(0).toUpperCase() + refType.slice(1)), value: `\`${refName}\``, inline: true },
+        { name: 'Created by', value: payload.sender.login, inline: true },
+      ],
+      timestamp: new Date().toISOString(),
+      footer: { text: `GitHub ${refType.charAt(0).toUpperCase() + refType.slice(1)} Creation` }
+    };
+    if (refType === 'branch') {
+      embed.description = `To track this branch specifically, use:\n\`/link ${repoUrl} ${refName} #channel\``;
+    }
 
-        return { statusCode: 200, message: 'Create event processed for authenticated server.', channelId: channelId, messageId: sentMessage.id };
-      }
-    } catch (err) { console.error(`Error sending create message to channel ${channelId}:`, err); }
-    return { statusCode: 200, message: 'Create event processed for authenticated server.', channelId: channelId, messageId: null };
+    return createNotification({
+      targets: channelIds,
+      embed,
+      metadata: { summary: 'Create event processed for authenticated server.' }
+    });
   }
 
-  async function handleDeleteEvent(req, res, payload, prisma, botClient, repoContext) {
+  async function handleDeleteEvent(payload, prisma, botClient, repoContext) {
     const repoUrl = payload.repository.html_url;
     const refType = payload.ref_type;
     const refName = payload.ref;
-    const serverConfig = repoContext.server;
     // Prefer event-specific channel for delete events
-    const { channelId, config } = await getEventRouting(prisma, repoContext.id, 'delete', repoContext.notificationChannelId);
+    const { channelIds, config } = await getEventRouting(prisma, repoContext.id, 'delete', repoContext.notificationChannelId);
 
-    if (!config || !config.actionsEnabled || !config.actionsEnabled[payload.action]) {
+    if (!repoContext.routedByRules && (!config || !config.actionsEnabled || !config.actionsEnabled[payload.action])) {
       return { statusCode: 200, message: `Delete action '${payload.action}' disabled by config.`, channelId: null, messageId: null };
     }
 
-    if (channelId === 'pending') {return { statusCode: 200, message: 'Delete event ack, channel pending.', channelId: null, messageId: null };}
-
-    try {
-      // Check channel limits before sending notification
-      const canSendNotification = await checkChannelLimitAndWarn(prisma, botClient, repoContext, channelId);
-
-      if (!canSendNotification) {
-        console.warn(`Skipping delete event notification delivery to channel ${channelId} due to channel limit`);
-        return { statusCode: 200, message: 'Delete event acknowledged, but notification skipped due to channel limits.', channelId: null, messageId: null };
-      }
-
-      const channel = await botClient.channels.fetch(channelId);
-      if (channel && channel.isTextBased()) {
-        const emoji = '🗑️';
-        const color = 0xCF222E;
-        const embed = {
-          color: color,
-          author: { name: payload.sender.login, icon_url: payload.sender.avatar_url, url: payload.sender.html_url },
-          title: `${emoji} ${refType.charAt(0).toUpperCase() + refType.slice(1)} Deleted: ${refName}`,
-          url: repoUrl,
-          fields: [
-            { name: 'Repository', value: `[${payload.repository.full_name}](${repoUrl})`, inline: false },
-            { name: (refType.charAt(0).toUpperCase() + refType.slice(1)), value: `\`${refName}\``, inline: true },
-            { name: 'Deleted by', value: payload.sender.login, inline: true },
-          ],
-          timestamp: new Date().toISOString(),
-          footer: { text: `GitHub ${refType.charAt(0).toUpperCase() + refType.slice(1)} Deletion` }
-        };
-        const sentMessage = await channel.send({ embeds: [embed] });
-        console.log(`Sent delete notification to channel ${channelId} in guild ${serverConfig.guildId}`);
-
-        // Increment messagesSent counter
-        try {
-          await prisma.server.update({
-            where: { id: serverConfig.id },
-            data: { messagesSent: { increment: 1 } },
-          });
-          console.log(`Incremented messagesSent for server ${serverConfig.id} after delete event`);
-        } catch (dbError) {
-          console.error(`Failed to increment messagesSent for server ${serverConfig.id} after delete event:`, dbError);
-        }
+    const embed = {
+      color: 0xCF222E,
+      author: { name: payload.sender.login, icon_url: payload.sender.avatar_url, url: payload.sender.html_url },
+      title: `🗑️ ${refType.charAt(0).toUpperCase() + refType.slice(1)} Deleted: ${refName}`,
+      url: repoUrl,
+      fields: [
+        { name: 'Repository', value: `[${payload.repository.full_name}](${repoUrl})`, inline: false },
+        { name: (refType.charAt(0).toUpperCase() + refType.slice(1)), value: `\`${refName}\``, inline: true },
+        { name: 'Deleted by', value: payload.sender.login, inline: true },
+      ],
+      timestamp: new Date().toISOString(),
+      footer: { text: `GitHub ${refType.charAt(0).toUpperCase() + refType.slice(1)} Deletion` }
+    };
 
-        return { statusCode: 200, message: 'Delete event processed for authenticated server.', channelId: channelId, messageId: sentMessage.id };
-      }
-    } catch (err) { console.error(`Error sending delete message to channel ${channelId}:`, err); }
-    return { statusCode: 200, message: 'Delete event processed for authenticated server.', channelId: channelId, messageId: null };
+    return createNotification({
+      targets: channelIds,
+      embed,
+      metadata: { summary: 'Delete event processed for authenticated server.' }
+    });
   }
 
-  async function handlePingEvent(req, res, payload, prisma, botClient, repoContext) {
+  async function handlePingEvent(payload, prisma, botClient, repoContext) {
     const repoUrl = payload.repository.html_url;
-    const serverConfig = repoContext.server;
-    // Always send ping to the repository's default channel; skip per-event routing/config
-    const channelId = repoContext.notificationChannelId || 'pending';
 
-    if (channelId === 'pending') {
-      console.warn(`Ping event for ${repoUrl}, but repository notification channel is pending.`);
-      return { statusCode: 200, message: 'Ping event ack, channel pending.', channelId: null, messageId: null };
-    }
-
-    try {
-      // Check channel limits before sending notification
-      // For ping events, we'll always send the notification with a warning if needed, but won't block
-      await checkChannelLimitAndWarn(prisma, botClient, repoContext, channelId);
-
-      // Always continue with ping events to ensure webhook setup works
-
-      const channel = await botClient.channels.fetch(channelId);
-      if (channel && channel.isTextBased()) {
-        const embed = {
-          color: 0x36A64F,
-          author: {
-            name: payload.sender.login, // User who triggered/owns the webhook
-            icon_url: payload.sender.avatar_url,
-            url: payload.sender.html_url
-          },
-          title: '🔗 Webhook Ping Received',
-          description: `Successfully received a ping event from GitHub for repository [${payload.repository.full_name}](${repoUrl}).\nYour webhooks are set up correctly for this server! 🎉`,
-          fields: [
-            { name: 'Repository', value: `[${payload.repository.full_name}](${repoUrl})`, inline: true },
-            { name: 'Zen', value: payload.zen || 'Connection successful!', inline: true },
-          ],
-          timestamp: new Date().toISOString(),
-          footer: { text: 'GitHub Ping Event' },
-        };
-        await channel.send({ embeds: [embed] });
-        console.log(`Sent ping confirmation to channel ${channelId} for repository ${repoUrl} on server ${serverConfig.guildId}`);
-
-
-        const instructionsEmbed = {
-          color: 0x36A64F,
-          title: '📋 How to Track your Branches',
-          description: 'Now that your webhook is set up, you can link specific branches to receive notifications:',
-          fields: [
-            {
-              name: '🌿 Link a specific branch',
-              value: `\`/link repo-url branch #channel\`\nReplace \`branch\` with your branch name and \`#channel\` with your desired channel.`,
-              inline: false
-            },
-            {
-              name: '🌟 Link all branches (wildcard)',
-              value: `\`/link repo-url * #channel\`\nUse \`*\` to track all branches in the repository.`,
-              inline: false
-            },
-            {
-              name: '🚫 Exclude a branch (negation)',
-              value: `\`/link repo-url !main #channel\`\nUse \`!branch\` to track all branches except the specified one.`,
-              inline: false
-            },
-            {
-              name: '📖 Need help?',
-              value: 'Use `/help` to see all available commands and their usage.',
-              inline: false
-            }
-          ],
-          footer: { text: 'GitTrack - Branch Linking Guide' },
-        };
-        await channel.send({ embeds: [instructionsEmbed] });
-        console.log(`Sent branch linking instructions to channel ${channelId} for repository ${repoUrl} on server ${serverConfig.guildId}`);
-
-
-        // Increment messagesSent counter for both events
-        try {
-          await prisma.server.update({
-            where: { id: serverConfig.id },
-            data: { messagesSent: { increment: 2 } },
-          });
-          console.log(`Incremented messagesSent by 2 for server ${serverConfig.id} after ping event`);
-        } catch (dbError) {
-          console.error(`Failed to increment messagesSent for server ${serverConfig.id} after ping event:`, dbError);
+    const embed = {
+      color: 0x36A64F,
+      author: {
+        name: payload.sender.login, // User who triggered/owns the webhook
+        icon_url: payload.sender.avatar_url,
+        url: payload.sender.html_url
+      },
+      title: '🔗 Webhook Ping Received',
+      description: `Successfully received a ping event from GitHub for repository [${payload.repository.full_name}](${repoUrl}).\nYour webhooks are set up correctly for this server! 🎉`,
+      fields: [
+        { name: 'Repository', value: `[${payload.repository.full_name}](${repoUrl})`, inline: true },
+        { name: 'Zen', value: payload.zen || 'Connection successful!', inline: true },
+      ],
+      timestamp: new Date().toISOString(),
+      footer: { text: 'GitHub Ping Event' },
+    };
+
+    const instructionsEmbed = {
+      color: 0x36A64F,
+      title: '📋 How to Track your Branches',
+      description: 'Now that your webhook is set up, you can link specific branches to receive notifications:',
+      fields: [
+        {
+          name: '🌿 Link a specific branch',
+          value: `\`/link repo-url branch #channel\`\nReplace \`branch\` with your branch name and \`#channel\` with your desired channel.`,
+          inline: false
+        },
+        {
+          name: '🌟 Link all branches (wildcard)',
+          value: `\`/link repo-url * #channel\`\nUse \`*\` to track all branches in the repository.`,
+          inline: false
+        },
+        {
+          name: '🚫 Exclude a branch (negation)',
+          value: `\`/link repo-url !main #channel\`\nUse \`!branch\` to track all branches except the specified one.`,
+          inline: false
+        },
+        {
+          name: '📖 Need help?',
+          value: 'Use `/help` to see all available commands and their usage.',
+          inline: false
         }
-      }
-    } catch (err) {
-      console.error(`Error sending ping confirmation to channel ${channelId}:`, err);
-    }
-    return { statusCode: 200, message: 'Ping event processed for authenticated server.', channelId: channelId, messageId: null };
+      ],
+      footer: { text: 'GitTrack - Branch Linking Guide' },
+    };
+
+    return createNotification({
+      // Always send ping to the repository's default channel; skip per-event routing/config
+      targets: repoContext.notificationChannelId,
+      embed: [embed, instructionsEmbed],
+      // Always deliver ping confirmations to the default channel so webhook setup can be verified
+      metadata: { summary: 'Ping event processed for authenticated server.', enforceChannelLimit: false, fixedTargets: true }
+    });
   }
 
   return app;
@@ -1055,24 +1070,34 @@ async function tryNotifyContentTypeError(req, prisma, botClient) {
     }
 
     // Get signature for validation (same as main webhook handler)
-    const signature = req.headers['x-hub-signature-256'];
+    const provider = detectProvider(req.headers);
+    const { signature } = getWebhookHeaders(provider, req.headers);
     if (!signature) {
       console.log('No signature found in malformed webhook request');
       return;
     }
 
     // Find all candidate repositories (same logic as main webhook handler)
-    const possibleUrls = [repoUrl];
-    if (repoUrl.endsWith('.git')) {
-      possibleUrls.push(repoUrl.slice(0, -4));
+    let candidateRepositories;
+    if (req.params.token) {
+      const repoEntry = await prisma.repository.findUnique({
+        where: { webhookToken: req.params.token },
+        include: { server: true }
+      });
+      candidateRepositories = repoEntry ? [repoEntry] : [];
     } else {
-      possibleUrls.push(repoUrl + '.git');
-    }
+      const possibleUrls = [repoUrl];
+      if (repoUrl.endsWith('.git')) {
+        possibleUrls.push(repoUrl.slice(0, -4));
+      } else {
+        possibleUrls.push(repoUrl + '.git');
+      }
 
-    const candidateRepositories = await prisma.repository.findMany({
-      where: { url: { in: possibleUrls } },
-      include: { server: true }
-    });
+      candidateRepositories = await prisma.repository.findMany({
+        where: { url: { in: possibleUrls } },
+        include: { server: true }
+      });
+    }
 
     if (!candidateRepositories || candidateRepositories.length === 0) {
       console.log(`No repositories found for ${repoUrl} in content type error notification`);
@@ -1080,39 +1105,9 @@ async function tryNotifyContentTypeError(req, prisma, botClient) {
     }
 
     // Validate signature to find the correct repository/server (same logic as main webhook handler)
-    let validatedRepository = null;
-
-
-
-    for (const repoEntry of candidateRepositories) {
-      const secretToUse = repoEntry.webhookSecret || process.env.GITHUB_WEBHOOK_SECRET;
-      if (!secretToUse) {
-
-        continue;
-      }
-
-
-
-      const signaturePrefix = 'sha256=';
-      if (!signature.startsWith(signaturePrefix)) {
-        continue;
-      }
-
-      const providedSignature = signature.substring(signaturePrefix.length);
-      const hmac = crypto.createHmac('sha256', secretToUse);
-      hmac.update(req.rawBody); // Use the raw request body for signature validation
-      const expectedSignature = hmac.digest('hex');
-
-
-
-      if (
-        Buffer.from(providedSignature, 'hex').length === Buffer.from(expectedSignature, 'hex').length &&
-        crypto.timingSafeEqual(Buffer.from(providedSignature, 'hex'), Buffer.from(expectedSignature, 'hex'))
-      ) {
-        validatedRepository = repoEntry;
-        break;
-      }
-    }
+    const validatedRepository = candidateRepositories.find(repoEntry =>
+      matchRepositorySecret(repoEntry, createWebhookVerifier(provider, req.rawBody, signature))
+    );
 
     if (!validatedRepository) {
       console.log(`No validated repository found for ${repoUrl} in content type error notification`);
@@ -1135,7 +1130,7 @@ async function tryNotifyContentTypeError(req, prisma, botClient) {
             },
             {
               name: '🔧 How to Fix',
-              value: `1. Go to your [repository webhook settings](${repoUrl}/settings/hooks)\n2. Click "Edit" on your GitTrack webhook\n3. Change "Content type" from "application/x-www-form-urlencoded" to **"application/json"**\n4. Click "Update webhook"`,
+              value: `1. Go to your [repository webhook settings](${getWebhookSettingsUrl(repoUrl, provider)})\n2. Click "Edit" on your GitTrack webhook\n3. Change "Content type" from "application/x-www-form-urlencoded" to **"application/json"**\n4. Click "Update webhook"`,
               inline: false
             },
             {
@@ -1157,97 +1152,71 @@ async function tryNotifyContentTypeError(req, prisma, botClient) {
   }
 }
 
-// Helper function to check channel limits and send warnings if needed
-async function checkChannelLimitAndWarn(prisma, botClient, repoContext, channelId) {
-  try {
-    // Don't skip default channels - they should be counted if used explicitly for branch tracking
-    // (that logic is handled in the checkChannelLimit function)
-
-    const serverConfig = repoContext.server;
-    const { isAtLimit, currentCount, maxAllowed } = await checkChannelLimit(
-      prisma,
-      serverConfig.id,
-      null, // Don't exclude any channels
-      null  // Don't include any new channels
-    );
-
-    // Only warn if at or exceeding limit
-    if (isAtLimit) {
-      // Try to send warning to the channel that's being used
-      try {
-        const channel = await botClient.channels.fetch(channelId);
-        if (channel && channel.isTextBased()) {
-          // Send warning message
-          await channel.send({
-            embeds: [{
-              color: 0xFF9800, // Warning orange
-              title: '⚠️ Channel Limit Warning',
-              description: `This server is using ${currentCount} distinct channels for branch notifications, which exceeds the configured limit of ${maxAllowed} channels.\n\nA channel is counted when it's used explicitly for branch notifications, even if it's also a repository default channel.\n\nTo ensure all webhook notifications are delivered properly, please:\n• Consolidate branch notifications to fewer channels\n• Use \`/unlink\` to remove unneeded branch-channel links\n• Or contact an administrator to increase the limit`,
-              footer: { text: 'GitTrack Notification Limit' }
-            }]
-          });
-
-          console.log(`Sent channel limit warning to channel ${channelId} in guild ${serverConfig.guildId}`);
-
-          // Return true to still attempt delivery despite warning
-          return true;
-        }
-      } catch (err) {
-        console.error(`Error sending channel limit warning to ${channelId}:`, err);
-      }
-
-      // Log that we're exceeding the limit
-      console.warn(`Server ${serverConfig.guildId} is exceeding the channel limit (${currentCount}/${maxAllowed}). Some notifications may not be delivered.`);
-      return false; // Don't deliver the notification as we're at the limit
+// Short description of a pull request action for the live message changelog
+function describePullRequestChange(payload) {
+  const pr = payload.pull_request;
+  switch (payload.action) {
+    case 'opened': return `opened by ${pr.user.login}`;
+    case 'synchronize': return 'new commits';
+    case 'labeled': case 'unlabeled': return payload.label ? `${payload.action} ${payload.label.name}` : payload.action;
+    case 'assigned': case 'unassigned': return payload.assignee ? `${payload.action} ${payload.assignee.login}` : payload.action;
+    case 'review_requested': case 'review_request_removed': {
+      const reviewer = payload.requested_reviewer ? payload.requested_reviewer.login : (payload.requested_team && payload.requested_team.name);
+      const change = payload.action === 'review_requested' ? 'review requested' : 'review request removed';
+      return reviewer ? `${change}: ${reviewer}` : change;
     }
-
-    return true; // Not at limit, allow delivery
-  } catch (error) {
-    console.error('Error checking channel limits:', error);
-    return true; // In case of error, default to allowing notifications
+    case 'closed': return pr.merged ? `merged${pr.merged_by ? ` by ${pr.merged_by.login}` : ''}` : 'closed';
+    default: return payload.action.replace(/_/g, ' ');
   }
 }
 
-
-
-// Helper function to handle events with error logging
-async function handleEventWithLogging(handler, req, res, payload, prisma, botClient, repoContext, loggingContext) {
-  const { startTime, event, action } = loggingContext;
-  let result;
-  let responseSent = false;
-
-  // Helper function to send response only once
-  const sendResponse = (statusCode, message) => {
-    if (responseSent) {
-      console.warn(`Attempted to send response twice for ${event} event. Response already sent.`);
-      return;
-    }
-    responseSent = true;
-    return res.status(statusCode).send(message);
-  };
+// Helper function to run event handlers with error logging
+async function handleEventWithLogging(handler, payload, prisma, botClient, repoContext, loggingContext) {
+  const { startTime, event, action, requestContext = {} } = loggingContext;
 
   try {
-    result = await handler(req, res, payload, prisma, botClient, repoContext);
+    // Events from ignored accounts are dropped before any handler runs, but still counted
+    const ignored = await findIgnoredActor(prisma, repoContext, event, payload);
+    if (ignored) {
+      await recordSuppressedEvent(prisma, repoContext);
+      return { statusCode: 200, message: `Event from ignored account ${ignored.login} suppressed (${ignored.reason}).`, channelId: null, messageId: null };
+    }
 
-    // Send the HTTP response based on the handler result
-    let responseMessage = 'Event processed successfully';
-    let responseCode = 200;
+    // Routing rules are evaluated first: an event a rule matches skips the handler's action
+    // toggles and tracked branches, which only decide where events without a rule go
+    const ruleChannelIds = await findRuleChannels(prisma, repoContext.id, event, payload);
+    const handlerContext = ruleChannelIds.length > 0 ? { ...repoContext, routedByRules: true } : repoContext;
+    let result = await handler(payload, prisma, botClient, handlerContext);
+
+    // Replays may target a test channel instead of the configured routes; they post there once
+    // and never reach the digests, coalescing windows, live messages or threads of those routes
+    if (isNotification(result) && requestContext.channelOverride) {
+      result = await deliverNotification(prisma, botClient, repoContext, overrideTargets(result, requestContext.channelOverride));
+    } else if (isNotification(result)) {
+      // Handlers return a notification; matching routing rules redirect it, channels in digest mode
+      // keep it for their digest and channels with a coalescing window hold it for a combined
+      // notification before the pipeline handles limits, delivery and accounting
+      const routed = applyRuleChannels(result, ruleChannelIds);
+      const { notification: undigested, digestChannelIds } = await splitDigestTargets(prisma, repoContext.id, event, payload, routed);
+      const { notification, windows } = await splitCoalescedTargets(prisma, repoContext, event, payload, undigested);
+      const held = [
+        digestChannelIds.length > 0 ? 'Stored for the digest.' : null,
+        windows.length > 0 ? 'Held for a coalesced notification.' : null
+      ].filter(Boolean);
+      result = notification.targets.length > 0 || held.length === 0
+        ? await deliverNotification(prisma, botClient, repoContext, notification)
+        : { statusCode: 200, message: `${notification.metadata.summary} ${held.join(' ')}`, channelId: null, messageId: null };
+      await recordDigestEntries(prisma, repoContext, digestChannelIds, event, payload);
+      await recordCoalescedEvents(prisma, repoContext, windows, event, payload, notification);
+    }
 
     if (result && result.statusCode && result.message) {
-      responseCode = result.statusCode;
-      responseMessage = result.message;
+      return result;
     }
 
-    // Send response immediately to avoid any race conditions
-    const responsePromise = sendResponse(responseCode, responseMessage);
-
-    // No need to log successful webhook events to reduce database load
-
-    return responsePromise;
+    return { statusCode: 200, message: 'Event processed successfully', channelId: result?.channelId || null, messageId: result?.messageId || null };
   } catch (error) {
     console.error(`Error in ${event} handler:`, error);
-    // Send error response immediately
-    const responsePromise = sendResponse(500, 'Webhook processing failed');
 
     // Log error to ErrorLog for debugging
     try {
@@ -1261,8 +1230,8 @@ async function handleEventWithLogging(handler, req, res, payload, prisma, botCli
             eventType: event,
             action: action,
             processingTime: Date.now() - startTime,
-            userAgent: req.headers['user-agent'],
-            sourceIp: req.headers['x-forwarded-for'] || req.connection?.remoteAddress,
+            userAgent: requestContext.userAgent,
+            sourceIp: requestContext.sourceIp,
           },
           source: 'webhook',
         }
@@ -1290,7 +1259,8 @@ async function handleEventWithLogging(handler, req, res, payload, prisma, botCli
       console.error('Failed to log error:', logError);
     });
 
-    return responsePromise;
+    // Rethrow so the delivery worker retries the job with backoff
+    throw error;
   }
 }
 
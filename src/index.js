@@ -2,6 +2,9 @@ require('dotenv').config();
 const { PrismaClient } = require('@prisma/client');
 const { initializeBot } = require('./bot');
 const { initializeWebServer } = require('./handlers/webhookHandler');
+const { startSecretRotationScheduler } = require('./functions/secretRotation');
+const { startDigestScheduler } = require('./functions/digests');
+const { startCoalescingScheduler } = require('./functions/coalescing');
 
 const prisma = new PrismaClient();
 
@@ -9,6 +12,15 @@ async function main() {
   // Initialize and log in the Discord bot
   const botClient = await initializeBot(prisma);
 
+  // Post rotation reminders and retire old webhook secrets once their grace window ends
+  startSecretRotationScheduler(prisma, botClient);
+
+  // Post the digests of channels in digest mode at their scheduled times
+  startDigestScheduler(prisma, botClient);
+
+  // Post the combined notifications of coalescing windows that have ended
+  startCoalescingScheduler(prisma, botClient);
+
   // Initialize and start the web server for webhooks
   const webServer = initializeWebServer(prisma, botClient);
   const port = process.env.PORT || 3000;
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getEventActor, getConfigEventType, getIgnoreReason, findIgnoredActor } = require('../src/functions/actorFilter');
+
+test('getEventActor prefers the sender and falls back to the pusher', () => {
+  assert.equal(getEventActor({ sender: { login: 'renovate[bot]' }, pusher: { name: 'octocat' } }), 'renovate[bot]');
+  assert.equal(getEventActor({ pusher: { name: 'octocat' } }), 'octocat');
+  assert.equal(getEventActor({}), null);
+});
+
+test('getConfigEventType maps comments and reviews to their subject event', () => {
+  assert.equal(getConfigEventType('issue_comment', { issue: { pull_request: {} } }), 'pull_request');
+  assert.equal(getConfigEventType('issue_comment', { issue: {} }), 'issues');
+  assert.equal(getConfigEventType('pull_request_review', {}), 'pull_request');
+  assert.equal(getConfigEventType('push', {}), 'push');
+});
+
+test('getIgnoreReason checks repository and event lists before the bot switch', () => {
+  const settings = { ignoreBots: true, repositoryLogins: ['Release-Bot'], eventLogins: ['octocat'] };
+
+  assert.equal(getIgnoreReason('release-bot', settings), 'repository');
+  assert.equal(getIgnoreReason('OctoCat', settings), 'event');
+  assert.equal(getIgnoreReason('dependabot[bot]', settings), 'bot');
+  assert.equal(getIgnoreReason('dependabot[bot]', { ...settings, ignoreBots: false }), null);
+  assert.equal(getIgnoreReason('someone', settings), null);
+  assert.equal(getIgnoreReason(null, settings), null);
+});
+
+test('findIgnoredActor reads per-event lists without ignoring ping confirmations', async () => {
+  const prisma = {
+    repositoryEventChannel: {
+      async findFirst({ where }) {
+        return where.eventType === 'issues' ? { config: { ignoredLogins: ['triage-bot'] } } : null;
+      }
+    }
+  };
+  const repoContext = { id: 'repo-1', ignoreBots: true, ignoredLogins: [] };
+  const sender = login => ({ sender: { login }, issue: {} });
+
+  assert.deepEqual(await findIgnoredActor(prisma, repoContext, 'issue_comment', sender('triage-bot')), { login: 'triage-bot', reason: 'event' });
+  assert.equal(await findIgnoredActor(prisma, repoContext, 'push', sender('triage-bot')), null);
+  assert.deepEqual(await findIgnoredActor(prisma, repoContext, 'push', sender('github-actions[bot]')), { login: 'github-actions[bot]', reason: 'bot' });
+  assert.equal(await findIgnoredActor(prisma, repoContext, 'ping', sender('github-actions[bot]')), null);
+});
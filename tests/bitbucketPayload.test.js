@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const { normalizeBitbucketPayload } = require('../src/functions/bitbucketPayload');
+const { detectProvider, getWebhookHeaders, createWebhookVerifier, getPayloadRepositoryUrl } = require('../src/functions/webhookProviders');
+
+const repository = {
+  name: 'service',
+  full_name: 'team/service',
+  links: { html: { href: 'https://bitbucket.org/team/service' } }
+};
+const actor = { display_name: 'Alice Doe', nickname: 'alice', links: { avatar: { href: 'https://avatar.example/alice' }, html: { href: 'https://bitbucket.org/alice' } } };
+
+test('detectProvider and getWebhookHeaders read Bitbucket Cloud headers', () => {
+  const body = JSON.stringify({ repository });
+  const signature = `sha256=${crypto.createHmac('sha256', 'secret').update(body).digest('hex')}`;
+  const headers = {
+    'x-event-key': 'repo:push',
+    'x-hook-uuid': '{hook}',
+    'x-request-uuid': 'r-1',
+    'x-hub-signature': signature
+  };
+
+  assert.equal(detectProvider(headers), 'bitbucket');
+  assert.deepEqual(getWebhookHeaders('bitbucket', headers), { event: 'repo:push', deliveryId: 'r-1', signature });
+  assert.equal(createWebhookVerifier('bitbucket', body, signature)('secret'), true);
+  assert.equal(getPayloadRepositoryUrl('bitbucket', { repository }), 'https://bitbucket.org/team/service');
+  assert.equal(detectProvider({ 'x-event-key': 'repo:refs_changed' }), 'github');
+});
+
+test('normalizeBitbucketPayload splits a push into branch and tag events', () => {
+  const events = normalizeBitbucketPayload('repo:push', {
+    actor,
+    repository,
+    push: {
+      changes: [
+        {
+          old: { type: 'branch', name: 'main', target: { hash: 'a1' } },
+          new: { type: 'branch', name: 'main', target: { hash: 'c3' } },
+          created: false,
+          closed: false,
+          forced: true,
+          links: { html: { href: 'https://bitbucket.org/team/service/branches/compare/c3..a1' } },
+          commits: [
+            { hash: 'c3', message: 'Second', author: { raw: 'Alice Doe <alice@example.com>' } },
+            { hash: 'b2', message: 'First', author: { user: { display_name: 'Bob' } } }
+          ]
+        },
+        { old: null, new: { type: 'tag', name: 'v1.0.0', target: { hash: 'c3', message: 'Second' } }, created: true }
+      ]
+    }
+  });
+
+  assert.deepEqual(events.map(({ event }) => event), ['push', 'push', 'create']);
+
+  const push = events[0].payload;
+  assert.equal(push.ref, 'refs/heads/main');
+  assert.equal(push.forced, true);
+  assert.deepEqual(push.commits.map(commit => commit.id), ['b2', 'c3']);
+  assert.equal(push.commits[1].author.name, 'Alice Doe');
+  assert.equal(push.head_commit.id, 'c3');
+  assert.equal(push.sender.login, 'alice');
+  assert.equal(push.repository.html_url, 'https://bitbucket.org/team/service');
+
+  const tagPush = events[1].payload;
+  assert.equal(tagPush.ref, 'refs/tags/v1.0.0');
+  assert.equal(tagPush.created, true);
+  assert.equal(tagPush.head_commit.id, 'c3');
+  assert.deepEqual({ action: events[2].payload.action, ref: events[2].payload.ref, ref_type: events[2].payload.ref_type }, { action: 'created', ref: 'v1.0.0', ref_type: 'tag' });
+});
+
+test('normalizeBitbucketPayload maps pull request and issue event keys', () => {
+  const pullrequest = {
+    id: 5,
+    title: 'Feature',
+    state: 'MERGED',
+    author: actor,
+    source: { branch: { name: 'feature' } },
+    destination: { branch: { name: 'main' } },
+    links: { html: { href: 'https://bitbucket.org/team/service/pull-requests/5' } }
+  };
+
+  const [merged] = normalizeBitbucketPayload('pullrequest:fulfilled', { actor, repository, pullrequest });
+  assert.equal(merged.event, 'pull_request');
+  assert.equal(merged.payload.action, 'closed');
+  assert.equal(merged.payload.pull_request.merged, true);
+  assert.equal(merged.payload.pull_request.head.ref, 'feature');
+
+  const [declined] = normalizeBitbucketPayload('pullrequest:rejected', { actor, repository, pullrequest: { ...pullrequest, state: 'DECLINED' } });
+  assert.equal(declined.payload.pull_request.merged, false);
+  assert.deepEqual(normalizeBitbucketPayload('pullrequest:approved', { actor, repository, pullrequest }), []);
+
+  const issue = { id: 9, title: 'Bug', state: 'resolved', kind: 'bug', reporter: actor, content: { raw: 'Broken' } };
+  const [closed] = normalizeBitbucketPayload('issue:updated', { actor, repository, issue, changes: { state: { old: 'open', new: 'resolved' } } });
+  assert.equal(closed.event, 'issues');
+  assert.equal(closed.payload.action, 'closed');
+  assert.equal(closed.payload.issue.state, 'closed');
+  assert.equal(closed.payload.issue.body, 'Broken');
+
+  assert.equal(normalizeBitbucketPayload('issue:created', { actor, repository, issue }).at(0).payload.action, 'opened');
+});
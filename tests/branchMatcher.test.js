@@ -3,9 +3,11 @@ const assert = require('node:assert/strict');
 
 const {
   matchesBranchPattern,
+  matchesPatternSet,
   findMatchingBranches,
   isValidBranchPattern,
-  describeBranchPattern
+  describeBranchPattern,
+  describePatternSet
 } = require('../src/functions/branchMatcher');
 
 test('matchesBranchPattern supports wildcard, exact, prefix, and negation', () => {
@@ -23,20 +25,50 @@ test('matchesBranchPattern supports wildcard, exact, prefix, and negation', () =
   assert.equal(matchesBranchPattern('hotfix/v1.0.1', '!release/*'), true);
 });
 
-test('findMatchingBranches returns all matching branch patterns', () => {
+test('findMatchingBranches returns one matching branch pattern per channel', () => {
   const trackedBranches = [
-    { branchName: '*' },
-    { branchName: 'main' },
-    { branchName: 'feature/*' },
-    { branchName: '!release/*' }
+    { branchName: '*', channelId: 'all' },
+    { branchName: 'main', channelId: 'main' },
+    { branchName: 'feature/*', channelId: 'features' },
+    { branchName: 'feature/**/ui', channelId: 'features' },
+    { branchName: '!release/*', channelId: 'no-releases' }
   ];
 
-  const matches = findMatchingBranches(trackedBranches, 'feature/new-ui');
+  const matches = findMatchingBranches(trackedBranches, 'feature/new/ui');
   const names = matches.map((entry) => entry.branchName);
 
   assert.deepEqual(names.sort(), ['*', '!release/*', 'feature/*'].sort());
 });
 
+test('findMatchingBranches combines include and exclude patterns of a channel', () => {
+  const trackedBranches = [
+    { branchName: 'feature/*', channelId: 'features', includePaths: ['web/**'] },
+    { branchName: 'feature/**/api', channelId: 'features', includePaths: [] },
+    { branchName: '!feature/experimental/*', channelId: 'features' },
+    { branchName: '!main', channelId: null },
+    { branchName: '!develop', channelId: null }
+  ];
+  const branchNames = (branchName, accepts) =>
+    findMatchingBranches(trackedBranches, branchName, accepts).map((entry) => entry.branchName);
+
+  assert.deepEqual(branchNames('feature/login'), ['feature/*', '!main']);
+  assert.deepEqual(branchNames('feature/experimental/login'), ['!main']);
+  assert.deepEqual(branchNames('main'), []);
+  assert.deepEqual(branchNames('develop'), []);
+
+  // The first include pattern whose further conditions pass is used
+  const backendOnly = (entry) => !(entry.includePaths || []).includes('web/**');
+  assert.deepEqual(branchNames('feature/api', backendOnly), ['feature/**/api', '!main']);
+  assert.deepEqual(branchNames('feature/login', backendOnly), ['!main']);
+});
+
+test('matchesPatternSet gives exclude patterns precedence', () => {
+  assert.equal(matchesPatternSet('feature/a', ['feature/*', '!feature/a']), false);
+  assert.equal(matchesPatternSet('hotfix/a', ['!main']), true);
+  assert.equal(matchesPatternSet('hotfix/a', ['main', '!develop']), false);
+  assert.equal(matchesPatternSet('anything', []), true);
+});
+
 test('isValidBranchPattern validates expected supported formats', () => {
   assert.equal(isValidBranchPattern('*'), true);
   assert.equal(isValidBranchPattern('main'), true);
@@ -45,8 +77,88 @@ test('isValidBranchPattern validates expected supported formats', () => {
   assert.equal(isValidBranchPattern('!release/*'), true);
 
   assert.equal(isValidBranchPattern('!*'), false);
-  assert.equal(isValidBranchPattern('feature/*/docs'), false);
-  assert.equal(isValidBranchPattern('*main*'), false);
+  assert.equal(isValidBranchPattern('feature/*/docs'), true);
+  assert.equal(isValidBranchPattern('*main*'), true);
+  assert.equal(isValidBranchPattern('v[0-9]*'), true);
+  assert.equal(isValidBranchPattern('{main,develop}'), true);
+  assert.equal(isValidBranchPattern('re:^v\\d+$'), true);
+
+  assert.equal(isValidBranchPattern('!**'), false);
+  assert.equal(isValidBranchPattern('!!main'), false);
+  assert.equal(isValidBranchPattern('v[0-9'), false);
+  assert.equal(isValidBranchPattern('v[z-a]'), false);
+  assert.equal(isValidBranchPattern('{main,develop'), false);
+  assert.equal(isValidBranchPattern('main}'), false);
+  assert.equal(isValidBranchPattern('feature branch'), false);
+  assert.equal(isValidBranchPattern('re:('), false);
+  assert.equal(isValidBranchPattern('re:'), false);
+});
+
+test('matchesBranchPattern supports globs, character classes and braces', () => {
+  assert.equal(matchesBranchPattern('release-1.2', 'release-*'), true);
+  assert.equal(matchesBranchPattern('release/1.2', 'release-*'), false);
+
+  assert.equal(matchesBranchPattern('feature/api', 'feature/**/api'), true);
+  assert.equal(matchesBranchPattern('feature/auth/v2/api', 'feature/**/api'), true);
+  assert.equal(matchesBranchPattern('feature/api-docs', 'feature/**/api'), false);
+
+  assert.equal(matchesBranchPattern('v1', 'v[0-9]*'), true);
+  assert.equal(matchesBranchPattern('vnext', 'v[0-9]*'), false);
+  assert.equal(matchesBranchPattern('vnext', 'v[!0-9]*'), true);
+  assert.equal(matchesBranchPattern('hotfix/login-urgent', 'hotfix/*-urgent'), true);
+  assert.equal(matchesBranchPattern('hotfix/a/b-urgent', 'hotfix/*-urgent'), false);
+  assert.equal(matchesBranchPattern('ab', 'a?'), true);
+  assert.equal(matchesBranchPattern('a/', 'a?'), false);
+  assert.equal(matchesBranchPattern('mainxtest', 'main.test'), false);
+
+  assert.equal(matchesBranchPattern('develop', '{main,develop}'), true);
+  assert.equal(matchesBranchPattern('release/2.0', '{main,release/{1,2}.*}'), true);
+  assert.equal(matchesBranchPattern('release/3.0', '{main,release/{1,2}.*}'), false);
+
+  // "*" and a trailing "/*" keep matching nested branches
+  assert.equal(matchesBranchPattern('feature/auth/v2', '*'), true);
+  assert.equal(matchesBranchPattern('feature/auth/v2', 'feature/*'), true);
+});
+
+test('matchesBranchPattern supports regular expressions with the re: prefix', () => {
+  assert.equal(matchesBranchPattern('v1.20', 're:v\\d+\\.\\d+'), true);
+  assert.equal(matchesBranchPattern('old-v1.20', 're:v\\d+\\.\\d+'), false);
+  assert.equal(matchesBranchPattern('JIRA-123', 're:[A-Z]+-\\d+'), true);
+  assert.equal(matchesBranchPattern('JIRA-123', '!re:[A-Z]+-\\d+'), false);
+  assert.equal(matchesBranchPattern('main', 're:('), false);
+});
+
+test('regular expressions that can backtrack catastrophically are rejected', () => {
+  assert.equal(isValidBranchPattern('re:v\\d+(\\.\\d+)?'), true);
+  assert.equal(isValidBranchPattern('re:(feature|bugfix)/[a-z-]+'), true);
+  assert.equal(isValidBranchPattern('re:release/[0-9(+)]+'), true);
+
+  assert.equal(isValidBranchPattern('re:(a+)+$'), false);
+  assert.equal(isValidBranchPattern('re:(?:a|aa)*b'), false);
+  assert.equal(isValidBranchPattern('re:((ab)*c)+'), false);
+  assert.equal(isValidBranchPattern('re:(\\d{2}){3}'), false);
+  assert.equal(isValidBranchPattern('re:(a)\\1'), false);
+  assert.equal(isValidBranchPattern(`re:${'a'.repeat(101)}`), false);
+
+  assert.equal(isValidBranchPattern('re:.*.*.*.*.*.*.*.*x'), false);
+  assert.equal(isValidBranchPattern('re:a{1,}b{2,}c+d*'), false);
+  assert.equal(isValidBranchPattern('re:v\\d+\\.\\d+\\.\\d{1,3}'), true);
+
+  // Stored patterns that are no longer accepted never match instead of stalling the worker
+  const started = Date.now();
+  assert.equal(matchesBranchPattern(`${'a'.repeat(40)}!`, 're:(a+)+$'), false);
+  assert.equal(matchesBranchPattern('x'.repeat(60), 're:.*.*.*.*.*.*.*.*x'), false);
+  assert.ok(Date.now() - started < 100);
+});
+
+test('globs are matched without backtracking', () => {
+  const started = Date.now();
+  assert.equal(isValidBranchPattern('*a*a*a*a*a*a*a*b'), true);
+  assert.equal(matchesBranchPattern('a'.repeat(250), '*a*a*a*a*a*a*a*b'), false);
+  assert.equal(matchesBranchPattern(`${'a'.repeat(250)}b`, '*a*a*a*a*a*a*a*b'), true);
+  assert.equal(matchesBranchPattern(`${'a/'.repeat(120)}x`, '**/**/**/**/**/**/y'), false);
+  assert.equal(matchesBranchPattern('a'.repeat(250), '{*a,a*}{*a,a*}{*a,a*}{*a,a*}b'), false);
+  assert.ok(Date.now() - started < 100);
 });
 
 test('describeBranchPattern renders human-readable descriptions', () => {
@@ -54,4 +166,21 @@ test('describeBranchPattern renders human-readable descriptions', () => {
   assert.equal(describeBranchPattern('main'), 'Branch "main"');
   assert.equal(describeBranchPattern('release/*'), 'Branches starting with "release/"');
   assert.equal(describeBranchPattern('!main'), 'All branches except "main"');
+  assert.equal(describeBranchPattern('!release/*'), 'All branches except those starting with "release/"');
+  assert.equal(describeBranchPattern('feature/**'), 'Branches starting with "feature/"');
+  assert.equal(describeBranchPattern('release-*'), 'Branches matching "release-*"');
+  assert.equal(describeBranchPattern('!{main,develop}'), 'All branches except those matching "{main,develop}"');
+  assert.equal(describeBranchPattern('re:v\\d+'), 'Branches matching the regular expression /v\\d+/');
+  assert.equal(describeBranchPattern('!re:v\\d+'), 'All branches except those matching the regular expression /v\\d+/');
+});
+
+test('describePatternSet combines include and exclude descriptions', () => {
+  assert.equal(describePatternSet(['main']), 'Branch "main"');
+  assert.equal(describePatternSet(['main', 'develop']), 'Branch "main" or "develop"');
+  assert.equal(
+    describePatternSet(['feature/*', '!feature/experimental/*']),
+    'Branches starting with "feature/" except those starting with "feature/experimental/"'
+  );
+  assert.equal(describePatternSet(['main', 'release/*']), 'Branch "main" or those starting with "release/"');
+  assert.equal(describePatternSet(['!main', '!develop']), 'All branches except "main" or "develop"');
 });
@@ -0,0 +1,185 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  getCoalescingGroup,
+  splitCoalescedTargets,
+  recordCoalescedEvents,
+  buildCoalescedEmbed,
+  processDueCoalescedEvents
+} = require('../src/functions/coalescing');
+
+const sender = { login: 'alice', avatar_url: 'avatar', html_url: 'https://github.com/alice' };
+
+function pushPayload(overrides = {}) {
+  return {
+    ref: 'refs/heads/main',
+    before: 'aaa',
+    after: 'bbb',
+    sender,
+    commits: [{ id: 'abc1234def', message: 'Fix typo' }],
+    ...overrides
+  };
+}
+
+function pushEvent(facts, commitLines) {
+  return {
+    eventType: 'push',
+    facts: { author: { name: 'alice' }, branch: 'main', hidden: 0, ...facts },
+    notification: {
+      embeds: [{
+        color: 0x4F46E5,
+        title: '🚀 New Push to main',
+        url: `https://github.com/octo/app/compare/${facts.before}...${facts.after}`,
+        description: commitLines.join('\n'),
+        fields: [
+          { name: 'Repository', value: '[octo/app](https://github.com/octo/app)', inline: true },
+          { name: 'Branch', value: '`main`', inline: true },
+          { name: 'Pusher', value: 'alice', inline: false }
+        ],
+        footer: { text: 'GitHub Push Event' }
+      }],
+      metadata: { summary: 'Push event processed for authenticated server.' }
+    }
+  };
+}
+
+test('getCoalescingGroup groups pushes by branch and actor', () => {
+  const group = getCoalescingGroup('push', pushPayload());
+  assert.equal(group.key, 'push:main:alice');
+  assert.equal(group.facts.commits, 1);
+
+  assert.equal(getCoalescingGroup('push', pushPayload({ forced: true })), null);
+  assert.equal(getCoalescingGroup('push', pushPayload({ created: true, commits: [] })), null);
+  assert.equal(getCoalescingGroup('push', pushPayload({ ref: 'refs/tags/v1.0.0' })), null);
+  assert.equal(getCoalescingGroup('push', pushPayload({ commits: [{ id: 'abc', message: 'Docs [skip discord]' }] })), null);
+});
+
+test('getCoalescingGroup groups bulk issue and pull request changes by action and actor', () => {
+  const labeled = getCoalescingGroup('issues', {
+    action: 'labeled',
+    sender,
+    label: { name: 'bug' },
+    issue: { number: 12, title: 'Crash', html_url: 'https://github.com/octo/app/issues/12' }
+  });
+  assert.equal(labeled.key, 'issues:labeled:alice');
+  assert.equal(labeled.facts.value, 'bug');
+
+  const assigned = getCoalescingGroup('pull_request', {
+    action: 'assigned',
+    sender,
+    assignee: { login: 'bob' },
+    pull_request: { number: 3, title: 'Add feature', html_url: 'u' }
+  });
+  assert.equal(assigned.key, 'pull_request:assigned:alice');
+  assert.equal(assigned.facts.value, 'bob');
+
+  assert.equal(getCoalescingGroup('issues', { action: 'opened', sender, issue: { number: 1 } }), null);
+  assert.equal(getCoalescingGroup('star', { action: 'created', sender }), null);
+});
+
+test('splitCoalescedTargets holds events for channels with a window', async () => {
+  const prisma = {
+    coalescingWindow: {
+      async findMany({ where }) {
+        return [{ channelId: 'bursty', windowSeconds: 60 }].filter(window => where.channelId.in.includes(window.channelId));
+      }
+    }
+  };
+  const repoContext = { id: 'repo-1' };
+  const notification = { targets: ['live', 'bursty'], embeds: [], metadata: {} };
+
+  const push = await splitCoalescedTargets(prisma, repoContext, 'push', pushPayload(), notification);
+  assert.deepEqual(push.notification.targets, ['live']);
+  assert.deepEqual(push.windows.map(window => window.channelId), ['bursty']);
+
+  const forced = await splitCoalescedTargets(prisma, repoContext, 'push', pushPayload({ forced: true }), notification);
+  assert.equal(forced.notification, notification);
+
+  const live = { ...notification, metadata: { live: { subjectType: 'pull_request', subjectKey: 3 } } };
+  assert.deepEqual((await splitCoalescedTargets(prisma, repoContext, 'push', pushPayload(), live)).windows, []);
+});
+
+test('recordCoalescedEvents joins the open group of a channel', async () => {
+  const created = [];
+  const openFlushAt = new Date('2026-10-19T10:01:00Z');
+  const prisma = {
+    coalescedEvent: {
+      async findFirst({ where }) {
+        return where.channelId === 'open' ? { flushAt: openFlushAt } : null;
+      },
+      async create({ data }) {
+        created.push(data);
+      }
+    }
+  };
+  const windows = [{ channelId: 'open', windowSeconds: 60 }, { channelId: 'new', windowSeconds: 30 }];
+  const notification = { targets: [], embeds: [{ title: 'push' }], metadata: { summary: 'Push' } };
+
+  await recordCoalescedEvents(prisma, { id: 'repo-1' }, windows, 'push', pushPayload(), notification, new Date('2026-10-19T10:00:30Z'));
+  assert.deepEqual(created.map(data => [data.channelId, data.groupKey, data.flushAt.toISOString()]), [
+    ['open', 'push:main:alice', '2026-10-19T10:01:00.000Z'],
+    ['new', 'push:main:alice', '2026-10-19T10:01:00.000Z']
+  ]);
+  assert.deepEqual(created[0].notification, { embeds: [{ title: 'push' }], metadata: { summary: 'Push' } });
+});
+
+test('buildCoalescedEmbed combines the push embeds of a burst', () => {
+  const embed = buildCoalescedEmbed([
+    pushEvent({ commits: 2, before: 'a1', after: 'b1' }, ['[`1111111`](u1) First', '[`2222222`](u2) Second']),
+    pushEvent({ commits: 7, hidden: 1, before: 'b1', after: 'c1' }, [
+      '[`3333333`](u3) Third', '[`4444444`](u4) Fourth', '[`5555555`](u5) Fifth', '[`6666666`](u6) Sixth', '[`7777777`](u7) Seventh',
+      '...and 2 more commit(s).', '*1 commit(s) hidden by skip markers.*'
+    ])
+  ]);
+
+  assert.equal(embed.title, '🚀 2 Pushes to main by alice');
+  assert.equal(embed.url, 'https://github.com/octo/app/compare/a1...c1');
+  assert.equal(embed.description.split('\n').length, 9);
+  assert.match(embed.description, /\n\.\.\.and 2 more commit\(s\)\.\n\*1 commit\(s\) hidden by skip markers\.\*$/);
+  assert.deepEqual(embed.fields.map(field => field.name), ['Repository', 'Branch', 'Commits']);
+  assert.equal(embed.fields[2].value, '9');
+});
+
+test('buildCoalescedEmbed lists each issue of a bulk label change once', () => {
+  const labeled = (number, value) => ({
+    eventType: 'issues',
+    facts: { author: { name: 'alice' }, action: 'labeled', number, title: `Issue ${number}`, url: `u${number}`, value },
+    notification: {
+      embeds: [{ color: 0x0969DA, fields: [{ name: 'Repository', value: '[octo/app](https://github.com/octo/app)' }], footer: { text: 'GitHub Issue' } }],
+      metadata: {}
+    }
+  });
+
+  const embed = buildCoalescedEmbed([labeled(1, 'bug'), labeled(2, 'bug'), labeled(1, 'p1')]);
+  assert.equal(embed.title, '🔔 2 Issues Labeled by alice');
+  assert.equal(embed.description, '[#1](u1) Issue 1: `bug`, `p1`\n[#2](u2) Issue 2: `bug`');
+  assert.deepEqual(embed.fields.map(field => [field.name, field.value]), [
+    ['Repository', '[octo/app](https://github.com/octo/app)'],
+    ['Changes', '3']
+  ]);
+});
+
+test('processDueCoalescedEvents posts one message per group and removes it', async () => {
+  const repository = { id: 'repo-1', url: 'https://github.com/octo/app', server: { id: 'server-1', guildId: 'guild-1' } };
+  const rows = [
+    { id: 'e1', repositoryId: 'repo-1', channelId: 'c1', groupKey: 'push:main:alice', createdAt: new Date(), repository, ...pushEvent({ commits: 1, before: 'a', after: 'b' }, ['[`1111111`](u1) One']) },
+    { id: 'e2', repositoryId: 'repo-1', channelId: 'c1', groupKey: 'push:main:alice', createdAt: new Date(), repository, ...pushEvent({ commits: 1, before: 'b', after: 'c' }, ['[`2222222`](u2) Two']) },
+    { id: 'e3', repositoryId: 'repo-1', channelId: 'c1', groupKey: 'push:develop:bob', createdAt: new Date(), repository, ...pushEvent({ commits: 1, before: 'x', after: 'y' }, ['[`3333333`](u3) Three']) }
+  ];
+  const deleted = [];
+  const prisma = {
+    coalescedEvent: {
+      async findMany() { return rows; },
+      async deleteMany({ where }) { deleted.push(...where.id.in); }
+    },
+    server: { async update() { return {}; } }
+  };
+  const sent = [];
+  const channel = { id: 'c1', type: 0, isTextBased: () => true, async send(message) { sent.push(message.embeds[0].title); return { id: `m${sent.length}` }; } };
+  const botClient = { channels: { async fetch() { return channel; } } };
+
+  await processDueCoalescedEvents(prisma, botClient, new Date());
+  assert.deepEqual(sent, ['🚀 2 Pushes to main by alice', '🚀 New Push to main']);
+  assert.deepEqual(deleted, ['e1', 'e2', 'e3']);
+});
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  DEFAULT_SKIP_MARKERS,
+  hasSkipMarker,
+  filterSkippedCommits
+} = require('../src/functions/commitMarkers');
+
+test('hasSkipMarker finds markers anywhere in the message, ignoring case', () => {
+  assert.equal(hasSkipMarker('Fix typo [SKIP Discord]', DEFAULT_SKIP_MARKERS), true);
+  assert.equal(hasSkipMarker('Bump version\n\n[skip ci]', DEFAULT_SKIP_MARKERS), true);
+  assert.equal(hasSkipMarker('Add feature', DEFAULT_SKIP_MARKERS), false);
+  assert.equal(hasSkipMarker('chore: wip', ['wip', '']), true);
+  assert.equal(hasSkipMarker('[skip ci]', []), false);
+  assert.equal(hasSkipMarker(undefined, DEFAULT_SKIP_MARKERS), false);
+});
+
+test('filterSkippedCommits keeps unmarked commits and counts the hidden ones', () => {
+  const commits = [
+    { id: 'a', message: 'Add feature' },
+    { id: 'b', message: 'Update lockfile [skip discord]' },
+    { id: 'c', message: 'Fix bug' }
+  ];
+
+  const result = filterSkippedCommits(commits, DEFAULT_SKIP_MARKERS);
+  assert.deepEqual(result.commits.map(commit => commit.id), ['a', 'c']);
+  assert.equal(result.hiddenCount, 1);
+
+  assert.deepEqual(filterSkippedCommits([commits[1]], DEFAULT_SKIP_MARKERS), { commits: [], hiddenCount: 1 });
+  assert.deepEqual(filterSkippedCommits(undefined, DEFAULT_SKIP_MARKERS), { commits: [], hiddenCount: 0 });
+});
@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  claimDelivery,
+  recordDeliveryOutcome,
+  isRetryableDelivery
+} = require('../src/functions/deliveryLedger');
+
+// Minimal in-memory stand-in for prisma.webhookDelivery
+function createFakePrisma() {
+  const rows = [];
+  let nextId = 1;
+
+  const webhookDelivery = {
+    async create({ data }) {
+      if (rows.some((row) => row.deliveryId === data.deliveryId && row.repositoryId === data.repositoryId)) {
+        const error = new Error('Unique constraint failed');
+        error.code = 'P2002';
+        throw error;
+      }
+      const now = new Date();
+      const row = { id: String(nextId++), statusCode: null, outcome: null, createdAt: now, updatedAt: now, ...data };
+      rows.push(row);
+      return { ...row };
+    },
+    async findUnique({ where }) {
+      const { deliveryId, repositoryId } = where.deliveryId_repositoryId;
+      const row = rows.find((entry) => entry.deliveryId === deliveryId && entry.repositoryId === repositoryId);
+      return row ? { ...row } : null;
+    },
+    async updateMany({ where, data }) {
+      const matches = rows.filter((row) => row.id === where.id && row.statusCode === where.statusCode &&
+        (!where.updatedAt || row.updatedAt.getTime() === where.updatedAt.getTime()));
+      matches.forEach((row) => Object.assign(row, { updatedAt: new Date() }, data));
+      return { count: matches.length };
+    },
+    async update({ where, data }) {
+      const row = rows.find((entry) => entry.id === where.id);
+      Object.assign(row, { updatedAt: new Date() }, data);
+      return { ...row };
+    }
+  };
+
+  return { webhookDelivery, rows };
+}
+
+test('claimDelivery claims a new delivery and rejects an in-flight duplicate', async () => {
+  const prisma = createFakePrisma();
+
+  const first = await claimDelivery(prisma, 'guid-1', 'repo-1', 'push', null, { ref: 'refs/heads/main' });
+  assert.equal(first.deliveryId, 'guid-1');
+  assert.deepEqual(first.payload, { ref: 'refs/heads/main' });
+
+  const duplicate = await claimDelivery(prisma, 'guid-1', 'repo-1', 'push');
+  assert.equal(duplicate, null);
+});
+
+test('claimDelivery keys deliveries by repository', async () => {
+  const prisma = createFakePrisma();
+
+  assert.ok(await claimDelivery(prisma, 'guid-1', 'repo-1', 'push'));
+  assert.ok(await claimDelivery(prisma, 'guid-1', 'repo-2', 'push'));
+});
+
+test('claimDelivery rejects completed deliveries but reclaims failed ones', async () => {
+  const prisma = createFakePrisma();
+
+  const completed = await claimDelivery(prisma, 'guid-ok', 'repo-1', 'issues', 'opened');
+  await recordDeliveryOutcome(prisma, completed, { statusCode: 200, message: 'done', channelId: 'c1', messageId: 'm1' }, 12);
+  assert.equal(await claimDelivery(prisma, 'guid-ok', 'repo-1', 'issues', 'opened'), null);
+
+  const failed = await claimDelivery(prisma, 'guid-fail', 'repo-1', 'issues', 'opened');
+  await recordDeliveryOutcome(prisma, failed, { statusCode: 500, message: 'boom' }, 5);
+  const reclaimed = await claimDelivery(prisma, 'guid-fail', 'repo-1', 'issues', 'opened');
+  assert.equal(reclaimed.id, failed.id);
+  assert.equal(prisma.rows.find((row) => row.id === failed.id).statusCode, null);
+});
+
+test('claimDelivery reclaims an in-flight delivery once its lease has expired', async () => {
+  const prisma = createFakePrisma();
+
+  const claimed = await claimDelivery(prisma, 'guid-stale', 'repo-1', 'push');
+  assert.equal(await claimDelivery(prisma, 'guid-stale', 'repo-1', 'push'), null);
+
+  // Simulate a worker that died two hours ago without recording an outcome
+  const row = prisma.rows.find((entry) => entry.id === claimed.id);
+  row.updatedAt = new Date(Date.now() - 2 * 60 * 60 * 1000);
+
+  const reclaimed = await claimDelivery(prisma, 'guid-stale', 'repo-1', 'push');
+  assert.equal(reclaimed.id, claimed.id);
+  assert.ok(Date.now() - row.updatedAt.getTime() < 1000);
+
+  // The reclaim renews the lease, so a further redelivery is a duplicate again
+  assert.equal(await claimDelivery(prisma, 'guid-stale', 'repo-1', 'push'), null);
+});
+
+test('claimDelivery lets only one redelivery take over a stale claim', async () => {
+  const prisma = createFakePrisma();
+
+  const claimed = await claimDelivery(prisma, 'guid-race', 'repo-1', 'push');
+  prisma.rows.find((entry) => entry.id === claimed.id).updatedAt = new Date(Date.now() - 2 * 60 * 60 * 1000);
+
+  const results = await Promise.all([
+    claimDelivery(prisma, 'guid-race', 'repo-1', 'push'),
+    claimDelivery(prisma, 'guid-race', 'repo-1', 'push')
+  ]);
+  assert.equal(results.filter(Boolean).length, 1);
+});
+
+test('recordDeliveryOutcome stores handler results and ignores missing entries', async () => {
+  const prisma = createFakePrisma();
+  const delivery = await claimDelivery(prisma, 'guid-2', 'repo-1', 'star', 'created');
+
+  await recordDeliveryOutcome(prisma, delivery, { statusCode: 200, message: 'Star event processed.', channelId: 'c1', messageId: 'm1' }, 42);
+  await recordDeliveryOutcome(prisma, null, { statusCode: 200, message: 'ignored' }, 1);
+
+  const row = prisma.rows.find((entry) => entry.id === delivery.id);
+  assert.equal(row.statusCode, 200);
+  assert.equal(row.outcome, 'Star event processed.');
+  assert.equal(row.messageId, 'm1');
+  assert.equal(row.processingTime, 42);
+});
+
+test('isRetryableDelivery only allows failed deliveries and expired claims', (t) => {
+  const previousLease = process.env.DELIVERY_CLAIM_LEASE_MS;
+  t.after(() => {
+    if (previousLease === undefined) {
+      delete process.env.DELIVERY_CLAIM_LEASE_MS;
+    } else {
+      process.env.DELIVERY_CLAIM_LEASE_MS = previousLease;
+    }
+  });
+  process.env.DELIVERY_CLAIM_LEASE_MS = '60000';
+  const now = Date.parse('2026-01-01T12:00:00Z');
+
+  assert.equal(isRetryableDelivery(null), false);
+  assert.equal(isRetryableDelivery({ statusCode: null }), false);
+  assert.equal(isRetryableDelivery({ statusCode: null, updatedAt: new Date(now - 30000) }, now), false);
+  assert.equal(isRetryableDelivery({ statusCode: null, updatedAt: new Date(now - 60000) }, now), true);
+  assert.equal(isRetryableDelivery({ statusCode: 200 }), false);
+  assert.equal(isRetryableDelivery({ statusCode: 500 }), true);
+});
@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  computeBackoffDelay,
+  enqueueDelivery,
+  claimNextJob,
+  failJob,
+  retryDeadLetter
+} = require('../src/functions/deliveryQueue');
+
+// Minimal in-memory stand-in for prisma.webhookJob and prisma.webhookDeadLetter
+function createFakePrisma() {
+  const jobs = [];
+  const deadLetters = [];
+  let nextId = 1;
+
+  const webhookJob = {
+    async create({ data }) {
+      const row = { id: `job-${nextId++}`, status: 'PENDING', attempts: 0, runAt: new Date(0), createdAt: new Date(), lockedAt: null, ...data };
+      jobs.push(row);
+      return { ...row };
+    },
+    async findFirst({ where }) {
+      const due = jobs
+        .filter((row) => row.status === where.status && row.runAt <= where.runAt.lte)
+        .sort((a, b) => a.runAt - b.runAt);
+      return due[0] ? { ...due[0] } : null;
+    },
+    async updateMany({ where, data }) {
+      const matches = jobs.filter((row) => row.id === where.id && row.status === where.status);
+      matches.forEach((row) => {
+        const { attempts, ...rest } = data;
+        Object.assign(row, rest);
+        if (attempts) {
+          row.attempts += attempts.increment;
+        }
+      });
+      return { count: matches.length };
+    },
+    async update({ where, data }) {
+      const row = jobs.find((entry) => entry.id === where.id);
+      Object.assign(row, data);
+      return { ...row };
+    },
+    async delete({ where }) {
+      const index = jobs.findIndex((entry) => entry.id === where.id);
+      return jobs.splice(index, 1)[0];
+    }
+  };
+
+  const webhookDeadLetter = {
+    async create({ data }) {
+      const row = { id: `dl-${nextId++}`, failedAt: new Date(), ...data };
+      deadLetters.push(row);
+      return { ...row };
+    },
+    async delete({ where }) {
+      const index = deadLetters.findIndex((entry) => entry.id === where.id);
+      return deadLetters.splice(index, 1)[0];
+    }
+  };
+
+  return {
+    webhookJob,
+    webhookDeadLetter,
+    jobs,
+    deadLetters,
+    $transaction: (operations) => Promise.all(operations)
+  };
+}
+
+test('computeBackoffDelay doubles per attempt and respects the cap', () => {
+  assert.equal(computeBackoffDelay(1, 1000), 1000);
+  assert.equal(computeBackoffDelay(2, 1000), 2000);
+  assert.equal(computeBackoffDelay(4, 1000), 8000);
+  assert.equal(computeBackoffDelay(20, 1000, 60000), 60000);
+});
+
+test('claimNextJob claims a due job once', async () => {
+  const prisma = createFakePrisma();
+  await enqueueDelivery(prisma, { repositoryId: 'repo-1', eventType: 'push', payload: { ref: 'refs/heads/main' } });
+
+  const job = await claimNextJob(prisma);
+  assert.equal(job.status, 'PROCESSING');
+  assert.equal(job.attempts, 1);
+  assert.equal(await claimNextJob(prisma), null);
+});
+
+test('failJob schedules a retry with backoff before the attempt budget is spent', async () => {
+  const prisma = createFakePrisma();
+  await enqueueDelivery(prisma, { repositoryId: 'repo-1', eventType: 'issues', action: 'opened', payload: {} });
+  const job = await claimNextJob(prisma);
+
+  const result = await failJob(prisma, job, new Error('Discord unavailable'));
+  assert.equal(result.deadLettered, false);
+  assert.ok(result.retryAt > new Date());
+  assert.equal(prisma.jobs[0].status, 'PENDING');
+  assert.match(prisma.jobs[0].lastError, /Discord unavailable/);
+  assert.equal(await claimNextJob(prisma), null); // Not due yet
+});
+
+test('failJob dead-letters exhausted jobs and retryDeadLetter re-queues them', async () => {
+  const prisma = createFakePrisma();
+  await enqueueDelivery(prisma, { repositoryId: 'repo-1', deliveryId: 'guid-1', eventType: 'release', action: 'published', payload: { id: 1 } });
+  const job = await claimNextJob(prisma);
+  job.attempts = 5;
+
+  const result = await failJob(prisma, job, new Error('boom'));
+  assert.equal(result.deadLettered, true);
+  assert.equal(prisma.jobs.length, 0);
+  assert.equal(prisma.deadLetters.length, 1);
+  assert.equal(prisma.deadLetters[0].deliveryId, 'guid-1');
+
+  const retried = await retryDeadLetter(prisma, prisma.deadLetters[0]);
+  assert.equal(retried.eventType, 'release');
+  assert.equal(retried.attempts, 0);
+  assert.equal(prisma.deadLetters.length, 0);
+});
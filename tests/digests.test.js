@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  isValidTimezone,
+  parseTimeOfDay,
+  getNextRunAt,
+  describeDigestSchedule,
+  getDigestFacts,
+  splitDigestTargets,
+  summarizeDigestEntries,
+  buildDigestEmbed
+} = require('../src/functions/digests');
+
+test('parseTimeOfDay and isValidTimezone validate schedule options', () => {
+  assert.deepEqual(parseTimeOfDay('9:05'), { hour: 9, minute: 5 });
+  assert.deepEqual(parseTimeOfDay(' 23:59 '), { hour: 23, minute: 59 });
+  assert.equal(parseTimeOfDay('24:00'), null);
+  assert.equal(parseTimeOfDay('9am'), null);
+
+  assert.equal(isValidTimezone('Europe/Berlin'), true);
+  assert.equal(isValidTimezone('UTC'), true);
+  assert.equal(isValidTimezone('Mars/Olympus'), false);
+  assert.equal(isValidTimezone(''), false);
+});
+
+test('getNextRunAt finds the next daily run in the schedule timezone', () => {
+  const daily = { frequency: 'daily', hour: 9, minute: 0, weekday: 1, timezone: 'Europe/Berlin' };
+
+  // 07:00 UTC is 09:00 in Berlin during summer time
+  assert.equal(getNextRunAt(daily, new Date('2026-07-01T06:00:00Z')).toISOString(), '2026-07-01T07:00:00.000Z');
+  assert.equal(getNextRunAt(daily, new Date('2026-07-01T07:00:00Z')).toISOString(), '2026-07-02T07:00:00.000Z');
+  // Across the change back to standard time on 2026-10-25
+  assert.equal(getNextRunAt(daily, new Date('2026-10-24T08:00:00Z')).toISOString(), '2026-10-25T08:00:00.000Z');
+
+  // 23:30 in New York is already the next day in UTC
+  const lateNight = { frequency: 'daily', hour: 23, minute: 30, weekday: 1, timezone: 'America/New_York' };
+  assert.equal(getNextRunAt(lateNight, new Date('2026-01-15T12:00:00Z')).toISOString(), '2026-01-16T04:30:00.000Z');
+});
+
+test('getNextRunAt finds the next weekly run on the configured weekday', () => {
+  const weekly = { frequency: 'weekly', hour: 18, minute: 30, weekday: 5, timezone: 'UTC' };
+
+  // 2026-10-19 is a Monday
+  assert.equal(getNextRunAt(weekly, new Date('2026-10-19T10:00:00Z')).toISOString(), '2026-10-23T18:30:00.000Z');
+  assert.equal(getNextRunAt(weekly, new Date('2026-10-23T18:30:00Z')).toISOString(), '2026-10-30T18:30:00.000Z');
+  assert.equal(describeDigestSchedule(weekly), 'Weekly on Friday at 18:30 (UTC)');
+  assert.equal(describeDigestSchedule({ ...weekly, frequency: 'daily', hour: 7, minute: 5 }), 'Daily at 07:05 (UTC)');
+});
+
+test('getDigestFacts keeps the details a digest summarizes', () => {
+  assert.deepEqual(getDigestFacts('push', {
+    ref: 'refs/heads/main',
+    commits: [{ message: 'Add feature' }, { message: 'Bump lockfile [skip ci]' }]
+  }), { action: null, branch: 'main', commits: 1 });
+  assert.deepEqual(getDigestFacts('push', { ref: 'refs/tags/v1.0.0', commits: [] }), { action: null, tag: 'v1.0.0' });
+  assert.deepEqual(getDigestFacts('workflow_run', {
+    action: 'completed',
+    workflow_run: { name: 'CI', conclusion: 'failure' }
+  }), { action: 'completed', name: 'CI', conclusion: 'failure' });
+  assert.equal(getDigestFacts('pull_request', {
+    action: 'closed',
+    pull_request: { number: 7, title: 'Fix', html_url: 'u', merged: true }
+  }).merged, true);
+});
+
+test('splitDigestTargets keeps events for channels in digest mode', async () => {
+  const schedules = [
+    { channelId: 'digest-all', eventTypes: [] },
+    { channelId: 'digest-issues', eventTypes: ['issues'] }
+  ];
+  const prisma = {
+    digestSchedule: {
+      async findMany({ where }) {
+        return schedules.filter(schedule => where.channelId.in.includes(schedule.channelId));
+      }
+    }
+  };
+  const notification = { targets: ['live', 'digest-all', 'digest-issues'], embeds: [], metadata: {} };
+
+  const push = await splitDigestTargets(prisma, 'repo-1', 'push', {}, notification);
+  assert.deepEqual(push.notification.targets, ['live', 'digest-issues']);
+  assert.deepEqual(push.digestChannelIds, ['digest-all']);
+
+  // Comments follow the configuration of their issue
+  const comment = await splitDigestTargets(prisma, 'repo-1', 'issue_comment', { issue: {} }, notification);
+  assert.deepEqual(comment.notification.targets, ['live']);
+  assert.deepEqual(comment.digestChannelIds.sort(), ['digest-all', 'digest-issues']);
+
+  const fixed = { ...notification, metadata: { fixedTargets: true } };
+  assert.equal((await splitDigestTargets(prisma, 'repo-1', 'push', {}, fixed)).notification, fixed);
+});
+
+test('summarizeDigestEntries and buildDigestEmbed add up the period', () => {
+  const entries = [
+    { eventType: 'push', facts: { branch: 'main', commits: 3 } },
+    { eventType: 'push', facts: { branch: 'main', commits: 2 } },
+    { eventType: 'push', facts: { branch: 'develop', commits: 1 } },
+    { eventType: 'pull_request', facts: { action: 'opened', number: 1, title: 'A', url: 'u1' } },
+    { eventType: 'pull_request', facts: { action: 'closed', merged: true, number: 2, title: 'B', url: 'u2' } },
+    { eventType: 'pull_request', facts: { action: 'synchronize', number: 2 } },
+    { eventType: 'issues', facts: { action: 'closed', number: 3, title: 'C', url: 'u3' } },
+    { eventType: 'release', facts: { action: 'published', name: 'v1.0.0', url: 'r1' } },
+    { eventType: 'release', facts: { action: 'released', name: 'v1.0.0', url: 'r1' } },
+    { eventType: 'workflow_run', facts: { action: 'completed', name: 'CI', conclusion: 'failure' } },
+    { eventType: 'workflow_run', facts: { action: 'completed', name: 'CI', conclusion: 'success' } },
+    { eventType: 'star', facts: { action: 'created' } }
+  ];
+
+  const summary = summarizeDigestEntries(entries);
+  assert.deepEqual(summary.commitsByBranch, { main: 5, develop: 1 });
+  assert.equal(summary.pullRequests.opened.length, 1);
+  assert.equal(summary.pullRequests.merged.length, 1);
+  assert.equal(summary.issues.closed.length, 1);
+  assert.equal(summary.releases.length, 1);
+  assert.deepEqual(summary.ciFailures, { CI: 1 });
+  assert.deepEqual(summary.other, { pull_request: 1, star: 1 });
+
+  const repository = { url: 'https://github.com/octo/app.git' };
+  const embed = buildDigestEmbed(repository, { frequency: 'weekly' }, summary, new Date('2026-10-12T00:00:00Z'));
+  assert.equal(embed.title, '📰 Weekly Digest for octo/app');
+  assert.deepEqual(embed.fields.map(field => field.name), ['📝 Commits', '🔀 Pull Requests', '🐛 Issues', '🚀 Releases', '❌ CI Failures (1)', '📦 Other Activity']);
+
+  const quiet = buildDigestEmbed(repository, { frequency: 'daily' }, summarizeDigestEntries([]), new Date());
+  assert.match(quiet.description, /No activity/);
+  assert.equal(quiet.fields.length, 0);
+});
@@ -1,7 +1,14 @@
 const test = require('node:test');
 const assert = require('node:assert/strict');
 
-const { getDefaultActionsForEvent } = require('../src/functions/eventRouting');
+const {
+  getEventRouting,
+  addEventDestination,
+  removeEventDestination,
+  parseLabelList,
+  matchesLabelFilters,
+  getDefaultActionsForEvent
+} = require('../src/functions/eventRouting');
 
 test('getDefaultActionsForEvent returns expected defaults for known events', () => {
   assert.deepEqual(getDefaultActionsForEvent('issues'), {
@@ -32,3 +39,98 @@ test('getDefaultActionsForEvent returns expected defaults for known events', ()
 test('getDefaultActionsForEvent returns empty config for unknown events', () => {
   assert.deepEqual(getDefaultActionsForEvent('unknown_event'), {});
 });
+
+// Minimal in-memory stand-in for prisma.repositoryEventChannel
+function createFakePrisma() {
+  const rows = [];
+  let created = 0;
+  const matches = (row, where) => Object.keys(where).every((field) => {
+    const condition = where[field];
+    if (condition && typeof condition === 'object') {
+      return 'not' in condition ? row[field] !== condition.not : condition.in.includes(row[field]);
+    }
+    return row[field] === condition;
+  });
+  return {
+    rows,
+    repositoryEventChannel: {
+      async findMany({ where }) {
+        return rows.filter(row => matches(row, where)).sort((a, b) => a.createdAt - b.createdAt);
+      },
+      async create({ data }) {
+        created += 1;
+        const row = { id: `row-${created}`, createdAt: created, config: null, ...data };
+        rows.push(row);
+        return row;
+      },
+      async update({ where, data }) {
+        return Object.assign(rows.find(row => row.id === where.id), data);
+      },
+      async deleteMany({ where }) {
+        const deleted = rows.filter(row => matches(row, where));
+        deleted.forEach(row => rows.splice(rows.indexOf(row), 1));
+        return { count: deleted.length };
+      }
+    }
+  };
+}
+
+test('getEventRouting falls back to the default channel until a destination is added', async () => {
+  const prisma = createFakePrisma();
+
+  const routing = await getEventRouting(prisma, 'repo-1', 'release', 'general');
+  assert.deepEqual(routing.channelIds, ['general']);
+  assert.equal(routing.channelId, 'general');
+  assert.equal(routing.config.actionsEnabled.published, true);
+  assert.equal(prisma.rows.length, 1);
+});
+
+test('addEventDestination fans an event out to several channels sharing its filters', async () => {
+  const prisma = createFakePrisma();
+  await prisma.repositoryEventChannel.create({
+    data: { repositoryId: 'repo-1', eventType: 'release', channelId: 'default', config: { actionsEnabled: { published: false } } }
+  });
+
+  assert.equal(await addEventDestination(prisma, 'repo-1', 'release', 'announcements'), true);
+  assert.equal(await addEventDestination(prisma, 'repo-1', 'release', 'dev'), true);
+  assert.equal(await addEventDestination(prisma, 'repo-1', 'release', 'dev'), false);
+
+  const routing = await getEventRouting(prisma, 'repo-1', 'release', 'general');
+  assert.deepEqual(routing.channelIds, ['announcements', 'dev']);
+  assert.equal(routing.config.actionsEnabled.published, false);
+  assert.equal(prisma.rows.length, 2);
+  assert.equal(prisma.rows[1].config.actionsEnabled.published, false);
+});
+
+test('removeEventDestination removes one channel and reverts to the default channel after the last', async () => {
+  const prisma = createFakePrisma();
+  await addEventDestination(prisma, 'repo-1', 'issues', 'triage');
+  await addEventDestination(prisma, 'repo-1', 'issues', 'dev');
+
+  assert.deepEqual(await removeEventDestination(prisma, 'repo-1', 'issues', 'triage'), ['triage']);
+  assert.deepEqual((await getEventRouting(prisma, 'repo-1', 'issues', 'general')).channelIds, ['dev']);
+
+  assert.deepEqual(await removeEventDestination(prisma, 'repo-1', 'issues', 'unknown'), []);
+  assert.deepEqual(await removeEventDestination(prisma, 'repo-1', 'issues'), ['dev']);
+  assert.deepEqual((await getEventRouting(prisma, 'repo-1', 'issues', 'general')).channelIds, ['general']);
+  assert.equal(prisma.rows.length, 1);
+  assert.equal(prisma.rows[0].config.explicitChannel, false);
+});
+
+test('matchesLabelFilters applies include and exclude label lists', () => {
+  const config = { labelFilters: { include: ['bug', 'Security'], exclude: ['wontfix'] } };
+
+  assert.equal(matchesLabelFilters(config, [{ name: 'BUG' }]), true);
+  assert.equal(matchesLabelFilters(config, ['security', 'docs']), true);
+  assert.equal(matchesLabelFilters(config, [{ name: 'bug' }, { name: 'wontfix' }]), false);
+  assert.equal(matchesLabelFilters(config, []), false);
+  assert.equal(matchesLabelFilters({ labelFilters: { exclude: ['wontfix'] } }, []), true);
+  assert.equal(matchesLabelFilters({ actionsEnabled: {} }, [{ name: 'anything' }]), true);
+  assert.equal(matchesLabelFilters(null, undefined), true);
+});
+
+test('parseLabelList trims names and drops duplicates ignoring case', () => {
+  assert.deepEqual(parseLabelList(' bug, Bug ,security,, '), ['bug', 'security']);
+  assert.deepEqual(parseLabelList(['needs-design']), ['needs-design']);
+  assert.deepEqual(parseLabelList(undefined), []);
+});
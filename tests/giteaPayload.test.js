@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { normalizeGiteaPayload } = require('../src/functions/giteaPayload');
+const { detectProvider, getWebhookHeaders } = require('../src/functions/webhookProviders');
+
+const repository = {
+  full_name: 'team/service',
+  html_url: 'https://git.example.org/team/service',
+  owner: { login: 'team' },
+  name: 'service'
+};
+const sender = { login: 'alice', avatar_url: 'https://git.example.org/avatars/1' };
+
+test('detectProvider and getWebhookHeaders read Gitea headers', () => {
+  const headers = {
+    'x-github-event': 'push',
+    'x-gitea-event': 'push',
+    'x-gitea-delivery': 'd-1',
+    'x-gitea-signature': 'abc123'
+  };
+
+  assert.equal(detectProvider(headers), 'gitea');
+  assert.deepEqual(getWebhookHeaders('gitea', headers), { event: 'push', deliveryId: 'd-1', signature: 'sha256=abc123' });
+  assert.equal(detectProvider({ 'x-github-event': 'push' }), 'github');
+});
+
+test('normalizeGiteaPayload maps push payloads', () => {
+  const payload = normalizeGiteaPayload('push', {
+    ref: 'refs/heads/main',
+    before: '0000000000000000000000000000000000000000',
+    after: 'a1b2c3',
+    compare_url: 'https://git.example.org/team/service/compare/0000...a1b2c3',
+    commits: [{ id: 'a1b2c3', message: 'Initial commit', url: 'https://git.example.org/team/service/commit/a1b2c3' }],
+    pusher: { login: 'alice', full_name: 'Alice' },
+    sender,
+    repository
+  });
+
+  assert.equal(payload.ref, 'refs/heads/main');
+  assert.equal(payload.created, true);
+  assert.equal(payload.compare, 'https://git.example.org/team/service/compare/0000...a1b2c3');
+  assert.equal(payload.pusher.name, 'Alice');
+  assert.equal(payload.sender.html_url, 'https://git.example.org/alice');
+  assert.equal(payload.repository.full_name, 'team/service');
+});
+
+test('normalizeGiteaPayload maps issue and pull request actions', () => {
+  const issue = normalizeGiteaPayload('issues', {
+    action: 'label_updated',
+    issue: { number: 7, title: 'Bug', body: null, html_url: 'https://git.example.org/team/service/issues/7', state: 'open', labels: [{ name: 'bug', color: 'ee0701' }], user: sender },
+    sender,
+    repository
+  });
+  assert.equal(issue.action, 'labeled');
+  assert.equal(issue.issue.body, '');
+  assert.deepEqual(issue.issue.labels, [{ name: 'bug', color: 'ee0701' }]);
+
+  const pr = normalizeGiteaPayload('pull_request', {
+    action: 'closed',
+    number: 3,
+    pull_request: { number: 3, title: 'Feature', html_url: 'https://git.example.org/team/service/pulls/3', state: 'closed', merged: true, user: sender, head: { ref: 'feature' }, base: { ref: 'main' } },
+    sender: { login: 'bob' },
+    repository
+  });
+  assert.equal(pr.number, 3);
+  assert.equal(pr.pull_request.merged_by.login, 'bob');
+  assert.equal(pr.pull_request.head.ref, 'feature');
+});
+
+test('normalizeGiteaPayload maps releases and ignores unsupported events', () => {
+  const release = normalizeGiteaPayload('release', {
+    action: 'updated',
+    release: { tag_name: 'v1.0.0', name: 'v1.0.0', body: 'Notes', html_url: 'https://git.example.org/team/service/releases/tag/v1.0.0', author: sender },
+    sender,
+    repository
+  });
+  assert.equal(release.action, 'edited');
+  assert.equal(release.release.author.login, 'alice');
+
+  assert.equal(normalizeGiteaPayload('wiki', { repository }), null);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.GITHUB_APP_WEBHOOK_SECRET = 'app-secret';
+process.env.GITHUB_APP_CLIENT_ID = 'client-id';
+process.env.GITHUB_APP_CLIENT_SECRET = 'client-secret';
+
+const {
+  createInstallState,
+  verifyInstallState,
+  toInstallationRepository,
+  claimInstallation
+} = require('../src/functions/githubApp');
+
+test('verifyInstallState returns the guild for a valid state', () => {
+  const state = createInstallState('123456789');
+  assert.equal(verifyInstallState(state), '123456789');
+});
+
+test('verifyInstallState rejects tampered and expired states', () => {
+  const state = createInstallState('123456789');
+  const [, expiresAt, signature] = state.split('.');
+
+  assert.equal(verifyInstallState(`987654321.${expiresAt}.${signature}`), null);
+  assert.equal(verifyInstallState(state, Number(expiresAt) + 1), null);
+  assert.equal(verifyInstallState('garbage'), null);
+  assert.equal(verifyInstallState(undefined), null);
+});
+
+test('toInstallationRepository derives the URL from full_name', () => {
+  assert.deepEqual(
+    toInstallationRepository({ id: 42, full_name: 'octo/hello', private: true }),
+    { githubRepoId: '42', fullName: 'octo/hello', htmlUrl: 'https://github.com/octo/hello', private: true }
+  );
+});
+
+// Stands in for GitHub: the OAuth code "valid-code" belongs to a user with access to the given installations
+function stubGitHub(t, userInstallationIds) {
+  const requests = [];
+  t.mock.method(global, 'fetch', async (url, options = {}) => {
+    requests.push(url);
+    if (url === 'https://github.com/login/oauth/access_token') {
+      const { code } = JSON.parse(options.body);
+      return { ok: true, json: async () => (code === 'valid-code' ? { access_token: 'user-token' } : { error: 'bad_verification_code' }) };
+    }
+    return { ok: true, json: async () => ({ installations: userInstallationIds.map(id => ({ id })) }) };
+  });
+  return requests;
+}
+
+function createInstallationPrisma() {
+  const upserts = [];
+  return {
+    upserts,
+    server: { async findUnique() { return { id: 'server-1' }; } },
+    gitHubInstallation: {
+      async findUnique() { return null; },
+      async upsert(args) { upserts.push(args); return { installationId: args.where.installationId, serverId: 'server-1' }; }
+    }
+  };
+}
+
+test('claimInstallation binds an installation the installing user can access', async (t) => {
+  stubGitHub(t, [1001, 2002]);
+  const prisma = createInstallationPrisma();
+
+  const installation = await claimInstallation(prisma, '2002', 'guild-1', 'valid-code');
+  assert.equal(installation.installationId, '2002');
+  assert.equal(prisma.upserts.length, 1);
+});
+
+test('claimInstallation refuses installations the installing user cannot access', async (t) => {
+  const requests = stubGitHub(t, [1001]);
+  const prisma = createInstallationPrisma();
+
+  // A spoofed installation_id of another organization's unclaimed installation
+  assert.equal(await claimInstallation(prisma, '9999', 'guild-1', 'valid-code'), null);
+  assert.equal(await claimInstallation(prisma, '1001', 'guild-1', 'forged-code'), null);
+  assert.equal(await claimInstallation(prisma, '1001', 'guild-1', undefined), null);
+  assert.deepEqual(prisma.upserts, []);
+  assert.ok(requests.some(url => url.startsWith('https://api.github.com/user/installations')));
+});
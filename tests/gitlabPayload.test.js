@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { normalizeGitlabPayload } = require('../src/functions/gitlabPayload');
+const { detectProvider, getWebhookHeaders, createWebhookVerifier } = require('../src/functions/webhookProviders');
+
+const project = {
+  name: 'service',
+  path_with_namespace: 'team/backend/service',
+  web_url: 'https://gitlab.com/team/backend/service',
+  default_branch: 'main'
+};
+const user = { name: 'Alice', username: 'alice', avatar_url: 'https://gitlab.com/uploads/alice.png' };
+
+test('detectProvider and getWebhookHeaders read GitLab headers and verify the token', () => {
+  const headers = {
+    'x-gitlab-event': 'Push Hook',
+    'x-gitlab-event-uuid': 'u-1',
+    'x-gitlab-token': 's3cret'
+  };
+
+  assert.equal(detectProvider(headers), 'gitlab');
+  assert.deepEqual(getWebhookHeaders('gitlab', headers), { event: 'Push Hook', deliveryId: 'u-1', signature: 's3cret' });
+
+  const verify = createWebhookVerifier('gitlab', '{}', 's3cret');
+  assert.equal(verify('s3cret'), true);
+  assert.equal(verify('other'), false);
+  assert.equal(verify(null), false);
+});
+
+test('normalizeGitlabPayload maps push and tag push hooks', () => {
+  const [push] = normalizeGitlabPayload('Push Hook', {
+    ref: 'refs/heads/main',
+    before: 'a1b2c3',
+    after: 'd4e5f6',
+    user_name: 'Alice',
+    user_username: 'alice',
+    commits: [{ id: 'd4e5f6', message: 'Fix bug', url: 'https://gitlab.com/team/backend/service/-/commit/d4e5f6', author: { name: 'Alice' } }],
+    project
+  });
+
+  assert.equal(push.event, 'push');
+  assert.equal(push.payload.compare, 'https://gitlab.com/team/backend/service/-/compare/a1b2c3...d4e5f6');
+  assert.equal(push.payload.created, false);
+  assert.equal(push.payload.pusher.name, 'Alice');
+  assert.equal(push.payload.sender.html_url, 'https://gitlab.com/alice');
+  assert.equal(push.payload.repository.full_name, 'team/backend/service');
+
+  const tag = { ref: 'refs/tags/v1.0.0', before: '0000000000000000000000000000000000000000', after: 'd4e5f6', user_username: 'alice', project };
+  const [tagPush, created] = normalizeGitlabPayload('Tag Push Hook', tag);
+  assert.equal(tagPush.event, 'push');
+  assert.equal(tagPush.payload.ref, 'refs/tags/v1.0.0');
+  assert.equal(created.event, 'create');
+  assert.equal(created.payload.action, 'created');
+  assert.equal(created.payload.ref, 'v1.0.0');
+  assert.equal(created.payload.ref_type, 'tag');
+  const removed = normalizeGitlabPayload('Tag Push Hook', { ...tag, before: 'd4e5f6', after: '0000000000000000000000000000000000000000' });
+  assert.deepEqual(removed.map(({ event, payload }) => [event, payload.action]), [['push', undefined], ['delete', 'deleted']]);
+  assert.equal(removed[0].payload.deleted, true);
+});
+
+test('normalizeGitlabPayload maps merge request and issue actions', () => {
+  const [merged] = normalizeGitlabPayload('Merge Request Hook', {
+    user,
+    object_attributes: { iid: 4, title: 'Feature', url: 'https://gitlab.com/team/backend/service/-/merge_requests/4', state: 'merged', action: 'merge', source_branch: 'feature', target_branch: 'main' },
+    project
+  });
+  assert.equal(merged.event, 'pull_request');
+  assert.equal(merged.payload.action, 'closed');
+  assert.equal(merged.payload.pull_request.merged, true);
+  assert.equal(merged.payload.pull_request.merged_by.login, 'alice');
+  assert.equal(merged.payload.pull_request.base.ref, 'main');
+
+  const [pushed] = normalizeGitlabPayload('Merge Request Hook', { user, object_attributes: { iid: 4, state: 'opened', action: 'update', oldrev: 'a1b2c3' }, project });
+  assert.equal(pushed.payload.action, 'synchronize');
+  assert.deepEqual(normalizeGitlabPayload('Merge Request Hook', { user, object_attributes: { iid: 4, action: 'approved' }, project }), []);
+
+  const [issue] = normalizeGitlabPayload('Issue Hook', {
+    user,
+    object_attributes: { iid: 9, title: 'Bug', description: null, state: 'opened', action: 'update' },
+    labels: [{ title: 'bug', color: '#ee0701' }],
+    changes: { labels: { previous: [], current: [{ title: 'bug' }] } },
+    project
+  });
+  assert.equal(issue.event, 'issues');
+  assert.equal(issue.payload.action, 'labeled');
+  assert.equal(issue.payload.issue.state, 'open');
+  assert.deepEqual(issue.payload.issue.labels, [{ name: 'bug', color: 'ee0701' }]);
+});
+
+test('normalizeGitlabPayload maps pipelines and ignores unsupported hooks', () => {
+  const [pipeline] = normalizeGitlabPayload('Pipeline Hook', {
+    user,
+    object_attributes: { id: 31, iid: 12, ref: 'main', sha: 'd4e5f6', status: 'failed', created_at: '2024-01-01T10:00:00Z', finished_at: '2024-01-01T10:05:00Z' },
+    builds: [
+      { name: 'test', status: 'failed', started_at: '2024-01-01T10:00:00Z', finished_at: '2024-01-01T10:04:00Z' },
+      { name: 'deploy', status: 'skipped' }
+    ],
+    project
+  });
+
+  assert.equal(pipeline.event, 'workflow_run');
+  assert.equal(pipeline.payload.action, 'completed');
+  assert.equal(pipeline.payload.workflow_run.conclusion, 'failure');
+  assert.equal(pipeline.payload.workflow_run.html_url, 'https://gitlab.com/team/backend/service/-/pipelines/31');
+  assert.deepEqual(pipeline.payload.workflow_run.jobs.map(job => job.conclusion), ['failure', 'skipped']);
+
+  assert.equal(normalizeGitlabPayload('Pipeline Hook', { object_attributes: { id: 32, status: 'running' }, project })[0].payload.action, 'in_progress');
+  assert.deepEqual(normalizeGitlabPayload('Wiki Page Hook', { project }), []);
+});
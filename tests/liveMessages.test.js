@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MAX_CHANGELOG_ENTRIES, appendChangelog, withChangelog, upsertLiveMessage } = require('../src/functions/liveMessages');
+const { createNotification, deliverNotification } = require('../src/functions/notificationPipeline');
+
+// Minimal in-memory stand-in for prisma.liveMessage and prisma.server
+function createFakePrisma() {
+  const rows = new Map();
+  const updates = [];
+  const keyOf = (where) => {
+    const { repositoryId, subjectType, subjectKey, channelId } = where.repositoryId_subjectType_subjectKey_channelId;
+    return [repositoryId, subjectType, subjectKey, channelId].join('|');
+  };
+  return {
+    rows,
+    updates,
+    liveMessage: {
+      async findUnique({ where }) {
+        return rows.get(keyOf(where)) || null;
+      },
+      async upsert({ where, create, update }) {
+        const key = keyOf(where);
+        rows.set(key, { ...(rows.get(key) || create), ...update });
+        return rows.get(key);
+      }
+    },
+    server: {
+      async update(args) {
+        updates.push(args);
+        return {};
+      }
+    }
+  };
+}
+
+// Text channel whose messages can be fetched and edited; deleted IDs reject like Discord does
+function createFakeChannel(id) {
+  const messages = new Map();
+  let nextId = 1;
+  const channel = {
+    id,
+    messages: {
+      async fetch(messageId) {
+        if (!messages.has(messageId)) {
+          throw Object.assign(new Error('Unknown Message'), { code: 10008 });
+        }
+        return messages.get(messageId);
+      }
+    },
+    isTextBased: () => true,
+    async send(content) {
+      const message = { id: `msg-${nextId++}`, content, async edit(next) { message.content = next; } };
+      messages.set(message.id, message);
+      return message;
+    }
+  };
+  return { channel, messages };
+}
+
+test('appendChangelog keeps the most recent entries and withChangelog lists them in the footer', () => {
+  let changelog = null;
+  for (let i = 1; i <= MAX_CHANGELOG_ENTRIES + 2; i += 1) {
+    changelog = appendChangelog(changelog, `change ${i}`);
+  }
+
+  assert.equal(changelog.length, MAX_CHANGELOG_ENTRIES);
+  assert.equal(changelog[0], 'change 3');
+  assert.deepEqual(appendChangelog(['opened'], null), ['opened']);
+
+  const embed = { title: 'PR', footer: { text: 'GitHub Pull Request' } };
+  assert.equal(withChangelog(embed, ['opened', 'merged']).footer.text, 'GitHub Pull Request\nopened → merged');
+  assert.equal(embed.footer.text, 'GitHub Pull Request');
+  assert.equal(withChangelog(embed, []), embed);
+});
+
+test('upsertLiveMessage edits the posted message and reposts it once deleted', async () => {
+  const prisma = createFakePrisma();
+  const { channel, messages } = createFakeChannel('c1');
+  const live = { subjectType: 'pull_request', subjectKey: 7 };
+
+  const first = await upsertLiveMessage(prisma, 'repo-1', channel, { ...live, change: 'opened' }, [{ title: 'Open' }]);
+  const second = await upsertLiveMessage(prisma, 'repo-1', channel, { ...live, change: 'merged' }, [{ title: 'Merged' }]);
+
+  assert.equal(first.created, true);
+  assert.equal(second.created, false);
+  assert.equal(second.message.id, first.message.id);
+  assert.equal(messages.get(first.message.id).content.embeds[0].title, 'Merged');
+  assert.deepEqual(prisma.rows.get('repo-1|pull_request|7|c1').changelog, ['opened', 'merged']);
+
+  messages.clear();
+  const third = await upsertLiveMessage(prisma, 'repo-1', channel, { ...live, change: 'reopened' }, [{ title: 'Open' }]);
+  assert.equal(third.created, true);
+  assert.notEqual(third.message.id, first.message.id);
+});
+
+test('deliverNotification counts live message edits as delivered but not as sent', async () => {
+  const prisma = createFakePrisma();
+  const { channel } = createFakeChannel('c1');
+  const botClient = { channels: { fetch: async () => channel } };
+  const repoContext = { id: 'repo-1', server: { id: 'server-1', guildId: 'guild-1' } };
+  const notify = (change) => createNotification({ targets: 'c1', embed: { title: 'PR' }, metadata: { summary: 'Done.', live: { subjectType: 'pull_request', subjectKey: 7, change } } });
+
+  const opened = await deliverNotification(prisma, botClient, repoContext, notify('opened'));
+  const labeled = await deliverNotification(prisma, botClient, repoContext, notify('labeled bug'));
+
+  assert.equal(labeled.messageId, opened.messageId);
+  assert.deepEqual(prisma.updates.map(update => update.data.messagesSent.increment), [1]);
+});
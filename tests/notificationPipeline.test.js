@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  createNotification,
+  isNotification,
+  resolveTargets,
+  deliverNotification
+} = require('../src/functions/notificationPipeline');
+
+const repoContext = { id: 'repo-1', url: 'https://github.com/acme/widgets', server: { id: 'server-1', guildId: 'guild-1' } };
+
+// Records server.update calls so the messagesSent accounting can be asserted
+function createFakePrisma() {
+  const updates = [];
+  return {
+    updates,
+    server: {
+      async update(args) {
+        updates.push(args);
+        return {};
+      }
+    }
+  };
+}
+
+// Channels listed in `failing` reject every send; unknown IDs fail to fetch
+function createFakeBotClient(channelIds, failing = []) {
+  const sent = [];
+  let nextId = 1;
+  return {
+    sent,
+    channels: {
+      async fetch(channelId) {
+        if (!channelIds.includes(channelId)) {
+          throw new Error(`Unknown channel ${channelId}`);
+        }
+        return {
+          isTextBased: () => true,
+          async send(message) {
+            if (failing.includes(channelId)) {
+              throw new Error(`Missing access to ${channelId}`);
+            }
+            sent.push({ channelId, message });
+            return { id: `msg-${nextId++}` };
+          }
+        };
+      }
+    }
+  };
+}
+
+test('createNotification normalizes targets and embeds', () => {
+  const notification = createNotification({ targets: 'c1', embed: { title: 'Push' }, metadata: { summary: 'Push processed.' } });
+
+  assert.equal(isNotification(notification), true);
+  assert.deepEqual(notification.targets, ['c1']);
+  assert.deepEqual(notification.embeds, [{ title: 'Push' }]);
+  assert.deepEqual(notification.metadata, { summary: 'Push processed.', enforceChannelLimit: true });
+  assert.equal(isNotification({ statusCode: 200, message: 'skipped' }), false);
+  assert.deepEqual(resolveTargets(['c1', 'pending', null, 'c2', 'c1']), ['c1', 'c2']);
+});
+
+test('deliverNotification sends once per channel and records every message', async () => {
+  const prisma = createFakePrisma();
+  const botClient = createFakeBotClient(['c1', 'c2']);
+  const notification = createNotification({ targets: ['c1', 'c2', 'c1'], embed: [{ title: 'A' }, { title: 'B' }], metadata: { summary: 'Done.' } });
+
+  const result = await deliverNotification(prisma, botClient, repoContext, notification);
+
+  assert.deepEqual(botClient.sent.map(({ channelId, message }) => `${channelId}:${message.embeds[0].title}`), ['c1:A', 'c1:B', 'c2:A', 'c2:B']);
+  assert.deepEqual(result, { statusCode: 200, message: 'Done.', channelId: 'c2', messageId: 'msg-4' });
+  assert.deepEqual(prisma.updates, [{ where: { id: 'server-1' }, data: { messagesSent: { increment: 4 } } }]);
+});
+
+test('deliverNotification only throws when no channel received the notification', async () => {
+  const partial = createFakeBotClient(['c1', 'c2'], ['c2']);
+  const result = await deliverNotification(createFakePrisma(), partial, repoContext, createNotification({ targets: ['c1', 'c2'], embed: { title: 'A' } }));
+  assert.equal(result.channelId, 'c1');
+
+  const prisma = createFakePrisma();
+  const failing = createFakeBotClient(['c1'], ['c1']);
+  await assert.rejects(
+    deliverNotification(prisma, failing, repoContext, createNotification({ targets: ['c1'], embed: { title: 'A' } })),
+    /Missing access to c1/
+  );
+  assert.deepEqual(prisma.updates, []);
+});
+
+test('deliverNotification acknowledges notifications without a channel', async () => {
+  const prisma = createFakePrisma();
+  const result = await deliverNotification(prisma, createFakeBotClient([]), repoContext, createNotification({ targets: ['pending'], embed: { title: 'A' }, metadata: { summary: 'Done.' } }));
+
+  assert.deepEqual(result, { statusCode: 200, message: 'Done. Notification channel pending.', channelId: null, messageId: null });
+  assert.deepEqual(prisma.updates, []);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  matchesPathPattern,
+  matchesAnyPathPattern,
+  getChangedPaths,
+  parsePathFilters,
+  matchesPathFilters,
+  describePathFilters
+} = require('../src/functions/pathMatcher');
+
+const commits = [
+  { added: ['docs/guide.md'], modified: [], removed: [] },
+  { added: [], modified: ['src/index.js', 'docs/guide.md'], removed: [] }
+];
+
+test('matchesPathPattern supports directory globs and trailing slashes', () => {
+  assert.equal(matchesPathPattern('web/index.js', 'web/**/*.js'), true);
+  assert.equal(matchesPathPattern('web/app/main.js', 'web/**/*.js'), true);
+  assert.equal(matchesPathPattern('web/app/main.css', 'web/**/*.js'), false);
+  assert.equal(matchesPathPattern('docs/a/b.md', 'docs/'), true);
+  assert.equal(matchesPathPattern('README.md', '*.md'), true);
+  assert.equal(matchesPathPattern('docs/README.md', '*.md'), false);
+  assert.equal(matchesPathPattern('v1.txt', 'v?.txt'), true);
+  assert.equal(matchesAnyPathPattern(['src/a.js', 'docs/b.md'], ['docs/**']), true);
+  assert.equal(matchesAnyPathPattern([], ['**']), false);
+});
+
+test('matchesPathPattern treats other characters literally and does not backtrack', () => {
+  assert.equal(matchesPathPattern('pages/[id].js', 'pages/[id].js'), true);
+  assert.equal(matchesPathPattern('pages/i.js', 'pages/[id].js'), false);
+  assert.equal(matchesPathPattern('docs/{a,b}+c.md', 'docs/{a,b}+c.md'), true);
+
+  const started = Date.now();
+  assert.equal(matchesPathPattern('a'.repeat(250), '*a*a*a*a*a*a*a*b'), false);
+  assert.equal(matchesPathPattern(`${'a/'.repeat(120)}x`, '**/**/**/**/**/**/y'), false);
+  assert.ok(Date.now() - started < 100);
+});
+
+test('parsePathFilters splits include and negated exclude patterns', () => {
+  const filters = parsePathFilters(' web/**, !web/docs/** ,, terraform/ ');
+
+  assert.deepEqual(filters, { includePaths: ['web/**', 'terraform/'], excludePaths: ['web/docs/**'] });
+  assert.equal(describePathFilters(filters.includePaths, filters.excludePaths), 'web/**, terraform/, !web/docs/**');
+  assert.deepEqual(parsePathFilters(null), { includePaths: [], excludePaths: [] });
+  assert.equal(describePathFilters([], []), null);
+});
+
+test('matchesPathFilters requires a changed file that is included and not excluded', () => {
+  const changed = getChangedPaths(commits);
+
+  assert.equal(matchesPathFilters(changed, ['src/**'], []), true);
+  assert.equal(matchesPathFilters(changed, ['web/**'], []), false);
+  assert.equal(matchesPathFilters(changed, [], ['docs/**']), true);
+  assert.equal(matchesPathFilters(changed, [], ['docs/**', 'src/**']), false);
+  assert.equal(matchesPathFilters(['web/docs/a.md'], ['web/**'], ['web/docs/**']), false);
+  assert.equal(matchesPathFilters([], ['web/**'], []), true);
+});
+
+test('getChangedPaths lists each changed file once', () => {
+  assert.deepEqual(getChangedPaths(commits), ['docs/guide.md', 'src/index.js']);
+  assert.deepEqual(getChangedPaths(undefined), []);
+});
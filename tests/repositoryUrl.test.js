@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { guessProvider, parseRepositoryUrl } = require('../src/functions/repositoryUrl');
+
+test('parseRepositoryUrl parses GitHub repositories', () => {
+  assert.deepEqual(parseRepositoryUrl('https://github.com/octo/hello/'), {
+    url: 'https://github.com/octo/hello',
+    host: 'github.com',
+    owner: 'octo',
+    name: 'hello',
+    provider: 'github'
+  });
+});
+
+test('parseRepositoryUrl accepts self-hosted repositories on any host', () => {
+  const parsed = parseRepositoryUrl('https://git.example.org:3000/team/service.git');
+  assert.equal(parsed.url, 'https://git.example.org:3000/team/service');
+  assert.equal(parsed.host, 'git.example.org:3000');
+  assert.equal(parsed.provider, null);
+});
+
+test('parseRepositoryUrl rejects invalid URLs and GitHub non-repository pages', () => {
+  assert.ok(parseRepositoryUrl('not a url').error);
+  assert.ok(parseRepositoryUrl('ftp://github.com/octo/hello').error);
+  assert.ok(parseRepositoryUrl('https://github.com/octo').error);
+  assert.ok(parseRepositoryUrl('https://github.com/orgs/octo').error);
+});
+
+test('guessProvider only knows public hosts', () => {
+  assert.equal(guessProvider('GitHub.com'), 'github');
+  assert.equal(guessProvider('gitlab.com'), 'gitlab');
+  assert.equal(guessProvider('bitbucket.org'), 'bitbucket');
+  assert.equal(guessProvider('gitea.example.com'), null);
+});
@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  getRuleFacts,
+  matchesRuleConditions,
+  evaluateRules,
+  parseRuleConditions,
+  describeRuleConditions,
+  moveRule,
+  findRuleChannels,
+  applyRuleChannels
+} = require('../src/functions/routingRules');
+
+const pullRequestPayload = {
+  action: 'opened',
+  pull_request: {
+    draft: true,
+    user: { login: 'octocat' },
+    base: { ref: 'main' },
+    labels: [{ name: 'Security' }]
+  },
+  sender: { login: 'someone-else' }
+};
+
+const pushPayload = {
+  ref: 'refs/heads/release/1.2',
+  pusher: { name: 'octocat' },
+  sender: { login: 'octocat' },
+  commits: [
+    { added: ['docs/guide.md'], modified: [], removed: [] },
+    { added: [], modified: ['src/index.js', 'docs/guide.md'], removed: [] }
+  ]
+};
+
+test('getRuleFacts collects the facts of pull requests and pushes', () => {
+  assert.deepEqual(getRuleFacts('pull_request', pullRequestPayload), {
+    event: 'pull_request',
+    action: 'opened',
+    labels: ['Security'],
+    author: 'octocat',
+    branch: 'main',
+    draft: true,
+    paths: [],
+    workflow: null,
+    conclusion: null
+  });
+
+  const push = getRuleFacts('push', pushPayload);
+  assert.equal(push.branch, 'release/1.2');
+  assert.equal(push.author, 'octocat');
+  assert.deepEqual(push.paths, ['docs/guide.md', 'src/index.js']);
+  assert.equal(push.draft, null);
+});
+
+test('matchesRuleConditions requires every set condition to match', () => {
+  const facts = getRuleFacts('pull_request', pullRequestPayload);
+
+  assert.equal(matchesRuleConditions({}, facts), true);
+  assert.equal(matchesRuleConditions({ event: ['issues', 'pull_request'], labels: ['security'] }, facts), true);
+  assert.equal(matchesRuleConditions({ event: ['pull_request'], draft: false }, facts), false);
+  assert.equal(matchesRuleConditions({ branch: ['release/*'] }, facts), false);
+  assert.equal(matchesRuleConditions({ author: ['OctoCat'], action: ['opened'] }, facts), true);
+  assert.equal(matchesRuleConditions({ paths: ['docs/**'] }, getRuleFacts('push', pushPayload)), true);
+  assert.equal(matchesRuleConditions({ paths: ['web/**'] }, getRuleFacts('push', pushPayload)), false);
+});
+
+test('evaluateRules stops at a stop rule and collects continue rules', () => {
+  const facts = getRuleFacts('pull_request', pullRequestPayload);
+  const rules = [
+    { id: 'c', position: 2, conditions: {}, channelId: 'all', stop: true },
+    { id: 'a', position: 0, conditions: { labels: ['security'] }, channelId: 'security', stop: false },
+    { id: 'b', position: 1, conditions: { draft: true }, channelId: 'drafts', stop: true },
+    { id: 'd', position: 3, conditions: {}, channelId: 'never', stop: true }
+  ];
+
+  const result = evaluateRules(rules, facts);
+  assert.deepEqual(result.rules.map(rule => rule.id), ['a', 'b']);
+  assert.deepEqual(result.channelIds, ['security', 'drafts']);
+  assert.deepEqual(evaluateRules([], facts).channelIds, []);
+});
+
+test('parseRuleConditions and describeRuleConditions round-trip command options', () => {
+  const conditions = parseRuleConditions({ event: 'issues, pull_request', labels: 'bug,', author: '  ', draft: false, paths: null });
+
+  assert.deepEqual(conditions, { event: ['issues', 'pull_request'], labels: ['bug'], draft: false });
+  assert.equal(describeRuleConditions(conditions), 'event: issues, pull_request · labels: bug · not draft');
+  assert.equal(describeRuleConditions({}), 'every notification');
+});
+
+test('moveRule reorders rules and clamps the target position', () => {
+  const rules = ['a', 'b', 'c', 'd'];
+  assert.deepEqual(moveRule(rules, 3, 0), ['d', 'a', 'b', 'c']);
+  assert.deepEqual(moveRule(rules, 0, 10), ['b', 'c', 'd', 'a']);
+  assert.deepEqual(rules, ['a', 'b', 'c', 'd']);
+});
+
+test('findRuleChannels and applyRuleChannels replace targets only when a rule matches', async () => {
+  const prisma = {
+    routingRule: {
+      async findMany() {
+        return [{ position: 0, conditions: { event: ['push'] }, channelId: 'pushes', stop: true }];
+      }
+    }
+  };
+  const notification = { targets: ['default'], embed: {}, metadata: {} };
+
+  const pushChannels = await findRuleChannels(prisma, 'repo-1', 'push', pushPayload);
+  assert.deepEqual(pushChannels, ['pushes']);
+  assert.deepEqual(applyRuleChannels(notification, pushChannels).targets, ['pushes']);
+  assert.deepEqual(await findRuleChannels(prisma, 'repo-1', 'pull_request', pullRequestPayload), []);
+  assert.equal(applyRuleChannels(notification, []), notification);
+
+  const fixed = { ...notification, metadata: { fixedTargets: true } };
+  assert.equal(applyRuleChannels(fixed, pushChannels), fixed);
+});
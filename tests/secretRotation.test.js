@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const {
+  isRotationActive,
+  matchRepositorySecret,
+  recordSecretUse
+} = require('../src/functions/secretRotation');
+const { createWebhookVerifier } = require('../src/functions/webhookProviders');
+
+function sign(body, secret) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+const body = '{"zen":"Design for failure."}';
+const verifierFor = (secret) => createWebhookVerifier('github', body, sign(body, secret));
+const inOneHour = () => new Date(Date.now() + 60 * 60 * 1000);
+
+test('matchRepositorySecret accepts the current and the pending secret during a rotation', () => {
+  const repository = { webhookSecret: 'old', pendingWebhookSecret: 'new', secretRotationExpiresAt: inOneHour() };
+
+  assert.equal(matchRepositorySecret(repository, verifierFor('old')), 'current');
+  assert.equal(matchRepositorySecret(repository, verifierFor('new')), 'pending');
+  assert.equal(matchRepositorySecret(repository, verifierFor('other')), null);
+});
+
+test('matchRepositorySecret ignores a pending secret after the grace window', () => {
+  const repository = { webhookSecret: 'old', pendingWebhookSecret: 'new', secretRotationExpiresAt: new Date(Date.now() - 1000) };
+
+  assert.equal(isRotationActive(repository), false);
+  assert.equal(matchRepositorySecret(repository, verifierFor('new')), null);
+});
+
+test('recordSecretUse promotes the pending secret once it is used', async () => {
+  const updates = [];
+  const prisma = { repository: { update: async (args) => updates.push(args) } };
+  const repository = { id: 'repo-1', webhookSecret: 'old', pendingWebhookSecret: 'new', secretRotationExpiresAt: inOneHour() };
+
+  await recordSecretUse(prisma, repository, 'current');
+  assert.equal(updates[0].data.lastSecretUsed, 'current');
+  assert.equal(updates[0].data.webhookSecret, undefined);
+
+  await recordSecretUse(prisma, repository, 'pending');
+  assert.equal(updates[1].data.lastSecretUsed, 'pending');
+  assert.equal(updates[1].data.webhookSecret, 'new');
+  assert.equal(updates[1].data.pendingWebhookSecret, null);
+});
+
+test('recordSecretUse only writes when the secret changes or the recorded use is stale', async () => {
+  const updates = [];
+  const prisma = { repository: { update: async (args) => updates.push(args) } };
+  const now = new Date('2026-01-01T12:00:00Z');
+  const minutesAgo = (minutes) => new Date(now.getTime() - minutes * 60 * 1000);
+
+  await recordSecretUse(prisma, { id: 'repo-1', lastSecretUsed: 'current', lastSecretUsedAt: minutesAgo(1) }, 'current', now);
+  assert.equal(updates.length, 0);
+
+  await recordSecretUse(prisma, { id: 'repo-1', lastSecretUsed: 'current', lastSecretUsedAt: minutesAgo(30) }, 'current', now);
+  assert.equal(updates.length, 1);
+  assert.equal(updates[0].data.lastSecretUsedAt, now);
+
+  await recordSecretUse(prisma, { id: 'repo-1', lastSecretUsed: 'pending', lastSecretUsedAt: minutesAgo(1) }, 'current', now);
+  assert.equal(updates.length, 2);
+  assert.equal(updates[1].data.lastSecretUsed, 'current');
+
+  await recordSecretUse(prisma, { id: 'repo-1', lastSecretUsed: null, lastSecretUsedAt: null }, 'current', now);
+  assert.equal(updates.length, 3);
+});
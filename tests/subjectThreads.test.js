@@ -0,0 +1,157 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  THREAD_NAME_MAX_LENGTH,
+  getThreadName,
+  getForumTagIds,
+  syncSubjectThread,
+  deliverForumPost,
+  findSubjectThread
+} = require('../src/functions/subjectThreads');
+
+// Minimal in-memory stand-in for prisma.liveMessage
+function createFakePrisma() {
+  const rows = [];
+  const find = (where) => {
+    const key = where.repositoryId_subjectType_subjectKey_channelId;
+    return rows.find(row => Object.keys(key).every(field => row[field] === key[field])) || null;
+  };
+  return {
+    rows,
+    liveMessage: {
+      async findUnique({ where }) {
+        return find(where);
+      },
+      async upsert({ where, create, update }) {
+        let row = find(where);
+        if (!row) {
+          row = { id: `row-${rows.length + 1}`, threadId: null, ...create };
+          rows.push(row);
+        }
+        return Object.assign(row, update);
+      },
+      async update({ where, data }) {
+        return Object.assign(rows.find(row => row.id === where.id), data);
+      }
+    }
+  };
+}
+
+// Channel whose messages can start threads; threads record their archived state
+function createFakeChannel() {
+  const threads = new Map();
+  const startedOn = [];
+  const channel = {
+    id: 'c1',
+    threads: {
+      async fetch(threadId) {
+        if (!threads.has(threadId)) {
+          throw new Error('Unknown Channel');
+        }
+        return threads.get(threadId);
+      }
+    },
+    messages: {
+      async fetch(messageId) {
+        return {
+          id: messageId,
+          thread: null,
+          async startThread({ name }) {
+            const thread = { id: `thread-${threads.size + 1}`, name, archived: false, async setArchived(archived) { thread.archived = archived; } };
+            threads.set(thread.id, thread);
+            startedOn.push(messageId);
+            return thread;
+          }
+        };
+      }
+    }
+  };
+  return { channel, threads, startedOn };
+}
+
+test('getThreadName keeps names within the Discord limit', () => {
+  assert.equal(getThreadName('PR #1: Fix'), 'PR #1: Fix');
+  const long = getThreadName(`Issue #2: ${'x'.repeat(200)}`);
+  assert.equal(long.length, THREAD_NAME_MAX_LENGTH);
+  assert.ok(long.endsWith('...'));
+});
+
+test('syncSubjectThread opens a thread on the first message and archives it with the subject', async () => {
+  const prisma = createFakePrisma();
+  const { channel, threads, startedOn } = createFakeChannel();
+  const subject = { subjectType: 'issues', subjectKey: 4, name: 'Issue #4: Crash' };
+
+  const opened = await syncSubjectThread(prisma, 'repo-1', channel, { ...subject, archived: false }, 'msg-1');
+  await syncSubjectThread(prisma, 'repo-1', channel, { ...subject, archived: true }, 'msg-2');
+  assert.equal(threads.get(opened.id).archived, true);
+
+  await syncSubjectThread(prisma, 'repo-1', channel, { ...subject, archived: false }, 'msg-3');
+  assert.equal(threads.get(opened.id).archived, false);
+  assert.deepEqual(startedOn, ['msg-1']);
+  assert.equal(opened.name, 'Issue #4: Crash');
+
+  const replyThread = await findSubjectThread(prisma, 'repo-1', channel, { subjectType: 'issues', subjectKey: 4 });
+  assert.equal(replyThread.id, opened.id);
+  assert.equal(await findSubjectThread(prisma, 'repo-1', channel, { subjectType: 'pull_request', subjectKey: 4 }), null);
+});
+
+test('syncSubjectThread does not open a thread for a subject first seen closed', async () => {
+  const prisma = createFakePrisma();
+  const { channel, startedOn } = createFakeChannel();
+
+  const thread = await syncSubjectThread(prisma, 'repo-1', channel, { subjectType: 'pull_request', subjectKey: 9, name: 'PR #9', archived: true }, 'msg-1');
+
+  assert.equal(thread, null);
+  assert.deepEqual(startedOn, []);
+  assert.equal(prisma.rows[0].messageId, 'msg-1');
+  assert.equal(await syncSubjectThread(prisma, 'repo-1', { id: 'c2' }, { subjectType: 'pull_request', subjectKey: 9, name: 'PR #9', archived: false }, 'msg-2'), null);
+});
+
+test('getForumTagIds maps labels to forum tags and adds the closed tag', () => {
+  const tags = [{ id: 't-bug', name: 'Bug' }, { id: 't-closed', name: 'closed' }, { id: 't-docs', name: 'docs' }];
+
+  assert.deepEqual(getForumTagIds(tags, ['bug', 'wontfix'], false), ['t-bug']);
+  assert.deepEqual(getForumTagIds(tags, ['docs', 'bug'], true), ['t-closed', 't-docs', 't-bug']);
+  assert.deepEqual(getForumTagIds([], ['bug'], true), []);
+});
+
+test('deliverForumPost creates one post per issue and locks it when the issue closes', async () => {
+  const prisma = createFakePrisma();
+  const posts = new Map();
+  const createPost = ({ name, appliedTags }) => {
+    const post = {
+      id: `post-${posts.size + 1}`, name, appliedTags, archived: false, locked: false, sent: [],
+      async send(content) { post.sent.push(content); return { id: `msg-${post.sent.length}` }; },
+      async setAppliedTags(tags) { post.appliedTags = tags; },
+      async setArchived(archived) { post.archived = archived; },
+      async setLocked(locked) { post.locked = locked; }
+    };
+    posts.set(post.id, post);
+    return post;
+  };
+  const forum = {
+    id: 'f1',
+    availableTags: [{ id: 't-bug', name: 'bug' }, { id: 't-closed', name: 'closed' }],
+    threads: {
+      async create(options) { return createPost(options); },
+      async fetch(threadId) { return posts.get(threadId); }
+    }
+  };
+  const issue = { subjectType: 'issues', subjectKey: 3, name: 'Issue #3: Crash', labels: ['bug'] };
+
+  const opened = await deliverForumPost(prisma, 'repo-1', forum, { ...issue, archived: false }, [{ title: 'Opened' }]);
+  const closed = await deliverForumPost(prisma, 'repo-1', forum, { ...issue, archived: true }, [{ title: 'Closed' }]);
+
+  assert.equal(posts.size, 1);
+  assert.equal(opened.messageId, opened.post.id);
+  assert.equal(closed.post, opened.post);
+  assert.deepEqual(opened.post.appliedTags, ['t-closed', 't-bug']);
+  assert.equal(opened.post.locked, true);
+  assert.equal(opened.post.archived, true);
+
+  const reopened = await deliverForumPost(prisma, 'repo-1', forum, { ...issue, archived: false }, [{ title: 'Reopened' }]);
+  assert.equal(reopened.post.locked, false);
+  assert.deepEqual(reopened.post.appliedTags, ['t-bug']);
+  assert.deepEqual(reopened.post.sent.map(content => content.embeds[0].title), ['Closed', 'Reopened']);
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  parseVersion,
+  compareVersions,
+  matchesTagPattern,
+  findMatchingTags,
+  isValidTagPattern,
+  describeTagPattern,
+  findPreviousTag
+} = require('../src/functions/tagMatcher');
+
+test('parseVersion reads tags with and without a v prefix', () => {
+  assert.deepEqual(parseVersion('v1.2.3'), { major: 1, minor: 2, patch: 3, prerelease: [], parts: 3 });
+  assert.deepEqual(parseVersion('2.0.0-rc.1+build.5').prerelease, ['rc', '1']);
+  assert.equal(parseVersion('v2').parts, 1);
+  assert.equal(parseVersion('release-1.0'), null);
+});
+
+test('compareVersions follows semantic versioning precedence', () => {
+  const order = ['1.0.0-alpha', '1.0.0-alpha.1', '1.0.0-alpha.beta', '1.0.0-beta.2', '1.0.0-beta.11', '1.0.0-rc.1', '1.0.0', '1.0.1', '1.10.0', '2.0.0'];
+  for (let i = 1; i < order.length; i += 1) {
+    assert.ok(compareVersions(parseVersion(order[i - 1]), parseVersion(order[i])) < 0, `${order[i - 1]} < ${order[i]}`);
+  }
+  assert.equal(compareVersions(parseVersion('v1.0'), parseVersion('1.0.0')), 0);
+});
+
+test('matchesTagPattern supports version ranges and release keywords', () => {
+  assert.equal(matchesTagPattern('v2.0.0', '>=2.0.0'), true);
+  assert.equal(matchesTagPattern('v1.9.9', '>=2.0.0'), false);
+  assert.equal(matchesTagPattern('v2.5.0', '>=2.0.0 <3.0.0'), true);
+  assert.equal(matchesTagPattern('v3.0.0', '>=2.0.0 <3.0.0'), false);
+
+  assert.equal(matchesTagPattern('v1.9.0', '^1.4'), true);
+  assert.equal(matchesTagPattern('v2.0.0', '^1.4'), false);
+  assert.equal(matchesTagPattern('v0.3.9', '^0.3.1'), true);
+  assert.equal(matchesTagPattern('v0.4.0', '^0.3.1'), false);
+  assert.equal(matchesTagPattern('v2.1.7', '~2.1'), true);
+  assert.equal(matchesTagPattern('v2.2.0', '~2.1'), false);
+
+  assert.equal(matchesTagPattern('v2.1.0-rc.1', 'prerelease'), true);
+  assert.equal(matchesTagPattern('v2.1.0', 'prerelease'), false);
+  assert.equal(matchesTagPattern('v2.1.0-rc.1', '>=2.0.0 stable'), false);
+  assert.equal(matchesTagPattern('nightly', 'stable'), false);
+});
+
+test('matchesTagPattern supports globs, regular expressions and negation', () => {
+  assert.equal(matchesTagPattern('v1.0', 'v*'), true);
+  assert.equal(matchesTagPattern('nightly', 'v*'), false);
+  assert.equal(matchesTagPattern('release/2024-05', '*'), true);
+  assert.equal(matchesTagPattern('build-42', 're:build-\\d+'), true);
+  assert.equal(matchesTagPattern('v2.0.0-beta', '!prerelease'), false);
+
+  // Tag patterns share the branch matcher's protection against catastrophic backtracking
+  const started = Date.now();
+  assert.equal(matchesTagPattern('v'.repeat(200), '*v*v*v*v*v*v*v*x'), false);
+  assert.equal(matchesTagPattern('v'.repeat(60), 're:.*.*.*.*.*.*.*.*x'), false);
+  assert.ok(Date.now() - started < 100);
+});
+
+test('findMatchingTags combines the include and exclude patterns of a channel', () => {
+  const trackedTags = [
+    { tagPattern: '>=2.0.0', channelId: 'releases' },
+    { tagPattern: '!prerelease', channelId: 'releases' },
+    { tagPattern: 'v*', channelId: 'all-tags' },
+    { tagPattern: '^2.0', channelId: 'all-tags' },
+    { tagPattern: '!nightly', channelId: null }
+  ];
+  const tagPatterns = (tagName) => findMatchingTags(trackedTags, tagName).map(trackedTag => trackedTag.tagPattern);
+
+  assert.deepEqual(tagPatterns('v2.1.0'), ['>=2.0.0', 'v*', '!nightly']);
+  assert.deepEqual(tagPatterns('v2.1.0-rc.1'), ['v*', '!nightly']);
+  assert.deepEqual(tagPatterns('nightly'), []);
+});
+
+test('isValidTagPattern and describeTagPattern handle both kinds of patterns', () => {
+  assert.equal(isValidTagPattern('>=2.0.0 <3.0.0 stable'), true);
+  assert.equal(isValidTagPattern('v*'), true);
+  assert.equal(isValidTagPattern('!prerelease'), true);
+  assert.equal(isValidTagPattern('prerelease stable'), false);
+  assert.equal(isValidTagPattern('>= 2.0.0'), false);
+  assert.equal(isValidTagPattern('v[0-9'), false);
+
+  assert.equal(describeTagPattern('*'), 'All tags');
+  assert.equal(describeTagPattern('v1.0.0'), 'Tag "v1.0.0"');
+  assert.equal(describeTagPattern('v*'), 'Tags matching "v*"');
+  assert.equal(describeTagPattern('>=2.0.0 stable'), 'Stable release tags >=2.0.0');
+  assert.equal(describeTagPattern('prerelease'), 'Pre-release tags');
+  assert.equal(describeTagPattern('!^1.0'), 'All tags except version tags ^1.0');
+});
+
+test('findPreviousTag picks the highest lower version', () => {
+  const tags = ['v1.0.0', 'v1.1.0', 'v1.2.0-rc.1', 'v1.2.0-rc.2', 'v1.2.0', 'v2.0.0', 'nightly'];
+
+  assert.equal(findPreviousTag(tags, 'v1.2.0'), 'v1.1.0');
+  assert.equal(findPreviousTag(tags, 'v1.2.0-rc.2'), 'v1.2.0-rc.1');
+  assert.equal(findPreviousTag(tags, 'v1.3.0-rc.1'), 'v1.2.0');
+  assert.equal(findPreviousTag(tags, 'v1.0.0'), null);
+  assert.equal(findPreviousTag(tags, 'nightly'), null);
+});
@@ -0,0 +1,402 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { initializeWebServer } = require('../src/handlers/webhookHandler');
+const { normalizeProviderPayload } = require('../src/functions/webhookProviders');
+
+// Prisma stand-in: findMany returns the model's rows, findUnique/findFirst the first one, and
+// every call is recorded so tests can assert what was written
+function createFakePrisma(rows = {}) {
+  const calls = [];
+  const model = name => new Proxy({}, {
+    get: (_, method) => async (args) => {
+      calls.push({ model: name, method, args });
+      const modelRows = rows[name] || [];
+      switch (method) {
+        case 'findMany': return modelRows;
+        case 'findUnique': case 'findFirst': return modelRows[0] || null;
+        case 'count': return modelRows.length;
+        case 'create': case 'upsert': return { id: `${name}-${calls.length}`, ...(args.data || args.create) };
+        default: return { count: 0 };
+      }
+    }
+  });
+  const models = new Map();
+  return new Proxy({ calls }, {
+    get: (target, name) => {
+      if (name in target) {
+        return target[name];
+      }
+      if (!models.has(name)) {
+        models.set(name, model(name));
+      }
+      return models.get(name);
+    }
+  });
+}
+
+// Discord client stand-in whose text channels record the embeds sent to them and the edits of earlier messages
+function createFakeBotClient() {
+  const sent = [];
+  const embeds = [];
+  const edited = [];
+  return {
+    sent,
+    embeds,
+    edited,
+    channels: {
+      async fetch(channelId) {
+        return {
+          id: channelId,
+          type: 0,
+          isTextBased: () => true,
+          async send(message) {
+            sent.push({ channelId, title: message.embeds[0].title });
+            embeds.push(message.embeds[0]);
+            return { id: `message-${sent.length}` };
+          },
+          messages: {
+            async fetch(messageId) {
+              return {
+                id: messageId,
+                async edit(message) {
+                  edited.push({ channelId, messageId, title: message.embeds[0].title });
+                }
+              };
+            }
+          }
+        };
+      }
+    }
+  };
+}
+
+const repository = {
+  id: 'repo-1',
+  url: 'https://github.com/octo/app',
+  provider: 'github',
+  notificationChannelId: 'default',
+  skipMarkers: [],
+  ignoredLogins: [],
+  server: { id: 'server-1', guildId: 'guild-1' }
+};
+
+const sender = { login: 'alice', avatar_url: 'avatar', html_url: 'https://github.com/alice' };
+
+function pushPayload() {
+  return {
+    ref: 'refs/heads/main',
+    before: 'a'.repeat(40),
+    after: 'b'.repeat(40),
+    compare: 'https://github.com/octo/app/compare/aaa...bbb',
+    repository: { full_name: 'octo/app', html_url: 'https://github.com/octo/app' },
+    pusher: { name: 'alice' },
+    sender,
+    commits: [{ id: 'c'.repeat(40), message: 'Fix typo', url: 'https://github.com/octo/app/commit/ccc', added: [], modified: ['README.md'], removed: [] }]
+  };
+}
+
+// Runs normalized provider events through the handlers the delivery worker uses
+async function dispatchAll(prisma, botClient, repoContext, events) {
+  const app = initializeWebServer(prisma, botClient, { startWorker: false });
+  const results = [];
+  for (const { event, payload } of events) {
+    const loggingContext = { startTime: Date.now(), event, action: payload.action || null, requestContext: {} };
+    results.push(await app.locals.dispatchEvent(event, payload, repoContext, loggingContext));
+  }
+  return results;
+}
+
+test('a replay to a test channel posts once and skips digests and coalescing windows', async () => {
+  const prisma = createFakePrisma({
+    repository: [repository],
+    trackedBranch: [
+      { branchName: 'main', channelId: 'c1', includePaths: [], excludePaths: [] },
+      { branchName: '*', channelId: 'c2', includePaths: [], excludePaths: [] },
+      { branchName: 'main', channelId: null, includePaths: [], excludePaths: [] }
+    ],
+    digestSchedule: [{ channelId: 'c1', eventTypes: [] }],
+    coalescingWindow: [{ channelId: 'c2', windowSeconds: 60 }]
+  });
+  const botClient = createFakeBotClient();
+  const app = initializeWebServer(prisma, botClient, { startWorker: false });
+
+  await app.locals.processDeliveryJob({
+    id: 'job-1',
+    repositoryId: 'repo-1',
+    deliveryId: null,
+    eventType: 'push',
+    action: null,
+    payload: pushPayload(),
+    context: { replayOf: 'delivery-1', channelOverride: 'test-channel' }
+  });
+
+  assert.deepEqual(botClient.sent, [{ channelId: 'test-channel', title: '🚀 New Push to main' }]);
+  const writes = prisma.calls.filter(call => ['digestEntry', 'coalescedEvent', 'liveMessage'].includes(call.model));
+  assert.deepEqual(writes, []);
+});
+
+const gitlabTagPush = {
+  object_kind: 'tag_push',
+  ref: 'refs/tags/v1.2.0',
+  before: '0000000000000000000000000000000000000000',
+  after: 'd4e5f6d4e5f6d4e5f6d4e5f6d4e5f6d4e5f6d4e5',
+  checkout_sha: 'a1b2c3a1b2c3a1b2c3a1b2c3a1b2c3a1b2c3a1b2',
+  user_name: 'Alice',
+  user_username: 'alice',
+  commits: [{ id: 'a1b2c3a1b2c3a1b2c3a1b2c3a1b2c3a1b2c3a1b2', message: 'Release 1.2.0', url: 'https://gitlab.com/team/service/-/commit/a1b2c3', author: { name: 'Alice' } }],
+  project: { name: 'service', path_with_namespace: 'team/service', web_url: 'https://gitlab.com/team/service', default_branch: 'main' }
+};
+const gitlabRepository = { ...repository, url: 'https://gitlab.com/team/service', provider: 'gitlab' };
+
+test('a GitLab tag push is posted to channels tracking the tag', async () => {
+  const prisma = createFakePrisma({
+    repository: [gitlabRepository],
+    trackedTag: [{ tagPattern: '>=1.0.0 stable', channelId: 'releases' }]
+  });
+  const botClient = createFakeBotClient();
+
+  await dispatchAll(prisma, botClient, gitlabRepository, normalizeProviderPayload('gitlab', 'Tag Push Hook', gitlabTagPush));
+  // The create event of the tag is left to tag tracking instead of being posted too
+  assert.deepEqual(botClient.sent, [{ channelId: 'releases', title: '🏷️ New Tag: v1.2.0' }]);
+});
+
+test('a GitLab tag push that no tracked tag matches is posted as a create event', async () => {
+  const prisma = createFakePrisma({
+    repository: [gitlabRepository],
+    trackedTag: [{ tagPattern: '>=2.0.0', channelId: 'releases' }]
+  });
+  const botClient = createFakeBotClient();
+
+  await dispatchAll(prisma, botClient, gitlabRepository, normalizeProviderPayload('gitlab', 'Tag Push Hook', gitlabTagPush));
+  assert.deepEqual(botClient.sent, [{ channelId: 'default', title: '🏷️ New tag Created: v1.2.0' }]);
+});
+
+test('a GitLab tag push is posted as a create event when no tags are tracked', async () => {
+  const prisma = createFakePrisma({ repository: [gitlabRepository] });
+  const botClient = createFakeBotClient();
+
+  const results = await dispatchAll(prisma, botClient, gitlabRepository, normalizeProviderPayload('gitlab', 'Tag Push Hook', gitlabTagPush));
+  assert.deepEqual(botClient.sent, [{ channelId: 'default', title: '🏷️ New tag Created: v1.2.0' }]);
+  assert.equal(results[1].channelId, 'default');
+});
+
+test('a Bitbucket tag push is posted to channels tracking the tag', async () => {
+  const bitbucketRepository = { ...repository, url: 'https://bitbucket.org/team/service', provider: 'bitbucket' };
+  const prisma = createFakePrisma({
+    repository: [bitbucketRepository],
+    trackedTag: [{ tagPattern: '>=1.0.0 stable', channelId: 'releases' }]
+  });
+  const botClient = createFakeBotClient();
+  const events = normalizeProviderPayload('bitbucket', 'repo:push', {
+    actor: { display_name: 'Alice', nickname: 'alice' },
+    repository: { name: 'service', full_name: 'team/service', links: { html: { href: 'https://bitbucket.org/team/service' } } },
+    push: { changes: [{ old: null, new: { type: 'tag', name: 'v1.2.0', target: { hash: 'a1b2c3', message: 'Release 1.2.0' } }, created: true }] }
+  });
+
+  await dispatchAll(prisma, botClient, bitbucketRepository, events);
+  assert.deepEqual(botClient.sent, [{ channelId: 'releases', title: '🏷️ New Tag: v1.2.0' }]);
+});
+
+test('a pull request with a live message is updated even when its action is not posted', async () => {
+  const pullRequest = {
+    action: 'synchronize',
+    number: 7,
+    repository: { full_name: 'octo/app', html_url: 'https://github.com/octo/app' },
+    sender,
+    pull_request: {
+      number: 7,
+      title: 'Add feature',
+      html_url: 'https://github.com/octo/app/pull/7',
+      state: 'open',
+      labels: [],
+      user: sender,
+      head: { ref: 'feature' },
+      base: { ref: 'main' }
+    }
+  };
+  const botClient = createFakeBotClient();
+
+  // synchronize is off by default, so without a live message nothing is posted
+  await dispatchAll(createFakePrisma({ repository: [repository] }), botClient, repository, [{ event: 'pull_request', payload: pullRequest }]);
+  assert.deepEqual(botClient.sent, []);
+
+  const prisma = createFakePrisma({
+    repository: [repository],
+    liveMessage: [{ repositoryId: 'repo-1', subjectType: 'pull_request', subjectKey: '7', channelId: 'prs', messageId: 'pr-message', changelog: [] }]
+  });
+  await dispatchAll(prisma, botClient, repository, [{ event: 'pull_request', payload: pullRequest }]);
+  assert.deepEqual(botClient.sent, []);
+  assert.deepEqual(botClient.edited, [{ channelId: 'prs', messageId: 'pr-message', title: '🔍 Pull Request #7 Open: Add feature' }]);
+});
+
+// Workflow run and job payloads of run 42 on main
+function workflowRunPayload(status) {
+  return {
+    action: status === 'queued' ? 'requested' : status,
+    repository: { full_name: 'octo/app', html_url: 'https://github.com/octo/app' },
+    sender,
+    workflow_run: { id: 42, name: 'CI', html_url: 'https://github.com/octo/app/actions/runs/42', head_branch: 'main', status, conclusion: status === 'completed' ? 'success' : null, jobs: [] }
+  };
+}
+
+const workflowJobPayload = {
+  action: 'completed',
+  repository: { full_name: 'octo/app', html_url: 'https://github.com/octo/app' },
+  sender,
+  workflow_job: { id: 7, run_id: 42, name: 'test', status: 'completed', conclusion: 'success', html_url: 'https://github.com/octo/app/actions/runs/42/job/7' }
+};
+
+test('a workflow run message is posted when the run is requested and updated until it completes', async () => {
+  const rows = {
+    repository: [repository],
+    repositoryEventChannel: [{ id: 'mapping-1', channelId: 'default', config: { actionsEnabled: { requested: true } } }],
+    trackedBranch: [{ branchName: 'main', channelId: 'ci', includePaths: [], excludePaths: [] }],
+    liveMessage: []
+  };
+  const prisma = createFakePrisma(rows);
+  const botClient = createFakeBotClient();
+
+  // Stores the live message the way the database would between deliveries
+  const events = [
+    { event: 'workflow_run', payload: workflowRunPayload('queued') },
+    { event: 'workflow_job', payload: workflowJobPayload },
+    { event: 'workflow_run', payload: workflowRunPayload('completed') }
+  ];
+  for (const event of events) {
+    await dispatchAll(prisma, botClient, repository, [event]);
+    const saved = prisma.calls.filter(call => call.model === 'liveMessage' && call.method === 'upsert').pop();
+    rows.liveMessage = saved ? [saved.args.create] : [];
+  }
+
+  assert.deepEqual(botClient.sent.map(({ channelId }) => channelId), ['ci']);
+  assert.deepEqual(botClient.edited.map(({ channelId, messageId }) => [channelId, messageId]), [['ci', 'message-1'], ['ci', 'message-1']]);
+  assert.deepEqual(rows.liveMessage[0].state.jobs.map(({ name }) => name), ['test']);
+  assert.equal(rows.liveMessage[0].state.run.conclusion, 'success');
+});
+
+test('a requested workflow run is not posted while its action is turned off', async () => {
+  const prisma = createFakePrisma({
+    repository: [repository],
+    trackedBranch: [{ branchName: 'main', channelId: 'ci', includePaths: [], excludePaths: [] }]
+  });
+  const botClient = createFakeBotClient();
+
+  // requested and in_progress are off by default, so only the completed run is posted
+  await dispatchAll(prisma, botClient, repository, [
+    { event: 'workflow_run', payload: workflowRunPayload('queued') },
+    { event: 'workflow_run', payload: workflowRunPayload('in_progress') },
+    { event: 'workflow_run', payload: workflowRunPayload('completed') }
+  ]);
+  assert.deepEqual(botClient.sent.map(({ channelId }) => channelId), ['ci']);
+  assert.equal(prisma.calls.filter(call => call.model === 'liveMessage' && call.method === 'upsert').length, 1);
+});
+
+test('routing rules route events from untracked branches', async () => {
+  const prisma = createFakePrisma({
+    repository: [repository],
+    trackedBranch: [{ branchName: 'main', channelId: null, includePaths: [], excludePaths: [] }],
+    routingRule: [{ position: 0, conditions: { event: ['push'], branch: ['experiment'] }, channelId: 'experiments', stop: true }]
+  });
+  const botClient = createFakeBotClient();
+
+  await dispatchAll(prisma, botClient, repository, [
+    { event: 'push', payload: pushPayload() },
+    { event: 'push', payload: { ...pushPayload(), ref: 'refs/heads/experiment' } },
+    { event: 'push', payload: { ...pushPayload(), ref: 'refs/heads/other' } }
+  ]);
+  assert.deepEqual(botClient.sent, [
+    { channelId: 'default', title: '🚀 New Push to main' },
+    { channelId: 'experiments', title: '🚀 New Push to experiment' }
+  ]);
+});
+
+test('routing rules route events whose action is turned off', async () => {
+  const prisma = createFakePrisma({
+    repository: [repository],
+    repositoryEventChannel: [{ id: 'mapping-1', channelId: 'default', config: { actionsEnabled: { labeled: false, edited: false } } }],
+    routingRule: [{ position: 0, conditions: { event: ['issues'], action: ['labeled'] }, channelId: 'triage', stop: true }]
+  });
+  const botClient = createFakeBotClient();
+  const issueEvent = action => ({
+    event: 'issues',
+    payload: {
+      action,
+      repository: { full_name: 'octo/app', html_url: 'https://github.com/octo/app' },
+      sender,
+      label: { name: 'bug' },
+      issue: { number: 3, title: 'Crash', html_url: 'https://github.com/octo/app/issues/3', state: 'open', labels: [{ name: 'bug' }], user: sender }
+    }
+  });
+
+  // Both actions are turned off; only the rule brings the labeled event back
+  await dispatchAll(prisma, botClient, repository, [issueEvent('labeled'), issueEvent('edited')]);
+  assert.deepEqual(botClient.sent, [{ channelId: 'triage', title: '📝 Issue #3 Labeled: Crash' }]);
+});
+
+test('a GitHub tag push finds the previous tag beyond the first page of tags', async (t) => {
+  // More than one page of tags is only read with a token
+  const token = process.env.GITHUB_TOKEN;
+  process.env.GITHUB_TOKEN = 'token';
+  t.after(() => {
+    if (token === undefined) {
+      delete process.env.GITHUB_TOKEN;
+    } else {
+      process.env.GITHUB_TOKEN = token;
+    }
+  });
+  const prisma = createFakePrisma({
+    repository: [repository],
+    trackedTag: [{ tagPattern: 'v*', channelId: 'releases' }]
+  });
+  const botClient = createFakeBotClient();
+  const requested = [];
+  t.mock.method(global, 'fetch', async (url) => {
+    requested.push(url);
+    const page = Number(new URL(url).searchParams.get('page'));
+    const body = url.includes('/tags')
+      ? (page === 1 ? Array.from({ length: 100 }, (_, i) => ({ name: `v3.${i}.0` })) : [{ name: 'v1.0.0' }])
+      : { total_commits: 0, commits: [], files: [] };
+    return { ok: true, json: async () => body };
+  });
+
+  await dispatchAll(prisma, botClient, repository, [{
+    event: 'push',
+    payload: { ...pushPayload(), ref: 'refs/tags/v2.0.0', created: true, commits: [], head_commit: null }
+  }]);
+
+  assert.deepEqual(requested.slice(0, 2), [
+    'https://api.github.com/repos/octo/app/tags?per_page=100&page=1',
+    'https://api.github.com/repos/octo/app/tags?per_page=100&page=2'
+  ]);
+  assert.ok(requested[2].endsWith('/compare/v1.0.0...v2.0.0'));
+  assert.ok(botClient.embeds[0].fields.some(field => field.name === 'Changes since v1.0.0'));
+});
+
+// Runs last: the rate limit it reaches is remembered for the rest of the process
+test('a GitHub tag push is posted without changes while the API rate limit is used up', async (t) => {
+  const prisma = createFakePrisma({
+    repository: [repository],
+    trackedTag: [{ tagPattern: 'v*', channelId: 'releases' }]
+  });
+  const botClient = createFakeBotClient();
+  const requested = [];
+  const headers = { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(Math.ceil(Date.now() / 1000) + 60) };
+  t.mock.method(console, 'info', () => {});
+  t.mock.method(global, 'fetch', async (url) => {
+    requested.push(url);
+    return {
+      ok: false,
+      status: 403,
+      statusText: 'Forbidden',
+      headers: { get: name => headers[name] || null }
+    };
+  });
+  const tagPush = name => ({ event: 'push', payload: { ...pushPayload(), ref: `refs/tags/${name}`, created: true, commits: [], head_commit: null } });
+
+  await dispatchAll(prisma, botClient, repository, [tagPush('v2.0.0'), tagPush('v2.0.1')]);
+
+  assert.deepEqual(botClient.sent.map(({ title }) => title), ['🏷️ New Tag: v2.0.0', '🏷️ New Tag: v2.0.1']);
+  assert.ok(botClient.embeds.every(embed => !embed.fields.some(field => field.name.startsWith('Changes since'))));
+  assert.equal(requested.length, 1);
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const {
+  verifySignature,
+  generateWebhookToken,
+  normalizeRepositoryUrl
+} = require('../src/functions/webhookSignature');
+
+function sign(body, secret) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+test('verifySignature accepts a valid signature', () => {
+  const body = JSON.stringify({ zen: 'Keep it logically awesome.' });
+  assert.equal(verifySignature(body, sign(body, 'secret'), 'secret'), true);
+});
+
+test('verifySignature rejects wrong secrets, tampered bodies and malformed headers', () => {
+  const body = '{"action":"opened"}';
+  const signature = sign(body, 'secret');
+
+  assert.equal(verifySignature(body, signature, 'other-secret'), false);
+  assert.equal(verifySignature('{"action":"closed"}', signature, 'secret'), false);
+  assert.equal(verifySignature(body, signature.replace('sha256=', 'sha1='), 'secret'), false);
+  assert.equal(verifySignature(body, 'sha256=abc', 'secret'), false);
+  assert.equal(verifySignature(body, undefined, 'secret'), false);
+  assert.equal(verifySignature(body, signature, null), false);
+});
+
+test('generateWebhookToken returns unique URL-safe tokens', () => {
+  const first = generateWebhookToken();
+  const second = generateWebhookToken();
+
+  assert.match(first, /^[a-f0-9]{48}$/);
+  assert.notEqual(first, second);
+});
+
+test('normalizeRepositoryUrl ignores case, trailing slashes and .git suffixes', () => {
+  assert.equal(normalizeRepositoryUrl('https://github.com/Owner/Repo.git'), 'https://github.com/owner/repo');
+  assert.equal(normalizeRepositoryUrl('https://github.com/owner/repo/'), 'https://github.com/owner/repo');
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getWorkflowRunSnapshot, mergeWorkflowJobs, buildWorkflowRunEmbed } = require('../src/functions/workflowRunMessage');
+
+const repository = { full_name: 'acme/widgets', html_url: 'https://github.com/acme/widgets' };
+
+function runPayload(overrides) {
+  return {
+    repository,
+    workflow_run: {
+      id: 42,
+      name: 'CI',
+      html_url: 'https://github.com/acme/widgets/actions/runs/42',
+      head_branch: 'main',
+      status: 'in_progress',
+      conclusion: null,
+      created_at: '2024-05-01T10:00:00Z',
+      updated_at: '2024-05-01T10:00:05Z',
+      ...overrides
+    }
+  };
+}
+
+test('mergeWorkflowJobs updates known jobs in place and appends new ones', () => {
+  const jobs = mergeWorkflowJobs(null, [
+    { id: 1, name: 'build', status: 'queued', conclusion: null, extra: 'dropped' },
+    { id: 2, name: 'test', status: 'queued', conclusion: null }
+  ]);
+  const updated = mergeWorkflowJobs(jobs, [
+    { id: 2, name: 'test', status: 'completed', conclusion: 'success', started_at: '2024-05-01T10:00:00Z', completed_at: '2024-05-01T10:01:30Z' },
+    { id: 3, name: 'deploy', status: 'queued' }
+  ]);
+
+  assert.deepEqual(updated.map(job => `${job.name}:${job.status}`), ['build:queued', 'test:completed', 'deploy:queued']);
+  assert.equal(updated[1].completed_at, '2024-05-01T10:01:30Z');
+  assert.equal('extra' in updated[0], false);
+  assert.equal(jobs[1].status, 'queued');
+});
+
+test('buildWorkflowRunEmbed shows a running run with its job progress', () => {
+  const run = getWorkflowRunSnapshot(runPayload());
+  const jobs = mergeWorkflowJobs([], [
+    { id: 1, name: 'build', status: 'completed', conclusion: 'success', started_at: '2024-05-01T10:00:00Z', completed_at: '2024-05-01T10:01:05Z' },
+    { id: 2, name: 'test', status: 'in_progress', conclusion: null, started_at: '2024-05-01T10:01:05Z' }
+  ]);
+
+  const embed = buildWorkflowRunEmbed(run, jobs);
+
+  assert.equal(embed.title, '🔄 Workflow "CI" in progress on main');
+  assert.deepEqual(embed.fields[2], { name: 'Status', value: 'In progress', inline: true });
+  const jobsField = embed.fields.find(field => field.name === 'Jobs');
+  assert.match(jobsField.value, /Passed/);
+  assert.match(jobsField.value, /1m 5s/);
+  assert.match(jobsField.value, /Running/);
+  assert.equal(embed.fields.some(field => field.name === 'Duration'), false);
+});
+
+test('buildWorkflowRunEmbed finalizes a completed run with its conclusion and duration', () => {
+  const run = getWorkflowRunSnapshot(runPayload({ status: 'completed', conclusion: 'failure', updated_at: '2024-05-01T10:02:30Z' }));
+
+  const embed = buildWorkflowRunEmbed(run, []);
+
+  assert.equal(embed.title, '❌ Workflow "CI" failure on main');
+  assert.deepEqual(embed.fields[2], { name: 'Conclusion', value: 'Failure', inline: true });
+  assert.deepEqual(embed.fields.find(field => field.name === 'Duration'), { name: 'Duration', value: '2m 30s', inline: true });
+  assert.equal(embed.fields.some(field => field.name === 'Jobs'), false);
+});